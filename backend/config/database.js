@@ -5,6 +5,7 @@ const path = require('path');
 // Create logger for database operations
 const dbLogger = winston.createLogger({
   level: 'info',
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
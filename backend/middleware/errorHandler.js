@@ -3,6 +3,7 @@ const winston = require('winston');
 // Configure error logger
 const errorLogger = winston.createLogger({
   level: 'error',
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
@@ -3,6 +3,7 @@ const winston = require('winston');
 // Configure request logger
 const requestLogger = winston.createLogger({
   level: 'info',
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.json()
@@ -55,6 +55,22 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       comment: 'Complete Tyk API definition'
     },
+    openapi_spec: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'OpenAPI/Swagger document the definition was imported from'
+    },
+    definition_format: {
+      type: DataTypes.ENUM('classic', 'oas'),
+      allowNull: false,
+      defaultValue: 'classic',
+      comment: 'Which definition is deployed to Tyk Gateway'
+    },
+    oas_definition: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Tyk OAS definition (OpenAPI with x-tyk-api-gateway)'
+    },
     // Authentication settings
     auth_type: {
       type: DataTypes.ENUM('none', 'auth_token', 'basic_auth', 'oauth2', 'jwt', 'hmac', 'mtls'),
@@ -111,8 +127,9 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: false,
       comment: 'Whether API is deployed to Tyk Gateway'
     },
+    // draft: edited without deploying; staged: validated and ready to deploy
     deployment_status: {
-      type: DataTypes.ENUM('pending', 'deployed', 'failed', 'updating'),
+      type: DataTypes.ENUM('draft', 'staged', 'pending', 'deployed', 'failed', 'updating'),
       defaultValue: 'pending'
     },
     last_deployed_at: {
@@ -190,6 +207,13 @@ module.exports = (sequelize, DataTypes) => {
     await this.save();
   };
 
+  ApiDefinition.prototype.markAsUndeployed = async function() {
+    this.is_deployed = false;
+    this.deployment_status = 'staged';
+    this.deployment_error = null;
+    await this.save();
+  };
+
   ApiDefinition.prototype.addTag = async function(tag) {
     if (!this.tags) {
       this.tags = [];
@@ -244,6 +268,7 @@ module.exports = (sequelize, DataTypes) => {
       target_url: this.target_url,
       description: this.description,
       version: this.version,
+      definition_format: this.definition_format,
       auth_type: this.auth_type,
       use_keyless: this.use_keyless,
       rate_limits: this.rate_limits,
@@ -259,6 +284,7 @@ module.exports = (sequelize, DataTypes) => {
       last_request_at: this.last_request_at,
       tags: this.tags,
       category: this.category,
+      has_openapi_spec: !!this.openapi_spec,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
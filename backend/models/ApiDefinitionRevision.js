@@ -0,0 +1,123 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const ApiDefinitionRevision = sequelize.define('ApiDefinitionRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Revisions are keyed by the gateway API ID so untracked APIs keep history too
+    api_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'API ID in Tyk Gateway'
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Sequential per API, starting at 1'
+    },
+    definition_format: {
+      type: DataTypes.ENUM('classic', 'oas'),
+      allowNull: false,
+      defaultValue: 'classic'
+    },
+    definition: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Complete definition as deployed in this revision'
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Change that produced the revision (e.g., baseline, create, update, import, rollback)'
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Author details are copied so history survives user deletion
+    author_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    author_email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    source_revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Revision restored by a rollback'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'api_definition_revisions',
+    timestamps: false, // Revisions are immutable
+    indexes: [
+      {
+        unique: true,
+        fields: ['api_id', 'revision_number']
+      },
+      {
+        fields: ['organization_id']
+      }
+    ],
+    hooks: {
+      beforeCreate: async (revision) => {
+        if (!revision.id) {
+          revision.id = uuidv4();
+        }
+      }
+    }
+  });
+
+  ApiDefinitionRevision.prototype.toSummary = function() {
+    return {
+      id: this.id,
+      api_id: this.api_id,
+      revision_number: this.revision_number,
+      definition_format: this.definition_format,
+      action: this.action,
+      comment: this.comment,
+      author: {
+        id: this.author_id,
+        email: this.author_email
+      },
+      source_revision_number: this.source_revision_number,
+      created_at: this.created_at
+    };
+  };
+
+  // Class methods
+  ApiDefinitionRevision.findByApi = function(apiId) {
+    return this.findAll({
+      where: { api_id: apiId },
+      order: [['revision_number', 'DESC']]
+    });
+  };
+
+  ApiDefinitionRevision.findRevision = function(apiId, revisionNumber) {
+    return this.findOne({
+      where: { api_id: apiId, revision_number: revisionNumber }
+    });
+  };
+
+  return ApiDefinitionRevision;
+};
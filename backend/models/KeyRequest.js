@@ -0,0 +1,148 @@
+module.exports = (sequelize, DataTypes) => {
+  const KeyRequest = sequelize.define('KeyRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    requester_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    policy_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'policies',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Alias of the key that approval creates'
+    },
+    purpose: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    desired_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Extra POST /keys options the requester asked for (hmac_enabled, hmac_algorithm)
+    key_options: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Rejection reason or approval note shown to the requester'
+    },
+    tyk_key_hash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Key (and HMAC secret) from approval, encrypted until the requester reveals it once
+    issued_secret: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    revealed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'key_requests',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['organization_id', 'status']
+      },
+      {
+        fields: ['requester_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  KeyRequest.prototype.isPending = function() {
+    return this.status === 'pending';
+  };
+
+  KeyRequest.prototype.toSafeObject = function() {
+    return {
+      id: this.id,
+      organization_id: this.organization_id,
+      requester_id: this.requester_id,
+      requester: this.requester ? {
+        id: this.requester.id,
+        email: this.requester.email,
+        full_name: this.requester.getFullName()
+      } : null,
+      policy_id: this.policy_id,
+      policy_name: this.policy ? this.policy.name : null,
+      name: this.name,
+      purpose: this.purpose,
+      desired_expires_at: this.desired_expires_at,
+      key_options: this.key_options,
+      status: this.status,
+      reviewed_by: this.reviewer ? this.reviewer.email : null,
+      reviewed_at: this.reviewed_at,
+      review_note: this.review_note,
+      tyk_key_hash: this.tyk_key_hash,
+      key_ready: !!this.issued_secret,
+      revealed_at: this.revealed_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  };
+
+  // Class methods
+  KeyRequest.countPendingForUser = function(userId) {
+    return this.count({ where: { requester_id: userId, status: 'pending' } });
+  };
+
+  return KeyRequest;
+};
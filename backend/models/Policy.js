@@ -85,6 +85,11 @@ module.exports = (sequelize, DataTypes) => {
     tags: {
       type: DataTypes.JSON, // Changed from ARRAY to JSON for SQLite compatibility
       defaultValue: "[]"
+    },
+    partitions: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Parts of a key session the policy supplies: { quota, rate_limit, acl, complexity }; none set means all'
     }
   }, {
     tableName: 'policies',
@@ -106,6 +111,13 @@ module.exports = (sequelize, DataTypes) => {
         values.tags = [];
       }
     }
+    if (typeof values.partitions === 'string') {
+      try {
+        values.partitions = JSON.parse(values.partitions);
+      } catch (e) {
+        values.partitions = null;
+      }
+    }
     
     // Add computed fields
     values.is_cross_org = values.target_organization_id !== null && 
@@ -39,6 +39,16 @@ module.exports = (sequelize, DataTypes) => {
     allowed_urls: {
       type: DataTypes.JSON, // Changed from ARRAY to JSON for SQLite compatibility
       defaultValue: "[]"
+    },
+    api_limit: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Per-API rate and quota that replace the policy-wide limits for this API'
+    },
+    endpoint_limits: {
+      type: DataTypes.JSON,
+      defaultValue: "[]",
+      comment: 'Endpoint-level rate limits: [{ path, methods: [{ name, limit: { rate, per } }] }]'
     }
   }, {
     tableName: 'policy_api_access',
@@ -53,7 +63,7 @@ module.exports = (sequelize, DataTypes) => {
     const values = Object.assign({}, this.get());
     
     // Parse JSON fields if they're strings
-    ['versions', 'allowed_urls'].forEach(field => {
+    ['versions', 'allowed_urls', 'endpoint_limits'].forEach(field => {
       if (typeof values[field] === 'string') {
         try {
           values[field] = JSON.parse(values[field]);
@@ -81,7 +91,9 @@ module.exports = (sequelize, DataTypes) => {
       api_name: access.api_name,
       api_organization_id: access.api_organization_id,
       versions: access.versions || access.allowed_versions || ["Default"], // Handle both field names
-      allowed_urls: access.allowed_urls || "[]"
+      allowed_urls: access.allowed_urls || "[]",
+      api_limit: access.limit || access.api_limit || null,
+      endpoint_limits: access.endpoints || access.endpoint_limits || "[]"
     }));
     
     return await PolicyApiAccess.bulkCreate(accesses, {
@@ -103,11 +115,14 @@ module.exports = (sequelize, DataTypes) => {
     const accessRights = {};
     
     accesses.forEach(access => {
+      const { api_limit: limit, endpoint_limits: endpoints } = access.toJSON();
       accessRights[access.api_id] = {
         api_id: access.api_id,
         api_name: access.api_name || access.api_id,
         versions: access.versions || ["Default"],
-        allowed_urls: access.allowed_urls || []
+        allowed_urls: access.allowed_urls || [],
+        ...(limit && { limit }),
+        ...(endpoints && endpoints.length > 0 && { endpoints })
       };
     });
     
@@ -0,0 +1,119 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const PolicyRevision = sequelize.define('PolicyRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    policy_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'policies',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Owner organization of the policy'
+    },
+    revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Sequential per policy, starting at 1'
+    },
+    snapshot: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Name, description, rate, quota, tags and access rights in this revision'
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Change that produced the revision (e.g., baseline, create, update, restore)'
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Author details are copied so history survives user deletion
+    author_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    author_email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    source_revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Revision restored by a restore'
+    },
+    key_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Gateway keys with the policy in apply_policies when the revision was made; null if the gateway could not be read'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'policy_revisions',
+    timestamps: false, // Revisions are immutable
+    indexes: [
+      {
+        unique: true,
+        fields: ['policy_id', 'revision_number']
+      },
+      {
+        fields: ['organization_id']
+      }
+    ],
+    hooks: {
+      beforeCreate: async (revision) => {
+        if (!revision.id) {
+          revision.id = uuidv4();
+        }
+      }
+    }
+  });
+
+  PolicyRevision.prototype.toSummary = function() {
+    return {
+      id: this.id,
+      policy_id: this.policy_id,
+      revision_number: this.revision_number,
+      action: this.action,
+      comment: this.comment,
+      author: {
+        id: this.author_id,
+        email: this.author_email
+      },
+      source_revision_number: this.source_revision_number,
+      key_count: this.key_count,
+      created_at: this.created_at
+    };
+  };
+
+  // Class methods
+  PolicyRevision.findByPolicy = function(policyId) {
+    return this.findAll({
+      where: { policy_id: policyId },
+      order: [['revision_number', 'DESC']]
+    });
+  };
+
+  PolicyRevision.findRevision = function(policyId, revisionNumber) {
+    return this.findOne({
+      where: { policy_id: policyId, revision_number: revisionNumber }
+    });
+  };
+
+  return PolicyRevision;
+};
@@ -0,0 +1,123 @@
+module.exports = (sequelize, DataTypes) => {
+  const QuotaRequest = sequelize.define('QuotaRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    requester_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    tyk_key_hash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    key_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('reset', 'top_up'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Extra requests for a top-up; null for a reset'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'quota_requests',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['organization_id', 'status']
+      },
+      {
+        fields: ['tyk_key_hash']
+      }
+    ]
+  });
+
+  // Instance methods
+  QuotaRequest.prototype.isPending = function() {
+    return this.status === 'pending';
+  };
+
+  QuotaRequest.prototype.toSafeObject = function() {
+    return {
+      id: this.id,
+      organization_id: this.organization_id,
+      requester: this.requester ? {
+        id: this.requester.id,
+        email: this.requester.email,
+        full_name: this.requester.getFullName()
+      } : null,
+      tyk_key_hash: this.tyk_key_hash,
+      key_name: this.key_name,
+      action: this.action,
+      amount: this.amount,
+      reason: this.reason,
+      status: this.status,
+      reviewed_by: this.reviewer ? this.reviewer.email : null,
+      reviewed_at: this.reviewed_at,
+      review_note: this.review_note,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  };
+
+  // Class methods
+  QuotaRequest.findPendingForKey = function(keyHash) {
+    return this.findOne({ where: { tyk_key_hash: keyHash, status: 'pending' } });
+  };
+
+  return QuotaRequest;
+};
@@ -125,10 +125,23 @@ module.exports = (sequelize, DataTypes) => {
     ]);
   };
 
+  SystemConfig.getKeyExpiryConfig = async function() {
+    return this.getMultiple([
+      'key_expiry_warning_days',
+      'expired_key_cleanup'
+    ]);
+  };
+
   SystemConfig.getTykConfig = async function() {
     return this.getMultiple([
       'tyk_gateway_url',
       'tyk_secret',
+      'tyk_gateway_timeout_ms',
+      'tyk_gateway_max_retries',
+      'tyk_gateway_retry_base_delay_ms',
+      'tyk_gateway_breaker_threshold',
+      'tyk_gateway_breaker_reset_ms',
+      'tyk_key_cache_ttl_ms',
       'default_rate_limits',
       'certificate_expiry_warning_days'
     ]);
@@ -24,7 +24,7 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     credential_type: {
-      type: DataTypes.ENUM('api_key', 'mtls_certificate', 'hmac_signature'),
+      type: DataTypes.ENUM('api_key', 'mtls_certificate', 'hmac_signature', 'basic_auth'),
       allowNull: false
     },
     name: {
@@ -72,13 +72,23 @@ module.exports = (sequelize, DataTypes) => {
     // HMAC configuration
     hmac_secret: {
       type: DataTypes.STRING,
-      allowNull: true
+      allowNull: true,
+      comment: 'AES-256-GCM encrypted shared secret (see utils/secretBox); never returned to clients'
     },
     hmac_algorithm: {
       type: DataTypes.STRING,
       allowNull: true,
       defaultValue: 'hmac-sha256'
     },
+    // Basic auth configuration (the password is only held, bcrypt-hashed, by Tyk)
+    basic_auth_username: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    password_changed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Rate limiting and quota
     rate_limits: {
       type: DataTypes.JSON,
@@ -116,6 +126,37 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    expiry_warnings_sent: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Expiry warning windows (days) already emailed, for the expiry they were sent for'
+    },
+    // Key rotation: both keys of a rotation point at each other
+    rotated_from_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Credential this key replaced'
+    },
+    rotated_to_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Credential that replaced this key'
+    },
+    rotated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rotation_grace_ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When a rotated-out key is deactivated'
+    },
+    // Quota top-ups raise the key's quota_max until its quota period renews
+    quota_top_up: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Active top-up: { base_quota_max, amount, renews }'
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -156,6 +197,11 @@ module.exports = (sequelize, DataTypes) => {
     return this.certificate_expires_at <= warningDate;
   };
 
+  UserCredentials.prototype.isInRotationGracePeriod = function() {
+    if (!this.rotation_grace_ends_at || !this.is_active) return false;
+    return new Date() < this.rotation_grace_ends_at;
+  };
+
   UserCredentials.prototype.updateUsageStats = async function() {
     this.usage_stats.total_requests += 1;
     this.usage_stats.last_request_date = new Date();
@@ -203,6 +249,8 @@ module.exports = (sequelize, DataTypes) => {
       certificate_fingerprint: this.certificate_fingerprint,
       certificate_expires_at: this.certificate_expires_at,
       hmac_algorithm: this.hmac_algorithm,
+      basic_auth_username: this.basic_auth_username,
+      password_changed_at: this.password_changed_at,
       rate_limits: this.rate_limits,
       access_rights: this.access_rights,
       is_active: this.is_active,
@@ -210,6 +258,11 @@ module.exports = (sequelize, DataTypes) => {
       usage_stats: this.usage_stats,
       expires_at: this.expires_at,
       is_expired: this.isExpired(),
+      rotated_from_id: this.rotated_from_id,
+      rotated_to_id: this.rotated_to_id,
+      rotated_at: this.rotated_at,
+      rotation_grace_ends_at: this.rotation_grace_ends_at,
+      in_rotation_grace_period: this.isInRotationGracePeriod(),
       is_certificate_expired: this.isCertificateExpired(),
       is_certificate_expiring_soon: this.isCertificateExpiringSoon(),
       created_at: this.created_at,
@@ -236,6 +289,17 @@ module.exports = (sequelize, DataTypes) => {
     return this.findOne({ where: { tyk_key_hash: tykKeyHash } });
   };
 
+  UserCredentials.findBasicAuthUser = function(organizationId, username) {
+    return this.findOne({
+      where: {
+        organization_id: organizationId,
+        credential_type: 'basic_auth',
+        basic_auth_username: username,
+        is_active: true
+      }
+    });
+  };
+
   UserCredentials.findByCertificateId = function(certificateId) {
     return this.findOne({ where: { certificate_id: certificateId } });
   };
@@ -256,6 +320,53 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  UserCredentials.findRotationsDueForDeactivation = function() {
+    return this.findAll({
+      where: {
+        is_active: true,
+        rotated_to_id: { [sequelize.Sequelize.Op.ne]: null },
+        rotation_grace_ends_at: { [sequelize.Sequelize.Op.lte]: new Date() }
+      }
+    });
+  };
+
+  UserCredentials.findQuotaTopUps = function() {
+    return this.findAll({
+      where: {
+        quota_top_up: { [sequelize.Sequelize.Op.ne]: null }
+      }
+    });
+  };
+
+  UserCredentials.findActiveGatewayKeys = function() {
+    return this.findAll({
+      where: {
+        is_active: true,
+        tyk_key_hash: { [sequelize.Sequelize.Op.ne]: null }
+      },
+      include: [{ association: 'user', attributes: ['id', 'email', 'first_name'] }]
+    });
+  };
+
+  UserCredentials.findExpiringKeys = function(days, organizationId = null) {
+    const warningDate = new Date();
+    warningDate.setDate(warningDate.getDate() + days);
+
+    const where = {
+      is_active: true,
+      expires_at: { [sequelize.Sequelize.Op.lte]: warningDate }
+    };
+    if (organizationId) {
+      where.organization_id = organizationId;
+    }
+
+    return this.findAll({
+      where,
+      include: [{ association: 'user', attributes: ['id', 'email', 'first_name'] }],
+      order: [['expires_at', 'ASC']]
+    });
+  };
+
   UserCredentials.findActiveCredentials = function() {
     return this.findAll({
       where: { is_active: true },
@@ -10,11 +10,15 @@ const SystemConfig = require('./SystemConfig')(sequelize, DataTypes);
 const UserCredentials = require('./UserCredentials')(sequelize, DataTypes);
 const ApiDefinition = require('./ApiDefinition')(sequelize, DataTypes);
 const ApiAccessGrant = require('./ApiAccessGrant')(sequelize, DataTypes);
+const ApiDefinitionRevision = require('./ApiDefinitionRevision')(sequelize, DataTypes);
 const AuditLog = require('./AuditLog')(sequelize, DataTypes);
 // Policy models
 const Policy = require('./Policy')(sequelize, DataTypes);
 const PolicyApiAccess = require('./PolicyApiAccess')(sequelize, DataTypes);
 const OrganizationAvailablePolicy = require('./OrganizationAvailablePolicy')(sequelize, DataTypes);
+const PolicyRevision = require('./PolicyRevision')(sequelize, DataTypes);
+const KeyRequest = require('./KeyRequest')(sequelize, DataTypes);
+const QuotaRequest = require('./QuotaRequest')(sequelize, DataTypes);
 
 // Define associations
 const setupAssociations = () => {
@@ -48,6 +52,18 @@ const setupAssociations = () => {
     as: 'organization' 
   });
 
+  // Key rotation links between UserCredentials
+  UserCredentials.belongsTo(UserCredentials, { 
+    foreignKey: 'rotated_from_id', 
+    as: 'rotatedFrom',
+    constraints: false
+  });
+  UserCredentials.belongsTo(UserCredentials, { 
+    foreignKey: 'rotated_to_id', 
+    as: 'rotatedTo',
+    constraints: false
+  });
+
   // ApiDefinition and Organization associations
   ApiDefinition.belongsTo(Organization, { 
     foreignKey: 'organization_id', 
@@ -81,6 +97,17 @@ const setupAssociations = () => {
     as: 'accessGrants' 
   });
 
+  // ApiDefinitionRevision associations
+  ApiDefinitionRevision.belongsTo(User, { 
+    foreignKey: 'author_id', 
+    as: 'author',
+    constraints: false
+  });
+  ApiDefinitionRevision.belongsTo(Organization, { 
+    foreignKey: 'organization_id', 
+    as: 'organization' 
+  });
+
   // PendingUser associations
   PendingUser.belongsTo(Organization, { 
     foreignKey: 'organization_id', 
@@ -127,6 +154,17 @@ const setupAssociations = () => {
     as: 'PolicyApiAccesses' 
   });
 
+  // PolicyRevision associations
+  PolicyRevision.belongsTo(Policy, { 
+    foreignKey: 'policy_id', 
+    as: 'policy' 
+  });
+  Policy.hasMany(PolicyRevision, { 
+    foreignKey: 'policy_id', 
+    as: 'revisions',
+    onDelete: 'CASCADE'
+  });
+
   // OrganizationAvailablePolicy associations
   OrganizationAvailablePolicy.belongsTo(Organization, { 
     foreignKey: 'organization_id', 
@@ -159,6 +197,40 @@ const setupAssociations = () => {
     foreignKey: 'policy_id', 
     as: 'credentials' 
   });
+
+  // KeyRequest associations
+  KeyRequest.belongsTo(User, { 
+    foreignKey: 'requester_id', 
+    as: 'requester' 
+  });
+  KeyRequest.belongsTo(User, { 
+    foreignKey: 'reviewed_by', 
+    as: 'reviewer',
+    constraints: false
+  });
+  KeyRequest.belongsTo(Policy, { 
+    foreignKey: 'policy_id', 
+    as: 'policy' 
+  });
+  KeyRequest.belongsTo(Organization, { 
+    foreignKey: 'organization_id', 
+    as: 'organization' 
+  });
+
+  // QuotaRequest associations
+  QuotaRequest.belongsTo(User, { 
+    foreignKey: 'requester_id', 
+    as: 'requester' 
+  });
+  QuotaRequest.belongsTo(User, { 
+    foreignKey: 'reviewed_by', 
+    as: 'reviewer',
+    constraints: false
+  });
+  QuotaRequest.belongsTo(Organization, { 
+    foreignKey: 'organization_id', 
+    as: 'organization' 
+  });
 };
 
 // Setup associations
@@ -176,10 +248,14 @@ const db = {
   UserCredentials,
   ApiDefinition,
   ApiAccessGrant,
+  ApiDefinitionRevision,
   AuditLog,
   Policy,
   PolicyApiAccess,
-  OrganizationAvailablePolicy
+  OrganizationAvailablePolicy,
+  PolicyRevision,
+  KeyRequest,
+  QuotaRequest
 };
 
 module.exports = db; 
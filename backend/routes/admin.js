@@ -1763,4 +1763,324 @@ router.post('/email-config/test', async (req, res) => {
   }
 });
 
+// === GATEWAY CLUSTER ===
+
+// Get registered gateway nodes
+router.get('/gateway-nodes', async (req, res) => {
+  try {
+    const tykGatewayService = require('../services/TykGatewayService');
+    await tykGatewayService.ensureInitialized();
+    const configured = await SystemConfig.getValue('tyk_gateway_nodes');
+
+    res.json({
+      // Don't send node secrets to frontend
+      nodes: tykGatewayService.getNodes(),
+      configured: Array.isArray(configured) && configured.length > 0
+    });
+
+  } catch (error) {
+    console.error('Get gateway nodes error:', error);
+    res.status(500).json({
+      error: 'Failed to get gateway nodes',
+      message: 'An error occurred while retrieving gateway nodes.'
+    });
+  }
+});
+
+// Save gateway node registry
+router.put('/gateway-nodes', requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { nodes = [] } = req.body;
+
+    if (!Array.isArray(nodes)) {
+      return res.status(400).json({
+        error: 'Invalid nodes',
+        message: 'Nodes must be an array of { id, name, url, secret } objects.'
+      });
+    }
+
+    const existing = await SystemConfig.getValue('tyk_gateway_nodes', []);
+    const ids = new Set();
+
+    for (const node of nodes) {
+      if (!node.url || !/^https?:\/\/[^\s]+$/.test(node.url)) {
+        return res.status(400).json({
+          error: 'Invalid node URL',
+          message: `Node URL "${node.url || ''}" must be an http(s) URL.`
+        });
+      }
+      if (node.id) {
+        if (ids.has(node.id)) {
+          return res.status(400).json({
+            error: 'Duplicate node ID',
+            message: `Node ID "${node.id}" is used more than once.`
+          });
+        }
+        ids.add(node.id);
+      }
+    }
+
+    // Keep stored secrets when the frontend sends back the masked value
+    const nodeConfig = nodes.map((node, index) => {
+      const id = node.id || `node-${index + 1}`;
+      const previous = Array.isArray(existing) ? existing.find(n => n.id === id) : null;
+      return {
+        id,
+        name: node.name || id,
+        url: node.url,
+        secret: node.secret && node.secret !== '***' ? node.secret : previous?.secret
+      };
+    });
+
+    await SystemConfig.setValue('tyk_gateway_nodes', nodeConfig, req.user.id, 'Tyk Gateway cluster nodes');
+
+    const tykGatewayService = require('../services/TykGatewayService');
+    await tykGatewayService.ensureInitialized();
+    await tykGatewayService.loadNodes();
+
+    await AuditLog.create({
+      action: 'gateway_nodes_updated',
+      resource_type: 'system_config',
+      resource_id: 'tyk_gateway_nodes',
+      user_id: req.user.id,
+      organization_id: req.user.organization_id,
+      details: { 
+        nodes: nodeConfig.map(({ id, name, url }) => ({ id, name, url })),
+        updatedBy: req.user.email
+      },
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Gateway nodes saved successfully',
+      nodes: tykGatewayService.getNodes()
+    });
+
+  } catch (error) {
+    console.error('Save gateway nodes error:', error);
+    res.status(500).json({
+      error: 'Failed to save gateway nodes',
+      message: 'An error occurred while saving gateway nodes.'
+    });
+  }
+});
+
+// === KEY EXPIRY ===
+
+// Get key expiry settings and the keys currently expiring or expired
+router.get('/key-expiry', async (req, res) => {
+  try {
+    const keyExpiryService = require('../services/KeyExpiryService');
+    const config = await keyExpiryService.getConfig();
+    // Super admins see every organization's keys
+    const keys = await keyExpiryService.listExpiringKeys(
+      req.user.role === 'super_admin' ? null : req.user.organization_id
+    );
+
+    res.json({
+      success: true,
+      data: { config, keys },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get key expiry error:', error);
+    res.status(500).json({
+      error: 'Failed to get key expiry settings',
+      message: 'An error occurred while retrieving key expiry settings.'
+    });
+  }
+});
+
+// Save key expiry warning windows and cleanup policy
+router.put('/key-expiry', requireRole(['super_admin']), async (req, res) => {
+  try {
+    const keyExpiryService = require('../services/KeyExpiryService');
+    const config = await keyExpiryService.saveConfig(req.body, req.user.id);
+
+    await AuditLog.create({
+      action: 'key_expiry_config_updated',
+      resource_type: 'system_config',
+      resource_id: 'key_expiry',
+      user_id: req.user.id,
+      organization_id: req.user.organization_id,
+      details: { 
+        config,
+        updatedBy: req.user.email
+      },
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      success: true,
+      data: config,
+      message: 'Key expiry settings saved successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Save key expiry error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to save key expiry settings',
+      message: error.status ? error.message : 'An error occurred while saving key expiry settings.'
+    });
+  }
+});
+
+// Run the expiry warnings and cleanup now instead of waiting for the hourly check
+router.post('/key-expiry/run', requireRole(['super_admin']), async (req, res) => {
+  try {
+    const keyExpiryService = require('../services/KeyExpiryService');
+    const summary = await keyExpiryService.runChecks();
+
+    await AuditLog.create({
+      action: 'key_expiry_check_run',
+      resource_type: 'system_config',
+      resource_id: 'key_expiry',
+      user_id: req.user.id,
+      organization_id: req.user.organization_id,
+      details: { 
+        ...summary,
+        runBy: req.user.email
+      },
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      success: true,
+      data: summary,
+      message: summary.skipped
+        ? 'A key expiry check is already running'
+        : `Checked ${summary.checked} key(s): ${summary.warned} warned, ${summary.cleaned} cleaned up, ${summary.failed} failed`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Run key expiry check error:', error.message);
+    res.status(500).json({
+      error: 'Failed to run key expiry check',
+      message: error.message
+    });
+  }
+});
+
+// === RECONCILIATION ===
+
+// Resolve the organization to reconcile; only super admins may pick another organization
+const getReconciliationOrganizationId = (req, requestedOrgId) => {
+  if (requestedOrgId && requestedOrgId !== req.user.organization_id && req.user.role !== 'super_admin') {
+    const error = new Error('Only super admins can reconcile other organizations.');
+    error.status = 403;
+    throw error;
+  }
+  return requestedOrgId || req.user.organization_id;
+};
+
+// Get drift report between Tyk Gateway and database
+router.get('/reconciliation', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const organizationId = getReconciliationOrganizationId(req, req.query.organization_id);
+    console.log(`🔍 [${requestId}] Detecting gateway drift for organization: ${organizationId}`);
+
+    const reconciliationService = require('../services/ReconciliationService');
+    const report = await reconciliationService.detectDrift(organizationId, { includeGlobal: req.user.role === 'super_admin' });
+
+    console.log(`✅ [${requestId}] Drift detection complete:`, {
+      organization: report.organization.name,
+      consistent: report.consistent,
+      items: report.items.length
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Drift detection error:`, error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to detect drift',
+      message: error.message
+    });
+  }
+});
+
+// Apply reconciliation fixes (adopt, push, delete_gateway, delete_database)
+router.post('/reconciliation/fix', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const { organization_id, fixes } = req.body;
+    const organizationId = getReconciliationOrganizationId(req, organization_id);
+
+    if (!Array.isArray(fixes) || fixes.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid fixes',
+        message: 'Fixes must be a non-empty array of { resource_type, resource_id, action } objects.'
+      });
+    }
+
+    const invalidFix = fixes.find(fix =>
+      !['api', 'policy', 'key'].includes(fix.resource_type) ||
+      !fix.resource_id ||
+      !['adopt', 'push', 'delete_gateway', 'delete_database'].includes(fix.action)
+    );
+    if (invalidFix) {
+      return res.status(400).json({
+        error: 'Invalid fix',
+        message: 'Each fix needs resource_type (api, policy, key), resource_id and action (adopt, push, delete_gateway, delete_database).'
+      });
+    }
+
+    console.log(`🔧 [${requestId}] Applying ${fixes.length} reconciliation fix(es) for organization: ${organizationId}`);
+
+    const reconciliationService = require('../services/ReconciliationService');
+    const results = await reconciliationService.applyFixes(organizationId, fixes, req.user);
+
+    for (const result of results) {
+      await AuditLog.create({
+        action: 'reconciliation_fix',
+        resource_type: result.resource_type,
+        resource_id: result.resource_id,
+        user_id: req.user.id,
+        organization_id: organizationId,
+        details: {
+          requestId,
+          fix: result.action,
+          drift: result.drift,
+          appliedBy: req.user.email
+        },
+        status: result.success ? 'success' : 'failure',
+        error_message: result.error || null,
+        severity: result.success ? 'info' : 'warning',
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    console.log(`✅ [${requestId}] Reconciliation fixes applied: ${succeeded}/${results.length} succeeded`);
+
+    res.status(succeeded === results.length ? 200 : 207).json({
+      success: succeeded === results.length,
+      data: { results },
+      message: `${succeeded} of ${results.length} fix(es) applied`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Reconciliation fix error:`, error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to apply reconciliation fixes',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const policyService = require('../services/PolicyService');
+const policyRevisionService = require('../services/PolicyRevisionService');
+const { Policy } = require('../models');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { logTykOperation } = require('../utils/auditLogger');
+const { normalizePartitions } = require('../utils/policyPartitions');
 
 /**
  * Helper function to extract Tyk organization context from request.
@@ -24,6 +27,97 @@ const getTykOrgContext = (req) => {
   };
 };
 
+/**
+ * Loads a policy owned by the caller's organization. Super admins may load any policy.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} policyId - Policy ID
+ * @returns {Promise<Object>} Policy instance
+ * @throws {Error} With status 404 or 403
+ */
+const findOwnedPolicy = async (req, policyId) => {
+  const policy = await Policy.findByPk(policyId);
+  if (!policy) {
+    const error = new Error('Policy not found');
+    error.status = 404;
+    throw error;
+  }
+  if (policy.owner_organization_id !== req.user.organization_id && req.user.role !== 'super_admin') {
+    const error = new Error('Access denied to this policy');
+    error.status = 403;
+    throw error;
+  }
+  return policy;
+};
+
+/**
+ * Reads policy updates from a PUT (or impact preview) body. Omitted fields are left out.
+ *
+ * @param {Object} body - Request body
+ * @returns {{ updates: Object, error: string|null }} Updates, or a validation error
+ */
+const parsePolicyUpdates = (body = {}) => {
+  const updates = {
+    name: body.name?.trim(),
+    description: body.description?.trim(),
+    rate_limit: body.rate_limit ? parseInt(body.rate_limit) : undefined,
+    rate_per: body.rate_per ? parseInt(body.rate_per) : undefined,
+    quota_max: body.quota_max !== undefined ? parseInt(body.quota_max) : undefined,
+    quota_renewal_rate: body.quota_renewal_rate ? parseInt(body.quota_renewal_rate) : undefined,
+    tags: body.tags,
+    is_active: body.is_active,
+    api_accesses: body.api_accesses,
+    partitions: body.partitions
+  };
+
+  if (updates.api_accesses !== undefined &&
+      (!Array.isArray(updates.api_accesses) || updates.api_accesses.some(access => !access?.api_id))) {
+    return { updates, error: 'api_accesses must be a list of objects with an api_id' };
+  }
+
+  if (updates.partitions !== undefined) {
+    try {
+      updates.partitions = normalizePartitions(updates.partitions);
+    } catch (partitionError) {
+      return { updates, error: partitionError.message };
+    }
+  }
+
+  // Remove undefined values
+  Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+  return { updates, error: null };
+};
+
+/**
+ * Checks the allowed paths and rate limits of `updates.api_accesses`, when
+ * present, against the APIs' paths and replaces them with the normalized accesses.
+ *
+ * @param {Object} updates - Updates from parsePolicyUpdates
+ * @returns {Promise<Array<string>>} Warnings about rules that could not be checked
+ * @throws {Error} With status 400 for an invalid rule
+ */
+const validatePolicyAccessRules = async (updates) => {
+  if (!updates.api_accesses) {
+    return [];
+  }
+  const { apiAccesses, warnings } = await policyService.validateApiAccesses(updates.api_accesses);
+  updates.api_accesses = apiAccesses;
+  return warnings;
+};
+
+/**
+ * Stores a policy revision after a change has reached the gateway. Failures are
+ * logged rather than thrown so a history problem never reports a saved change as failed.
+ */
+const recordPolicyRevision = async (req, policy, revision) => {
+  try {
+    return await policyRevisionService.recordRevision({ policy, user: req.user, ...revision });
+  } catch (revisionError) {
+    console.error(`Failed to record revision for policy ${policy.id}:`, revisionError);
+    return null;
+  }
+};
+
 /**
  * @route GET /api/policies/available
  * @desc Get available policies for current organization (for end users)
@@ -114,6 +208,60 @@ router.get('/created', authenticateToken, requireRole(['admin', 'super_admin']),
   }
 });
 
+/**
+ * @route POST /api/policies/combine
+ * @desc Explain how policies combine on one key: which policy supplies the access rights, rate limit, quota and query depth limit
+ * @access Private (requires authentication)
+ * @param {Array<number>} req.body.policy_ids - Policies available to the caller's organization, in apply order
+ * @returns {Object} Policy sources, merged access rights, warnings and errors that would block key creation
+ */
+router.post('/combine', authenticateToken, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { policy_ids } = req.body;
+
+  try {
+    console.log(`🧩 [${requestId}] Combining policies ${JSON.stringify(policy_ids)} for user: ${req.user.email}`);
+
+    if (!Array.isArray(policy_ids) || policy_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'policy_ids must be a non-empty list of policy IDs',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const policies = [];
+    for (const policyId of [...new Set(policy_ids.map(String))]) {
+      const policy = await policyService.validatePolicyAccess(policyId, req.user.organization_id);
+      if (!policy) {
+        return res.status(403).json({
+          success: false,
+          error: `Policy ${policyId} is not available to your organization`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      policies.push(policy);
+    }
+
+    const combination = await policyService.describePolicyCombination(policies);
+
+    res.json({
+      success: true,
+      data: combination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to combine policies:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to combine policies',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route GET /api/policies/:policyId
  * @desc Get single policy details
@@ -201,7 +349,8 @@ router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), async
       api_accesses,
       target_organization_id,
       available_to_organizations,
-      tags
+      tags,
+      partitions
     } = req.body;
 
     // Validate required fields
@@ -232,6 +381,16 @@ router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), async
       });
     }
 
+    if (api_accesses !== undefined &&
+        (!Array.isArray(api_accesses) || api_accesses.some(access => !access?.api_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'api_accesses must be a list of objects with an api_id',
+        timestamp: new Date().toISOString()
+      });
+    }
+    const { apiAccesses, warnings } = await policyService.validateApiAccesses(api_accesses || []);
+
     const policyData = {
       name: name.trim(),
       description: description?.trim() || '',
@@ -239,24 +398,28 @@ router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), async
       rate_per: parseInt(rate_per) || 60,
       quota_max: parseInt(quota_max) || -1,
       quota_renewal_rate: parseInt(quota_renewal_rate) || 3600,
-      api_accesses: api_accesses || [],
+      api_accesses: apiAccesses,
       target_organization_id: target_organization_id || null,
       available_to_organizations: available_to_organizations || [],
-      tags: tags || []
+      tags: tags || [],
+      partitions: normalizePartitions(partitions)
     };
 
     const policy = await policyService.createPolicy(policyData, req.user.id);
+    const revision = await recordPolicyRevision(req, policy, { action: 'create' });
     
     await logTykOperation(req, 'create_policy', 'policy', policy.id, {
       requestId: requestId,
       policyName: policy.name,
       apiCount: policyData.api_accesses.length,
-      targetOrgId: target_organization_id
+      targetOrgId: target_organization_id,
+      revision: revision?.revision_number
     });
 
     res.status(201).json({
       success: true,
       data: policy,
+      warnings,
       message: 'Policy created successfully',
       timestamp: new Date().toISOString()
     });
@@ -270,7 +433,7 @@ router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), async
       success: false
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to create policy',
       timestamp: new Date().toISOString()
@@ -293,49 +456,36 @@ router.put('/:policyId', authenticateToken, requireRole(['admin', 'super_admin']
   try {
     console.log(`✏️ [${requestId}] Updating policy ${policyId} by admin: ${req.user.email}`);
     
-    // Check if policy exists and user has permission
-    const existingPolicy = await policyService.getPolicyWithDetails(policyId);
-    if (!existingPolicy) {
-      return res.status(404).json({
-        success: false,
-        error: 'Policy not found',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const existingPolicy = await findOwnedPolicy(req, policyId);
 
-    const { orgId } = getTykOrgContext(req);
-    if (existingPolicy.owner_organization_id !== orgId && req.user.role !== 'super_admin') {
-      return res.status(403).json({
+    const { updates, error: validationError } = parsePolicyUpdates(req.body);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied to modify this policy',
+        error: validationError,
         timestamp: new Date().toISOString()
       });
     }
 
-    const updates = {
-      name: req.body.name?.trim(),
-      description: req.body.description?.trim(),
-      rate_limit: req.body.rate_limit ? parseInt(req.body.rate_limit) : undefined,
-      rate_per: req.body.rate_per ? parseInt(req.body.rate_per) : undefined,
-      quota_max: req.body.quota_max !== undefined ? parseInt(req.body.quota_max) : undefined,
-      quota_renewal_rate: req.body.quota_renewal_rate ? parseInt(req.body.quota_renewal_rate) : undefined,
-      tags: req.body.tags,
-      is_active: req.body.is_active
-    };
-
-    // Remove undefined values
-    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
-
+    const warnings = await validatePolicyAccessRules(updates);
+    const baseline = await policyRevisionService.snapshotPolicy(existingPolicy);
     const updatedPolicy = await policyService.updatePolicy(policyId, updates, req.user.id);
+    const revision = await recordPolicyRevision(req, updatedPolicy, {
+      action: 'update',
+      comment: req.body.comment,
+      baseline
+    });
     
     await logTykOperation(req, 'update_policy', 'policy', policyId, {
       requestId: requestId,
-      updatedFields: Object.keys(updates)
+      updatedFields: Object.keys(updates),
+      revision: revision?.revision_number
     });
 
     res.json({
       success: true,
       data: updatedPolicy,
+      warnings,
       message: 'Policy updated successfully',
       timestamp: new Date().toISOString()
     });
@@ -349,7 +499,7 @@ router.put('/:policyId', authenticateToken, requireRole(['admin', 'super_admin']
       success: false
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to update policy',
       timestamp: new Date().toISOString()
@@ -371,24 +521,7 @@ router.delete('/:policyId', authenticateToken, requireRole(['admin', 'super_admi
   try {
     console.log(`🗑️ [${requestId}] Deleting policy ${policyId} by admin: ${req.user.email}`);
     
-    // Check if policy exists and user has permission
-    const existingPolicy = await policyService.getPolicyWithDetails(policyId);
-    if (!existingPolicy) {
-      return res.status(404).json({
-        success: false,
-        error: 'Policy not found',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const { orgId } = getTykOrgContext(req);
-    if (existingPolicy.owner_organization_id !== orgId && req.user.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied to delete this policy',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const existingPolicy = await findOwnedPolicy(req, policyId);
 
     const result = await policyService.deletePolicy(policyId, req.user.id);
     
@@ -412,7 +545,7 @@ router.delete('/:policyId', authenticateToken, requireRole(['admin', 'super_admi
       success: false
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to delete policy',
       timestamp: new Date().toISOString()
@@ -420,6 +553,251 @@ router.delete('/:policyId', authenticateToken, requireRole(['admin', 'super_admi
   }
 });
 
+/**
+ * @route POST /api/policies/:policyId/impact
+ * @desc Dry run of an update or delete: affected keys, organization assignments and APIs, with limits before and after
+ * @access Private (requires admin role)
+ * @param {string} req.params.policyId - Policy ID
+ * @param {string} req.body.operation - 'update' or 'delete'
+ * @param {Object} [req.body.changes] - Proposed update, same fields as PUT /api/policies/:policyId
+ * @returns {Object} Impact report; nothing is changed
+ */
+router.post('/:policyId/impact', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { policyId } = req.params;
+  const { operation, changes } = req.body;
+
+  try {
+    console.log(`🔮 [${requestId}] Previewing ${operation} of policy ${policyId} for admin: ${req.user.email}`);
+
+    if (!['update', 'delete'].includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        error: 'operation must be update or delete',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { updates, error: validationError } = parsePolicyUpdates(operation === 'update' ? changes : {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const policy = await findOwnedPolicy(req, policyId);
+    const warnings = await validatePolicyAccessRules(updates);
+    const impact = await policyService.analyzeImpact(policy, operation, updates);
+
+    await logTykOperation(req, 'preview_policy_impact', 'policy', policyId, {
+      requestId: requestId,
+      operation: operation,
+      keyCount: impact.summary.key_count
+    });
+
+    res.json({
+      success: true,
+      data: { ...impact, warnings: [...warnings, ...impact.warnings] },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to preview ${operation} of policy ${policyId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to analyze policy impact',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route GET /api/policies/:policyId/revisions
+ * @desc List a policy's revisions, newest first
+ * @access Private (requires admin role)
+ * @param {string} req.params.policyId - Policy ID
+ * @returns {Object} Revision summaries, including the key count of each revision
+ */
+router.get('/:policyId/revisions', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { policyId } = req.params;
+
+  try {
+    console.log(`📜 [${requestId}] Listing revisions of policy ${policyId} for admin: ${req.user.email}`);
+
+    await findOwnedPolicy(req, policyId);
+    const revisions = await policyRevisionService.listRevisions(policyId);
+
+    res.json({
+      success: true,
+      data: revisions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to list revisions of policy ${policyId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to list policy revisions',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route GET /api/policies/:policyId/revisions/diff
+ * @desc Compare two revisions of a policy
+ * @access Private (requires admin role)
+ * @param {string} req.params.policyId - Policy ID
+ * @param {number} req.query.from - Older revision number
+ * @param {number} req.query.to - Newer revision number
+ * @returns {Object} Both revision summaries and the changed fields
+ */
+router.get('/:policyId/revisions/diff', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { policyId } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    console.log(`🔍 [${requestId}] Comparing revisions ${from} and ${to} of policy ${policyId} for admin: ${req.user.email}`);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to revision numbers are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await findOwnedPolicy(req, policyId);
+    const diff = await policyRevisionService.diffRevisions(policyId, from, to);
+
+    res.json({
+      success: true,
+      data: diff,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to compare revisions of policy ${policyId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to compare policy revisions',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route GET /api/policies/:policyId/revisions/:revision
+ * @desc Get one revision of a policy with its snapshot
+ * @access Private (requires admin role)
+ * @param {string} req.params.policyId - Policy ID
+ * @param {number} req.params.revision - Revision number
+ * @returns {Object} Revision summary and snapshot
+ */
+router.get('/:policyId/revisions/:revision', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { policyId, revision: revisionNumber } = req.params;
+
+  try {
+    console.log(`📋 [${requestId}] Fetching revision ${revisionNumber} of policy ${policyId} for admin: ${req.user.email}`);
+
+    await findOwnedPolicy(req, policyId);
+    const revision = await policyRevisionService.getRevision(policyId, revisionNumber);
+
+    res.json({
+      success: true,
+      data: {
+        ...revision.toSummary(),
+        snapshot: revision.snapshot
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to fetch revision ${revisionNumber} of policy ${policyId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to fetch policy revision',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route POST /api/policies/:policyId/revisions/:revision/restore
+ * @desc Re-push an earlier revision to the gateway; the restore is recorded as a new revision
+ * @access Private (requires admin role)
+ * @param {string} req.params.policyId - Policy ID
+ * @param {number} req.params.revision - Revision number to restore
+ * @param {string} [req.body.comment] - Comment for the new revision
+ * @returns {Object} Updated policy and the new revision
+ */
+router.post('/:policyId/revisions/:revision/restore', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { policyId, revision: revisionNumber } = req.params;
+
+  try {
+    console.log(`⏪ [${requestId}] Restoring policy ${policyId} to revision ${revisionNumber} by admin: ${req.user.email}`);
+
+    const policy = await findOwnedPolicy(req, policyId);
+    const revision = await policyRevisionService.getRevision(policyId, revisionNumber);
+
+    const baseline = await policyRevisionService.snapshotPolicy(policy);
+    const updatedPolicy = await policyService.updatePolicy(
+      policy.id,
+      policyRevisionService.snapshotToUpdates(revision.snapshot),
+      req.user.id
+    );
+    const newRevision = await recordPolicyRevision(req, updatedPolicy, {
+      action: 'restore',
+      comment: req.body.comment,
+      sourceRevisionNumber: revision.revision_number,
+      baseline
+    });
+
+    await logTykOperation(req, 'restore_policy_revision', 'policy', policyId, {
+      requestId: requestId,
+      policyName: updatedPolicy.name,
+      restoredRevision: revision.revision_number,
+      revision: newRevision?.revision_number
+    });
+
+    res.json({
+      success: true,
+      data: {
+        policy: updatedPolicy,
+        revision: newRevision?.toSummary() || null
+      },
+      message: `Policy restored to revision ${revision.revision_number}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to restore policy ${policyId} to revision ${revisionNumber}:`, error);
+
+    await logTykOperation(req, 'restore_policy_revision', 'policy', policyId, {
+      requestId: requestId,
+      restoredRevision: revisionNumber,
+      error: error.message,
+      success: false
+    });
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to restore policy revision',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route POST /api/policies/:policyId/assign/:organizationId
  * @desc Assign policy to organization (super admin only)
@@ -1,11 +1,34 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { v4: uuidv4 } = require('uuid');
 const tykGatewayService = require('../services/TykGatewayService');
-const { authenticateToken, requireOrganizationForApiOperations, getUserTykContext } = require('../middleware/auth');
-const { AuditLog } = require('../models');
+const openApiImportService = require('../services/OpenApiImportService');
+const tykOasService = require('../services/TykOasService');
+const apiRevisionService = require('../services/ApiRevisionService');
+const apiDeploymentService = require('../services/ApiDeploymentService');
+const keyRotationService = require('../services/KeyRotationService');
+const keyBatchService = require('../services/KeyBatchService');
+const keyQuotaService = require('../services/KeyQuotaService');
+const oauthClientService = require('../services/OAuthClientService');
+const jwtConfigService = require('../services/JwtConfigService');
+const { authenticateToken, requireAdmin, requireOrganizationForApiOperations, getUserTykContext } = require('../middleware/auth');
+const { AuditLog, ApiDefinition, KeyRequest, QuotaRequest, Organization, User, Policy } = require('../models');
 const UserCredentials = require('../models').UserCredentials;
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+const hmacSignature = require('../utils/hmacSignature');
+const basicAuth = require('../utils/basicAuth');
+const clientCertificate = require('../utils/clientCertificate');
+const networkRestrictions = require('../utils/networkRestrictions');
 
 const router = express.Router();
 
+// Key listing: gateway lookups in flight at once and page size bounds
+const KEY_DETAIL_CONCURRENCY = 10;
+const DEFAULT_KEYS_PAGE_SIZE = 25;
+const MAX_KEYS_PAGE_SIZE = 100;
+const KEY_SORT_FIELDS = ['created_at', 'last_updated', 'alias', 'rate'];
+
 // Apply authentication to all Tyk routes
 router.use(authenticateToken);
 
@@ -69,6 +92,49 @@ const logTykOperation = async (req, action, resourceType, resourceId, details, e
   }
 };
 
+// Database organization that owns records created in the current org context
+const getOrganizationRecordId = (req) => {
+  if (req.user.role === 'super_admin' && req.query.org_id) {
+    return req.query.org_id;
+  }
+  return req.user.organization_id;
+};
+
+// Loads an ApiDefinition record, enforcing that it belongs to the caller's organization
+const findOwnedApiDefinition = async (req, apiId) => {
+  const record = await ApiDefinition.findByApiId(apiId);
+  if (!record) {
+    const error = new Error(`API ${apiId} is not tracked in the database; import it or adopt it from reconciliation first`);
+    error.status = 404;
+    throw error;
+  }
+  if (record.organization_id !== getOrganizationRecordId(req)) {
+    const error = new Error('Access denied: API does not belong to your organization');
+    error.status = 403;
+    throw error;
+  }
+  return record;
+};
+
+// Stores a revision after a change has reached the gateway. Failures are logged
+// rather than thrown so a history problem never reports a deployed change as failed.
+const recordApiRevision = async (req, apiId, revision) => {
+  try {
+    return await apiRevisionService.recordRevision({
+      apiId,
+      organizationId: getOrganizationRecordId(req),
+      user: req.user,
+      ...revision
+    });
+  } catch (revisionError) {
+    console.error(`Failed to record revision for API ${apiId}:`, revisionError);
+    return null;
+  }
+};
+
+// Revision comment for endpoints whose body is the raw API definition
+const getRevisionComment = (req) => req.get('x-revision-comment') || req.query.comment || null;
+
 // Health check for Tyk routes
 router.get('/health', async (req, res) => {
   try {
@@ -81,7 +147,7 @@ router.get('/health', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       status: 'error',
       service: 'tyk',
       gateway: { status: 'unhealthy', error: error.message },
@@ -99,9 +165,15 @@ router.get('/gateway/status', async (req, res) => {
     
     const healthCheck = await tykGatewayService.healthCheck();
     
+    const circuitBreaker = tykGatewayService.getCircuitBreakerState();
+    const nodes = await tykGatewayService.checkNodesHealth();
+    
     await logTykOperation(req, 'gateway_status_check', 'gateway', 'main', {
       requestId: requestId,
-      healthStatus: healthCheck.status
+      healthStatus: healthCheck.status,
+      circuitState: circuitBreaker.state,
+      healthyNodes: nodes.filter(node => node.health.status === 'healthy').length,
+      totalNodes: nodes.length
     });
 
     res.json({
@@ -109,6 +181,9 @@ router.get('/gateway/status', async (req, res) => {
       message: healthCheck.message,
       response: healthCheck.response,
       duration: healthCheck.duration,
+      circuitBreaker: circuitBreaker,
+      resilience: tykGatewayService.resilience,
+      nodes: nodes,
       timestamp: new Date().toISOString()
     });
 
@@ -119,7 +194,7 @@ router.get('/gateway/status', async (req, res) => {
       requestId: requestId
     }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       status: 'error',
       message: 'Failed to check gateway status',
       error: error.message
@@ -127,6 +202,34 @@ router.get('/gateway/status', async (req, res) => {
   }
 });
 
+// Gateway cluster nodes with per-node health
+router.get('/gateway/nodes', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  
+  try {
+    console.log(`🛰️ [${requestId}] Checking gateway node health for user: ${req.user.email}`);
+    
+    const nodes = await tykGatewayService.checkNodesHealth();
+
+    res.json({
+      success: true,
+      data: nodes,
+      count: nodes.length,
+      healthy: nodes.filter(node => node.health.status === 'healthy').length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Gateway node health check failed:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to check gateway nodes',
+      error: error.message
+    });
+  }
+});
+
 // APIs Management
 router.get('/apis', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
@@ -135,17 +238,30 @@ router.get('/apis', async (req, res) => {
     const orgContext = await getTykOrgContext(req);
     console.log(`📋 [${requestId}] Fetching APIs for user: ${req.user.email} (org: ${orgContext.organizationName})`);
     
-    const apis = await tykGatewayService.getApis(orgContext.orgId);
+    const gatewayApis = await tykGatewayService.getApis(orgContext.orgId);
+    
+    // The gateway lists classic and Tyk OAS APIs together; OAS ones are flagged with is_oas
+    let apis = (Array.isArray(gatewayApis) ? gatewayApis : []).map(api => ({
+      ...api,
+      definition_format: api.is_oas ? 'oas' : 'classic'
+    }));
+    if (['classic', 'oas'].includes(req.query.format)) {
+      apis = apis.filter(api => api.definition_format === req.query.format);
+    }
     
     await logTykOperation(req, 'list_apis', 'api', null, {
       requestId: requestId,
-      apiCount: Array.isArray(apis) ? apis.length : 0
+      apiCount: apis.length
     });
 
     res.json({
       success: true,
       data: apis,
-      count: Array.isArray(apis) ? apis.length : 0,
+      count: apis.length,
+      formats: {
+        classic: apis.filter(api => api.definition_format === 'classic').length,
+        oas: apis.filter(api => api.definition_format === 'oas').length
+      },
       timestamp: new Date().toISOString()
     });
 
@@ -156,7 +272,7 @@ router.get('/apis', async (req, res) => {
       requestId: requestId
     }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to fetch APIs',
       error: error.message
@@ -164,6 +280,48 @@ router.get('/apis', async (req, res) => {
   }
 });
 
+// Stored API definitions (drafts, staged and deployed) for the caller's organization
+router.get('/apis/definitions', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📋 [${requestId}] Fetching stored API definitions for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const where = { organization_id: getOrganizationRecordId(req) };
+    if (req.query.status) {
+      where.deployment_status = req.query.status;
+    }
+
+    const records = await ApiDefinition.findAll({
+      where,
+      order: [['updated_at', 'DESC']]
+    });
+
+    const statusCounts = records.reduce((counts, record) => {
+      counts[record.deployment_status] = (counts[record.deployment_status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      data: records.map(record => record.toSafeObject()),
+      count: records.length,
+      statusCounts,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to fetch stored API definitions:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch stored API definitions',
+      error: error.message
+    });
+  }
+});
+
 router.get('/apis/:apiId', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
   const { apiId } = req.params;
@@ -210,6 +368,48 @@ router.get('/apis/:apiId', async (req, res) => {
   }
 });
 
+// Paths and methods an API documents, for policy allowed paths and endpoint limits
+router.get('/apis/:apiId/endpoints', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🧭 [${requestId}] Listing endpoints of API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const policyService = require('../services/PolicyService');
+    const { api, listen_path, endpoints } = await policyService.getApiEndpoints(apiId);
+    if (api.org_id !== orgContext.orgId) {
+      console.warn(`🚫 [${requestId}] Access denied: API ${apiId} belongs to org ${api.org_id}, user is in org ${orgContext.orgId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: API does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        api_id: apiId,
+        api_name: api.name,
+        listen_path,
+        endpoints
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to list endpoints of API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to list endpoints of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
 router.post('/apis', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
   
@@ -232,11 +432,19 @@ router.post('/apis', async (req, res) => {
     
     const newApi = await tykGatewayService.createApi(req.body, orgContext.orgId);
     
+    const revision = await recordApiRevision(req, newApi.key, {
+      definitionFormat: 'classic',
+      definition: req.body,
+      action: 'create',
+      comment: getRevisionComment(req)
+    });
+    
     await logTykOperation(req, 'create_api', 'api', newApi.key, {
       requestId: requestId,
       apiName: req.body.name,
       listenPath: req.body.proxy?.listen_path,
-      orgId: orgContext.orgId
+      orgId: orgContext.orgId,
+      revision: revision?.revision_number
     });
 
     res.status(201).json({
@@ -263,536 +471,4196 @@ router.post('/apis', async (req, res) => {
   }
 });
 
-router.put('/apis/:apiId', async (req, res) => {
+// OpenAPI / Swagger import
+// Loads the ApiDefinition being re-imported (if any) and builds the import.
+// OAS-format APIs also get the generated definition converted to Tyk OAS.
+const prepareApiImport = async (req, orgContext) => {
+  const { spec, name, listen_path, target_url, api_id } = req.body;
+
+  if (!spec) {
+    const error = new Error('spec is required (OpenAPI 3 or Swagger 2 as JSON or YAML)');
+    error.status = 400;
+    throw error;
+  }
+
+  const record = api_id ? await findOwnedApiDefinition(req, api_id) : null;
+
+  const prepared = openApiImportService.prepareImport(spec, {
+    name,
+    listen_path,
+    target_url,
+    org_id: orgContext.orgId
+  }, record ? record.api_definition : null);
+
+  const definitionFormat = record ? record.definition_format : (req.body.definition_format === 'oas' ? 'oas' : 'classic');
+  let oas = null;
+  if (definitionFormat === 'oas') {
+    oas = tykOasService.classicToOas(prepared.definition);
+    if (oas.errors.length > 0) {
+      const error = new Error(`Cannot convert to Tyk OAS: ${oas.errors.join('; ')}`);
+      error.status = 422;
+      throw error;
+    }
+  }
+
+  return { ...prepared, record, definitionFormat, oas };
+};
+
+router.post('/apis/import/preview', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
-  const { apiId } = req.params;
-  
+
   try {
     const orgContext = await getTykOrgContext(req);
-    console.log(`✏️ [${requestId}] Updating API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
-    
-    // SECURITY: First verify the API belongs to user's organization
-    const existingApi = await tykGatewayService.getApi(apiId);
-    if (existingApi && existingApi.org_id !== orgContext.orgId) {
-      console.warn(`🚫 [${requestId}] Access denied: Cannot update API ${apiId} from different organization`);
-      return res.status(403).json({
+    console.log(`🔍 [${requestId}] Previewing API import for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const { format, definition, summary, diff, record, definitionFormat, oas } = await prepareApiImport(req, orgContext);
+
+    res.json({
+      success: true,
+      data: {
+        format,
+        definition_format: definitionFormat,
+        is_reimport: !!record,
+        summary,
+        diff,
+        definition: oas ? oas.definition : definition,
+        conversion_warnings: oas ? oas.warnings : []
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to preview API import:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to preview API import',
+      error: error.message
+    });
+  }
+});
+
+router.post('/apis/import', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📥 [${requestId}] Importing API for user: ${req.user.email} (org: ${orgContext.organizationName})`, {
+      reimport: !!req.body.api_id,
+      orgId: orgContext.orgId
+    });
+
+    const { spec, format, definition, summary, diff, record, definitionFormat, oas } = await prepareApiImport(req, orgContext);
+
+    // Re-imports must be confirmed after the caller has seen the diff
+    if (record && diff.changed && req.body.confirm !== true) {
+      return res.status(409).json({
         success: false,
-        message: 'Access denied: API does not belong to your organization',
+        message: 'Re-import changes the deployed API; review the diff and resend with confirm: true',
+        data: { requires_confirmation: true, summary, diff },
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Ensure org_id is set correctly in the update data
-    if (!req.body.org_id) {
-      req.body.org_id = orgContext.orgId;
+
+    if (record && !diff.changed) {
+      await record.update({ openapi_spec: spec });
+      return res.json({
+        success: true,
+        data: { api: record.toSafeObject(), summary, diff },
+        message: 'API is already up to date with this document',
+        timestamp: new Date().toISOString()
+      });
     }
-    
-    const updatedApi = await tykGatewayService.updateApi(apiId, req.body);
-    
-    await logTykOperation(req, 'update_api', 'api', apiId, {
+
+    const values = {
+      name: definition.name,
+      listen_path: definition.proxy.listen_path,
+      target_url: definition.proxy.target_url,
+      description: spec.info.description || null,
+      version: definition.version_data.default_version,
+      api_definition: definition,
+      oas_definition: oas ? oas.definition : null,
+      definition_format: definitionFormat,
+      openapi_spec: spec,
+      deployment_status: record ? 'updating' : 'pending'
+    };
+
+    // Captured before the update so the first tracked re-import can be undone
+    const baseline = record ? {
+      definitionFormat: record.definition_format,
+      definition: record.definition_format === 'oas' ? record.oas_definition : record.api_definition
+    } : null;
+
+    const apiRecord = record
+      ? await record.update(values)
+      : await ApiDefinition.create({
+          ...values,
+          organization_id: getOrganizationRecordId(req),
+          api_id: definition.api_id,
+          auth_type: 'auth_token',
+          tags: ['imported']
+        });
+
+    await apiDeploymentService.push(apiRecord);
+
+    const revision = await recordApiRevision(req, apiRecord.api_id, {
+      definitionFormat: definitionFormat,
+      definition: oas ? oas.definition : definition,
+      action: record ? 'reimport' : 'import',
+      comment: req.body.comment,
+      baseline: baseline
+    });
+
+    await logTykOperation(req, record ? 'reimport_api' : 'import_api', 'api', apiRecord.api_id, {
       requestId: requestId,
-      apiName: req.body.name
+      apiName: definition.name,
+      format: format,
+      definitionFormat: definitionFormat,
+      version: definition.version_data.default_version,
+      listenPath: definition.proxy.listen_path,
+      diff: record ? diff : undefined,
+      revision: revision?.revision_number
     });
 
-    res.json({
+    res.status(record ? 200 : 201).json({
       success: true,
-      data: updatedApi,
-      message: 'API updated successfully',
+      data: { api: apiRecord.toSafeObject(), summary, diff, conversion_warnings: oas ? oas.warnings : [] },
+      message: record ? 'API re-imported successfully' : 'API imported successfully',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`💥 [${requestId}] Failed to update API ${apiId}:`, error);
-    
-    await logTykOperation(req, 'update_api', 'api', apiId, {
+    console.error(`💥 [${requestId}] Failed to import API:`, error);
+
+    await logTykOperation(req, req.body.api_id ? 'reimport_api' : 'import_api', 'api', req.body.api_id || null, {
       requestId: requestId
     }, error);
 
     res.status(error.status || 500).json({
       success: false,
-      message: `Failed to update API ${apiId}`,
-      error: error.message
+      message: 'Failed to import API',
+      error: error.message,
+      node_results: error.nodeResults
     });
   }
 });
 
-router.delete('/apis/:apiId', async (req, res) => {
+// Tyk OAS APIs
+router.post('/apis/oas', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🆕 [${requestId}] Creating Tyk OAS API for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    tykOasService.validateOasDefinition(req.body);
+
+    const apiId = req.body['x-tyk-api-gateway'].info.id || uuidv4().replace(/-/g, '');
+    const oasDefinition = tykOasService.withIds(req.body, { api_id: apiId, org_id: orgContext.orgId });
+    const summary = tykOasService.summarize(oasDefinition);
+
+    if (await ApiDefinition.findByApiId(apiId)) {
+      return res.status(409).json({
+        success: false,
+        message: `API ${apiId} already exists`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const apiRecord = await ApiDefinition.create({
+      organization_id: getOrganizationRecordId(req),
+      name: summary.name.substring(0, 100),
+      api_id: apiId,
+      listen_path: summary.listen_path,
+      target_url: summary.target_url,
+      description: oasDefinition.info.description || null,
+      version: oasDefinition.info.version || 'Default',
+      is_active: summary.active,
+      definition_format: 'oas',
+      oas_definition: oasDefinition,
+      api_definition: tykOasService.toClassicDefinition(oasDefinition)
+    });
+
+    await apiDeploymentService.push(apiRecord);
+
+    const revision = await recordApiRevision(req, apiId, {
+      definitionFormat: 'oas',
+      definition: oasDefinition,
+      action: 'create',
+      comment: getRevisionComment(req)
+    });
+
+    await logTykOperation(req, 'create_api', 'api', apiId, {
+      requestId: requestId,
+      apiName: summary.name,
+      listenPath: summary.listen_path,
+      definitionFormat: 'oas',
+      revision: revision?.revision_number
+    });
+
+    res.status(201).json({
+      success: true,
+      data: apiRecord.toSafeObject(),
+      message: 'Tyk OAS API created successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to create Tyk OAS API:`, error);
+
+    await logTykOperation(req, 'create_api', 'api', null, {
+      requestId: requestId,
+      definitionFormat: 'oas'
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to create Tyk OAS API',
+      error: error.message,
+      details: error.details,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+router.get('/apis/oas/:apiId', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
   const { apiId } = req.params;
-  
+
   try {
     const orgContext = await getTykOrgContext(req);
-    console.log(`🗑️ [${requestId}] Deleting API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
-    
-    // SECURITY: First verify the API belongs to user's organization
-    const existingApi = await tykGatewayService.getApi(apiId);
-    if (existingApi && existingApi.org_id !== orgContext.orgId) {
-      console.warn(`🚫 [${requestId}] Access denied: Cannot delete API ${apiId} from different organization`);
+    console.log(`📋 [${requestId}] Fetching Tyk OAS API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const oasDefinition = await tykGatewayService.getOasApi(apiId);
+
+    // SECURITY: Verify API belongs to user's organization
+    if (tykOasService.summarize(oasDefinition).org_id !== orgContext.orgId) {
+      console.warn(`🚫 [${requestId}] Access denied: Tyk OAS API ${apiId} belongs to a different organization`);
       return res.status(403).json({
         success: false,
         message: 'Access denied: API does not belong to your organization',
         timestamp: new Date().toISOString()
       });
     }
-    
-    const result = await tykGatewayService.deleteApi(apiId);
-    
-    await logTykOperation(req, 'delete_api', 'api', apiId, {
-      requestId: requestId
-    });
 
     res.json({
       success: true,
-      data: result,
-      message: 'API deleted successfully',
+      data: oasDefinition,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`💥 [${requestId}] Failed to delete API ${apiId}:`, error);
-    
-    await logTykOperation(req, 'delete_api', 'api', apiId, {
-      requestId: requestId
-    }, error);
+    console.error(`💥 [${requestId}] Failed to fetch Tyk OAS API ${apiId}:`, error);
 
     res.status(error.status || 500).json({
       success: false,
-      message: `Failed to delete API ${apiId}`,
+      message: `Failed to fetch Tyk OAS API ${apiId}`,
       error: error.message
     });
   }
 });
 
-// Key Management
-router.get('/keys', async (req, res) => {
+router.put('/apis/oas/:apiId', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
-  
+  const { apiId } = req.params;
+
   try {
     const orgContext = await getTykOrgContext(req);
-    console.log(`🔑 [${requestId}] Fetching keys for user: ${req.user.email} (org: ${orgContext.organizationName})`);
-
-    const response = await tykGatewayService.getKeys(orgContext.orgId);
-    
-    console.log(`🔍 [${requestId}] Raw Tyk keys response:`, JSON.stringify(response, null, 2));
+    console.log(`✏️ [${requestId}] Updating Tyk OAS API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
 
-    // Handle the response format
-    let keyIds = [];
-    if (response && response.keys && Array.isArray(response.keys)) {
-      keyIds = response.keys;
-    } else if (Array.isArray(response)) {
-      keyIds = response;
-    } else {
-      console.warn(`⚠️ [${requestId}] Unexpected keys response format:`, typeof response);
+    // SECURITY: First verify the API belongs to user's organization
+    const existingApi = await tykGatewayService.getApi(apiId);
+    if (existingApi && existingApi.org_id !== orgContext.orgId) {
+      console.warn(`🚫 [${requestId}] Access denied: Cannot update API ${apiId} from different organization`);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: API does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (existingApi && !existingApi.is_oas) {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} is a classic API; switch it to Tyk OAS first with PUT /apis/${apiId}/format`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    tykOasService.validateOasDefinition(req.body);
+    const oasDefinition = tykOasService.withIds(req.body, { api_id: apiId, org_id: orgContext.orgId });
+
+    const previousDefinition = await tykGatewayService.getOasApi(apiId);
+    const updatedApi = await tykGatewayService.updateOasApi(apiId, oasDefinition);
+
+    // Keep the stored OAS side in step when the API is tracked in the database
+    const record = await ApiDefinition.findByApiId(apiId);
+    if (record) {
+      const summary = tykOasService.summarize(oasDefinition);
+      await record.update({
+        name: summary.name.substring(0, 100),
+        listen_path: summary.listen_path,
+        target_url: summary.target_url,
+        is_active: summary.active,
+        oas_definition: oasDefinition
+      });
+    }
+
+    const revision = await recordApiRevision(req, apiId, {
+      definitionFormat: 'oas',
+      definition: oasDefinition,
+      action: 'update',
+      comment: getRevisionComment(req),
+      baseline: { definitionFormat: 'oas', definition: previousDefinition }
+    });
+
+    await logTykOperation(req, 'update_api', 'api', apiId, {
+      requestId: requestId,
+      apiName: oasDefinition['x-tyk-api-gateway'].info.name,
+      definitionFormat: 'oas',
+      revision: revision?.revision_number
+    });
+
+    res.json({
+      success: true,
+      data: updatedApi,
+      message: 'Tyk OAS API updated successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to update Tyk OAS API ${apiId}:`, error);
+
+    await logTykOperation(req, 'update_api', 'api', apiId, {
+      requestId: requestId,
+      definitionFormat: 'oas'
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to update Tyk OAS API ${apiId}`,
+      error: error.message,
+      details: error.details
+    });
+  }
+});
+
+// Previews the Tyk OAS form of a classic API without changing anything
+router.post('/apis/:apiId/convert-to-oas', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🔁 [${requestId}] Converting API ${apiId} to Tyk OAS for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    // Prefer the stored definition; fall back to the gateway for untracked APIs
+    const record = await ApiDefinition.findByApiId(apiId);
+    const classic = record
+      ? { ...record.api_definition, api_id: record.api_id, org_id: orgContext.orgId }
+      : await tykGatewayService.getApi(apiId);
+
+    // SECURITY: Verify API belongs to user's organization
+    const ownedByCaller = record
+      ? record.organization_id === getOrganizationRecordId(req)
+      : classic.org_id === orgContext.orgId;
+    if (!ownedByCaller) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: API does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (classic.is_oas || record?.definition_format === 'oas') {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} is already a Tyk OAS API`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { definition, warnings, errors } = tykOasService.classicToOas(classic);
+
+    res.json({
+      success: true,
+      data: {
+        convertible: errors.length === 0,
+        definition,
+        warnings,
+        errors,
+        tracked: !!record
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to convert API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to convert API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+// Switches which definition (classic or Tyk OAS) is used for an API
+router.put('/apis/:apiId/format', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+  const { format } = req.body;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🔁 [${requestId}] Switching API ${apiId} to ${format} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    if (!['classic', 'oas'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be "classic" or "oas"',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const record = await findOwnedApiDefinition(req, apiId);
+    const previousFormat = record.definition_format;
+
+    if (previousFormat === format) {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} already uses the ${format} format`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let warnings = [];
+    const updates = { definition_format: format };
+
+    // The definition in use is the source of truth, so the other form is derived from it
+    if (format === 'oas') {
+      const conversion = tykOasService.classicToOas({ ...record.api_definition, api_id: record.api_id, org_id: orgContext.orgId });
+      if (conversion.errors.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'API cannot be converted to Tyk OAS',
+          errors: conversion.errors,
+          warnings: conversion.warnings,
+          timestamp: new Date().toISOString()
+        });
+      }
+      updates.oas_definition = conversion.definition;
+      warnings = conversion.warnings;
+    } else {
+      // Carry identity, proxy and state edits made in OAS over to the stored classic definition
+      const summary = tykOasService.summarize(record.oas_definition);
+      updates.api_definition = {
+        ...record.api_definition,
+        name: summary.name,
+        api_id: record.api_id,
+        org_id: orgContext.orgId,
+        active: summary.active,
+        proxy: {
+          ...record.api_definition.proxy,
+          listen_path: summary.listen_path,
+          target_url: summary.target_url
+        }
+      };
+      warnings = ['Only name, listen path, target URL and state are carried over from the Tyk OAS definition'];
+    }
+
+    // Deployed APIs are replaced on the gateway: remove the old form, load the new one
+    const deployed = record.is_deployed && await apiDeploymentService.existsOnGateway(record.api_id);
+    if (deployed) {
+      if (previousFormat === 'oas') {
+        await tykGatewayService.deleteOasApi(record.api_id);
+      } else {
+        await tykGatewayService.deleteApi(record.api_id);
+      }
+    }
+
+    const baseline = {
+      definitionFormat: previousFormat,
+      definition: previousFormat === 'oas' ? record.oas_definition : record.api_definition
+    };
+
+    await record.update(updates);
+
+    if (deployed) {
+      try {
+        await apiDeploymentService.push(record);
+      } catch (deployError) {
+        // Put the previous form back so the API keeps serving traffic
+        console.error(`💥 [${requestId}] Failed to load ${format} definition, restoring ${previousFormat}:`, deployError.message);
+        await record.update({ definition_format: previousFormat });
+        await apiDeploymentService.push(record);
+        throw deployError;
+      }
+    }
+
+    const revision = await recordApiRevision(req, apiId, {
+      definitionFormat: format,
+      definition: format === 'oas' ? record.oas_definition : record.api_definition,
+      action: 'switch_format',
+      comment: req.body.comment,
+      baseline: baseline
+    });
+
+    await logTykOperation(req, 'switch_api_format', 'api', apiId, {
+      requestId: requestId,
+      from: previousFormat,
+      to: format,
+      redeployed: deployed,
+      warnings: warnings,
+      revision: revision?.revision_number
+    });
+
+    res.json({
+      success: true,
+      data: {
+        api: record.toSafeObject(),
+        warnings
+      },
+      message: `API switched to ${format === 'oas' ? 'Tyk OAS' : 'classic'} format`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to switch API ${apiId} format:`, error);
+
+    await logTykOperation(req, 'switch_api_format', 'api', apiId, {
+      requestId: requestId,
+      to: format
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to switch API ${apiId} format`,
+      error: error.message,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+// API definition revisions
+router.get('/apis/:apiId/revisions', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📜 [${requestId}] Listing revisions of API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const revisions = await apiRevisionService.listRevisions(apiId, getOrganizationRecordId(req));
+
+    res.json({
+      success: true,
+      data: revisions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to list revisions of API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to list revisions of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+router.get('/apis/:apiId/revisions/diff', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🔍 [${requestId}] Comparing revisions ${from} and ${to} of API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to revision numbers are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const diff = await apiRevisionService.diffRevisions(apiId, from, to, getOrganizationRecordId(req));
+
+    res.json({
+      success: true,
+      data: diff,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to compare revisions of API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to compare revisions of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+router.get('/apis/:apiId/revisions/:revision', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId, revision: revisionNumber } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📋 [${requestId}] Fetching revision ${revisionNumber} of API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const revision = await apiRevisionService.getRevision(apiId, revisionNumber, getOrganizationRecordId(req));
+
+    res.json({
+      success: true,
+      data: {
+        ...revision.toSummary(),
+        definition: revision.definition
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to fetch revision ${revisionNumber} of API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to fetch revision ${revisionNumber} of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+// Loads a definition on the gateway in the given format and hot-reloads (untracked APIs).
+// Throws with `nodeResults` unless every node reloaded.
+const deployDefinition = async (apiId, format, definition, existsOnGateway) => {
+  if (format === 'oas') {
+    if (existsOnGateway) {
+      await tykGatewayService.updateOasApi(apiId, definition);
+    } else {
+      await tykGatewayService.createOasApi(definition);
+    }
+  } else if (existsOnGateway) {
+    await tykGatewayService.updateApi(apiId, definition);
+  } else {
+    await tykGatewayService.createApi(definition);
+  }
+  await tykGatewayService.hotReloadOrThrow({ everyNode: true });
+};
+
+// Removes an API from the gateway in the form it is currently loaded as
+const removeFromGateway = async (apiId, format) => {
+  if (format === 'oas') {
+    await tykGatewayService.deleteOasApi(apiId);
+  } else {
+    await tykGatewayService.deleteApi(apiId);
+  }
+};
+
+// Redeploys an earlier revision and records the rollback as a new revision
+router.post('/apis/:apiId/revisions/:revision/rollback', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId, revision: revisionNumber } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`⏪ [${requestId}] Rolling back API ${apiId} to revision ${revisionNumber} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const revision = await apiRevisionService.getRevision(apiId, revisionNumber, getOrganizationRecordId(req));
+    const format = revision.definition_format;
+    const definition = format === 'oas'
+      ? tykOasService.withIds(revision.definition, { api_id: apiId, org_id: orgContext.orgId })
+      : { ...revision.definition, api_id: apiId, org_id: orgContext.orgId };
+
+    // SECURITY: The live API must still belong to the caller's organization
+    let current = null;
+    try {
+      current = await tykGatewayService.getApi(apiId);
+    } catch (lookupError) {
+      if (lookupError.gatewayStatus !== 404) {
+        throw lookupError;
+      }
+    }
+    if (current && current.org_id !== orgContext.orgId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: API does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Keep the live definition so a failed rollback can put it back
+    const currentFormat = current ? (current.is_oas ? 'oas' : 'classic') : null;
+    const currentDefinition = currentFormat === 'oas' ? await tykGatewayService.getOasApi(apiId) : current;
+    const formatChanges = current && currentFormat !== format;
+
+    const record = await ApiDefinition.findByApiId(apiId);
+    const previousRecordValues = record ? {
+      definition_format: record.definition_format,
+      api_definition: record.api_definition,
+      oas_definition: record.oas_definition,
+      name: record.name,
+      listen_path: record.listen_path,
+      target_url: record.target_url,
+      is_active: record.is_active
+    } : null;
+
+    if (formatChanges) {
+      await removeFromGateway(apiId, currentFormat);
+    }
+
+    try {
+      if (record) {
+        const summary = format === 'oas'
+          ? tykOasService.summarize(definition)
+          : {
+              name: definition.name,
+              listen_path: definition.proxy?.listen_path,
+              target_url: definition.proxy?.target_url,
+              active: definition.active !== false
+            };
+        await record.update({
+          definition_format: format,
+          ...(format === 'oas' ? { oas_definition: definition } : { api_definition: definition }),
+          name: summary.name.substring(0, 100),
+          listen_path: summary.listen_path,
+          target_url: summary.target_url,
+          is_active: summary.active,
+          deployment_status: 'updating'
+        });
+        await apiDeploymentService.push(record);
+      } else {
+        await deployDefinition(apiId, format, definition, current && !formatChanges);
+      }
+    } catch (deployError) {
+      console.error(`💥 [${requestId}] Failed to deploy revision ${revisionNumber}, restoring live definition:`, deployError.message);
+      if (record) {
+        await record.update(previousRecordValues);
+      }
+      if (current) {
+        try {
+          let loaded = await apiDeploymentService.existsOnGateway(apiId);
+          if (loaded && formatChanges) {
+            await removeFromGateway(apiId, format);
+            loaded = false;
+          }
+          await deployDefinition(apiId, currentFormat, currentDefinition, loaded);
+          if (record) {
+            await record.markAsDeployed();
+          }
+        } catch (restoreError) {
+          console.error(`💥 [${requestId}] Failed to restore API ${apiId}:`, restoreError.message);
+        }
+      }
+      throw deployError;
+    }
+
+    const rollback = await recordApiRevision(req, apiId, {
+      definitionFormat: format,
+      definition: definition,
+      action: 'rollback',
+      comment: req.body.comment,
+      sourceRevisionNumber: revision.revision_number
+    });
+
+    await logTykOperation(req, 'rollback_api', 'api', apiId, {
+      requestId: requestId,
+      restoredRevision: revision.revision_number,
+      revision: rollback?.revision_number,
+      definitionFormat: format,
+      previousFormat: currentFormat,
+      comment: req.body.comment
+    });
+
+    res.json({
+      success: true,
+      data: {
+        api: record ? record.toSafeObject() : null,
+        revision: rollback ? rollback.toSummary() : null,
+        restored_revision: revision.revision_number
+      },
+      message: `API rolled back to revision ${revision.revision_number}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to roll back API ${apiId}:`, error);
+
+    await logTykOperation(req, 'rollback_api', 'api', apiId, {
+      requestId: requestId,
+      restoredRevision: revisionNumber
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to roll back API ${apiId}`,
+      error: error.message,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+// API lifecycle: drafts are edited in the database and only reach the gateway on deploy
+const DEFAULT_VERSION_DATA = {
+  not_versioned: true,
+  versions: {
+    Default: { name: 'Default' }
+  }
+};
+
+// Record fields derived from a definition in either format
+const getDefinitionFields = (definitionFormat, definition) => {
+  if (definitionFormat === 'oas') {
+    const summary = tykOasService.summarize(definition);
+    return {
+      name: summary.name,
+      listen_path: summary.listen_path,
+      target_url: summary.target_url,
+      is_active: summary.active,
+      description: definition.info?.description || null,
+      version: definition.info?.version || 'Default'
+    };
+  }
+  return {
+    name: definition.name,
+    listen_path: definition.proxy?.listen_path,
+    target_url: definition.proxy?.target_url,
+    is_active: definition.active !== false,
+    use_keyless: !!definition.use_keyless,
+    version: definition.version_data?.default_version || 'Default'
+  };
+};
+
+// Rejects definitions the record cannot store; full validation happens when staging or deploying
+const assertDraftFields = (fields) => {
+  const missing = ['name', 'listen_path', 'target_url'].filter(field => !fields[field]);
+  if (missing.length > 0) {
+    const error = new Error(`Draft definition is missing: ${missing.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+};
+
+router.post('/apis/drafts', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { definition } = req.body;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📝 [${requestId}] Creating API draft for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    if (!definition || typeof definition !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'definition is required (classic or Tyk OAS API definition)',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const definitionFormat = tykOasService.isOasDefinition(definition) ? 'oas' : 'classic';
+    const apiId = (definitionFormat === 'oas' ? definition['x-tyk-api-gateway'].info?.id : definition.api_id) ||
+      uuidv4().replace(/-/g, '');
+
+    if (await ApiDefinition.findByApiId(apiId) || await apiDeploymentService.existsOnGateway(apiId)) {
+      return res.status(409).json({
+        success: false,
+        message: `API ${apiId} already exists`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let values;
+    if (definitionFormat === 'oas') {
+      const oasDefinition = tykOasService.withIds(definition, { api_id: apiId, org_id: orgContext.orgId });
+      values = {
+        oas_definition: oasDefinition,
+        api_definition: tykOasService.toClassicDefinition(oasDefinition),
+        ...getDefinitionFields('oas', oasDefinition)
+      };
+    } else {
+      const classic = {
+        version_data: DEFAULT_VERSION_DATA,
+        ...definition,
+        api_id: apiId,
+        org_id: orgContext.orgId
+      };
+      values = {
+        api_definition: classic,
+        ...getDefinitionFields('classic', classic)
+      };
+    }
+    assertDraftFields(values);
+
+    const record = await ApiDefinition.create({
+      ...values,
+      name: values.name.substring(0, 100),
+      organization_id: getOrganizationRecordId(req),
+      api_id: apiId,
+      definition_format: definitionFormat,
+      deployment_status: 'draft',
+      is_deployed: false
+    });
+
+    await logTykOperation(req, 'create_api_draft', 'api', apiId, {
+      requestId: requestId,
+      apiName: record.name,
+      definitionFormat: definitionFormat
+    });
+
+    res.status(201).json({
+      success: true,
+      data: record.toSafeObject(),
+      message: 'API draft created; deploy it to load it on the gateway',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to create API draft:`, error);
+
+    await logTykOperation(req, 'create_api_draft', 'api', null, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to create API draft',
+      error: error.message
+    });
+  }
+});
+
+// Stored definition in the API's selected format, as it will be deployed
+router.get('/apis/:apiId/draft', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📋 [${requestId}] Fetching draft of API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const record = await findOwnedApiDefinition(req, apiId);
+
+    res.json({
+      success: true,
+      data: {
+        api: record.toSafeObject(),
+        definition: record.definition_format === 'oas' ? record.oas_definition : record.api_definition
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to fetch draft of API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to fetch draft of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+// Edits the stored definition without touching the gateway; a deployed API keeps
+// serving its last deployed definition until the draft is deployed
+router.put('/apis/:apiId/draft', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+  const { definition } = req.body;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📝 [${requestId}] Saving draft of API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    if (!definition || typeof definition !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'definition is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const record = await findOwnedApiDefinition(req, apiId);
+    const definitionFormat = tykOasService.isOasDefinition(definition) ? 'oas' : 'classic';
+
+    if (definitionFormat !== record.definition_format) {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} uses the ${record.definition_format} format; switch its format before saving a ${definitionFormat} definition`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const updates = definitionFormat === 'oas'
+      ? { oas_definition: tykOasService.withIds(definition, { api_id: apiId, org_id: orgContext.orgId }) }
+      : { api_definition: { ...definition, api_id: apiId, org_id: orgContext.orgId } };
+    const fields = getDefinitionFields(definitionFormat, updates.oas_definition || updates.api_definition);
+    assertDraftFields(fields);
+
+    await record.update({
+      ...updates,
+      ...fields,
+      name: fields.name.substring(0, 100),
+      deployment_status: 'draft'
+    });
+
+    await logTykOperation(req, 'update_api_draft', 'api', apiId, {
+      requestId: requestId,
+      apiName: record.name,
+      definitionFormat: definitionFormat
+    });
+
+    res.json({
+      success: true,
+      data: record.toSafeObject(),
+      message: record.is_deployed
+        ? 'Draft saved; the gateway keeps serving the deployed definition until you deploy'
+        : 'Draft saved',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to save draft of API ${apiId}:`, error);
+
+    await logTykOperation(req, 'update_api_draft', 'api', apiId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to save draft of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+// Validates a draft and marks it ready to deploy
+router.post('/apis/:apiId/stage', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📦 [${requestId}] Staging API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const record = await findOwnedApiDefinition(req, apiId);
+
+    if (record.deployment_status === 'deployed' || apiDeploymentService.isDeploying(record)) {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} has no undeployed changes to stage`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const validation = await apiDeploymentService.validate(record);
+    if (!validation.valid) {
+      return res.status(422).json({
+        success: false,
+        message: 'API definition is not valid',
+        errors: validation.errors,
+        warnings: validation.warnings,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await record.update({ deployment_status: 'staged', deployment_error: null });
+
+    await logTykOperation(req, 'stage_api', 'api', apiId, {
+      requestId: requestId,
+      apiName: record.name,
+      warnings: validation.warnings
+    });
+
+    res.json({
+      success: true,
+      data: {
+        api: record.toSafeObject(),
+        warnings: validation.warnings
+      },
+      message: 'API staged and ready to deploy',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to stage API ${apiId}:`, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to stage API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+// Validates, pushes and hot-reloads. Also retries failed deploys and redeploys edited drafts.
+router.post('/apis/:apiId/deploy', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🚀 [${requestId}] Deploying API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const record = await findOwnedApiDefinition(req, apiId);
+
+    if (apiDeploymentService.isDeploying(record)) {
+      return res.status(409).json({
+        success: false,
+        message: `API ${apiId} is already being deployed`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // An interrupted deploy is left 'updating'; it is retried like a failed one
+    const retry = ['failed', 'updating'].includes(record.deployment_status);
+    const validation = await apiDeploymentService.deploy(record);
+
+    const definition = record.definition_format === 'oas' ? record.oas_definition : record.api_definition;
+    const revision = await recordApiRevision(req, apiId, {
+      definitionFormat: record.definition_format,
+      definition: definition,
+      action: 'deploy',
+      comment: req.body.comment
+    });
+
+    await logTykOperation(req, 'deploy_api', 'api', apiId, {
+      requestId: requestId,
+      apiName: record.name,
+      definitionFormat: record.definition_format,
+      retry: retry,
+      warnings: validation.warnings,
+      revision: revision?.revision_number
+    });
+
+    res.json({
+      success: true,
+      data: {
+        api: record.toSafeObject(),
+        warnings: validation.warnings
+      },
+      message: 'API deployed and gateway reloaded',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to deploy API ${apiId}:`, error);
+
+    await logTykOperation(req, 'deploy_api', 'api', apiId, {
+      requestId: requestId,
+      validationErrors: error.details
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to deploy API ${apiId}`,
+      error: error.message,
+      details: error.details,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+// Removes the API from the gateway; the record stays so it can be deployed again
+router.post('/apis/:apiId/undeploy', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`📴 [${requestId}] Undeploying API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const record = await findOwnedApiDefinition(req, apiId);
+
+    if (!record.is_deployed && !await apiDeploymentService.existsOnGateway(apiId)) {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} is not deployed`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const wasLoaded = await apiDeploymentService.undeploy(record);
+
+    await logTykOperation(req, 'undeploy_api', 'api', apiId, {
+      requestId: requestId,
+      apiName: record.name,
+      wasLoaded: wasLoaded
+    });
+
+    res.json({
+      success: true,
+      data: record.toSafeObject(),
+      message: wasLoaded
+        ? 'API removed from the gateway; the definition is kept as staged'
+        : 'API was already missing from the gateway; the definition is kept as staged',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to undeploy API ${apiId}:`, error);
+
+    await logTykOperation(req, 'undeploy_api', 'api', apiId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to undeploy API ${apiId}`,
+      error: error.message,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+router.put('/apis/:apiId', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+  
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`✏️ [${requestId}] Updating API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+    
+    // SECURITY: First verify the API belongs to user's organization
+    const existingApi = await tykGatewayService.getApi(apiId);
+    if (existingApi && existingApi.org_id !== orgContext.orgId) {
+      console.warn(`🚫 [${requestId}] Access denied: Cannot update API ${apiId} from different organization`);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: API does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // A classic update would overwrite a Tyk OAS API with a classic definition
+    if (existingApi?.is_oas) {
+      return res.status(400).json({
+        success: false,
+        message: `API ${apiId} is a Tyk OAS API; update it with PUT /apis/oas/${apiId}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Ensure org_id is set correctly in the update data
+    if (!req.body.org_id) {
+      req.body.org_id = orgContext.orgId;
+    }
+    
+    const definition = { ...req.body, api_id: apiId };
+
+    // Tracked APIs are redeployed from their record so a later deploy keeps the edit
+    const record = await ApiDefinition.findByApiId(apiId);
+    if (record && record.definition_format === 'classic') {
+      await record.update({
+        api_definition: definition,
+        name: (definition.name || record.name).substring(0, 100),
+        listen_path: definition.proxy?.listen_path || record.listen_path,
+        target_url: definition.proxy?.target_url || record.target_url,
+        is_active: definition.active !== false,
+        deployment_status: 'updating'
+      });
+      await apiDeploymentService.push(record);
+    } else {
+      await deployDefinition(apiId, 'classic', definition, true);
+    }
+    
+    const revision = await recordApiRevision(req, apiId, {
+      definitionFormat: 'classic',
+      definition: definition,
+      action: 'update',
+      comment: getRevisionComment(req),
+      baseline: { definitionFormat: 'classic', definition: existingApi }
+    });
+    
+    await logTykOperation(req, 'update_api', 'api', apiId, {
+      requestId: requestId,
+      apiName: req.body.name,
+      revision: revision?.revision_number
+    });
+
+    res.json({
+      success: true,
+      data: record ? record.toSafeObject() : definition,
+      message: 'API updated and gateway reloaded',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to update API ${apiId}:`, error);
+    
+    await logTykOperation(req, 'update_api', 'api', apiId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to update API ${apiId}`,
+      error: error.message,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+// JWT authentication settings (classic APIs)
+// Loads the live classic definition of one of the caller's APIs
+const getOwnedClassicApi = async (apiId, orgContext) => {
+  let api;
+  try {
+    api = await tykGatewayService.getApi(apiId);
+  } catch (error) {
+    if (error.gatewayStatus === 404) {
+      const notFound = new Error(`API ${apiId} not found`);
+      notFound.status = 404;
+      throw notFound;
+    }
+    throw error;
+  }
+  if (api.org_id !== orgContext.orgId) {
+    const error = new Error('Access denied: API does not belong to your organization');
+    error.status = 403;
+    throw error;
+  }
+  if (api.is_oas) {
+    const error = new Error(`API ${apiId} is a Tyk OAS API; configure JWT in its x-tyk-api-gateway authentication settings`);
+    error.status = 400;
+    throw error;
+  }
+  return api;
+};
+
+// ApiDefinition.auth_type for a classic definition: the method that authenticates requests
+const authTypeOf = (definition) => {
+  if (definition.enable_jwt) return 'jwt';
+  if (definition.use_oauth2) return 'oauth2';
+  if (definition.use_basic_auth) return 'basic_auth';
+  if (definition.enable_signature_checking) return 'hmac';
+  if (definition.use_mutual_tls_auth) return 'mtls';
+  if (definition.use_keyless) return 'none';
+  return 'auth_token';
+};
+
+router.get('/apis/:apiId/jwt', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🔐 [${requestId}] Fetching JWT settings of API ${apiId} for user: ${req.user.email}`);
+
+    const api = await getOwnedClassicApi(apiId, orgContext);
+    const settings = await jwtConfigService.getSettings(api, req.user.organization_id);
+
+    res.json({
+      success: true,
+      data: settings,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to fetch JWT settings of API ${apiId}:`, error.message);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to fetch JWT settings of API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+router.put('/apis/:apiId/jwt', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🔐 [${requestId}] Updating JWT settings of API ${apiId} for user: ${req.user.email}`);
+
+    const api = await getOwnedClassicApi(apiId, orgContext);
+    const definition = await jwtConfigService.applySettings(api, req.body, req.user.organization_id);
+    delete definition.is_oas;
+
+    // Tracked APIs are redeployed from their record so a later deploy keeps the settings
+    const record = await ApiDefinition.findByApiId(apiId);
+    if (record && record.definition_format === 'classic') {
+      await record.update({
+        api_definition: definition,
+        auth_type: authTypeOf(definition),
+        deployment_status: 'updating'
+      });
+      await apiDeploymentService.push(record);
+    } else {
+      await deployDefinition(apiId, 'classic', definition, true);
+    }
+
+    const revision = await recordApiRevision(req, apiId, {
+      definitionFormat: 'classic',
+      definition: definition,
+      action: 'update',
+      comment: req.body.comment || (definition.enable_jwt ? 'Updated JWT settings' : 'Disabled JWT'),
+      baseline: { definitionFormat: 'classic', definition: api }
+    });
+
+    // The source is a secret for HMAC, so the audit only records its kind
+    await logTykOperation(req, 'update_api_jwt', 'api', apiId, {
+      requestId: requestId,
+      enabled: definition.enable_jwt,
+      signing_method: definition.jwt_signing_method,
+      source_changed: !!req.body.source,
+      identity_base_field: definition.jwt_identity_base_field,
+      policy_field_name: definition.jwt_policy_field_name,
+      default_policies: definition.jwt_default_policies,
+      claim_name: definition.jwt_scope_claim_name,
+      claim_policy_mapping: definition.jwt_scope_to_policy_mapping,
+      revision: revision?.revision_number
+    });
+
+    res.json({
+      success: true,
+      data: await jwtConfigService.getSettings(definition, req.user.organization_id),
+      message: definition.enable_jwt ? 'JWT settings saved and deployed' : 'JWT disabled',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to update JWT settings of API ${apiId}:`, error.message);
+
+    await logTykOperation(req, 'update_api_jwt', 'api', apiId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to update JWT settings of API ${apiId}`,
+      error: error.message,
+      node_results: error.nodeResults
+    });
+  }
+});
+
+// Validates a pasted token locally; the token itself is never logged
+router.post('/apis/:apiId/jwt/test', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🧪 [${requestId}] Testing a JWT against API ${apiId} for user: ${req.user.email}`);
+
+    const api = await getOwnedClassicApi(apiId, orgContext);
+    const result = await jwtConfigService.testToken(api, req.body.token, req.user.organization_id);
+
+    await logTykOperation(req, 'test_api_jwt', 'api', apiId, {
+      requestId: requestId,
+      valid: result.valid,
+      identity: result.identity,
+      policies: result.policies.map(policy => policy.tyk_policy_id)
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to test JWT against API ${apiId}:`, error.message);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to test token',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/apis/:apiId', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId } = req.params;
+  
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🗑️ [${requestId}] Deleting API ${apiId} for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+    
+    // SECURITY: First verify the API belongs to user's organization
+    const existingApi = await tykGatewayService.getApi(apiId);
+    if (existingApi && existingApi.org_id !== orgContext.orgId) {
+      console.warn(`🚫 [${requestId}] Access denied: Cannot delete API ${apiId} from different organization`);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: API does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = existingApi?.is_oas
+      ? await tykGatewayService.deleteOasApi(apiId)
+      : await tykGatewayService.deleteApi(apiId);
+    
+    await logTykOperation(req, 'delete_api', 'api', apiId, {
+      requestId: requestId,
+      definitionFormat: existingApi?.is_oas ? 'oas' : 'classic'
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'API deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to delete API ${apiId}:`, error);
+    
+    await logTykOperation(req, 'delete_api', 'api', apiId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to delete API ${apiId}`,
+      error: error.message
+    });
+  }
+});
+
+// Key Management
+// HMAC secrets are shown once at creation; never hand them back from the gateway session
+const redactKeySession = (session) => {
+  if (!session || (!session.hmac_string && !session.basic_auth_data?.password)) return session;
+  const { hmac_string, ...rest } = session;
+  if (rest.basic_auth_data) {
+    const { password, ...basicAuthData } = rest.basic_auth_data;
+    rest.basic_auth_data = basicAuthData;
+  }
+  return rest;
+};
+
+// HMAC keys only authenticate by signature on APIs with signature checking; list the policy's APIs without it
+const findApisWithoutSignatureChecking = async (tykPolicyId, orgId) => {
+  try {
+    const policy = await tykGatewayService.getPolicy(tykPolicyId, orgId);
+    const warnings = [];
+    for (const apiId of Object.keys(policy?.access_rights || {})) {
+      const api = await tykGatewayService.getApi(apiId).catch(() => null);
+      if (api && !api.enable_signature_checking) {
+        warnings.push(`API "${api.name || apiId}" does not require HMAC signatures; this key can still call it as a bearer token`);
+      }
+    }
+    return warnings;
+  } catch (error) {
+    console.warn(`⚠️  Could not check policy ${tykPolicyId} for HMAC-protected APIs:`, error.message);
+    return [];
+  }
+};
+
+// Basic-auth users only authenticate by password on APIs that use basic auth; list the policy's APIs that don't
+const findApisWithoutBasicAuth = async (tykPolicyId, orgId) => {
+  try {
+    const policy = await tykGatewayService.getPolicy(tykPolicyId, orgId);
+    const warnings = [];
+    for (const apiId of Object.keys(policy?.access_rights || {})) {
+      const api = await tykGatewayService.getApi(apiId).catch(() => null);
+      if (api && !api.use_basic_auth) {
+        warnings.push(`API "${api.name || apiId}" does not use basic auth; this username and password won't work there`);
+      }
+    }
+    return warnings;
+  } catch (error) {
+    console.warn(`⚠️  Could not check policy ${tykPolicyId} for basic-auth APIs:`, error.message);
+    return [];
+  }
+};
+
+// Certificate-bound keys only authenticate by client certificate on APIs that accept one; list the policy's APIs that don't
+const findApisWithoutClientCertificates = async (tykPolicyId, orgId) => {
+  try {
+    const policy = await tykGatewayService.getPolicy(tykPolicyId, orgId);
+    const warnings = [];
+    for (const apiId of Object.keys(policy?.access_rights || {})) {
+      const api = await tykGatewayService.getApi(apiId).catch(() => null);
+      const usesCertificate = api?.auth?.use_certificate || api?.auth_configs?.authToken?.use_certificate;
+      if (api && !usesCertificate) {
+        warnings.push(`API "${api.name || apiId}" does not accept client certificates as credentials; this certificate won't authenticate there`);
+      }
+    }
+    return warnings;
+  } catch (error) {
+    console.warn(`⚠️  Could not check policy ${tykPolicyId} for certificate-authenticated APIs:`, error.message);
+    return [];
+  }
+};
+
+// Network restrictions are enforced by a gateway middleware; list the policy's APIs that don't run it
+const findApisWithoutNetworkRestrictions = async (tykPolicyId, orgId) => {
+  try {
+    const policy = await tykGatewayService.getPolicy(tykPolicyId, orgId);
+    const warnings = [];
+    for (const apiId of Object.keys(policy?.access_rights || {})) {
+      const api = await tykGatewayService.getApi(apiId).catch(() => null);
+      if (api && !networkRestrictions.isEnforcedByApi(api)) {
+        warnings.push(`API "${api.name || apiId}" does not run the ${networkRestrictions.MIDDLEWARE_NAME} middleware; IP and origin restrictions are not enforced there`);
+      }
+    }
+    return warnings;
+  } catch (error) {
+    console.warn(`⚠️  Could not check policy ${tykPolicyId} for network restriction enforcement:`, error.message);
+    return [];
+  }
+};
+
+// Shape a gateway session object for key listings
+const formatKeyDetail = (keyId, keyDetail) => ({
+  key_hash: keyId,
+  // Name priority: alias > meta_data.name > meta.name > fallback
+  name: keyDetail.alias || 
+        keyDetail.meta_data?.name || 
+        keyDetail.meta?.name || 
+        `Key ${keyId.substring(0, 8)}`,
+  // Description from meta_data or meta
+  description: keyDetail.meta_data?.description || 
+              keyDetail.meta?.description || 
+              '',
+  // Core fields
+  org_id: keyDetail.org_id,
+  allowance: keyDetail.allowance,
+  rate: keyDetail.rate,
+  per: keyDetail.per,
+  quota_max: keyDetail.quota_max,
+  quota_remaining: keyDetail.quota_remaining,
+  quota_renewal_rate: keyDetail.quota_renewal_rate,
+  quota_renews: keyDetail.quota_renews,
+  // Status (map is_inactive to active for display)
+  active: !keyDetail.is_inactive,
+  is_inactive: keyDetail.is_inactive,
+  // Timestamps
+  last_updated: keyDetail.last_updated,
+  date_created: keyDetail.date_created,
+  expires: keyDetail.expires,
+  // Access rights
+  access_rights: keyDetail.access_rights || {},
+  // Enhanced metadata
+  meta_data: keyDetail.meta_data || {},
+  meta: keyDetail.meta || {},
+  // Additional fields
+  alias: keyDetail.alias,
+  tags: keyDetail.tags || [],
+  apply_policies: keyDetail.apply_policies || [],
+  hmac_enabled: !!keyDetail.hmac_enabled,
+  basic_auth_username: keyDetail.meta_data?.auth_type === 'basic_auth' ? keyDetail.meta_data.basic_auth_username : null,
+  certificate_id: keyDetail.certificate || null,
+  network_restrictions: keyDetail.meta_data?.network_restrictions || null,
+  // Creator information (from meta_data)
+  created_by: keyDetail.meta_data?.created_by || keyDetail.meta?.created_by || 'Unknown',
+  created_by_id: keyDetail.meta_data?.created_by_id || keyDetail.meta?.created_by_id,
+  project: keyDetail.meta_data?.project || keyDetail.meta?.project,
+  // Raw data for debugging
+  _raw: redactKeySession(keyDetail)
+});
+
+// Match a formatted key against the listing filters (all case-insensitive substring matches)
+const matchesKeyFilters = (key, { search, creator, policy, status }) => {
+  const contains = (value, term) => typeof value === 'string' && value.toLowerCase().includes(term.toLowerCase());
+
+  if (status === 'active' && key.active === false) return false;
+  if (status === 'inactive' && key.active !== false) return false;
+
+  if (search && ![key.name, key.alias, key.key_hash, key.description].some(value => contains(value, search))) {
+    return false;
+  }
+
+  if (creator && !(contains(key.created_by, creator) || key.created_by_id === creator)) {
+    return false;
+  }
+
+  if (policy) {
+    const policyIds = key.apply_policies || [];
+    const matchesPolicy = policyIds.some(id => contains(id, policy)) ||
+      contains(key.meta_data?.policy_name, policy) ||
+      (key.meta_data?.policy_names || []).some(policyName => contains(policyName, policy)) ||
+      String(key.meta_data?.policy_id) === String(policy);
+    if (!matchesPolicy) return false;
+  }
+
+  return true;
+};
+
+// Comparator for key listings; Tyk timestamps are ISO strings, meta_data.created_at is the fallback
+const compareKeys = (field, order) => {
+  const valueOf = (key) => {
+    if (field === 'created_at') return key.date_created || key.meta_data?.created_at || '';
+    if (field === 'alias') return (key.alias || key.name || '').toLowerCase();
+    return key[field] ?? '';
+  };
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const aVal = valueOf(a);
+    const bVal = valueOf(b);
+    if (aVal === bVal) return 0;
+    return aVal > bVal ? direction : -direction;
+  };
+};
+
+router.get('/keys', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  
+  try {
+    const orgContext = await getTykOrgContext(req);
+    console.log(`🔑 [${requestId}] Fetching keys for user: ${req.user.email} (org: ${orgContext.organizationName})`);
+
+    const response = await tykGatewayService.getKeys(orgContext.orgId);
+    
+    console.log(`🔍 [${requestId}] Raw Tyk keys response:`, JSON.stringify(response, null, 2));
+
+    // Handle the response format
+    let keyIds = [];
+    if (response && response.keys && Array.isArray(response.keys)) {
+      keyIds = response.keys;
+    } else if (Array.isArray(response)) {
+      keyIds = response;
+    } else {
+      console.warn(`⚠️ [${requestId}] Unexpected keys response format:`, typeof response);
       keyIds = [];
     }
 
-    console.log(`🔍 [${requestId}] Extracted ${keyIds.length} key IDs:`, keyIds);
+    console.log(`🔍 [${requestId}] Extracted ${keyIds.length} key IDs`);
+
+    const {
+      page = 1,
+      limit = DEFAULT_KEYS_PAGE_SIZE,
+      search,
+      creator,
+      policy,
+      status = 'all',
+      sort,
+      order = 'desc'
+    } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_KEYS_PAGE_SIZE, 1), MAX_KEYS_PAGE_SIZE);
+    const offset = (pageNumber - 1) * pageSize;
+    const sortField = KEY_SORT_FIELDS.includes(sort) ? sort : null;
+
+    // Fetch detailed information for a key (cached, invalidated on create/update/delete)
+    const fetchKeyDetail = async (keyId) => {
+      try {
+        const keyDetail = await tykGatewayService.getCachedKey(keyId, orgContext.orgId);
+        return keyDetail ? formatKeyDetail(keyId, keyDetail) : null;
+      } catch (keyError) {
+        console.warn(`⚠️ [${requestId}] Failed to fetch details for key ${keyId}:`, keyError.message);
+        // Add a minimal key object so we don't lose the key hash
+        return {
+          key_hash: keyId,
+          name: `Key ${keyId.substring(0, 8)} (Details unavailable)`,
+          description: 'Unable to fetch key details',
+          active: false,
+          error: keyError.message
+        };
+      }
+    };
+
+    // Filtering and sorting need every key's details; otherwise only the requested page is fetched
+    const needsAllDetails = !!(search || creator || policy || sortField) || status !== 'all';
+    let total;
+    let detailedKeys;
+
+    if (needsAllDetails) {
+      const allKeys = (await mapWithConcurrency(keyIds, KEY_DETAIL_CONCURRENCY, fetchKeyDetail)).filter(Boolean);
+      const matchingKeys = allKeys.filter(key => matchesKeyFilters(key, { search, creator, policy, status }));
+      if (sortField) {
+        matchingKeys.sort(compareKeys(sortField, order));
+      }
+      total = matchingKeys.length;
+      detailedKeys = matchingKeys.slice(offset, offset + pageSize);
+    } else {
+      total = keyIds.length;
+      const pageKeyIds = keyIds.slice(offset, offset + pageSize);
+      detailedKeys = (await mapWithConcurrency(pageKeyIds, KEY_DETAIL_CONCURRENCY, fetchKeyDetail)).filter(Boolean);
+    }
+
+    console.log(`🔍 [${requestId}] Successfully fetched ${detailedKeys.length} keys with details`);
+
+    // Create audit log
+    await AuditLog.create({
+      user_id: req.user.id,
+      organization_id: req.user.organization_id,
+      action: 'LIST',
+      resource_type: 'api_key',
+      resource_id: null,
+      details: {
+        key_count: detailedKeys.length,
+        total_matching: total,
+        page: pageNumber,
+        filters: { search, creator, policy, status },
+        org_filter: orgContext.orgId
+      },
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      status: 'success'
+    });
+
+    res.json({
+      success: true,
+      data: detailedKeys,
+      count: detailedKeys.length,
+      total_keys: keyIds.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      message: `Retrieved ${detailedKeys.length} of ${total} API keys`
+    });
+
+  } catch (error) {
+    console.error(`❌ [${requestId}] Failed to fetch keys:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+
+    // Create audit log for failure
+    try {
+      await AuditLog.create({
+        user_id: req.user.id,
+        organization_id: req.user.organization_id,
+        action: 'LIST',
+        resource_type: 'api_key',
+        resource_id: null,
+        details: {
+          error: error.message
+        },
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        status: 'failed'
+      });
+    } catch (auditError) {
+      console.error('Failed to create audit log:', auditError);
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch keys',
+      error: error.message
+    });
+  }
+});
+
+const keyResult = (status, body) => ({ status, body });
+
+// Creates a key owned by `owner` from a POST /keys body. Validation failures and
+// success are returned as { status, body }; gateway and database errors are thrown.
+// Approved key requests use it too, with `req.user` being the approving admin.
+const createKeyForUser = async (req, owner, keyRequest, requestId) => {
+  const { 
+    name,           // Will be stored as alias
+    description,    // Will be stored in meta_data.description
+    policy_id,      // NEW: Policy to apply to this key
+    policy_ids,     // Several policies applied together, e.g. partitioned quota, rate and ACL policies
+    expires = null,
+    hmac_enabled = false,
+    hmac_algorithm = 'hmac-sha256',
+    credential_type = 'api_key', // 'api_key', 'basic_auth' or 'mtls_certificate'
+    username,       // basic_auth only
+    password,       // basic_auth only; generated when omitted
+    certificate,    // mtls_certificate only: client certificate PEM; generated when omitted
+    certificate_common_name, // mtls_certificate only: CN for a generated certificate
+    certificate_valid_days = clientCertificate.DEFAULT_VALID_DAYS,
+    network_restrictions // { allowed_ips, blocked_ips, allowed_origins }
+  } = keyRequest;
+  const isBasicAuth = credential_type === 'basic_auth';
+  const isCertificateBound = credential_type === 'mtls_certificate';
+  const requestedPolicyIds = Array.isArray(policy_ids) && policy_ids.length > 0
+    ? [...new Set(policy_ids.map(String))]
+    : (policy_id ? [String(policy_id)] : []);
+
+  console.log(`🔑 [${requestId}] Creating new policy-based key:`, {
+    name,
+    hasDescription: !!description,
+    policy_ids: requestedPolicyIds,
+    expires,
+    userId: owner.id,
+    userEmail: owner.email
+  });
+
+  // Validation
+  if (!name || name.trim().length === 0) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: 'Key name is required',
+      field: 'name'
+    });
+  }
+
+  if (name.length > 100) {
+    return keyResult(400, {
+      error: 'Validation failed', 
+      message: 'Key name must be 100 characters or less',
+      field: 'name'
+    });
+  }
+
+  if (policy_ids !== undefined && !Array.isArray(policy_ids)) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: 'policy_ids must be a list of policy IDs',
+      field: 'policy_ids'
+    });
+  }
+
+  if (requestedPolicyIds.length === 0) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: 'Policy selection is required',
+      field: 'policy_id'
+    });
+  }
+
+  if (hmac_enabled && !hmacSignature.HMAC_ALGORITHMS[hmac_algorithm]) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: `HMAC algorithm must be one of: ${Object.keys(hmacSignature.HMAC_ALGORITHMS).join(', ')}`,
+      field: 'hmac_algorithm'
+    });
+  }
+
+  if (!['api_key', 'basic_auth', 'mtls_certificate'].includes(credential_type)) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: 'credential_type must be api_key, basic_auth or mtls_certificate',
+      field: 'credential_type'
+    });
+  }
+
+  if (isCertificateBound && hmac_enabled) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: 'Certificate-bound keys cannot also use HMAC signing',
+      field: 'hmac_enabled'
+    });
+  }
+
+  let restrictions = null;
+  try {
+    restrictions = networkRestrictions.normalizeRestrictions(network_restrictions);
+  } catch (restrictionError) {
+    return keyResult(400, {
+      error: 'Validation failed',
+      message: restrictionError.message,
+      field: 'network_restrictions'
+    });
+  }
+
+  if (isBasicAuth) {
+    const usernameError = basicAuth.validateUsername(username);
+    const passwordError = password !== undefined && password !== null && password !== ''
+      ? basicAuth.validatePassword(password)
+      : null;
+    if (usernameError || passwordError || hmac_enabled) {
+      return keyResult(400, {
+        error: 'Validation failed',
+        message: usernameError || passwordError || 'Basic-auth credentials cannot also use HMAC signing',
+        field: usernameError ? 'username' : (passwordError ? 'password' : 'hmac_enabled')
+      });
+    }
+    if (await UserCredentials.findBasicAuthUser(owner.organization_id, username)) {
+      return keyResult(409, {
+        error: 'Conflict',
+        message: `Basic-auth user "${username}" already exists`,
+        field: 'username'
+      });
+    }
+  }
+
+  // Get user's organization context
+  const { orgId } = await getTykOrgContext(req);
+  
+  // Validate that the policies are available to this organization
+  // Use the database organization ID for policy validation, not the Tyk org ID
+  const policyService = require('../services/PolicyService');
+  const policies = [];
+  for (const requestedPolicyId of requestedPolicyIds) {
+    const availablePolicy = await policyService.validatePolicyAccess(requestedPolicyId, owner.organization_id);
+    if (!availablePolicy) {
+      return keyResult(403, {
+        error: 'Access denied',
+        message: requestedPolicyIds.length > 1
+          ? `Policy ${requestedPolicyId} is not available to your organization`
+          : 'Selected policy is not available to your organization'
+      });
+    }
+    policies.push(availablePolicy);
+  }
+  // The first policy is the key's primary policy in listings and audit logs
+  const policy = policies[0];
+
+  // Several policies must together supply access rights; the gateway merges the rest
+  const warnings = [];
+  let policySources = null;
+  if (policies.length > 1) {
+    policySources = await policyService.describePolicyCombination(policies);
+    if (policySources.errors.length > 0) {
+      return keyResult(400, {
+        error: 'Validation failed',
+        message: policySources.errors.join('; '),
+        field: 'policy_ids'
+      });
+    }
+    warnings.push(...policySources.warnings);
+  }
+
+  // Prepare key data for Tyk using policy
+  const keyData = {
+    org_id: orgId,
+    alias: name.trim(),
+    apply_policies: policies.map(p => p.tyk_policy_id), // Use policies instead of access_rights
+    meta_data: {
+      description: description?.trim() || "",
+      created_by: owner.email,
+      created_by_id: owner.id,
+      created_at: new Date().toISOString(),
+      project: "tykbasic",
+      user_type: "frontend_user",
+      // Keys with one policy record it by name; combined keys list every policy
+      ...(policies.length === 1
+        ? { policy_id: policy.id, policy_name: policy.name }
+        : { policy_ids: policies.map(p => p.id), policy_names: policies.map(p => p.name) })
+    }
+  };
+
+  // Add expiration if provided
+  if (expires) {
+    keyData.expires = parseInt(expires);
+  }
+
+  if (restrictions) {
+    keyData.meta_data.network_restrictions = restrictions;
+  }
+
+  // HMAC keys sign requests with a shared secret instead of sending the key as a bearer token
+  if (hmac_enabled) {
+    keyData.hmac_enabled = true;
+    keyData.hmac_string = hmacSignature.generateHmacSecret();
+    keyData.meta_data.auth_type = 'hmac';
+    keyData.meta_data.hmac_algorithm = hmac_algorithm;
+  }
+
+  // Certificate-bound sessions authenticate with the client certificate registered in Tyk
+  let certificateDetails = null;
+  let generatedCertificate = null;
+  let uploadedCertificateId = null;
+  if (isCertificateBound) {
+    if (!certificate) {
+      generatedCertificate = clientCertificate.generateClientCertificate({
+        commonName: (certificate_common_name || name).trim(),
+        organization: owner.organization?.name || 'TykBasic',
+        validDays: parseInt(certificate_valid_days)
+      });
+    }
+    const certificatePem = certificate || generatedCertificate.certificatePem;
+    certificateDetails = clientCertificate.inspectCertificate(certificatePem);
+    let certificateId = `${orgId}${certificateDetails.fingerprint}`;
+
+    const boundCredential = await UserCredentials.findByCertificateId(certificateId);
+    if (boundCredential && boundCredential.is_active) {
+      return keyResult(409, {
+        error: 'Conflict',
+        message: `This certificate is already bound to "${boundCredential.name}"`,
+        field: 'certificate'
+      });
+    }
+
+    try {
+      const upload = await tykGatewayService.uploadCertificate(certificatePem, orgId);
+      certificateId = upload.id || certificateId;
+      uploadedCertificateId = certificateId;
+    } catch (uploadError) {
+      // Tyk answers 403 when the certificate is already stored; reuse it
+      if (uploadError.gatewayStatus !== 403) {
+        throw uploadError;
+      }
+    }
+    certificateDetails.id = certificateId;
+
+    keyData.certificate = certificateId;
+    keyData.meta_data.auth_type = 'mtls';
+    keyData.meta_data.certificate_fingerprint = certificateDetails.fingerprint;
+    keyData.meta_data.certificate_expires_at = certificateDetails.validTo.toISOString();
+
+    // A certificate-bound key is useless once its certificate expires
+    const certificateExpires = Math.floor(certificateDetails.validTo.getTime() / 1000);
+    if (!keyData.expires || keyData.expires > certificateExpires) {
+      if (keyData.expires) {
+        warnings.push(`Key expiry was brought forward to the certificate's expiry (${certificateDetails.validTo.toISOString()})`);
+      }
+      keyData.expires = certificateExpires;
+    }
+  }
+
+  // Basic-auth sessions are looked up by username and checked against the stored password
+  const basicAuthPassword = isBasicAuth ? (password || basicAuth.generatePassword()) : null;
+  if (isBasicAuth) {
+    keyData.basic_auth_data = basicAuth.buildBasicAuthData(basicAuthPassword);
+    keyData.meta_data.auth_type = 'basic_auth';
+    keyData.meta_data.basic_auth_username = username;
+  }
+
+  console.log(`🌐 [${requestId}] Tyk policy-based key creation request:`, {
+    alias: keyData.alias,
+    org_id: keyData.org_id,
+    apply_policies: keyData.apply_policies,
+    policy_name: policy.name,
+    hasExpiration: !!keyData.expires,
+    metaDataKeys: Object.keys(keyData.meta_data)
+  });
+
+  let response;
+  try {
+    response = isBasicAuth
+      ? await tykGatewayService.createBasicAuthKey(username, keyData, orgId)
+      : await tykGatewayService.createKey(keyData, orgId);
+  } catch (createError) {
+    // Don't leave a certificate behind that no key uses
+    if (uploadedCertificateId) {
+      await tykGatewayService.deleteCertificate(uploadedCertificateId, orgId).catch(cleanupError => {
+        console.warn(`⚠️  [${requestId}] Could not remove unused certificate ${uploadedCertificateId}:`, cleanupError.message);
+      });
+    }
+    throw createError;
+  }
+
+  let hmacSecret = null;
+  if (hmac_enabled) {
+    // Some gateway versions generate their own secret for HMAC keys; the stored session is authoritative
+    const session = await tykGatewayService.getKey(response.key_hash || response.key, true, orgId);
+    hmacSecret = session.hmac_string || keyData.hmac_string;
+  }
+  for (const { tyk_policy_id: tykPolicyId } of policies) {
+    if (hmac_enabled) {
+      warnings.push(...await findApisWithoutSignatureChecking(tykPolicyId, orgId));
+    }
+    if (isBasicAuth) {
+      warnings.push(...await findApisWithoutBasicAuth(tykPolicyId, orgId));
+    }
+    if (isCertificateBound) {
+      warnings.push(...await findApisWithoutClientCertificates(tykPolicyId, orgId));
+    }
+    if (restrictions) {
+      warnings.push(...await findApisWithoutNetworkRestrictions(tykPolicyId, orgId));
+    }
+  }
+
+  console.log(`✅ [${requestId}] Policy-based key created successfully:`, {
+    keyHash: response.key_hash || response.key?.substring(0, 8) + '...' || 'unknown',
+    action: response.action,
+    status: response.status,
+    policy: policy.name
+  });
+
+  // Store reference in database with policy information
+  try {
+    await UserCredentials.create({
+      user_id: owner.id,
+      organization_id: owner.organization_id,
+      credential_type: isBasicAuth || isCertificateBound ? credential_type : (hmac_enabled ? 'hmac_signature' : 'api_key'),
+      name: name.trim(),
+      description: description?.trim() || null,
+      tyk_key_id: response.key,
+      tyk_key_hash: response.key_hash,
+      tyk_policy_id: policy.tyk_policy_id,
+      policy_id: policies.length === 1 ? policy.id : null,
+      expires_at: keyData.expires > 0 ? new Date(keyData.expires * 1000) : null,
+      ...(hmacSecret && {
+        hmac_secret: encryptSecret(hmacSecret),
+        hmac_algorithm: hmac_algorithm
+      }),
+      ...(isBasicAuth && {
+        basic_auth_username: username,
+        password_changed_at: new Date()
+      }),
+      ...(certificateDetails && {
+        certificate_id: certificateDetails.id,
+        certificate_fingerprint: certificateDetails.fingerprint,
+        certificate_expires_at: certificateDetails.validTo,
+        certificate_data: {
+          subject: certificateDetails.subject,
+          issuer: certificateDetails.issuer,
+          valid_from: certificateDetails.validFrom.toISOString(),
+          generated: !!generatedCertificate
+        }
+      })
+    });
+
+    console.log(`💾 [${requestId}] Database record created for policy-based key`);
+  } catch (dbError) {
+    console.warn(`⚠️  [${requestId}] Database storage failed (non-critical):`, dbError.message);
+    // Key now exists only on the gateway; flag it so it can be adopted via reconciliation
+    await logTykOperation(req, 'key_db_sync_failed', 'api_key', response.key_hash || response.key, {
+      requestId: requestId,
+      key_name: name,
+      reconciliation: 'Adopt this key from GET /api/admin/reconciliation'
+    }, dbError);
+  }
+
+  // Create audit log
+  await logTykOperation(req, 'create_key', 'api_key', response.key_hash || response.key, {
+    requestId: requestId,
+    key_name: name,
+    policy_id: policy.id,
+    policy_name: policy.name,
+    ...(policies.length > 1 && { policy_ids: policies.map(p => p.id) }),
+    has_expiration: !!expires,
+    hmac_enabled: !!hmac_enabled,
+    credential_type: credential_type,
+    ...(isBasicAuth && { basic_auth_username: username, password_generated: !password }),
+    ...(certificateDetails && { certificate_id: certificateDetails.id, certificate_generated: !!generatedCertificate }),
+    ...(restrictions && { network_restrictions: restrictions }),
+    ...(owner.id !== req.user.id && { created_for: owner.email })
+  });
+
+  return keyResult(201, {
+    success: true,
+    message: 'API key created successfully',
+    data: {
+      key: response.key,
+      key_hash: response.key_hash || response.key,
+      action: response.action,
+      name: name,
+      description: description || '',
+      alias: keyData.alias,
+      policy: {
+        id: policy.id,
+        name: policy.name,
+        tyk_policy_id: policy.tyk_policy_id
+      },
+      policies: policies.map(p => ({ id: p.id, name: p.name, tyk_policy_id: p.tyk_policy_id })),
+      ...(policySources && { policy_sources: policySources }),
+      meta_data: keyData.meta_data,
+      ...(hmacSecret && {
+        hmac: {
+          secret: hmacSecret,
+          algorithm: hmac_algorithm,
+          key_id: response.key,
+          signed_headers: hmacSignature.DEFAULT_SIGNED_HEADERS
+        }
+      }),
+      ...(isBasicAuth && {
+        basic_auth: {
+          username: username,
+          password: basicAuthPassword,
+          password_generated: !password
+        }
+      }),
+      ...(certificateDetails && {
+        certificate: {
+          id: certificateDetails.id,
+          fingerprint: certificateDetails.fingerprint,
+          subject: certificateDetails.subject,
+          expires_at: certificateDetails.validTo.toISOString(),
+          ...(generatedCertificate && {
+            certificate_pem: generatedCertificate.certificatePem,
+            private_key_pem: generatedCertificate.privateKeyPem
+          })
+        }
+      }),
+      warnings,
+      security_notice: generatedCertificate
+        ? 'The private key for this certificate will only be displayed once. Save it securely.'
+        : isBasicAuth
+        ? 'This password will only be displayed once. Save it securely.'
+        : (hmacSecret
+          ? 'This key and its HMAC secret will only be displayed once. Save them securely.'
+          : 'This key will only be displayed once. Save it securely.')
+    }
+  });
+};
+
+router.post('/keys', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { name, policy_id, policy_ids } = req.body;
+
+  try {
+    if (await isKeyApprovalRequired(req.user)) {
+      return res.status(403).json({
+        error: 'Approval required',
+        message: 'Your organization requires approval for new keys. Submit a key request instead.',
+        approval_required: true
+      });
+    }
+
+    const { status, body } = await createKeyForUser(req, req.user, req.body, requestId);
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error(`❌ [${requestId}] Policy-based key creation failed:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+
+    // Create audit log for failure
+    await logTykOperation(req, 'create_key', 'api_key', null, {
+      requestId: requestId,
+      error: error.message,
+      attempted_key_name: name,
+      policy_id: policy_id,
+      policy_ids: policy_ids
+    }, error);
+
+    res.status(error.status || 500).json({
+      error: 'Key creation failed',
+      message: error.message
+    });
+  }
+});
+
+// Key requests: organizations can require admin approval before users get new keys
+const MAX_PENDING_KEY_REQUESTS = 10;
+
+// Admins create keys directly; other users need approval when their organization asks for it
+const isKeyApprovalRequired = async (user) => {
+  if (['admin', 'super_admin'].includes(user.role)) {
+    return false;
+  }
+  const organization = await Organization.findByPk(user.organization_id);
+  return organization?.settings?.require_key_approval === true;
+};
+
+const KEY_REQUEST_INCLUDES = [
+  { model: User, as: 'requester' },
+  { model: User, as: 'reviewer' },
+  { model: Policy, as: 'policy' }
+];
+
+// Loads a key request of the caller's organization
+const findKeyRequest = async (req) => {
+  const keyRequest = await KeyRequest.findOne({
+    where: { id: req.params.id, organization_id: getOrganizationRecordId(req) },
+    include: KEY_REQUEST_INCLUDES
+  });
+  if (!keyRequest) {
+    const error = new Error('Key request not found');
+    error.status = 404;
+    throw error;
+  }
+  return keyRequest;
+};
+
+// Tells the requester about a decision; a failed email never fails the decision
+const notifyKeyRequestDecision = async (keyRequest, approved) => {
+  try {
+    const emailService = require('../services/emailService');
+    const result = await emailService.sendKeyRequestDecisionEmail(
+      keyRequest.requester.email,
+      keyRequest.requester.first_name,
+      { keyName: keyRequest.name, approved, note: keyRequest.review_note }
+    );
+    return !!result?.success;
+  } catch (emailError) {
+    console.error(`Failed to email key request decision to ${keyRequest.requester.email}:`, emailError.message);
+    return false;
+  }
+};
+
+router.get('/key-requests/settings', async (req, res) => {
+  try {
+    const organization = await Organization.findByPk(getOrganizationRecordId(req));
+
+    res.json({
+      success: true,
+      data: {
+        require_approval: organization?.settings?.require_key_approval === true,
+        approval_required_for_me: await isKeyApprovalRequired(req.user)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch key request settings:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch key request settings',
+      error: error.message
+    });
+  }
+});
+
+router.put('/key-requests/settings', requireAdmin, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const requireApproval = req.body.require_approval === true;
+
+  try {
+    const organization = await Organization.findByPk(getOrganizationRecordId(req));
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    organization.settings = { ...organization.settings, require_key_approval: requireApproval };
+    organization.changed('settings', true);
+    await organization.save();
+
+    await logTykOperation(req, 'update_key_request_settings', 'organization', organization.id, {
+      requestId: requestId,
+      require_key_approval: requireApproval
+    });
+
+    res.json({
+      success: true,
+      data: { require_approval: requireApproval },
+      message: requireApproval ? 'New keys now need admin approval' : 'Users can create keys without approval',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to update key request settings:`, error.message);
+
+    await logTykOperation(req, 'update_key_request_settings', 'organization', null, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to update key request settings',
+      error: error.message
+    });
+  }
+});
+
+// Admins see the organization's requests; everyone else sees their own
+router.get('/key-requests', async (req, res) => {
+  const { status, mine } = req.query;
+
+  try {
+    const where = { organization_id: getOrganizationRecordId(req) };
+    if (mine === 'true' || !['admin', 'super_admin'].includes(req.user.role)) {
+      where.requester_id = req.user.id;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const keyRequests = await KeyRequest.findAll({
+      where,
+      include: KEY_REQUEST_INCLUDES,
+      order: [['created_at', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      success: true,
+      data: keyRequests.map(keyRequest => keyRequest.toSafeObject()),
+      count: keyRequests.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch key requests:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch key requests',
+      error: error.message
+    });
+  }
+});
+
+router.post('/key-requests', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { name, purpose, policy_id, expires_at, hmac_enabled = false, hmac_algorithm = 'hmac-sha256' } = req.body;
+
+  try {
+    console.log(`📨 [${requestId}] Key request "${name}" from user: ${req.user.email}`);
+
+    const validationError =
+      (!name || !name.trim() || name.length > 100) ? 'Key name is required (100 characters or less)'
+      : (!purpose || !purpose.trim() || purpose.length > 1000) ? 'Describe what the key is for (1000 characters or less)'
+      : !policy_id ? 'Policy selection is required'
+      : (expires_at && !(new Date(expires_at) > new Date())) ? 'Desired expiry must be a date in the future'
+      : (hmac_enabled && !hmacSignature.HMAC_ALGORITHMS[hmac_algorithm]) ? `HMAC algorithm must be one of: ${Object.keys(hmacSignature.HMAC_ALGORITHMS).join(', ')}`
+      : null;
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const policyService = require('../services/PolicyService');
+    const policy = await policyService.validatePolicyAccess(policy_id, req.user.organization_id);
+    if (!policy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Selected policy is not available to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (await KeyRequest.countPendingForUser(req.user.id) >= MAX_PENDING_KEY_REQUESTS) {
+      return res.status(429).json({
+        success: false,
+        message: `You already have ${MAX_PENDING_KEY_REQUESTS} pending key requests`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const keyRequest = await KeyRequest.create({
+      organization_id: req.user.organization_id,
+      requester_id: req.user.id,
+      policy_id: policy.id,
+      name: name.trim(),
+      purpose: purpose.trim(),
+      desired_expires_at: expires_at ? new Date(expires_at) : null,
+      key_options: hmac_enabled ? { hmac_enabled: true, hmac_algorithm } : {}
+    });
+
+    await logTykOperation(req, 'create_key_request', 'key_request', keyRequest.id, {
+      requestId: requestId,
+      key_name: keyRequest.name,
+      policy_id: policy.id,
+      policy_name: policy.name,
+      desired_expires_at: keyRequest.desired_expires_at
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...keyRequest.toSafeObject(), policy_name: policy.name },
+      message: 'Key request submitted for approval',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to submit key request:`, error.message);
+
+    await logTykOperation(req, 'create_key_request', 'key_request', null, {
+      requestId: requestId,
+      key_name: name,
+      policy_id: policy_id
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to submit key request',
+      error: error.message
+    });
+  }
+});
+
+// Approval creates the key for the requester through the same path as POST /keys.
+// The approver never sees the key; it is kept encrypted until the requester reveals it.
+router.post('/key-requests/:id/approve', requireAdmin, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { note, expires_at } = req.body;
+  let keyRequest = null;
+  let claimed = false;
+
+  try {
+    keyRequest = await findKeyRequest(req);
+    console.log(`✅ [${requestId}] Approving key request ${keyRequest.id} ("${keyRequest.name}") by ${req.user.email}`);
+
+    if (!keyRequest.isPending()) {
+      return res.status(409).json({
+        success: false,
+        message: `Key request is already ${keyRequest.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!keyRequest.requester || !keyRequest.requester.is_active) {
+      return res.status(409).json({
+        success: false,
+        message: 'The requester no longer has an active account',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const expiresAt = expires_at !== undefined ? expires_at : keyRequest.desired_expires_at;
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Key expiry must be a date in the future',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Claim the request so two admins approving at once can't create two keys
+    const [claimedRows] = await KeyRequest.update(
+      { reviewed_by: req.user.id, reviewed_at: new Date() },
+      { where: { id: keyRequest.id, status: 'pending', reviewed_by: null } }
+    );
+    if (claimedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Key request is already being reviewed',
+        timestamp: new Date().toISOString()
+      });
+    }
+    claimed = true;
+
+    const requester = await User.findByPk(keyRequest.requester_id, { include: [{ model: Organization, as: 'organization' }] });
+    const { status, body } = await createKeyForUser(req, requester, {
+      name: keyRequest.name,
+      description: keyRequest.purpose,
+      policy_id: keyRequest.policy_id,
+      expires: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : null,
+      ...keyRequest.key_options
+    }, requestId);
+
+    if (status !== 201) {
+      await KeyRequest.update({ reviewed_by: null, reviewed_at: null }, { where: { id: keyRequest.id } });
+      await logTykOperation(req, 'approve_key_request', 'key_request', keyRequest.id, {
+        requestId: requestId,
+        key_name: keyRequest.name,
+        error: body.message
+      }, new Error(body.message));
+      return res.status(status).json({
+        success: false,
+        message: `Key could not be created: ${body.message}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await keyRequest.update({
+      status: 'approved',
+      reviewed_by: req.user.id,
+      reviewed_at: new Date(),
+      review_note: note?.trim() || null,
+      tyk_key_hash: body.data.key_hash,
+      issued_secret: encryptSecret(JSON.stringify(body.data))
+    });
+
+    const emailSent = await notifyKeyRequestDecision(keyRequest, true);
+
+    await logTykOperation(req, 'approve_key_request', 'key_request', keyRequest.id, {
+      requestId: requestId,
+      key_name: keyRequest.name,
+      key_hash: body.data.key_hash,
+      requester: keyRequest.requester.email,
+      policy_id: keyRequest.policy_id,
+      expires_at: expiresAt || null,
+      email_sent: emailSent
+    });
+
+    res.json({
+      success: true,
+      data: { ...keyRequest.toSafeObject(), reviewed_by: req.user.email, warnings: body.data.warnings },
+      message: `Key created for ${keyRequest.requester.email}; they can reveal it once from their key requests`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to approve key request ${req.params.id}:`, error.message);
+
+    if (claimed) {
+      await KeyRequest.update({ reviewed_by: null, reviewed_at: null }, { where: { id: keyRequest.id, status: 'pending' } })
+        .catch(releaseError => console.error(`Failed to release key request ${keyRequest.id}:`, releaseError.message));
+    }
+
+    await logTykOperation(req, 'approve_key_request', 'key_request', req.params.id, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to approve key request',
+      error: error.message
+    });
+  }
+});
+
+router.post('/key-requests/:id/reject', requireAdmin, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { reason } = req.body;
+
+  try {
+    const keyRequest = await findKeyRequest(req);
+
+    if (!keyRequest.isPending() || keyRequest.reviewed_by) {
+      return res.status(409).json({
+        success: false,
+        message: keyRequest.isPending() ? 'Key request is being approved' : `Key request is already ${keyRequest.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await keyRequest.update({
+      status: 'rejected',
+      reviewed_by: req.user.id,
+      reviewed_at: new Date(),
+      review_note: reason?.trim() || null
+    });
+
+    const emailSent = await notifyKeyRequestDecision(keyRequest, false);
+
+    await logTykOperation(req, 'reject_key_request', 'key_request', keyRequest.id, {
+      requestId: requestId,
+      key_name: keyRequest.name,
+      requester: keyRequest.requester?.email,
+      reason: reason || 'No reason provided',
+      email_sent: emailSent
+    });
+
+    res.json({
+      success: true,
+      data: { ...keyRequest.toSafeObject(), reviewed_by: req.user.email },
+      message: 'Key request rejected',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to reject key request ${req.params.id}:`, error.message);
+
+    await logTykOperation(req, 'reject_key_request', 'key_request', req.params.id, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to reject key request',
+      error: error.message
+    });
+  }
+});
+
+router.post('/key-requests/:id/cancel', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const keyRequest = await findKeyRequest(req);
+
+    if (keyRequest.requester_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can cancel a key request',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!keyRequest.isPending() || keyRequest.reviewed_by) {
+      return res.status(409).json({
+        success: false,
+        message: keyRequest.isPending() ? 'Key request is being approved' : `Key request is already ${keyRequest.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await keyRequest.update({ status: 'cancelled' });
+
+    await logTykOperation(req, 'cancel_key_request', 'key_request', keyRequest.id, {
+      requestId: requestId,
+      key_name: keyRequest.name
+    });
+
+    res.json({
+      success: true,
+      data: keyRequest.toSafeObject(),
+      message: 'Key request cancelled',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to cancel key request ${req.params.id}:`, error.message);
+
+    await logTykOperation(req, 'cancel_key_request', 'key_request', req.params.id, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to cancel key request',
+      error: error.message
+    });
+  }
+});
+
+// Returns the approved key to its requester exactly once, then forgets it
+router.post('/key-requests/:id/reveal', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+
+  try {
+    const keyRequest = await findKeyRequest(req);
+
+    if (keyRequest.requester_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can reveal the key',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (keyRequest.status !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        message: `Key request is ${keyRequest.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Clearing the secret first means a concurrent reveal gets nothing
+    const [cleared] = await KeyRequest.update(
+      { issued_secret: null, revealed_at: new Date() },
+      { where: { id: keyRequest.id, issued_secret: keyRequest.issued_secret } }
+    );
+    if (!keyRequest.issued_secret || cleared === 0) {
+      return res.status(410).json({
+        success: false,
+        message: 'This key has already been revealed. Rotate it if it was lost.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const keyData = JSON.parse(decryptSecret(keyRequest.issued_secret));
+
+    await logTykOperation(req, 'reveal_key_request_key', 'key_request', keyRequest.id, {
+      requestId: requestId,
+      key_name: keyRequest.name,
+      key_hash: keyRequest.tyk_key_hash
+    });
+
+    res.json({
+      success: true,
+      data: keyData,
+      message: 'This key will not be shown again',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to reveal key of request ${req.params.id}:`, error.message);
+
+    await logTykOperation(req, 'reveal_key_request_key', 'key_request', req.params.id, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to reveal key',
+      error: error.message
+    });
+  }
+});
+
+// Resolve a batch request's target keys: explicit hashes, or every key in the org matching a listing filter
+const resolveBatchKeys = async (orgId, { key_hashes, filter }) => {
+  if (Array.isArray(key_hashes) === !!filter) {
+    const error = new Error('Provide either key_hashes or filter');
+    error.status = 400;
+    throw error;
+  }
+
+  if (key_hashes) {
+    return key_hashes.filter(hash => typeof hash === 'string' && hash.length > 0)
+      .map(hash => ({ key_hash: hash }));
+  }
+
+  const { search, creator, policy, status = 'all' } = filter;
+  if (!search && !creator && !policy && status === 'all') {
+    const error = new Error('filter needs at least one of search, creator, policy or status');
+    error.status = 400;
+    throw error;
+  }
+
+  const response = await tykGatewayService.getKeys(orgId);
+  const keyIds = Array.isArray(response?.keys) ? response.keys : (Array.isArray(response) ? response : []);
+  const keys = await mapWithConcurrency(keyIds, KEY_DETAIL_CONCURRENCY, async (keyId) => {
+    try {
+      return formatKeyDetail(keyId, await tykGatewayService.getCachedKey(keyId, orgId));
+    } catch (keyError) {
+      return null;
+    }
+  });
+
+  return keys.filter(key => key && matchesKeyFilters(key, { search, creator, policy, status }))
+    .map(key => ({ key_hash: key.key_hash, name: key.name }));
+};
+
+// Apply one operation (deactivate, activate, delete, set_policies, extend_expiry) to many keys.
+// Runs as a background job; poll GET /keys/batch/:jobId for progress and per-key results.
+router.post('/keys/batch', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { action, key_hashes, filter, policy_ids, expires, extend_days, dry_run = false } = req.body;
+
+  try {
+    console.log(`📦 [${requestId}] Batch key ${action} requested by user: ${req.user.email}`);
+
+    const { orgId } = await getTykOrgContext(req);
+    const params = { expires, extend_days };
+
+    if (action === 'set_policies') {
+      if (!Array.isArray(policy_ids) || policy_ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'policy_ids is required for set_policies',
+          timestamp: new Date().toISOString()
+        });
+      }
+      const policyService = require('../services/PolicyService');
+      params.policies = [];
+      for (const policyId of policy_ids) {
+        const policy = await policyService.validatePolicyAccess(policyId, req.user.organization_id);
+        if (!policy) {
+          return res.status(403).json({
+            success: false,
+            message: `Policy ${policyId} is not available to your organization`,
+            timestamp: new Date().toISOString()
+          });
+        }
+        params.policies.push(policy);
+      }
+      if (params.policies.length > 1) {
+        const { errors } = await policyService.describePolicyCombination(params.policies);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: errors.join('; '),
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    }
+
+    keyBatchService.validateAction(action, params);
+    const targets = await resolveBatchKeys(orgId, { key_hashes, filter });
+
+    if (dry_run) {
+      return res.json({
+        success: true,
+        data: { action, total: targets.length, keys: targets },
+        message: `${targets.length} key(s) would be affected`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const job = keyBatchService.startJob({
+      action,
+      params,
+      keyHashes: targets.map(target => target.key_hash),
+      orgId,
+      organizationId: getOrganizationRecordId(req),
+      user: req.user,
+      onResult: (result, batchJob) => logTykOperation(req, `batch_${action}_key`, 'api_key', result.key_hash, {
+        requestId,
+        job_id: batchJob.id,
+        result: result.status,
+        message: result.message
+      }, result.status === 'failed' ? new Error(result.error) : null)
+    });
+
+    await logTykOperation(req, 'batch_key_operation', 'api_key', null, {
+      requestId,
+      job_id: job.id,
+      action,
+      key_count: job.total,
+      filter: filter || null,
+      policy_ids: policy_ids || null,
+      expires: expires || null,
+      extend_days: extend_days || null
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Batch ${action} started for ${job.total} key(s)`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Batch key operation failed:`, error.message);
+
+    await logTykOperation(req, 'batch_key_operation', 'api_key', null, {
+      requestId,
+      action
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to start batch key operation',
+      error: error.message
+    });
+  }
+});
+
+router.get('/keys/batch/:jobId', async (req, res) => {
+  try {
+    const job = keyBatchService.getJob(req.params.jobId, getOrganizationRecordId(req));
+
+    res.json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Explain whether a key, or a new key built from a set of policies, could make a request, without sending it
+router.post('/keys/simulate', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { key_hash, policy_ids } = req.body;
+
+  try {
+    console.log(`🧪 [${requestId}] Simulating ${req.body.method || 'GET'} ${req.body.path} for ${key_hash ? `key ${key_hash}` : `policies ${JSON.stringify(policy_ids)}`} for user: ${req.user.email}`);
+
+    if (!key_hash && !(Array.isArray(policy_ids) && policy_ids.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either key_hash or a non-empty list of policy_ids is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const accessSimulationService = require('../services/AccessSimulationService');
+    const request = accessSimulationService.parseRequest(req.body);
+    const { orgId } = await getTykOrgContext(req);
+
+    let result;
+    if (key_hash) {
+      result = await accessSimulationService.simulateKey(key_hash, orgId, request);
+    } else {
+      const policyService = require('../services/PolicyService');
+      const policies = [];
+      for (const policyId of [...new Set(policy_ids.map(String))]) {
+        const policy = await policyService.validatePolicyAccess(policyId, req.user.organization_id);
+        if (!policy) {
+          return res.status(403).json({
+            success: false,
+            message: `Policy ${policyId} is not available to your organization`,
+            timestamp: new Date().toISOString()
+          });
+        }
+        policies.push(policy);
+      }
+      result = await accessSimulationService.simulatePolicies(policies, orgId, request);
+    }
+
+    await logTykOperation(req, 'simulate_access', key_hash ? 'key' : 'policy', key_hash || policy_ids.join(','), {
+      requestId,
+      method: request.method,
+      path: request.path,
+      allowed: result.decision.allowed
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.decision.allowed ? 'Request would be allowed' : `Request would be denied with ${result.decision.status}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Access simulation failed:`, error.message);
+
+    await logTykOperation(req, 'simulate_access', key_hash ? 'key' : 'policy', key_hash || null, {
+      requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to simulate access',
+      error: error.message
+    });
+  }
+});
+
+router.get('/keys/:keyId', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { hashed = 'true' } = req.query;
+  
+  try {
+    console.log(`🔑 [${requestId}] Fetching key ${keyId} for user: ${req.user.email}`);
+    
+    const { orgId } = await getTykOrgContext(req);
+    const key = await tykGatewayService.getKey(keyId, hashed === 'true', orgId);
+    
+    await logTykOperation(req, 'get_key', 'key', keyId, {
+      requestId: requestId,
+      hashed: hashed === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: redactKeySession(key),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to fetch key ${keyId}:`, error);
+    
+    await logTykOperation(req, 'get_key', 'key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.gatewayStatus === 404 ? 404 : (error.status || 500)).json({
+      success: false,
+      message: `Failed to fetch key ${keyId}`,
+      error: error.message
+    });
+  }
+});
+
+// Verify a key is present and identical on every gateway node
+router.get('/keys/:keyId/consistency', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { hashed = 'true' } = req.query;
+  
+  try {
+    console.log(`🛰️ [${requestId}] Checking key ${keyId} consistency across nodes for user: ${req.user.email}`);
+    
+    const { orgId } = await getTykOrgContext(req);
+    const report = await tykGatewayService.checkKeyConsistency(keyId, hashed === 'true', orgId);
+    
+    await logTykOperation(req, 'check_key_consistency', 'key', keyId, {
+      requestId: requestId,
+      consistent: report.consistent
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to check key ${keyId} consistency:`, error);
+    
+    await logTykOperation(req, 'check_key_consistency', 'key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to check key ${keyId} consistency`,
+      error: error.message
+    });
+  }
+});
+
+// Check a client's HMAC signature against the key's stored secret and show the expected signing string
+router.post('/keys/:keyId/hmac/verify', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { method = 'GET', path, headers = {}, header_names, signature } = req.body;
+
+  try {
+    console.log(`✍️ [${requestId}] Verifying HMAC signature for key ${keyId} for user: ${req.user.email}`);
+
+    const credential = await UserCredentials.findByTykKeyHash(keyId);
+    if (!credential || credential.credential_type !== 'hmac_signature' || !credential.hmac_secret) {
+      return res.status(404).json({
+        success: false,
+        message: `Key ${keyId} has no stored HMAC secret`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.organization_id !== getOrganizationRecordId(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: key does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!path || !path.startsWith('/')) {
+      return res.status(400).json({
+        success: false,
+        message: 'path is required and must start with /',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const headerNames = Array.isArray(header_names) && header_names.length > 0
+      ? header_names
+      : hmacSignature.DEFAULT_SIGNED_HEADERS;
+    const signingString = hmacSignature.buildSigningString({ method, path, headers, headerNames });
+    const algorithm = credential.hmac_algorithm || 'hmac-sha256';
+    const expected = hmacSignature.signString(signingString, decryptSecret(credential.hmac_secret), algorithm);
+    const valid = signature ? hmacSignature.signaturesMatch(expected, signature) : null;
+
+    await logTykOperation(req, 'verify_hmac_signature', 'api_key', keyId, {
+      requestId,
+      valid
+    });
+
+    res.json({
+      success: true,
+      data: {
+        algorithm,
+        header_names: headerNames,
+        signing_string: signingString,
+        valid,
+        authorization_format: `Signature keyId="<your API key>",algorithm="${algorithm}",headers="${headerNames.join(' ')}",signature="<URL-encoded base64 signature>"`
+      },
+      message: valid === null ? 'Signing string built' : (valid ? 'Signature is valid' : 'Signature does not match'),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] HMAC verification failed for key ${keyId}:`, error.message);
+
+    await logTykOperation(req, 'verify_hmac_signature', 'api_key', keyId, {
+      requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to verify HMAC signature',
+      error: error.message
+    });
+  }
+});
+
+// Replace a key's IP allow/deny lists and allowed origins; empty lists remove the restrictions
+router.put('/keys/:keyId/restrictions', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+
+  try {
+    console.log(`🛡️ [${requestId}] Updating network restrictions of key ${keyId} for user: ${req.user.email}`);
+
+    const credential = await UserCredentials.findByTykKeyHash(keyId);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: `Key ${keyId} is not tracked in the database; adopt it from reconciliation first`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.organization_id !== getOrganizationRecordId(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: key does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let restrictions;
+    try {
+      restrictions = networkRestrictions.normalizeRestrictions(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { orgId } = await getTykOrgContext(req);
+    const session = await tykGatewayService.getKey(keyId, true, orgId);
+    const previous = session.meta_data?.network_restrictions || null;
+    const metaData = { ...(session.meta_data || {}) };
+    delete metaData.network_restrictions;
+
+    // Tyk replaces the whole session on update, so send it back with only the restrictions changed
+    await tykGatewayService.updateKey(keyId, {
+      ...session,
+      meta_data: restrictions ? { ...metaData, network_restrictions: restrictions } : metaData
+    }, true, orgId, { suppressReset: true });
+
+    const warnings = [];
+    if (restrictions) {
+      for (const tykPolicyId of session.apply_policies || []) {
+        warnings.push(...await findApisWithoutNetworkRestrictions(tykPolicyId, orgId));
+      }
+    }
+
+    await logTykOperation(req, 'update_key_network_restrictions', 'api_key', keyId, {
+      requestId: requestId,
+      key_name: credential.name,
+      before: previous,
+      after: restrictions
+    });
+
+    res.json({
+      success: true,
+      data: {
+        key_hash: keyId,
+        network_restrictions: restrictions,
+        warnings
+      },
+      message: restrictions ? 'Network restrictions updated' : 'Network restrictions removed',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to update network restrictions of key ${keyId}:`, error.message);
+
+    await logTykOperation(req, 'update_key_network_restrictions', 'api_key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.gatewayStatus === 404 ? 404 : (error.status || 500)).json({
+      success: false,
+      message: 'Failed to update network restrictions',
+      error: error.message
+    });
+  }
+});
+
+// Quota resets and top-ups
+const MAX_QUOTA_TOP_UP = 1000000;
+
+// A few quota changes or requests per user and key per hour; each one can hand out a full quota
+const quotaLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  keyGenerator: (req) => `${req.user.id}:${req.params.keyId}`,
+  message: { success: false, message: 'Too many quota changes for this key, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Loads the UserCredentials record of a key, enforcing that it belongs to the caller's organization
+const findOrgCredential = async (req, keyId) => {
+  const credential = await UserCredentials.findByTykKeyHash(keyId);
+  if (!credential) {
+    const error = new Error(`Key ${keyId} is not tracked in the database; adopt it from reconciliation first`);
+    error.status = 404;
+    throw error;
+  }
+  if (credential.organization_id !== getOrganizationRecordId(req)) {
+    const error = new Error('Access denied: key does not belong to your organization');
+    error.status = 403;
+    throw error;
+  }
+  return credential;
+};
+
+const validateQuotaChange = ({ action, amount }) => {
+  if (!['reset', 'top_up'].includes(action)) {
+    return 'action must be reset or top_up';
+  }
+  if (action === 'top_up' && !(Number.isInteger(amount) && amount > 0 && amount <= MAX_QUOTA_TOP_UP)) {
+    return `Top-up amount must be a whole number between 1 and ${MAX_QUOTA_TOP_UP}`;
+  }
+  return null;
+};
+
+router.post('/keys/:keyId/quota', requireAdmin, quotaLimiter, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { action, amount, reason } = req.body;
+  const auditAction = action === 'top_up' ? 'top_up_key_quota' : 'reset_key_quota';
+
+  try {
+    console.log(`📈 [${requestId}] Quota ${action} for key ${keyId} by user: ${req.user.email}`);
+
+    const validationError = validateQuotaChange(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const credential = await findOrgCredential(req, keyId);
+    const { orgId } = await getTykOrgContext(req);
+    const result = await keyQuotaService.applyChange(keyId, { action, amount }, orgId);
+
+    await logTykOperation(req, auditAction, 'api_key', keyId, {
+      requestId: requestId,
+      key_name: credential.name,
+      reason: reason || null,
+      ...result
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: action === 'reset' ? 'Quota reset' : `Added ${amount} requests to the quota`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Quota ${action} failed for key ${keyId}:`, error.message);
+
+    await logTykOperation(req, auditAction, 'api_key', keyId, {
+      requestId: requestId,
+      amount: amount
+    }, error);
+
+    res.status(error.gatewayStatus === 404 ? 404 : (error.status || 500)).json({
+      success: false,
+      message: 'Failed to change quota',
+      error: error.message
+    });
+  }
+});
+
+// Key owners ask an admin for a reset or top-up
+router.post('/keys/:keyId/quota-requests', quotaLimiter, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { action, amount, reason } = req.body;
+
+  try {
+    const credential = await findOrgCredential(req, keyId);
+    if (credential.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the key owner can request a quota change',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const validationError = validateQuotaChange(req.body) ||
+      ((!reason || !reason.trim() || reason.length > 1000) ? 'Explain why the quota is needed (1000 characters or less)' : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (await QuotaRequest.findPendingForKey(keyId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This key already has a pending quota request',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const quotaRequest = await QuotaRequest.create({
+      organization_id: credential.organization_id,
+      requester_id: req.user.id,
+      tyk_key_hash: keyId,
+      key_name: credential.name,
+      action,
+      amount: action === 'top_up' ? amount : null,
+      reason: reason.trim()
+    });
+
+    await logTykOperation(req, 'create_quota_request', 'quota_request', quotaRequest.id, {
+      requestId: requestId,
+      key_hash: keyId,
+      key_name: credential.name,
+      action,
+      amount: quotaRequest.amount
+    });
+
+    res.status(201).json({
+      success: true,
+      data: quotaRequest.toSafeObject(),
+      message: 'Quota request sent to your organization admins',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to request quota change for key ${keyId}:`, error.message);
+
+    await logTykOperation(req, 'create_quota_request', 'quota_request', null, {
+      requestId: requestId,
+      key_hash: keyId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to submit quota request',
+      error: error.message
+    });
+  }
+});
+
+// Admins see the organization's requests; everyone else sees their own
+router.get('/quota-requests', async (req, res) => {
+  const { status, key_hash } = req.query;
+
+  try {
+    const where = { organization_id: getOrganizationRecordId(req) };
+    if (!['admin', 'super_admin'].includes(req.user.role)) {
+      where.requester_id = req.user.id;
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (key_hash) {
+      where.tyk_key_hash = key_hash;
+    }
+
+    const quotaRequests = await QuotaRequest.findAll({
+      where,
+      include: [
+        { model: User, as: 'requester' },
+        { model: User, as: 'reviewer' }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      success: true,
+      data: quotaRequests.map(quotaRequest => quotaRequest.toSafeObject()),
+      count: quotaRequests.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch quota requests:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch quota requests',
+      error: error.message
+    });
+  }
+});
+
+// Approving applies the requested reset or top-up; rejecting just records the decision
+router.post('/quota-requests/:id/:decision(approve|reject)', requireAdmin, async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { id, decision } = req.params;
+  const { note } = req.body;
+  const auditAction = `${decision}_quota_request`;
+
+  try {
+    const quotaRequest = await QuotaRequest.findOne({
+      where: { id, organization_id: getOrganizationRecordId(req) }
+    });
+    if (!quotaRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quota request not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Claim the request so it is applied at most once
+    const [claimed] = await QuotaRequest.update(
+      { status: decision === 'approve' ? 'approved' : 'rejected', reviewed_by: req.user.id, reviewed_at: new Date(), review_note: note?.trim() || null },
+      { where: { id, status: 'pending' } }
+    );
+    if (claimed === 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Quota request is already ${quotaRequest.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let result = null;
+    if (decision === 'approve') {
+      try {
+        const { orgId } = await getTykOrgContext(req);
+        result = await keyQuotaService.applyChange(quotaRequest.tyk_key_hash, quotaRequest, orgId);
+      } catch (applyError) {
+        await QuotaRequest.update(
+          { status: 'pending', reviewed_by: null, reviewed_at: null, review_note: null },
+          { where: { id } }
+        );
+        throw applyError;
+      }
+    }
+
+    await logTykOperation(req, auditAction, 'quota_request', id, {
+      requestId: requestId,
+      key_hash: quotaRequest.tyk_key_hash,
+      key_name: quotaRequest.key_name,
+      action: quotaRequest.action,
+      amount: quotaRequest.amount,
+      note: note || null,
+      ...(result && { quota_remaining_before: result.quota_remaining_before, quota_remaining: result.quota_remaining })
+    });
+
+    await quotaRequest.reload({ include: [{ model: User, as: 'requester' }, { model: User, as: 'reviewer' }] });
+
+    res.json({
+      success: true,
+      data: { ...quotaRequest.toSafeObject(), result },
+      message: decision === 'approve' ? 'Quota request approved and applied' : 'Quota request rejected',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to ${decision} quota request ${id}:`, error.message);
+
+    await logTykOperation(req, auditAction, 'quota_request', id, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.gatewayStatus === 404 ? 404 : (error.status || 500)).json({
+      success: false,
+      message: `Failed to ${decision} quota request`,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Reset or rotate a basic-auth user's password.
+ * Body: { password } sets the given password; with no password a new one is
+ * generated and returned once.
+ */
+router.post('/keys/:keyId/password', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { password } = req.body;
+  const action = password ? 'reset_basic_auth_password' : 'rotate_basic_auth_password';
+
+  try {
+    console.log(`🔐 [${requestId}] ${password ? 'Resetting' : 'Rotating'} basic-auth password for key ${keyId} for user: ${req.user.email}`);
+
+    const credential = await UserCredentials.findByTykKeyHash(keyId);
+    if (!credential || credential.credential_type !== 'basic_auth') {
+      return res.status(404).json({
+        success: false,
+        message: `Key ${keyId} is not a basic-auth user`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.organization_id !== getOrganizationRecordId(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: key does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+    const passwordError = password ? basicAuth.validatePassword(password) : null;
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+        field: 'password',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { orgId } = await getTykOrgContext(req);
+    const session = await tykGatewayService.getKey(keyId, true, orgId);
+    const newPassword = password || basicAuth.generatePassword();
+
+    // Tyk replaces the whole session on update, so send it back with only the password changed
+    await tykGatewayService.updateKey(keyId, {
+      ...session,
+      basic_auth_data: basicAuth.buildBasicAuthData(newPassword),
+      meta_data: {
+        ...(session.meta_data || {}),
+        password_changed_at: new Date().toISOString(),
+        password_changed_by: req.user.email
+      }
+    }, true, orgId, { suppressReset: true });
+
+    await credential.update({ password_changed_at: new Date() });
+
+    await logTykOperation(req, action, 'api_key', keyId, {
+      requestId: requestId,
+      key_name: credential.name,
+      basic_auth_username: credential.basic_auth_username
+    });
+
+    res.json({
+      success: true,
+      message: password ? 'Password reset' : 'Password rotated',
+      data: {
+        key_hash: keyId,
+        username: credential.basic_auth_username,
+        password_changed_at: credential.password_changed_at,
+        // Only a generated password is echoed back; the caller already knows one they chose
+        ...(!password && { password: newPassword }),
+        security_notice: password ? null : 'This password will only be displayed once. Save it securely.'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Basic-auth password change failed for key ${keyId}:`, error.message);
+
+    await logTykOperation(req, action, 'api_key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.gatewayStatus === 404 ? 404 : (error.status || 500)).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+});
+
+// Replaces a key with a new one on the same policies; the old key keeps working for a grace period
+router.post('/keys/:keyId/rotate', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+
+  try {
+    console.log(`🔄 [${requestId}] Rotating key ${keyId} for user: ${req.user.email}`);
+
+    const { orgId } = await getTykOrgContext(req);
+    const gracePeriodHours = keyRotationService.parseGracePeriod(req.body.grace_period_hours);
+
+    const credential = await UserCredentials.findByTykKeyHash(keyId);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: `Key ${keyId} is not tracked in the database; adopt it from reconciliation before rotating`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.organization_id !== getOrganizationRecordId(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: key does not belong to your organization',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.rotated_to_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'Key has already been rotated; rotate its replacement instead',
+        data: { rotated_to_id: credential.rotated_to_id },
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!credential.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inactive keys cannot be rotated',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.credential_type === 'basic_auth') {
+      return res.status(400).json({
+        success: false,
+        message: `Basic-auth users keep their username; rotate the password with POST /keys/${keyId}/password`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (credential.credential_type === 'mtls_certificate') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificate-bound keys are rotated by creating a key for a new certificate',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const rotation = await keyRotationService.rotateKey({
+      credential,
+      orgId,
+      gracePeriodHours,
+      user: req.user
+    });
+
+    await logTykOperation(req, 'rotate_key', 'api_key', keyId, {
+      requestId: requestId,
+      key_name: credential.name,
+      new_key_hash: rotation.keyHash,
+      grace_period_hours: gracePeriodHours,
+      grace_ends_at: rotation.graceEndsAt.toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: gracePeriodHours === 0
+        ? 'API key rotated; the old key has been deactivated'
+        : `API key rotated; the old key stays valid until ${rotation.graceEndsAt.toISOString()}`,
+      data: {
+        key: rotation.key,
+        key_hash: rotation.keyHash,
+        name: credential.name,
+        description: credential.description || '',
+        alias: rotation.session.alias,
+        apply_policies: rotation.session.apply_policies,
+        meta_data: rotation.session.meta_data,
+        rotation: {
+          previous_key_hash: keyId,
+          grace_period_hours: gracePeriodHours,
+          grace_ends_at: rotation.graceEndsAt,
+          credential_id: rotation.credential.id,
+          previous_credential_id: credential.id
+        },
+        ...(rotation.hmacSecret && {
+          hmac: {
+            secret: rotation.hmacSecret,
+            algorithm: rotation.credential.hmac_algorithm,
+            key_id: rotation.key,
+            signed_headers: hmacSignature.DEFAULT_SIGNED_HEADERS
+          }
+        }),
+        security_notice: rotation.hmacSecret
+          ? 'This key and its new HMAC secret will only be displayed once. Save them securely.'
+          : 'This key will only be displayed once. Save it securely.'
+      }
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to rotate key ${keyId}:`, error);
+
+    await logTykOperation(req, 'rotate_key', 'api_key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to rotate key ${keyId}`,
+      error: error.message
+    });
+  }
+});
+
+router.put('/keys/:keyId', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { hashed = 'true' } = req.query;
+  
+  try {
+    console.log(`✏️ [${requestId}] Updating key ${keyId} for user: ${req.user.email}`);
+    
+    const { orgId } = await getTykOrgContext(req);
+    const updatedKey = await tykGatewayService.updateKey(keyId, req.body, hashed === 'true', orgId);
+    
+    await logTykOperation(req, 'update_key', 'key', keyId, {
+      requestId: requestId,
+      hashed: hashed === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: updatedKey,
+      message: 'Key updated successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to update key ${keyId}:`, error);
+    
+    await logTykOperation(req, 'update_key', 'key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to update key ${keyId}`,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/keys/:keyId', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { keyId } = req.params;
+  const { hashed = 'true' } = req.query;
+  
+  try {
+    console.log(`🗑️ [${requestId}] Deleting key ${keyId} for user: ${req.user.email}`);
+    
+    const { orgId } = await getTykOrgContext(req);
+    const result = await tykGatewayService.deleteKey(keyId, hashed === 'true', orgId);
+
+    const credential = hashed === 'true' ? await UserCredentials.findByTykKeyHash(keyId) : null;
+    let certificateRemoved = false;
+    // A certificate-bound key and its certificate are one credential, so remove them together
+    if (credential?.credential_type === 'mtls_certificate' && credential.certificate_id) {
+      try {
+        await tykGatewayService.deleteCertificate(credential.certificate_id, orgId);
+        certificateRemoved = true;
+      } catch (certError) {
+        console.warn(`⚠️ [${requestId}] Could not remove certificate ${credential.certificate_id}:`, certError.message);
+      }
+    }
+    // Keep the record for history, but free the basic-auth username and stop expiry emails
+    if (credential) {
+      await credential.update({ is_active: false });
+    }
+    
+    await logTykOperation(req, 'delete_key', 'key', keyId, {
+      requestId: requestId,
+      hashed: hashed === 'true',
+      ...(certificateRemoved && { certificate_id: credential.certificate_id })
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Key deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to delete key ${keyId}:`, error);
+    
+    await logTykOperation(req, 'delete_key', 'key', keyId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to delete key ${keyId}`,
+      error: error.message
+    });
+  }
+});
+
+// OAuth Client Management
+router.get('/oauth/clients', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { api_id } = req.query;
 
-    // Fetch detailed information for each key
-    const detailedKeys = [];
-    for (const keyId of keyIds) {
-      try {
-        console.log(`🔍 [${requestId}] Fetching details for key: ${keyId}`);
-        const keyDetail = await tykGatewayService.getKey(keyId, true, orgContext.orgId);
-        
-        if (keyDetail) {
-          // Process key data with priority: alias > meta_data > fallback
-          const processedKey = {
-            key_hash: keyId,
-            // Name priority: alias > meta_data.name > meta.name > fallback
-            name: keyDetail.alias || 
-                  keyDetail.meta_data?.name || 
-                  keyDetail.meta?.name || 
-                  `Key ${keyId.substring(0, 8)}`,
-            // Description from meta_data or meta
-            description: keyDetail.meta_data?.description || 
-                        keyDetail.meta?.description || 
-                        '',
-            // Core fields
-            org_id: keyDetail.org_id,
-            allowance: keyDetail.allowance,
-            rate: keyDetail.rate,
-            per: keyDetail.per,
-            quota_max: keyDetail.quota_max,
-            quota_remaining: keyDetail.quota_remaining,
-            quota_renewal_rate: keyDetail.quota_renewal_rate,
-            quota_renews: keyDetail.quota_renews,
-            // Status (map is_inactive to active for display)
-            active: !keyDetail.is_inactive,
-            is_inactive: keyDetail.is_inactive,
-            // Timestamps
-            last_updated: keyDetail.last_updated,
-            date_created: keyDetail.date_created,
-            expires: keyDetail.expires,
-            // Access rights
-            access_rights: keyDetail.access_rights || {},
-            // Enhanced metadata
-            meta_data: keyDetail.meta_data || {},
-            meta: keyDetail.meta || {},
-            // Additional fields
-            alias: keyDetail.alias,
-            tags: keyDetail.tags || [],
-            apply_policies: keyDetail.apply_policies || [],
-            // Creator information (from meta_data)
-            created_by: keyDetail.meta_data?.created_by || keyDetail.meta?.created_by || 'Unknown',
-            created_by_id: keyDetail.meta_data?.created_by_id || keyDetail.meta?.created_by_id,
-            project: keyDetail.meta_data?.project || keyDetail.meta?.project,
-            // Raw data for debugging
-            _raw: keyDetail
-          };
-
-          detailedKeys.push(processedKey);
-          console.log(`✅ [${requestId}] Key ${keyId} details fetched successfully`);
-        }
-      } catch (keyError) {
-        console.warn(`⚠️ [${requestId}] Failed to fetch details for key ${keyId}:`, keyError.message);
-        // Add a minimal key object so we don't lose the key hash
-        detailedKeys.push({
-          key_hash: keyId,
-          name: `Key ${keyId.substring(0, 8)} (Details unavailable)`,
-          description: 'Unable to fetch key details',
-          active: false,
-          error: keyError.message
-        });
-      }
-    }
+  try {
+    const { orgId, organizationName } = await getTykOrgContext(req);
+    console.log(`🪪 [${requestId}] Fetching OAuth clients for user: ${req.user.email} (org: ${organizationName})`);
 
-    console.log(`🔍 [${requestId}] Successfully fetched ${detailedKeys.length} keys with details`);
+    const clients = await oauthClientService.listClients(orgId, api_id || null);
 
-    // Create audit log
-    await AuditLog.create({
-      user_id: req.user.id,
-      organization_id: req.user.organization_id,
-      action: 'LIST',
-      resource_type: 'api_key',
-      resource_id: null,
-      details: {
-        key_count: detailedKeys.length,
-        org_filter: orgContext.orgId
-      },
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent'],
-      status: 'success'
+    await logTykOperation(req, 'list_oauth_clients', 'oauth_client', null, {
+      requestId: requestId,
+      api_id: api_id || null,
+      clientCount: clients.length
     });
 
     res.json({
       success: true,
-      data: detailedKeys,
-      count: detailedKeys.length,
-      message: `Retrieved ${detailedKeys.length} API keys`
+      data: clients,
+      count: clients.length,
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`❌ [${requestId}] Failed to fetch keys:`, {
-      error: error.message,
-      stack: error.stack,
-      userId: req.user.id
-    });
+    console.error(`💥 [${requestId}] Failed to fetch OAuth clients:`, error.message);
 
-    // Create audit log for failure
-    try {
-      await AuditLog.create({
-        user_id: req.user.id,
-        organization_id: req.user.organization_id,
-        action: 'LIST',
-        resource_type: 'api_key',
-        resource_id: null,
-        details: {
-          error: error.message
-        },
-        ip_address: req.ip,
-        user_agent: req.headers['user-agent'],
-        status: 'failed'
-      });
-    } catch (auditError) {
-      console.error('Failed to create audit log:', auditError);
-    }
+    await logTykOperation(req, 'list_oauth_clients', 'oauth_client', null, {
+      requestId: requestId,
+      api_id: api_id || null
+    }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to fetch keys',
+      message: 'Failed to fetch OAuth clients',
       error: error.message
     });
   }
 });
 
-router.post('/keys', async (req, res) => {
+router.post('/oauth/clients', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
-  const { 
-    name,           // Will be stored as alias
-    description,    // Will be stored in meta_data.description
-    policy_id,      // NEW: Policy to apply to this key
-    expires = null
-  } = req.body;
-
-  console.log(`🔑 [${requestId}] Creating new policy-based key:`, {
-    name,
-    hasDescription: !!description,
-    policy_id,
-    expires,
-    userId: req.user.id,
-    userEmail: req.user.email
-  });
+  const { api_id, redirect_uris, policy_id, description = '' } = req.body;
 
   try {
-    // Validation
-    if (!name || name.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Key name is required',
-        field: 'name'
-      });
-    }
-
-    if (name.length > 100) {
-      return res.status(400).json({
-        error: 'Validation failed', 
-        message: 'Key name must be 100 characters or less',
-        field: 'name'
-      });
-    }
+    console.log(`🪪 [${requestId}] Registering OAuth client for API ${api_id} for user: ${req.user.email}`);
 
-    if (!policy_id) {
+    if (!api_id || !policy_id) {
       return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Policy selection is required',
-        field: 'policy_id'
+        success: false,
+        message: 'api_id and policy_id are required',
+        timestamp: new Date().toISOString()
       });
     }
 
-    // Get user's organization context
     const { orgId } = await getTykOrgContext(req);
-    
-    // Validate that the policy is available to this organization
-    // Use the database organization ID for policy validation, not the Tyk org ID
+
     const policyService = require('../services/PolicyService');
     const policy = await policyService.validatePolicyAccess(policy_id, req.user.organization_id);
-    
     if (!policy) {
       return res.status(403).json({
-        error: 'Access denied',
-        message: 'Selected policy is not available to your organization'
+        success: false,
+        message: 'Selected policy is not available to your organization',
+        timestamp: new Date().toISOString()
       });
     }
 
-    // Prepare key data for Tyk using policy
-    const keyData = {
-      org_id: orgId,
-      alias: name.trim(),
-      apply_policies: [policy.tyk_policy_id], // Use policy instead of access_rights
-      meta_data: {
-        description: description?.trim() || "",
-        created_by: req.user.email,
-        created_by_id: req.user.id,
-        created_at: new Date().toISOString(),
-        project: "tykbasic",
-        user_type: "frontend_user",
-        policy_id: policy_id,
-        policy_name: policy.name
-      }
-    };
-
-    // Add expiration if provided
-    if (expires) {
-      keyData.expires = parseInt(expires);
-    }
+    const { client, secret, warnings } = await oauthClientService.registerClient({
+      apiId: api_id,
+      redirectUris: redirect_uris,
+      policy,
+      description,
+      orgId,
+      user: req.user
+    });
 
-    console.log(`🌐 [${requestId}] Tyk policy-based key creation request:`, {
-      alias: keyData.alias,
-      org_id: keyData.org_id,
-      policy_id: policy.tyk_policy_id,
+    await logTykOperation(req, 'create_oauth_client', 'oauth_client', client.client_id, {
+      requestId: requestId,
+      api_id: api_id,
+      policy_id: policy_id,
       policy_name: policy.name,
-      hasExpiration: !!keyData.expires,
-      metaDataKeys: Object.keys(keyData.meta_data)
+      redirect_uris: client.redirect_uris
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'OAuth client registered',
+      data: {
+        ...client,
+        secret,
+        warnings,
+        security_notice: 'This client secret will only be displayed once. Save it securely.'
+      },
+      timestamp: new Date().toISOString()
     });
 
-    const response = await tykGatewayService.createKey(keyData, orgId);
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to register OAuth client:`, error.message);
 
-    console.log(`✅ [${requestId}] Policy-based key created successfully:`, {
-      keyHash: response.key_hash || response.key?.substring(0, 8) + '...' || 'unknown',
-      action: response.action,
-      status: response.status,
-      policy: policy.name
+    await logTykOperation(req, 'create_oauth_client', 'oauth_client', null, {
+      requestId: requestId,
+      api_id: api_id,
+      policy_id: policy_id
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to register OAuth client',
+      error: error.message
     });
+  }
+});
 
-    // Store reference in database with policy information
-    try {
-      await UserCredentials.create({
-        user_id: req.user.id,
-        organization_id: req.user.organization_id,
-        credential_type: 'api_key',
-        name: name.trim(),
-        description: description?.trim() || null,
-        tyk_key_id: response.key,
-        tyk_key_hash: response.key_hash,
-        tyk_policy_id: policy.tyk_policy_id,
-        policy_id: policy_id
-      });
+router.delete('/oauth/clients/:apiId/:clientId', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { apiId, clientId } = req.params;
 
-      console.log(`💾 [${requestId}] Database record created for policy-based key`);
-    } catch (dbError) {
-      console.warn(`⚠️  [${requestId}] Database storage failed (non-critical):`, dbError.message);
-    }
+  try {
+    console.log(`🗑️ [${requestId}] Revoking OAuth client ${clientId} of API ${apiId} for user: ${req.user.email}`);
 
-    // Create audit log
-    await logTykOperation(req, 'create_key', 'api_key', response.key_hash || response.key, {
+    const { orgId } = await getTykOrgContext(req);
+    const result = await oauthClientService.revokeClient(apiId, clientId, orgId);
+
+    await logTykOperation(req, 'delete_oauth_client', 'oauth_client', clientId, {
       requestId: requestId,
-      key_name: name,
-      policy_id: policy_id,
-      policy_name: policy.name,
-      has_expiration: !!expires
+      api_id: apiId,
+      tokens_revoked: result.tokens_revoked
     });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'API key created successfully',
-      data: {
-        key: response.key,
-        key_hash: response.key_hash || response.key,
-        action: response.action,
-        name: name,
-        description: description || '',
-        alias: keyData.alias,
-        policy: {
-          id: policy_id,
-          name: policy.name,
-          tyk_policy_id: policy.tyk_policy_id
-        },
-        meta_data: keyData.meta_data,
-        security_notice: 'This key will only be displayed once. Save it securely.'
-      }
+      message: result.tokens_revoked
+        ? 'OAuth client and its tokens revoked'
+        : 'OAuth client revoked; its tokens could not be revoked and stay valid until they expire',
+      data: result,
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`❌ [${requestId}] Policy-based key creation failed:`, {
-      error: error.message,
-      stack: error.stack,
-      userId: req.user.id
-    });
+    console.error(`💥 [${requestId}] Failed to revoke OAuth client ${clientId}:`, error.message);
 
-    // Create audit log for failure
-    await logTykOperation(req, 'create_key', 'api_key', null, {
+    await logTykOperation(req, 'delete_oauth_client', 'oauth_client', clientId, {
       requestId: requestId,
-      error: error.message,
-      attempted_key_name: name,
-      policy_id: policy_id
+      api_id: apiId
     }, error);
 
-    res.status(500).json({
-      error: 'Key creation failed',
-      message: error.message
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to revoke OAuth client ${clientId}`,
+      error: error.message
     });
   }
 });
 
-router.get('/keys/:keyId', async (req, res) => {
+router.get('/oauth/clients/:apiId/:clientId/tokens', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
-  const { keyId } = req.params;
-  const { hashed = 'true' } = req.query;
-  
+  const { apiId, clientId } = req.params;
+
   try {
-    console.log(`🔑 [${requestId}] Fetching key ${keyId} for user: ${req.user.email}`);
-    
+    console.log(`🎟️ [${requestId}] Fetching tokens of OAuth client ${clientId} for user: ${req.user.email}`);
+
     const { orgId } = await getTykOrgContext(req);
-    const key = await tykGatewayService.getKey(keyId, hashed === 'true', orgId);
-    
-    await logTykOperation(req, 'get_key', 'key', keyId, {
+    const tokens = await oauthClientService.listTokens(apiId, clientId, orgId);
+
+    await logTykOperation(req, 'list_oauth_tokens', 'oauth_client', clientId, {
       requestId: requestId,
-      hashed: hashed === 'true'
+      api_id: apiId,
+      tokenCount: tokens.length
     });
 
     res.json({
       success: true,
-      data: key,
+      data: tokens,
+      count: tokens.length,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`💥 [${requestId}] Failed to fetch key ${keyId}:`, error);
-    
-    await logTykOperation(req, 'get_key', 'key', keyId, {
-      requestId: requestId
+    console.error(`💥 [${requestId}] Failed to fetch tokens of OAuth client ${clientId}:`, error.message);
+
+    await logTykOperation(req, 'list_oauth_tokens', 'oauth_client', clientId, {
+      requestId: requestId,
+      api_id: apiId
     }, error);
 
     res.status(error.status || 500).json({
       success: false,
-      message: `Failed to fetch key ${keyId}`,
+      message: `Failed to fetch tokens of OAuth client ${clientId}`,
       error: error.message
     });
   }
 });
 
-router.put('/keys/:keyId', async (req, res) => {
+router.delete('/oauth/clients/:apiId/:clientId/tokens', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
-  const { keyId } = req.params;
-  const { hashed = 'true' } = req.query;
-  
+  const { apiId, clientId } = req.params;
+
   try {
-    console.log(`✏️ [${requestId}] Updating key ${keyId} for user: ${req.user.email}`);
-    
+    console.log(`🎟️ [${requestId}] Revoking all tokens of OAuth client ${clientId} for user: ${req.user.email}`);
+
     const { orgId } = await getTykOrgContext(req);
-    const updatedKey = await tykGatewayService.updateKey(keyId, req.body, hashed === 'true', orgId);
-    
-    await logTykOperation(req, 'update_key', 'key', keyId, {
+    await oauthClientService.revokeAllTokens(apiId, clientId, orgId);
+
+    await logTykOperation(req, 'revoke_oauth_tokens', 'oauth_client', clientId, {
       requestId: requestId,
-      hashed: hashed === 'true'
+      api_id: apiId
     });
 
     res.json({
       success: true,
-      data: updatedKey,
-      message: 'Key updated successfully',
+      message: 'All tokens revoked',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`💥 [${requestId}] Failed to update key ${keyId}:`, error);
-    
-    await logTykOperation(req, 'update_key', 'key', keyId, {
-      requestId: requestId
+    console.error(`💥 [${requestId}] Failed to revoke tokens of OAuth client ${clientId}:`, error.message);
+
+    await logTykOperation(req, 'revoke_oauth_tokens', 'oauth_client', clientId, {
+      requestId: requestId,
+      api_id: apiId
     }, error);
 
     res.status(error.status || 500).json({
       success: false,
-      message: `Failed to update key ${keyId}`,
+      message: `Failed to revoke tokens of OAuth client ${clientId}`,
       error: error.message
     });
   }
 });
 
-router.delete('/keys/:keyId', async (req, res) => {
+router.delete('/oauth/clients/:apiId/:clientId/tokens/:tokenId', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
-  const { keyId } = req.params;
-  const { hashed = 'true' } = req.query;
-  
+  const { apiId, clientId, tokenId } = req.params;
+
   try {
-    console.log(`🗑️ [${requestId}] Deleting key ${keyId} for user: ${req.user.email}`);
-    
+    console.log(`🎟️ [${requestId}] Revoking token ${tokenId} of OAuth client ${clientId} for user: ${req.user.email}`);
+
     const { orgId } = await getTykOrgContext(req);
-    const result = await tykGatewayService.deleteKey(keyId, hashed === 'true', orgId);
-    
-    await logTykOperation(req, 'delete_key', 'key', keyId, {
+    await oauthClientService.revokeToken(apiId, clientId, tokenId, orgId);
+
+    await logTykOperation(req, 'revoke_oauth_token', 'oauth_client', clientId, {
       requestId: requestId,
-      hashed: hashed === 'true'
+      api_id: apiId,
+      token_id: tokenId
     });
 
     res.json({
       success: true,
-      data: result,
-      message: 'Key deleted successfully',
+      message: 'Token revoked',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`💥 [${requestId}] Failed to delete key ${keyId}:`, error);
-    
-    await logTykOperation(req, 'delete_key', 'key', keyId, {
-      requestId: requestId
+    console.error(`💥 [${requestId}] Failed to revoke token ${tokenId} of OAuth client ${clientId}:`, error.message);
+
+    await logTykOperation(req, 'revoke_oauth_token', 'oauth_client', clientId, {
+      requestId: requestId,
+      api_id: apiId,
+      token_id: tokenId
     }, error);
 
     res.status(error.status || 500).json({
       success: false,
-      message: `Failed to delete key ${keyId}`,
+      message: `Failed to revoke token ${tokenId}`,
       error: error.message
     });
   }
@@ -827,7 +4695,7 @@ router.get('/certificates', async (req, res) => {
       requestId: requestId
     }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to fetch certificates',
       error: error.message
@@ -853,16 +4721,27 @@ router.post('/certificates', async (req, res) => {
 
     const { orgId } = await getTykOrgContext(req);
     const result = await tykGatewayService.uploadCertificate(certificate, orgId);
+
+    // Confirm every node in the cluster can see the new certificate
+    let consistency = null;
+    if (result?.id) {
+      consistency = await tykGatewayService.checkCertificateConsistency(result.id, orgId);
+      if (!consistency.consistent) {
+        console.warn(`⚠️ [${requestId}] Certificate ${result.id} is not yet consistent across gateway nodes`);
+      }
+    }
     
     await logTykOperation(req, 'upload_certificate', 'certificate', result.id, {
       requestId: requestId,
       name: name,
-      description: description
+      description: description,
+      consistent: consistency?.consistent
     });
 
     res.json({
       success: true,
       data: result,
+      consistency: consistency,
       message: 'Certificate uploaded successfully',
       timestamp: new Date().toISOString()
     });
@@ -918,6 +4797,43 @@ router.get('/certificates/:certId', async (req, res) => {
   }
 });
 
+// Verify a certificate is present on every gateway node
+router.get('/certificates/:certId/consistency', async (req, res) => {
+  const requestId = Math.random().toString(36).substring(7);
+  const { certId } = req.params;
+  
+  try {
+    console.log(`🛰️ [${requestId}] Checking certificate ${certId} consistency across nodes for user: ${req.user.email}`);
+    
+    const { orgId } = await getTykOrgContext(req);
+    const report = await tykGatewayService.checkCertificateConsistency(certId, orgId);
+    
+    await logTykOperation(req, 'check_certificate_consistency', 'certificate', certId, {
+      requestId: requestId,
+      consistent: report.consistent
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`💥 [${requestId}] Failed to check certificate ${certId} consistency:`, error);
+    
+    await logTykOperation(req, 'check_certificate_consistency', 'certificate', certId, {
+      requestId: requestId
+    }, error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: `Failed to check certificate ${certId} consistency`,
+      error: error.message
+    });
+  }
+});
+
 // Delete certificate
 router.delete('/certificates/:certId', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
@@ -1007,7 +4923,7 @@ router.post('/certificates/generate', async (req, res) => {
       requestId: requestId
     }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to generate certificate',
       error: error.message
@@ -1022,24 +4938,34 @@ router.post('/gateway/reload', async (req, res) => {
   try {
     console.log(`🔄 [${requestId}] Reloading Tyk Gateway for user: ${req.user.email}`);
     
-    const result = await tykGatewayService.reloadGateway();
+    const results = await tykGatewayService.reloadGateway();
+    const failedNodes = results.filter(result => !result.success);
+    const reloadStatus = failedNodes.length === 0 ? 'success' : 
+                         failedNodes.length === results.length ? 'failed' : 'partial';
     
-    await logTykOperation(req, 'gateway_reload', 'gateway', 'main', {
+    await logTykOperation(req, 'gateway_reload', 'gateway', 'cluster', {
       requestId: requestId,
-      reloadStatus: 'success'
+      reloadStatus: reloadStatus,
+      nodeCount: results.length,
+      failedNodes: failedNodes.map(result => result.node.id)
     });
 
-    res.json({
-      success: true,
-      data: result,
-      message: 'Gateway reloaded successfully',
+    // 207 when only some nodes reloaded, 502 when none did
+    const statusCode = reloadStatus === 'success' ? 200 : reloadStatus === 'partial' ? 207 : 502;
+
+    res.status(statusCode).json({
+      success: reloadStatus === 'success',
+      data: results,
+      message: reloadStatus === 'success'
+        ? `Gateway reloaded successfully on ${results.length} node(s)`
+        : `Gateway reload failed on ${failedNodes.length} of ${results.length} node(s)`,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error(`💥 [${requestId}] Failed to reload gateway:`, error);
     
-    await logTykOperation(req, 'gateway_reload', 'gateway', 'main', {
+    await logTykOperation(req, 'gateway_reload', 'gateway', 'cluster', {
       requestId: requestId,
       reloadStatus: 'failed'
     }, error);
@@ -1114,7 +5040,7 @@ router.get('/gateway/statistics', async (req, res) => {
       requestId: requestId
     }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to fetch gateway statistics',
       error: error.message
@@ -1174,7 +5100,7 @@ router.get('/analytics', async (req, res) => {
       requestId: requestId
     }, error);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to fetch analytics',
       error: error.message
@@ -0,0 +1,58 @@
+const { sequelize } = require('../config/database');
+
+// Columns added to api_definitions after the initial schema
+const API_DEFINITION_COLUMNS = [
+  ['openapi_spec', 'JSON'],
+  ['definition_format', "TEXT NOT NULL DEFAULT 'classic'"],
+  ['oas_definition', 'JSON']
+];
+
+// Deployment statuses added after the initial schema. SQLite stores ENUMs as
+// text, but Postgres needs each value added to the column's enum type.
+const DEPLOYMENT_STATUS_VALUES = ['draft', 'staged'];
+
+async function runMigration() {
+  try {
+    console.log('🔄 Starting API definition migration...');
+
+    for (const [column, type] of API_DEFINITION_COLUMNS) {
+      try {
+        await sequelize.query(`ALTER TABLE api_definitions ADD COLUMN ${column} ${type}`);
+        console.log(`✅ Added ${column} column to api_definitions`);
+      } catch (error) {
+        if (!error.message.includes('duplicate column name')) {
+          throw error;
+        }
+        console.log(`⚠️  ${column} column already exists`);
+      }
+    }
+
+    if (sequelize.getDialect() === 'postgres') {
+      for (const value of DEPLOYMENT_STATUS_VALUES) {
+        await sequelize.query(`ALTER TYPE "enum_api_definitions_deployment_status" ADD VALUE IF NOT EXISTS '${value}'`);
+        console.log(`✅ Added ${value} to deployment_status values`);
+      }
+    }
+
+    console.log('🎉 API definition migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  runMigration()
+    .then(() => {
+      console.log('Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
@@ -0,0 +1,53 @@
+const { sequelize } = require('../config/database');
+
+// Columns added to the policy tables after the initial schema
+const POLICY_TABLE_COLUMNS = {
+  policies: [
+    ['partitions', 'JSON']
+  ],
+  policy_api_access: [
+    ['api_limit', 'JSON'],
+    ['endpoint_limits', "JSON DEFAULT '[]'"]
+  ]
+};
+
+async function runMigration() {
+  try {
+    console.log('🔄 Starting policy column migration...');
+
+    for (const [table, columns] of Object.entries(POLICY_TABLE_COLUMNS)) {
+      for (const [column, type] of columns) {
+        try {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+          console.log(`✅ Added ${column} column to ${table}`);
+        } catch (error) {
+          if (!error.message.includes('duplicate column name')) {
+            throw error;
+          }
+          console.log(`⚠️  ${column} column already exists in ${table}`);
+        }
+      }
+    }
+
+    console.log('🎉 Policy column migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  runMigration()
+    .then(() => {
+      console.log('Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
@@ -0,0 +1,68 @@
+const { sequelize } = require('../config/database');
+
+// Columns added to user_credentials after the initial schema
+const USER_CREDENTIAL_COLUMNS = [
+  ['rotated_from_id', 'UUID'],
+  ['rotated_to_id', 'UUID'],
+  ['rotated_at', 'DATETIME'],
+  ['rotation_grace_ends_at', 'DATETIME'],
+  ['expiry_warnings_sent', 'JSON'],
+  ['basic_auth_username', 'VARCHAR(255)'],
+  ['password_changed_at', 'DATETIME'],
+  ['quota_top_up', 'JSON']
+];
+
+// Credential types added after the initial schema. SQLite stores ENUMs as
+// text, but Postgres needs each value added to the column's enum type.
+const CREDENTIAL_TYPE_VALUES = ['basic_auth'];
+
+async function runMigration() {
+  try {
+    console.log('🔄 Starting user credentials migration...');
+
+    for (const [column, type] of USER_CREDENTIAL_COLUMNS) {
+      try {
+        await sequelize.query(`ALTER TABLE user_credentials ADD COLUMN ${column} ${type}`);
+        console.log(`✅ Added ${column} column to user_credentials`);
+      } catch (error) {
+        if (!error.message.includes('duplicate column name')) {
+          throw error;
+        }
+        console.log(`⚠️  ${column} column already exists`);
+      }
+    }
+
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_user_credentials_rotation_grace ON user_credentials(rotation_grace_ends_at)`);
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_user_credentials_expires_at ON user_credentials(expires_at)`);
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_user_credentials_basic_auth_username ON user_credentials(organization_id, basic_auth_username)`);
+    console.log('✅ Created indexes');
+
+    if (sequelize.getDialect() === 'postgres') {
+      for (const value of CREDENTIAL_TYPE_VALUES) {
+        await sequelize.query(`ALTER TYPE "enum_user_credentials_credential_type" ADD VALUE IF NOT EXISTS '${value}'`);
+        console.log(`✅ Added ${value} to credential_type values`);
+      }
+    }
+
+    console.log('🎉 User credentials migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  runMigration()
+    .then(() => {
+      console.log('Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
@@ -183,6 +183,21 @@ async function startServer() {
         } else {
           appLogger.warn('⚠️  Tyk Gateway health check failed:', healthCheck.message);
         }
+        
+        // Deactivate rotated-out keys once their grace period ends
+        const keyRotationService = require('./services/KeyRotationService');
+        keyRotationService.start();
+        appLogger.info('✅ Key rotation grace period check started');
+
+        // Warn owners of expiring keys and clean up keys that stay expired
+        const keyExpiryService = require('./services/KeyExpiryService');
+        keyExpiryService.start();
+        appLogger.info('✅ Key expiry check started');
+
+        // Put the original quota back on keys whose top-up period has renewed
+        const keyQuotaService = require('./services/KeyQuotaService');
+        keyQuotaService.start();
+        appLogger.info('✅ Key quota top-up check started');
       } else {
         appLogger.warn('⚠️  Tyk Gateway service not configured - API management will not work');
       }
@@ -0,0 +1,377 @@
+const tykGatewayService = require('./TykGatewayService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { HTTP_METHODS } = require('../utils/policyAccessRules');
+const { combinePolicies } = require('../utils/policyPartitions');
+const networkRestrictions = require('../utils/networkRestrictions');
+
+const POLICY_FETCH_CONCURRENCY = 5;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Endpoint limit paths may hold {param} templates; everything else is literal
+const endpointPattern = (path) => new RegExp(
+  `^${path.split(/\{[^}]+\}/).map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')).join('[^/]+')}/?$`
+);
+
+const toRegExp = (url) => {
+  try {
+    return new RegExp(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Service class for answering "what can this key do?" without sending traffic.
+ * A key session (or a new key built from a set of policies) is combined with
+ * its policies the way the gateway does, and a request is walked through the
+ * gateway's checks in order: API lookup, key state, network restrictions,
+ * policies, access rights, version, allowed paths, rate limit and quota.
+ * Every check reports pass, fail, skip or info with an explanation; the first
+ * failure decides the response the gateway would send.
+ */
+class AccessSimulationService {
+  /**
+   * Validates the request to simulate.
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path as sent to the gateway, including the listen path
+   * @param {string} [request.api_id] - API to use instead of matching the listen path
+   * @param {string} [request.version] - API version the client asks for
+   * @param {string} [request.client_ip] - Address the gateway would see for the client
+   * @param {string} [request.origin] - Origin or Referer header the client sends
+   * @returns {Object} Normalized request
+   * @throws {Error} With status 400 for an unknown method or a path without a leading /
+   */
+  parseRequest({ method = 'GET', path, api_id, version, client_ip, origin } = {}) {
+    const normalizedMethod = String(method).trim().toUpperCase();
+    if (!HTTP_METHODS.includes(normalizedMethod)) {
+      throw httpError(400, `method must be one of ${HTTP_METHODS.join(', ')}`);
+    }
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw httpError(400, 'path is required and must start with /');
+    }
+    const trim = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    return {
+      method: normalizedMethod,
+      path: path.split(/[?#]/)[0],
+      api_id: trim(api_id),
+      version: trim(version),
+      client_ip: trim(client_ip),
+      origin: trim(origin)
+    };
+  }
+
+  /**
+   * Simulates a request made with an existing key.
+   *
+   * @param {string} keyHash - Hashed key ID
+   * @param {string} orgId - Tyk organization ID of the caller
+   * @param {Object} request - Result of parseRequest
+   * @returns {Promise<Object>} Simulation result, see evaluate
+   * @throws {Error} With status 404 when the gateway has no such key, 403 for another organization's key
+   */
+  async simulateKey(keyHash, orgId, request) {
+    let session;
+    try {
+      session = await tykGatewayService.getKey(keyHash, true, orgId);
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        throw httpError(404, `Key ${keyHash} not found on the gateway`);
+      }
+      throw error;
+    }
+    if (session.org_id && session.org_id !== orgId) {
+      throw httpError(403, 'Access denied: key does not belong to your organization');
+    }
+
+    const policyIds = session.apply_policies || [];
+    const loaded = await mapWithConcurrency(policyIds, POLICY_FETCH_CONCURRENCY, async (policyId) => {
+      try {
+        const policy = await tykGatewayService.getPolicy(policyId, orgId);
+        return { ...policy, id: policyId, name: policy.name || policyId };
+      } catch (error) {
+        if (error.gatewayStatus === 404) {
+          return null;
+        }
+        throw error;
+      }
+    });
+
+    const apis = await tykGatewayService.getApis(orgId);
+    return this.evaluate({
+      subject: {
+        type: 'key',
+        key_hash: keyHash,
+        alias: session.alias || session.meta_data?.name || null,
+        apply_policies: policyIds
+      },
+      session,
+      policies: loaded.filter(Boolean),
+      missingPolicies: policyIds.filter((policyId, index) => !loaded[index]),
+      apis: Array.isArray(apis) ? apis : [],
+      request
+    });
+  }
+
+  /**
+   * Simulates a request made with a new key that applies `policies`.
+   *
+   * @param {Array<Object>} policies - Policy records available to the caller, in apply order
+   * @param {string} orgId - Tyk organization ID of the caller
+   * @param {Object} request - Result of parseRequest
+   * @returns {Promise<Object>} Simulation result, see evaluate
+   */
+  async simulatePolicies(policies, orgId, request) {
+    const livePolicies = await mapWithConcurrency(policies, POLICY_FETCH_CONCURRENCY, async (policy) => {
+      const livePolicy = await tykGatewayService.getPolicy(policy.tyk_policy_id);
+      return { ...livePolicy, id: policy.tyk_policy_id, name: policy.name };
+    });
+
+    const apis = await tykGatewayService.getApis(orgId);
+    return this.evaluate({
+      subject: {
+        type: 'policies',
+        policies: livePolicies.map(policy => ({ id: policy.id, name: policy.name }))
+      },
+      session: null,
+      policies: livePolicies,
+      missingPolicies: [],
+      apis: Array.isArray(apis) ? apis : [],
+      request
+    });
+  }
+
+  /**
+   * Finds the API a request path is routed to: the active API with the
+   * longest listen path that prefixes it.
+   *
+   * @param {Array<Object>} apis - Classic API definitions of the organization
+   * @param {Object} request - Result of parseRequest
+   * @returns {Object|null} API definition
+   */
+  resolveApi(apis, request) {
+    if (request.api_id) {
+      return apis.find(api => api.api_id === request.api_id) || null;
+    }
+    const candidates = apis
+      .filter(api => api.proxy?.listen_path)
+      .filter(api => {
+        const listenPath = api.proxy.listen_path.replace(/\/$/, '');
+        return !listenPath || request.path === listenPath || request.path.startsWith(`${listenPath}/`);
+      })
+      .sort((a, b) => b.proxy.listen_path.length - a.proxy.listen_path.length);
+    return candidates.find(api => api.active !== false) || candidates[0] || null;
+  }
+
+  /**
+   * Walks a request through the gateway's checks.
+   *
+   * @param {Object} params
+   * @param {Object} params.subject - What is simulated, returned as is
+   * @param {Object|null} params.session - Key session, or null for a new key from `policies`
+   * @param {Array<Object>} params.policies - Gateway policies the key applies that exist
+   * @param {Array<string>} params.missingPolicies - Applied policy IDs the gateway does not have
+   * @param {Array<Object>} params.apis - Classic API definitions of the organization
+   * @param {Object} params.request - Result of parseRequest
+   * @param {Date} [params.now] - Time to evaluate expiry and quota renewal at
+   * @returns {Object} { subject, request, api, decision: { allowed, status, reason }, checks, effective, warnings }
+   */
+  evaluate({ subject, session, policies, missingPolicies, apis, request, now = new Date() }) {
+    const checks = [];
+    let decision = null;
+    const check = (name, outcome, message, status = 403) => {
+      checks.push({ check: name, outcome, message });
+      if (outcome === 'fail' && !decision) {
+        decision = { allowed: false, status, reason: message };
+      }
+    };
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+
+    const combination = combinePolicies(policies, session);
+    const partValue = (part) => combination.parts.find(entry => entry.part === part)?.value || null;
+
+    // Routing
+    const api = this.resolveApi(apis, request);
+    const listenPath = (api?.proxy?.listen_path || '').replace(/\/$/, '');
+    const innerPath = api && request.path.startsWith(listenPath) ? (request.path.slice(listenPath.length) || '/') : request.path;
+    if (!api) {
+      check('api', 'fail', request.api_id
+        ? `API ${request.api_id} does not exist in your organization`
+        : `No API listens on ${request.path}`, 404);
+    } else if (api.active === false) {
+      check('api', 'fail', `${api.name} is inactive, so the gateway does not serve it`, 404);
+    } else {
+      check('api', 'pass', `Routed to ${api.name} (listen path ${api.proxy.listen_path})`);
+    }
+
+    const keyless = !!api?.use_keyless;
+    if (keyless) {
+      check('authentication', 'info', `${api.name} is keyless: the gateway does not check keys, so the rest of the checks do not apply`);
+    }
+
+    // Key state
+    if (keyless) {
+      check('key', 'skip', 'Keys are not checked on open APIs');
+    } else if (!session) {
+      check('key', 'skip', 'A new key created from these policies is active and has no expiry unless one is set');
+    } else if (session.is_inactive) {
+      check('key', 'fail', 'The key is inactive');
+    } else if (session.expires > 0 && session.expires <= nowSeconds) {
+      check('key', 'fail', `The key expired on ${new Date(session.expires * 1000).toISOString()}`, 401);
+    } else {
+      check('key', 'pass', session.expires > 0
+        ? `The key is active until ${new Date(session.expires * 1000).toISOString()}`
+        : 'The key is active and does not expire');
+    }
+
+    // Post-key-auth middleware
+    const restrictions = session?.meta_data?.network_restrictions || null;
+    if (keyless) {
+      check('network', 'skip', 'Network restrictions are not checked on open APIs');
+    } else if (!restrictions) {
+      check('network', 'skip', 'The key has no network restrictions');
+    } else if (api && !networkRestrictions.isEnforcedByApi(api)) {
+      check('network', 'info', `${api.name} does not run the ${networkRestrictions.MIDDLEWARE_NAME} middleware, so the key's network restrictions are not enforced`);
+    } else {
+      const rejection = networkRestrictions.checkRequest(restrictions, { clientIp: request.client_ip, origin: request.origin });
+      if (rejection) {
+        check('network', 'fail', `${rejection}${request.client_ip || request.origin ? '' : ' (give a client IP and origin to check them)'}`);
+      } else {
+        check('network', 'pass', 'The client address and origin pass the key\'s network restrictions');
+      }
+    }
+
+    // Policies
+    if (keyless) {
+      check('policies', 'skip', 'Policies are not applied on open APIs');
+    } else if (missingPolicies.length > 0) {
+      check('policies', 'fail', `Applied ${missingPolicies.length === 1 ? 'policy' : 'policies'} ${missingPolicies.join(', ')} not found on the gateway, so the gateway rejects the key`);
+    } else if (combination.errors.length > 0) {
+      check('policies', 'fail', combination.errors.join('; '));
+    } else if (policies.length === 0) {
+      check('policies', 'info', 'The key applies no policies; its own access rights and limits are used');
+    } else {
+      check('policies', 'pass', `Applies ${policies.map(policy => `"${policy.name}"`).join(', ')}`);
+    }
+
+    // Access rights
+    const access = api ? combination.apis.find(entry => entry.api_id === api.api_id) : null;
+    if (keyless || !api) {
+      check('access', 'skip', keyless ? 'Access rights are not checked on open APIs' : 'No API to check access to');
+    } else if (!access) {
+      check('access', 'fail', `The key has no access to ${api.name}`);
+    } else {
+      check('access', 'pass', `Access to ${api.name} granted by ${access.policies.map(policy => policy.name).join(', ')}`);
+    }
+
+    // Version
+    const versionData = api?.version_data || {};
+    const versions = Object.keys(versionData.versions || {});
+    const version = request.version || versionData.default_version || versions[0] || 'Default';
+    if (keyless || !access) {
+      check('version', 'skip', 'No access rights to check the version against');
+    } else if (versionData.not_versioned) {
+      check('version', 'pass', `${api.name} is not versioned`);
+    } else if (versions.length > 0 && !versions.includes(version)) {
+      check('version', 'fail', `${api.name} has no version "${version}"; it has ${versions.join(', ')}`);
+    } else if (access.versions.length > 0 && !access.versions.includes(version)) {
+      check('version', 'fail', `Version "${version}" is not allowed; the key may use ${access.versions.join(', ')}`);
+    } else {
+      check('version', 'pass', `Version "${version}" is allowed`);
+    }
+
+    // Allowed paths and methods
+    if (keyless || !access) {
+      check('path', 'skip', 'No access rights to check the path against');
+    } else if (access.allowed_urls.length === 0) {
+      check('path', 'pass', `Every path of ${api.name} is allowed`);
+    } else {
+      const matching = access.allowed_urls.filter(rule =>
+        [request.path, innerPath].some(path => toRegExp(rule.url)?.test(path))
+      );
+      const allowed = matching.find(rule => (rule.methods || []).includes(request.method));
+      if (allowed) {
+        check('path', 'pass', `${request.method} ${innerPath} is allowed by "${allowed.url}"`);
+      } else if (matching.length > 0) {
+        const methods = [...new Set(matching.flatMap(rule => rule.methods || []))];
+        check('path', 'fail', `${innerPath} only allows ${methods.join(', ')}, not ${request.method}`);
+      } else {
+        check('path', 'fail', `${innerPath} matches none of the allowed paths: ${access.allowed_urls.map(rule => rule.url).join(', ')}`);
+      }
+    }
+
+    // Rate limit: per-API, then endpoint, then key-wide
+    const rate = access?.limit || partValue('rate_limit');
+    const endpointLimit = access
+      ? access.endpoints
+        .filter(entry => endpointPattern(entry.path).test(innerPath))
+        .flatMap(entry => (entry.methods || [])
+          .filter(method => method.name === request.method)
+          .map(method => ({ path: entry.path, method: method.name, ...method.limit })))[0] || null
+      : null;
+    if (keyless || !access) {
+      check('rate_limit', 'skip', 'No rate limit applies');
+    } else {
+      const limits = [];
+      if (rate?.rate > 0 && rate?.per > 0) {
+        limits.push(`${rate.rate} requests per ${rate.per}s${access.limit ? ` for ${api.name}` : ''}`);
+      }
+      if (endpointLimit) {
+        limits.push(`${endpointLimit.rate} requests per ${endpointLimit.per}s for ${endpointLimit.method} ${endpointLimit.path}`);
+      }
+      check('rate_limit', 'info', limits.length > 0
+        ? `Up to ${limits.join(' and ')}; whether the current window has room only shows in live traffic`
+        : 'No rate limit applies');
+    }
+
+    // Quota
+    const quotaLimit = access?.limit?.quota_max !== undefined ? access.limit : partValue('quota');
+    const quotaMax = quotaLimit?.quota_max ?? -1;
+    const apiSession = api && session?.access_rights?.[api.api_id]?.limit;
+    const quotaSession = access?.limit && apiSession ? apiSession : session;
+    const renews = quotaSession?.quota_renews || 0;
+    const renewsNow = !session || (renews > 0 && renews <= nowSeconds);
+    const quotaRemaining = quotaMax > 0
+      ? (renewsNow ? quotaMax : Math.max(quotaSession?.quota_remaining ?? quotaMax, 0))
+      : null;
+    if (keyless || !access) {
+      check('quota', 'skip', 'No quota applies');
+    } else if (quotaMax <= 0) {
+      check('quota', 'pass', 'The quota is unlimited');
+    } else if (quotaRemaining <= 0) {
+      check('quota', 'fail', `The quota of ${quotaMax} requests is used up until ${new Date(renews * 1000).toISOString()}`);
+    } else {
+      check('quota', 'pass', `${quotaRemaining} of ${quotaMax} requests left${renewsNow && session ? ' (the quota renews on the next request)' : ''}`);
+    }
+
+    return {
+      subject,
+      request: { ...request, version },
+      api: api ? { api_id: api.api_id, name: api.name, listen_path: api.proxy?.listen_path || null, path: innerPath } : null,
+      decision: decision || {
+        allowed: true,
+        status: 200,
+        reason: keyless ? `${api.name} is keyless, so requests need no key` : 'Every check passes; the gateway would proxy the request'
+      },
+      checks,
+      effective: {
+        policies: combination.policies,
+        parts: combination.parts,
+        apis: combination.apis,
+        rate_limit: rate?.rate > 0 ? { rate: rate.rate, per: rate.per } : null,
+        endpoint_limit: endpointLimit,
+        quota: { quota_max: quotaMax, quota_remaining: quotaRemaining, quota_renews: renews || null }
+      },
+      warnings: combination.warnings
+    };
+  }
+}
+
+module.exports = new AccessSimulationService();
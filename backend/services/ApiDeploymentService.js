@@ -0,0 +1,196 @@
+const tykGatewayService = require('./TykGatewayService');
+const tykOasService = require('./TykOasService');
+
+// A deploy still 'updating' after this long was interrupted (e.g. the process
+// stopped mid-deploy) and may be retried
+const DEPLOYMENT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Service class for moving stored API definitions through their lifecycle:
+ * draft (edited in the database only) → staged (validated) → deployed
+ * (loaded on Tyk Gateway). Failed deploys keep the record so they can be retried.
+ */
+class ApiDeploymentService {
+  /**
+   * Checks whether the gateway currently has an API loaded under this ID.
+   *
+   * @param {string} apiId - API ID in Tyk Gateway
+   * @returns {Promise<boolean>} True when loaded
+   */
+  async existsOnGateway(apiId) {
+    try {
+      await tykGatewayService.getApi(apiId);
+      return true;
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether a deploy of the record is in progress. A record left
+   * 'updating' for longer than DEPLOYMENT_TIMEOUT_MS counts as interrupted.
+   *
+   * @param {Object} record - ApiDefinition record
+   * @returns {boolean} True while another deploy may still be running
+   */
+  isDeploying(record) {
+    if (record.deployment_status !== 'updating') {
+      return false;
+    }
+    const updatedAt = record.updated_at ? new Date(record.updated_at).getTime() : 0;
+    return Date.now() - updatedAt < DEPLOYMENT_TIMEOUT_MS;
+  }
+
+  /**
+   * Validates a record's definition in its selected format before it is deployed.
+   * Listen paths are checked against every API loaded on the gateway, since
+   * they must be unique across organizations.
+   *
+   * @param {Object} record - ApiDefinition record
+   * @returns {Promise<Object>} { valid, errors, warnings }
+   */
+  async validate(record) {
+    const errors = [];
+    const warnings = [];
+    let listenPath;
+
+    if (record.definition_format === 'oas') {
+      if (!record.oas_definition) {
+        errors.push('No Tyk OAS definition is stored for this API');
+      } else {
+        try {
+          tykOasService.validateOasDefinition(record.oas_definition);
+        } catch (error) {
+          errors.push(...(error.details || [error.message]));
+        }
+        listenPath = tykOasService.summarize(record.oas_definition).listen_path;
+      }
+    } else {
+      const definition = record.api_definition || {};
+      listenPath = definition.proxy?.listen_path;
+
+      if (!definition.name) {
+        errors.push('name is required');
+      }
+      if (!listenPath) {
+        errors.push('proxy.listen_path is required');
+      } else if (!listenPath.startsWith('/')) {
+        errors.push('proxy.listen_path must start with /');
+      }
+      if (!definition.proxy?.target_url) {
+        errors.push('proxy.target_url is required');
+      } else if (!/^https?:\/\/[^\s/]+/.test(definition.proxy.target_url)) {
+        errors.push('proxy.target_url must be an http or https URL');
+      }
+      if (Object.keys(definition.version_data?.versions || {}).length === 0) {
+        errors.push('version_data.versions must define at least one version');
+      }
+      if (definition.use_keyless) {
+        warnings.push('API is keyless; anyone can call it once deployed');
+      }
+    }
+
+    if (listenPath) {
+      const gatewayApis = await tykGatewayService.getApis();
+      const conflict = (Array.isArray(gatewayApis) ? gatewayApis : []).find(api =>
+        api.api_id !== record.api_id && api.proxy?.listen_path === listenPath
+      );
+      if (conflict) {
+        errors.push(`Listen path ${listenPath} is already used by another API on the gateway`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Pushes a record's definition in its selected format to the gateway and hot-reloads.
+   * The record is marked deployed once every node has reloaded, or failed with the
+   * gateway error (per-node results in `error.nodeResults`) before rethrowing.
+   *
+   * @param {Object} record - ApiDefinition record
+   */
+  async push(record) {
+    try {
+      const existsOnGateway = await this.existsOnGateway(record.api_id);
+      if (record.definition_format === 'oas') {
+        if (existsOnGateway) {
+          await tykGatewayService.updateOasApi(record.api_id, record.oas_definition);
+        } else {
+          await tykGatewayService.createOasApi(record.oas_definition);
+        }
+      } else if (existsOnGateway) {
+        await tykGatewayService.updateApi(record.api_id, record.api_definition);
+      } else {
+        await tykGatewayService.createApi(record.api_definition);
+      }
+      await tykGatewayService.hotReloadOrThrow({ everyNode: true });
+      await record.markAsDeployed();
+    } catch (error) {
+      await record.markAsDeploymentFailed(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validates and deploys a record. Used for first deploys, redeploys of
+   * edited drafts and retries after a failure.
+   *
+   * @param {Object} record - ApiDefinition record
+   * @returns {Promise<Object>} Validation result (warnings are still reported on success)
+   * @throws {Error} With status 422 and `details` when validation fails
+   */
+  async deploy(record) {
+    const validation = await this.validate(record);
+    if (!validation.valid) {
+      const error = new Error(`API definition is not valid: ${validation.errors.join('; ')}`);
+      error.status = 422;
+      error.details = validation.errors;
+      throw error;
+    }
+
+    await record.update({ deployment_status: 'updating' });
+    await this.push(record);
+
+    return validation;
+  }
+
+  /**
+   * Removes a record's API from the gateway and hot-reloads, keeping the record
+   * as staged so it can be deployed again. The record keeps its status until every
+   * node has reloaded, so an undeploy whose reload failed can be retried.
+   *
+   * @param {Object} record - ApiDefinition record
+   * @returns {Promise<boolean>} Whether the API was loaded on the gateway
+   */
+  async undeploy(record) {
+    let loaded = null;
+    try {
+      loaded = await tykGatewayService.getApi(record.api_id);
+    } catch (error) {
+      if (error.gatewayStatus !== 404) {
+        throw error;
+      }
+    }
+
+    // Delete in the form that is loaded, which may differ from the record's selected format
+    if (loaded) {
+      if (loaded.is_oas) {
+        await tykGatewayService.deleteOasApi(record.api_id);
+      } else {
+        await tykGatewayService.deleteApi(record.api_id);
+      }
+    }
+    if (loaded || record.is_deployed) {
+      await tykGatewayService.hotReloadOrThrow({ everyNode: true });
+    }
+
+    await record.markAsUndeployed();
+    return !!loaded;
+  }
+}
+
+module.exports = new ApiDeploymentService();
@@ -0,0 +1,136 @@
+const { ApiDefinitionRevision } = require('../models');
+const { diffJson } = require('../utils/jsonDiff');
+
+/**
+ * Service class for API definition revision history.
+ * Every change TykBasic pushes to an API is stored as an immutable, numbered
+ * revision so any two can be compared and an earlier one redeployed.
+ */
+class ApiRevisionService {
+  /**
+   * Stores a new revision of an API definition.
+   * When the API has no history yet and `baseline` is given, the definition
+   * it replaces is stored first as revision 1 so the change can be undone.
+   *
+   * @param {Object} params - Revision details
+   * @param {string} params.apiId - API ID in Tyk Gateway
+   * @param {string} params.organizationId - Owning organization (database ID)
+   * @param {string} params.definitionFormat - 'classic' or 'oas'
+   * @param {Object} params.definition - Definition as deployed
+   * @param {string} params.action - Change that produced the revision
+   * @param {Object} [params.user] - Author
+   * @param {string} [params.comment] - Author's comment
+   * @param {number} [params.sourceRevisionNumber] - Revision restored by a rollback
+   * @param {Object} [params.baseline] - { definitionFormat, definition } being replaced
+   * @returns {Promise<Object>} Created revision
+   */
+  async recordRevision({ apiId, organizationId, definitionFormat, definition, action, user = null, comment = null, sourceRevisionNumber = null, baseline = null }) {
+    let latest = await this.getLatestRevisionNumber(apiId);
+
+    if (latest === 0 && baseline?.definition) {
+      await ApiDefinitionRevision.create({
+        api_id: apiId,
+        organization_id: organizationId,
+        revision_number: 1,
+        definition_format: baseline.definitionFormat || 'classic',
+        definition: baseline.definition,
+        action: 'baseline',
+        comment: 'Definition before revision tracking started'
+      });
+      latest = 1;
+    }
+
+    return ApiDefinitionRevision.create({
+      api_id: apiId,
+      organization_id: organizationId,
+      revision_number: latest + 1,
+      definition_format: definitionFormat || 'classic',
+      definition,
+      action,
+      comment: comment || null,
+      author_id: user?.id || null,
+      author_email: user?.email || null,
+      source_revision_number: sourceRevisionNumber
+    });
+  }
+
+  async getLatestRevisionNumber(apiId) {
+    const latest = await ApiDefinitionRevision.max('revision_number', {
+      where: { api_id: apiId }
+    });
+    return latest || 0;
+  }
+
+  /**
+   * Lists an API's revisions, newest first, without their definitions.
+   *
+   * @param {string} apiId - API ID in Tyk Gateway
+   * @param {string} organizationId - Caller's organization (database ID)
+   * @returns {Promise<Array<Object>>} Revision summaries
+   * @throws {Error} With status 403 when the API belongs to another organization
+   */
+  async listRevisions(apiId, organizationId) {
+    const revisions = await ApiDefinitionRevision.findByApi(apiId);
+    if (revisions.some(revision => revision.organization_id !== organizationId)) {
+      const error = new Error('Access denied: API does not belong to your organization');
+      error.status = 403;
+      throw error;
+    }
+    return revisions.map(revision => revision.toSummary());
+  }
+
+  /**
+   * Loads one revision, enforcing organization ownership.
+   *
+   * @param {string} apiId - API ID in Tyk Gateway
+   * @param {number|string} revisionNumber - Revision number
+   * @param {string} organizationId - Caller's organization (database ID)
+   * @returns {Promise<Object>} Revision
+   * @throws {Error} With status 400, 403 or 404
+   */
+  async getRevision(apiId, revisionNumber, organizationId) {
+    const number = parseInt(revisionNumber, 10);
+    if (!Number.isInteger(number) || number < 1) {
+      const error = new Error(`Invalid revision number: ${revisionNumber}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const revision = await ApiDefinitionRevision.findRevision(apiId, number);
+    if (!revision) {
+      const error = new Error(`Revision ${number} of API ${apiId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    if (revision.organization_id !== organizationId) {
+      const error = new Error('Access denied: API does not belong to your organization');
+      error.status = 403;
+      throw error;
+    }
+
+    return revision;
+  }
+
+  /**
+   * Compares two revisions of an API.
+   *
+   * @param {string} apiId - API ID in Tyk Gateway
+   * @param {number|string} fromNumber - Older revision
+   * @param {number|string} toNumber - Newer revision
+   * @param {string} organizationId - Caller's organization (database ID)
+   * @returns {Promise<Object>} { from, to, format_changed, changes }
+   */
+  async diffRevisions(apiId, fromNumber, toNumber, organizationId) {
+    const from = await this.getRevision(apiId, fromNumber, organizationId);
+    const to = await this.getRevision(apiId, toNumber, organizationId);
+
+    return {
+      from: from.toSummary(),
+      to: to.toSummary(),
+      format_changed: from.definition_format !== to.definition_format,
+      changes: diffJson(from.definition, to.definition)
+    };
+  }
+}
+
+module.exports = new ApiRevisionService();
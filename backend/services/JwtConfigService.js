@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const db = require('../models');
+const { Policy } = db;
+const policyService = require('./PolicyService');
+
+// Tyk's jwt_signing_method values and the JWT algorithms each one accepts
+const SIGNING_METHODS = {
+  hmac: ['HS256', 'HS384', 'HS512'],
+  rsa: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512'],
+  ecdsa: ['ES256', 'ES384', 'ES512']
+};
+const MIN_SECRET_LENGTH = 32;
+const JWKS_TIMEOUT_MS = 5000;
+
+// JWKS URLs are fetched by this server when a token is tested, so outside
+// development they must be public https hosts, or the test would probe the internal network
+const allowPrivateJwksHosts = () => process.env.NODE_ENV === 'development';
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Loopback, private, shared (CGNAT) and link-local addresses. BlockList checks
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges.
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const privateHostError = (hostname) =>
+  httpError(400, `JWKS URL host ${hostname} is a local or private address; use a public https URL`);
+
+const checkJwksUrl = (value) => {
+  const url = new URL(value);
+  if (allowPrivateJwksHosts()) {
+    return url;
+  }
+  if (url.protocol !== 'https:') {
+    throw httpError(400, 'JWKS URLs must use https');
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    throw privateHostError(hostname);
+  }
+  return url;
+};
+
+// dns.lookup that refuses private addresses. Used for the JWKS connection itself,
+// so a host that resolves differently between the check and the fetch is still refused.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const jwksAgent = new https.Agent({ lookup: publicLookup });
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+/**
+ * Service class for JWT authentication settings on classic API definitions.
+ * Tyk reads `jwt_source` as a base64-encoded secret or public key, or as a JWKS
+ * URL; policies in claims and mappings are gateway policy IDs, which this service
+ * translates to and from TykBasic policies.
+ */
+class JwtConfigService {
+  /**
+   * Decodes an API's jwt_source and works out what it holds.
+   *
+   * @param {Object} definition - Classic API definition
+   * @returns {Object|null} { type: 'secret'|'public_key'|'jwks_url', value }
+   */
+  readSource(definition) {
+    const raw = definition.jwt_source;
+    if (!raw) {
+      return null;
+    }
+    if (isUrl(raw)) {
+      return { type: 'jwks_url', value: raw };
+    }
+
+    const decoded = Buffer.from(raw, 'base64').toString('utf8');
+    if (isUrl(decoded)) {
+      return { type: 'jwks_url', value: decoded };
+    }
+    if (decoded.includes('-----BEGIN')) {
+      return { type: 'public_key', value: decoded };
+    }
+    return { type: 'secret', value: decoded };
+  }
+
+  /**
+   * Validates a new source for a signing method and encodes it for jwt_source.
+   *
+   * @param {string} signingMethod - hmac, rsa or ecdsa
+   * @param {string} source - Shared secret, PEM public key/certificate or JWKS URL
+   * @returns {string} Value for jwt_source
+   * @throws {Error} With status 400 when the source doesn't suit the method
+   */
+  encodeSource(signingMethod, source) {
+    const value = typeof source === 'string' ? source.trim() : '';
+    if (!value) {
+      throw httpError(400, 'A JWT source is required');
+    }
+
+    if (signingMethod === 'hmac') {
+      if (isUrl(value) || value.includes('-----BEGIN')) {
+        throw httpError(400, 'HMAC-signed JWTs need a shared secret, not a public key or JWKS URL');
+      }
+      if (value.length < MIN_SECRET_LENGTH) {
+        throw httpError(400, `The shared secret must be at least ${MIN_SECRET_LENGTH} characters`);
+      }
+      return Buffer.from(value).toString('base64');
+    }
+
+    if (isUrl(value)) {
+      checkJwksUrl(value);
+      return Buffer.from(value).toString('base64');
+    }
+
+    if (/PRIVATE KEY/.test(value)) {
+      throw httpError(400, 'Provide the public key; the private key must stay with the token issuer');
+    }
+
+    let key;
+    try {
+      key = crypto.createPublicKey(value);
+    } catch (error) {
+      throw httpError(400, `Public key could not be parsed: ${error.message}`);
+    }
+    const expectedType = signingMethod === 'rsa' ? ['rsa', 'rsa-pss'] : ['ec'];
+    if (!expectedType.includes(key.asymmetricKeyType)) {
+      throw httpError(400, `A ${key.asymmetricKeyType} key cannot verify ${signingMethod} signatures`);
+    }
+    return Buffer.from(value).toString('base64');
+  }
+
+  /**
+   * Looks up TykBasic policies by gateway policy ID.
+   *
+   * @param {Array<string>} tykPolicyIds - Gateway policy IDs
+   * @param {number} organizationId - Caller's organization record ID
+   * @returns {Promise<Object>} Map of gateway policy ID → { id, name, tyk_policy_id, available }
+   */
+  async describePolicies(tykPolicyIds, organizationId) {
+    const ids = [...new Set(tykPolicyIds.filter(Boolean))];
+    const policies = ids.length > 0
+      ? await Policy.findAll({ where: { tyk_policy_id: ids } })
+      : [];
+
+    const described = {};
+    for (const tykPolicyId of ids) {
+      const policy = policies.find(entry => entry.tyk_policy_id === tykPolicyId);
+      described[tykPolicyId] = {
+        id: policy ? policy.id : null,
+        name: policy ? policy.name : null,
+        tyk_policy_id: tykPolicyId,
+        available: policy ? !!(await policyService.validatePolicyAccess(policy.id, organizationId)) : false
+      };
+    }
+    return described;
+  }
+
+  /**
+   * Returns an API's JWT settings for display. A shared secret is never returned.
+   *
+   * @param {Object} definition - Classic API definition
+   * @param {number} organizationId - Caller's organization record ID
+   * @returns {Promise<Object>} JWT settings
+   */
+  async getSettings(definition, organizationId) {
+    const source = this.readSource(definition);
+    const mapping = definition.jwt_scope_to_policy_mapping || {};
+    const defaultPolicies = definition.jwt_default_policies || [];
+    const policies = await this.describePolicies([...defaultPolicies, ...Object.values(mapping)], organizationId);
+
+    return {
+      enabled: !!definition.enable_jwt,
+      signing_method: definition.jwt_signing_method || null,
+      source_type: source ? source.type : null,
+      source: source && source.type !== 'secret' ? source.value : null,
+      identity_base_field: definition.jwt_identity_base_field || 'sub',
+      policy_field_name: definition.jwt_policy_field_name || 'pol',
+      default_policies: defaultPolicies.map(id => policies[id]),
+      claim_name: definition.jwt_scope_claim_name || null,
+      claim_policy_mapping: Object.entries(mapping).map(([value, tykPolicyId]) => ({
+        value,
+        policy: policies[tykPolicyId]
+      }))
+    };
+  }
+
+  /**
+   * Resolves TykBasic policy IDs the caller can use into gateway policy IDs.
+   *
+   * @throws {Error} With status 403 for a policy not available to the organization
+   */
+  async resolvePolicyIds(policyIds, organizationId) {
+    const tykPolicyIds = [];
+    for (const policyId of policyIds) {
+      const policy = await policyService.validatePolicyAccess(policyId, organizationId);
+      if (!policy) {
+        throw httpError(403, `Policy ${policyId} is not available to your organization`);
+      }
+      tykPolicyIds.push(policy.tyk_policy_id);
+    }
+    return tykPolicyIds;
+  }
+
+  /**
+   * Applies JWT settings to a classic API definition. Enabling JWT replaces
+   * standard token and keyless access; disabling it restores token auth when no
+   * other method is left.
+   *
+   * @param {Object} definition - Current classic API definition
+   * @param {Object} settings - Settings from the request (see getSettings); `source`
+   *   may be omitted to keep the current one when the signing method is unchanged
+   * @param {number} organizationId - Caller's organization record ID
+   * @returns {Promise<Object>} Updated definition
+   */
+  async applySettings(definition, settings, organizationId) {
+    const updated = { ...definition };
+
+    if (!settings.enabled) {
+      updated.enable_jwt = false;
+      if (!(updated.use_basic_auth || updated.enable_signature_checking || updated.use_oauth2 || updated.use_mutual_tls_auth)) {
+        updated.use_standard_auth = true;
+      }
+      return updated;
+    }
+
+    const signingMethod = settings.signing_method;
+    if (!SIGNING_METHODS[signingMethod]) {
+      throw httpError(400, `signing_method must be one of: ${Object.keys(SIGNING_METHODS).join(', ')}`);
+    }
+
+    if (settings.source) {
+      updated.jwt_source = this.encodeSource(signingMethod, settings.source);
+    } else if (!definition.jwt_source || definition.jwt_signing_method !== signingMethod) {
+      throw httpError(400, 'A JWT source is required when enabling JWT or changing the signing method');
+    }
+
+    const claimPattern = /^[A-Za-z0-9_.:-]{1,64}$/;
+    const identityField = settings.identity_base_field || 'sub';
+    const policyField = settings.policy_field_name || 'pol';
+    for (const [label, field] of [['identity_base_field', identityField], ['policy_field_name', policyField]]) {
+      if (!claimPattern.test(field)) {
+        throw httpError(400, `${label} must be a claim name (letters, numbers, _ . : -)`);
+      }
+    }
+
+    const mappingEntries = Array.isArray(settings.claim_policy_mapping) ? settings.claim_policy_mapping : [];
+    if (mappingEntries.length > 0 && !(settings.claim_name && claimPattern.test(settings.claim_name))) {
+      throw httpError(400, 'claim_name is required for a claim-to-policy mapping');
+    }
+
+    const mapping = {};
+    for (const entry of mappingEntries) {
+      const value = String(entry.value || '').trim();
+      if (!value) {
+        throw httpError(400, 'Every claim-to-policy mapping needs a claim value');
+      }
+      if (mapping[value]) {
+        throw httpError(400, `Claim value "${value}" is mapped more than once`);
+      }
+      [mapping[value]] = await this.resolvePolicyIds([entry.policy_id], organizationId);
+    }
+
+    updated.enable_jwt = true;
+    updated.use_keyless = false;
+    updated.use_standard_auth = false;
+    updated.jwt_signing_method = signingMethod;
+    updated.jwt_identity_base_field = identityField;
+    updated.jwt_policy_field_name = policyField;
+    updated.jwt_default_policies = await this.resolvePolicyIds(settings.default_policy_ids || [], organizationId);
+    updated.jwt_scope_claim_name = mappingEntries.length > 0 ? settings.claim_name : '';
+    updated.jwt_scope_to_policy_mapping = mapping;
+
+    // Tyk needs to know which method supplies the session when several are enabled
+    if (updated.use_basic_auth || updated.enable_signature_checking || updated.use_oauth2 || updated.use_mutual_tls_auth) {
+      updated.base_identity_provided_by = 'jwt_claim';
+    }
+
+    return updated;
+  }
+
+  /**
+   * Finds the key that verifies a token for an API's source.
+   */
+  async getVerificationKey(source, header) {
+    if (source.type === 'secret') {
+      return Buffer.from(source.value);
+    }
+    if (source.type === 'public_key') {
+      return crypto.createPublicKey(source.value);
+    }
+
+    // Sources stored before these checks existed, or set on the gateway directly, are checked too
+    const url = checkJwksUrl(source.value);
+    if (!allowPrivateJwksHosts()) {
+      const addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true }).catch(() => []);
+      if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw privateHostError(url.hostname);
+      }
+    }
+
+    let jwks;
+    try {
+      const response = await fetch(source.value, {
+        timeout: JWKS_TIMEOUT_MS,
+        redirect: 'error',
+        ...(!allowPrivateJwksHosts() && { agent: jwksAgent })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      jwks = await response.json();
+    } catch (error) {
+      throw httpError(502, `Could not load JWKS from ${source.value}: ${error.message}`);
+    }
+
+    const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+    const jwk = header.kid
+      ? keys.find(entry => entry.kid === header.kid)
+      : (keys.length === 1 ? keys[0] : null);
+    if (!jwk) {
+      throw httpError(400, header.kid
+        ? `No key with kid "${header.kid}" in the JWKS`
+        : 'Token has no kid and the JWKS holds more than one key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Validates a JWT locally against an API's configured source and reports which
+   * policies the gateway would apply. Claims and policies are reported even when
+   * the signature or expiry check fails, to help debug issuer configuration.
+   *
+   * @param {Object} definition - Classic API definition with JWT enabled
+   * @param {string} token - Encoded JWT
+   * @param {number} organizationId - Caller's organization record ID
+   * @returns {Promise<Object>} { valid, errors, header, claims, identity, policies }
+   */
+  async testToken(definition, token, organizationId) {
+    if (!definition.enable_jwt) {
+      throw httpError(400, 'JWT is not enabled for this API');
+    }
+
+    const decoded = typeof token === 'string' ? jwt.decode(token.trim(), { complete: true }) : null;
+    if (!decoded || typeof decoded.payload !== 'object') {
+      throw httpError(400, 'Token is not a valid JWT');
+    }
+
+    const { header, payload: claims } = decoded;
+    const errors = [];
+    const allowedAlgorithms = SIGNING_METHODS[definition.jwt_signing_method] || [];
+
+    if (!allowedAlgorithms.includes(header.alg)) {
+      errors.push(`Token is signed with ${header.alg}, but this API expects ${definition.jwt_signing_method} (${allowedAlgorithms.join(', ')})`);
+    } else {
+      const source = this.readSource(definition);
+      try {
+        const key = await this.getVerificationKey(source, header);
+        jwt.verify(token.trim(), key, { algorithms: allowedAlgorithms });
+      } catch (error) {
+        if (error.status === 502) {
+          throw error;
+        }
+        errors.push(error.name === 'TokenExpiredError' || error.name === 'NotBeforeError'
+          ? error.message
+          : `Signature check failed: ${error.message}`);
+      }
+    }
+
+    const identityField = definition.jwt_identity_base_field || 'sub';
+    const identity = claims[identityField] ?? claims.sub ?? null;
+    if (identity === null || identity === undefined) {
+      errors.push(`Token has neither a "${identityField}" nor a "sub" claim to identify the caller`);
+    }
+
+    const policies = await this.resolveTokenPolicies(definition, claims, organizationId);
+    if (policies.length === 0) {
+      errors.push('No policy applies: the token has no policy claim and the API has no default policies');
+    }
+    for (const policy of policies) {
+      if (!policy.name) {
+        errors.push(`Policy ${policy.tyk_policy_id} from the ${policy.from} is not a TykBasic policy`);
+      } else if (!policy.available) {
+        errors.push(`Policy "${policy.name}" is not available to your organization`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      header,
+      claims,
+      identity,
+      policies
+    };
+  }
+
+  /**
+   * Works out the policies the gateway applies to a token, in Tyk's order: the
+   * policy claim, else the API's default policies, plus any mapped claim values.
+   *
+   * @returns {Promise<Array<Object>>} Policies with `from` describing what supplied each
+   */
+  async resolveTokenPolicies(definition, claims, organizationId) {
+    const policyField = definition.jwt_policy_field_name || 'pol';
+    const resolved = [];
+
+    const claimed = claims[policyField];
+    if (claimed) {
+      (Array.isArray(claimed) ? claimed : [claimed]).forEach(id => resolved.push({ id: String(id), from: `"${policyField}" claim` }));
+    } else {
+      (definition.jwt_default_policies || []).forEach(id => resolved.push({ id, from: 'API default policies' }));
+    }
+
+    const claimName = definition.jwt_scope_claim_name;
+    const mapping = definition.jwt_scope_to_policy_mapping || {};
+    if (claimName && claims[claimName]) {
+      const values = Array.isArray(claims[claimName]) ? claims[claimName] : String(claims[claimName]).split(' ');
+      values.filter(value => mapping[value]).forEach(value => {
+        resolved.push({ id: mapping[value], from: `"${claimName}" value "${value}"` });
+      });
+    }
+
+    const described = await this.describePolicies(resolved.map(entry => entry.id), organizationId);
+    return resolved.map(entry => ({ ...described[entry.id], from: entry.from }));
+  }
+}
+
+module.exports = new JwtConfigService();
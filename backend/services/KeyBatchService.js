@@ -0,0 +1,274 @@
+const { v4: uuidv4 } = require('uuid');
+const { UserCredentials } = require('../models');
+const tykGatewayService = require('./TykGatewayService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const BATCH_ACTIONS = ['deactivate', 'activate', 'delete', 'set_policies', 'extend_expiry'];
+const MAX_BATCH_KEYS = 1000;
+const BATCH_CONCURRENCY = 5;
+
+// Finished jobs stay available for progress polling this long
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Service class for applying one operation to many API keys.
+ * A batch runs in the background as a job; callers poll the job for progress
+ * and get a result for every key, so a failure on one key never stops the rest.
+ * Jobs are kept in memory and are lost on restart.
+ */
+class KeyBatchService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Validates a batch request's action and its parameters.
+   *
+   * @param {string} action - One of BATCH_ACTIONS
+   * @param {Object} params - { policies } for set_policies, { expires } or { extend_days } for extend_expiry
+   * @throws {Error} With status 400 when invalid
+   */
+  validateAction(action, params = {}) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (!BATCH_ACTIONS.includes(action)) {
+      fail(`action must be one of: ${BATCH_ACTIONS.join(', ')}`);
+    }
+    if (action === 'set_policies' && (!Array.isArray(params.policies) || params.policies.length === 0)) {
+      fail('set_policies needs at least one policy');
+    }
+    if (action === 'extend_expiry') {
+      const hasExpires = params.expires !== undefined && params.expires !== null;
+      const hasDays = params.extend_days !== undefined && params.extend_days !== null;
+      if (hasExpires === hasDays) {
+        fail('extend_expiry needs either expires (Unix time) or extend_days');
+      }
+      if (hasExpires && (!Number.isInteger(params.expires) || params.expires <= Math.floor(Date.now() / 1000))) {
+        fail('expires must be a Unix timestamp in the future');
+      }
+      if (hasDays && (!Number.isInteger(params.extend_days) || params.extend_days < 1 || params.extend_days > 3650)) {
+        fail('extend_days must be a whole number of days between 1 and 3650');
+      }
+    }
+  }
+
+  /**
+   * Builds the updated session for an action, or returns null when the key
+   * needs no change.
+   */
+  buildSession(action, session, params) {
+    switch (action) {
+      case 'deactivate':
+        return session.is_inactive ? null : { ...session, is_inactive: true };
+      case 'activate':
+        return session.is_inactive ? { ...session, is_inactive: false } : null;
+      case 'set_policies': {
+        const meta_data = { ...(session.meta_data || {}) };
+        // Keys created here record their single policy, or every combined policy, in meta_data
+        delete meta_data.policy_id;
+        delete meta_data.policy_name;
+        delete meta_data.policy_ids;
+        delete meta_data.policy_names;
+        if (params.policies.length === 1) {
+          meta_data.policy_id = params.policies[0].id;
+          meta_data.policy_name = params.policies[0].name;
+        } else {
+          meta_data.policy_ids = params.policies.map(policy => policy.id);
+          meta_data.policy_names = params.policies.map(policy => policy.name);
+        }
+        return {
+          ...session,
+          apply_policies: params.policies.map(policy => policy.tyk_policy_id),
+          meta_data
+        };
+      }
+      case 'extend_expiry': {
+        if (params.expires) {
+          return { ...session, expires: params.expires };
+        }
+        if (!(session.expires > 0)) {
+          return null;
+        }
+        return { ...session, expires: session.expires + params.extend_days * DAY_SECONDS };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Applies the action to one key and keeps its UserCredentials record in step.
+   *
+   * @returns {Promise<Object>} { key_hash, name, status: 'succeeded'|'skipped'|'failed', message, error }
+   */
+  async applyToKey(keyHash, { action, params, orgId }) {
+    const result = { key_hash: keyHash, name: null, status: 'succeeded' };
+
+    try {
+      const session = await tykGatewayService.getKey(keyHash, true, orgId);
+      if (session.org_id && session.org_id !== orgId) {
+        return { ...result, status: 'failed', error: 'Key does not belong to your organization' };
+      }
+      result.name = session.alias || session.meta_data?.name || null;
+
+      const credential = await UserCredentials.findByTykKeyHash(keyHash);
+
+      if (action === 'delete') {
+        await tykGatewayService.deleteKey(keyHash, true, orgId);
+        if (credential) {
+          if (credential.credential_type === 'mtls_certificate' && credential.certificate_id) {
+            await tykGatewayService.deleteCertificate(credential.certificate_id, orgId).catch(error => {
+              console.warn(`Could not remove certificate ${credential.certificate_id} of deleted key ${keyHash}:`, error.message);
+            });
+          }
+          await credential.update({ is_active: false });
+        }
+        return result;
+      }
+
+      const updated = this.buildSession(action, session, params);
+      if (!updated) {
+        return {
+          ...result,
+          status: 'skipped',
+          message: action === 'extend_expiry' ? 'Key never expires' : `Key is already ${action}d`
+        };
+      }
+
+      await tykGatewayService.updateKey(keyHash, updated, true, orgId, { suppressReset: true });
+
+      if (credential) {
+        const changes = {};
+        if (action === 'deactivate' || action === 'activate') {
+          changes.is_active = action === 'activate';
+        } else if (action === 'set_policies') {
+          changes.policy_id = params.policies.length === 1 ? params.policies[0].id : null;
+        } else if (action === 'extend_expiry') {
+          changes.expires_at = new Date(updated.expires * 1000);
+        }
+        await credential.update(changes);
+      }
+
+      if (action === 'extend_expiry') {
+        result.expires = updated.expires;
+      }
+      return result;
+    } catch (error) {
+      return {
+        ...result,
+        status: 'failed',
+        error: error.gatewayStatus === 404 ? 'Key not found' : error.message
+      };
+    }
+  }
+
+  /**
+   * Starts a batch job in the background.
+   *
+   * @param {Object} params - Job details
+   * @param {string} params.action - One of BATCH_ACTIONS
+   * @param {Object} params.params - Action parameters (see validateAction)
+   * @param {Array<string>} params.keyHashes - Hashed keys to act on
+   * @param {string} params.orgId - Tyk organization ID
+   * @param {string} params.organizationId - Owning organization (database ID)
+   * @param {Object} params.user - User starting the job
+   * @param {Function} [params.onResult] - Called with (result, job) for each key, e.g. for auditing
+   * @returns {Object} Job snapshot
+   * @throws {Error} With status 400 for invalid requests
+   */
+  startJob({ action, params = {}, keyHashes, orgId, organizationId, user, onResult = null }) {
+    this.validateAction(action, params);
+
+    const uniqueHashes = [...new Set(keyHashes)];
+    if (uniqueHashes.length === 0) {
+      const error = new Error('No keys matched the batch request');
+      error.status = 400;
+      throw error;
+    }
+    if (uniqueHashes.length > MAX_BATCH_KEYS) {
+      const error = new Error(`A batch can act on at most ${MAX_BATCH_KEYS} keys; ${uniqueHashes.length} matched`);
+      error.status = 400;
+      throw error;
+    }
+
+    this.pruneJobs();
+
+    const job = {
+      id: uuidv4(),
+      action,
+      organization_id: organizationId,
+      created_by: user.email,
+      status: 'running',
+      total: uniqueHashes.length,
+      processed: 0,
+      succeeded: 0,
+      skipped: 0,
+      failed: 0,
+      results: [],
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    this.jobs.set(job.id, job);
+
+    mapWithConcurrency(uniqueHashes, BATCH_CONCURRENCY, async (keyHash) => {
+      const result = await this.applyToKey(keyHash, { action, params, orgId });
+      job.results.push(result);
+      job.processed++;
+      job[result.status]++;
+      if (onResult) {
+        await Promise.resolve(onResult(result, job)).catch(error => {
+          console.error(`Batch result callback failed for ${keyHash}:`, error.message);
+        });
+      }
+    })
+      .catch(error => {
+        console.error(`Batch job ${job.id} stopped:`, error.message);
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.status = 'completed';
+        job.finished_at = new Date().toISOString();
+      });
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Gets a job's progress and results, enforcing organization ownership.
+   *
+   * @param {string} jobId - Job ID
+   * @param {string} organizationId - Caller's organization (database ID)
+   * @returns {Object} Job snapshot
+   * @throws {Error} With status 404 when unknown or owned by another organization
+   */
+  getJob(jobId, organizationId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.organization_id !== organizationId) {
+      const error = new Error(`Batch job ${jobId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return this.snapshot(job);
+  }
+
+  snapshot(job) {
+    return { ...job, results: [...job.results] };
+  }
+
+  pruneJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new KeyBatchService();
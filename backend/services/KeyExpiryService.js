@@ -0,0 +1,305 @@
+const { UserCredentials, SystemConfig, AuditLog } = require('../models');
+const tykGatewayService = require('./TykGatewayService');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which the key owner is emailed
+const DEFAULT_WARNING_DAYS = [30, 7, 1];
+
+// What happens to keys that stay expired: action is 'deactivate', 'delete' or 'none'
+const DEFAULT_CLEANUP = { action: 'deactivate', after_days: 30 };
+const CLEANUP_ACTIONS = ['deactivate', 'delete', 'none'];
+
+// How often keys are checked for upcoming expiry and cleanup
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Service class for API key expiry.
+ * Tracked keys are checked against their gateway `expires` field (falling back
+ * to UserCredentials.expires_at when the gateway can't be asked). Owners are
+ * emailed once per warning window, and keys that have been expired for the
+ * configured number of days are deactivated or deleted.
+ */
+class KeyExpiryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Loads the expiry settings from SystemConfig, filling in defaults.
+   *
+   * @returns {Promise<Object>} { warning_days, cleanup: { action, after_days } }
+   */
+  async getConfig() {
+    const stored = await SystemConfig.getKeyExpiryConfig();
+    return {
+      warning_days: Array.isArray(stored.key_expiry_warning_days)
+        ? stored.key_expiry_warning_days
+        : DEFAULT_WARNING_DAYS,
+      cleanup: { ...DEFAULT_CLEANUP, ...(stored.expired_key_cleanup || {}) }
+    };
+  }
+
+  /**
+   * Validates and normalizes expiry settings.
+   *
+   * @param {Object} config - { warning_days, cleanup: { action, after_days } }
+   * @returns {Object} Normalized settings (warning days sorted, largest first)
+   * @throws {Error} With status 400 when invalid
+   */
+  validateConfig({ warning_days, cleanup = {} }) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (!Array.isArray(warning_days) || warning_days.some(days => !Number.isInteger(days) || days < 1 || days > 365)) {
+      fail('warning_days must be an array of whole days between 1 and 365');
+    }
+    if (!CLEANUP_ACTIONS.includes(cleanup.action)) {
+      fail(`cleanup.action must be one of: ${CLEANUP_ACTIONS.join(', ')}`);
+    }
+    if (!Number.isInteger(cleanup.after_days) || cleanup.after_days < 0 || cleanup.after_days > 365) {
+      fail('cleanup.after_days must be a whole number of days between 0 and 365');
+    }
+
+    return {
+      warning_days: [...new Set(warning_days)].sort((a, b) => b - a),
+      cleanup: { action: cleanup.action, after_days: cleanup.after_days }
+    };
+  }
+
+  /**
+   * Validates and stores expiry settings.
+   *
+   * @param {Object} config - { warning_days, cleanup }
+   * @param {string} userId - User saving the settings
+   * @returns {Promise<Object>} Stored settings
+   */
+  async saveConfig(config, userId) {
+    const normalized = this.validateConfig(config);
+    await SystemConfig.setValue('key_expiry_warning_days', normalized.warning_days, userId, 'Days before API key expiry at which owners are emailed');
+    await SystemConfig.setValue('expired_key_cleanup', normalized.cleanup, userId, 'Deactivate or delete API keys this many days after they expire');
+    return normalized;
+  }
+
+  /**
+   * Works out when a tracked key expires, preferring the gateway's `expires`
+   * field and keeping UserCredentials.expires_at in step with it.
+   *
+   * @param {Object} credential - UserCredentials record
+   * @returns {Promise<Object>} { expiresAt, onGateway, session, gatewayError }
+   */
+  async resolveExpiry(credential) {
+    let session;
+    try {
+      session = await tykGatewayService.getKey(credential.tyk_key_hash, true);
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        return { expiresAt: credential.expires_at, onGateway: false };
+      }
+      // Gateway unavailable: fall back to what was recorded in the database
+      return { expiresAt: credential.expires_at, onGateway: null, gatewayError: error };
+    }
+
+    const expiresAt = session.expires > 0 ? new Date(session.expires * 1000) : null;
+    const recorded = credential.expires_at ? new Date(credential.expires_at).getTime() : null;
+    if ((expiresAt ? expiresAt.getTime() : null) !== recorded) {
+      await credential.update({ expires_at: expiresAt });
+    }
+    return { expiresAt, onGateway: true, session };
+  }
+
+  /**
+   * Emails the owner of a key that has entered a warning window it hasn't been
+   * warned about yet. Windows are tracked per expiry date, so extending a key
+   * starts its warnings over.
+   *
+   * @returns {Promise<boolean>} Whether a warning was sent
+   */
+  async warnIfDue(credential, expiresAt, warningDays) {
+    const daysLeft = Math.ceil((expiresAt.getTime() - Date.now()) / DAY_MS);
+    const expiryKey = expiresAt.toISOString();
+    const sent = credential.expiry_warnings_sent?.expires_at === expiryKey
+      ? credential.expiry_warnings_sent.days
+      : [];
+
+    // A key created close to its expiry only gets the tightest window it falls in
+    const dueWindows = warningDays.filter(days => daysLeft <= days && !sent.includes(days));
+    if (dueWindows.length === 0) {
+      return false;
+    }
+    const window = Math.min(...dueWindows);
+
+    let emailResult = { success: false, error: 'Key has no owner email' };
+    if (credential.user?.email) {
+      emailResult = await emailService.sendKeyExpiryWarningEmail(credential.user.email, credential.user.first_name, {
+        keyName: credential.name,
+        keyHash: credential.tyk_key_hash,
+        expiresAt,
+        daysLeft
+      });
+    }
+
+    // Mark the windows as handled even when the email failed, so the hourly check doesn't retry forever
+    await credential.update({
+      expiry_warnings_sent: { expires_at: expiryKey, days: [...sent, ...dueWindows] }
+    });
+
+    await AuditLog.create({
+      user_id: null,
+      organization_id: credential.organization_id,
+      action: 'key_expiry_warning',
+      resource_type: 'api_key',
+      resource_id: credential.tyk_key_hash,
+      details: {
+        credential_id: credential.id,
+        owner_email: credential.user?.email || null,
+        expires_at: expiryKey,
+        days_left: daysLeft,
+        warning_window_days: window,
+        email_sent: emailResult.success
+      },
+      status: emailResult.success ? 'success' : 'failure',
+      error_message: emailResult.success ? null : emailResult.error,
+      severity: emailResult.success ? 'info' : 'warning'
+    });
+
+    return true;
+  }
+
+  /**
+   * Deactivates or deletes a key that has been expired for longer than the
+   * cleanup period. The UserCredentials record is kept (inactive) for history.
+   */
+  async cleanUp(credential, expiresAt, { session, onGateway }, action) {
+    if (onGateway) {
+      if (action === 'delete') {
+        await tykGatewayService.deleteKey(credential.tyk_key_hash, true, session.org_id);
+      } else if (!session.is_inactive) {
+        await tykGatewayService.updateKey(credential.tyk_key_hash, { ...session, is_inactive: true }, true, session.org_id, { suppressReset: true });
+      }
+    }
+
+    await credential.update({ is_active: false });
+    await AuditLog.create({
+      user_id: null,
+      organization_id: credential.organization_id,
+      action: action === 'delete' ? 'delete_expired_key' : 'deactivate_expired_key',
+      resource_type: 'api_key',
+      resource_id: credential.tyk_key_hash,
+      details: {
+        credential_id: credential.id,
+        expires_at: expiresAt.toISOString(),
+        expired_days: Math.floor((Date.now() - expiresAt.getTime()) / DAY_MS),
+        on_gateway: onGateway
+      },
+      status: 'success',
+      severity: 'warning'
+    });
+  }
+
+  /**
+   * Checks every active tracked key once: sends due warnings and cleans up
+   * keys that have stayed expired.
+   *
+   * @returns {Promise<Object>} { checked, warned, cleaned, failed }
+   */
+  async runChecks() {
+    if (this.running) {
+      return { checked: 0, warned: 0, cleaned: 0, failed: 0, skipped: true };
+    }
+    this.running = true;
+
+    try {
+      const config = await this.getConfig();
+      const credentials = await UserCredentials.findActiveGatewayKeys();
+      const summary = { checked: 0, warned: 0, cleaned: 0, failed: 0 };
+
+      for (const credential of credentials) {
+        summary.checked++;
+        try {
+          const resolved = await this.resolveExpiry(credential);
+          if (!resolved.expiresAt) {
+            continue;
+          }
+          const expiresAt = new Date(resolved.expiresAt);
+
+          if (expiresAt.getTime() > Date.now()) {
+            // Keys already removed from the gateway have nothing left to warn about, and a
+            // rotated-out key expires at the end of its grace period with a replacement in place
+            if (resolved.onGateway !== false && !credential.rotated_to_id &&
+                await this.warnIfDue(credential, expiresAt, config.warning_days)) {
+              summary.warned++;
+            }
+          } else if (
+            config.cleanup.action !== 'none' &&
+            !resolved.gatewayError &&
+            Date.now() - expiresAt.getTime() >= config.cleanup.after_days * DAY_MS
+          ) {
+            await this.cleanUp(credential, expiresAt, resolved, config.cleanup.action);
+            summary.cleaned++;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`Key expiry check failed for ${credential.tyk_key_hash}:`, error.message);
+        }
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Lists tracked keys expiring within the largest warning window, or already expired.
+   *
+   * @param {string} [organizationId] - Limit to one organization (database ID)
+   * @returns {Promise<Array<Object>>} Keys with owner and days left
+   */
+  async listExpiringKeys(organizationId = null) {
+    const config = await this.getConfig();
+    const horizon = Math.max(0, ...config.warning_days);
+    const credentials = await UserCredentials.findExpiringKeys(horizon, organizationId);
+
+    return credentials.map(credential => ({
+      id: credential.id,
+      name: credential.name,
+      key_hash: credential.tyk_key_hash,
+      organization_id: credential.organization_id,
+      owner_email: credential.user?.email || null,
+      expires_at: credential.expires_at,
+      days_left: Math.ceil((new Date(credential.expires_at).getTime() - Date.now()) / DAY_MS),
+      warnings_sent: credential.expiry_warnings_sent?.days || []
+    }));
+  }
+
+  /**
+   * Starts the periodic expiry check.
+   */
+  start(intervalMs = EXPIRY_CHECK_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.runChecks().catch(error => {
+        console.error('Key expiry check failed:', error.message);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for this check
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new KeyExpiryService();
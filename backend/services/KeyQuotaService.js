@@ -0,0 +1,201 @@
+const { UserCredentials, AuditLog } = require('../models');
+const tykGatewayService = require('./TykGatewayService');
+const { PARTITIONS } = require('../utils/policyPartitions');
+
+// How often top-ups are checked for the end of their quota period
+const TOP_UP_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Service class for quota resets and top-ups on API keys.
+ * Tyk keeps a key's used quota in its own counter and ignores quota_remaining on
+ * updates. A reset is a plain key update, which restarts the counter. A top-up
+ * keeps the counter (suppress_reset) and raises the key's quota_max by the amount
+ * until the quota period renews; a periodic sweep then puts the original maximum
+ * back. Top-ups are recorded on the key's UserCredentials record.
+ */
+class KeyQuotaService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Resets a key's quota, or tops it up for the current quota period.
+   *
+   * @param {string} keyHash - Hashed key
+   * @param {Object} change - { action: 'reset'|'top_up', amount }
+   * @param {string} orgId - Tyk organization ID
+   * @returns {Promise<Object>} Quota before and after the change
+   * @throws {Error} With status 409 when the key has no quota of its own to change
+   */
+  async applyChange(keyHash, { action, amount }, orgId) {
+    const session = await tykGatewayService.getKey(keyHash, true, orgId);
+    if (!(session.quota_max > 0)) {
+      const error = new Error('Key has no quota limit');
+      error.status = 409;
+      throw error;
+    }
+
+    const credential = await UserCredentials.findByTykKeyHash(keyHash);
+    const topUp = credential?.quota_top_up || null;
+    const activeTopUp = topUp && !periodEnded(topUp) ? topUp : null;
+    // A top-up from an earlier period no longer counts, even if the sweep hasn't run yet
+    const baseQuotaMax = topUp ? topUp.base_quota_max : session.quota_max;
+
+    const before = Math.max(session.quota_remaining ?? session.quota_max, 0);
+    const used = session.quota_max - before;
+
+    if (action === 'reset') {
+      await tykGatewayService.updateKey(keyHash, {
+        ...session,
+        quota_max: baseQuotaMax,
+        quota_remaining: baseQuotaMax
+      }, true, orgId);
+      if (topUp) {
+        await credential.update({ quota_top_up: null });
+      }
+      return describeChange(keyHash, action, null, session, before, baseQuotaMax, baseQuotaMax);
+    }
+
+    if (!credential) {
+      const error = new Error(`Key ${keyHash} is not tracked in the database; adopt it from reconciliation first`);
+      error.status = 404;
+      throw error;
+    }
+    const policy = await findQuotaPolicy(session, orgId);
+    if (policy) {
+      const error = new Error(`The quota of this key comes from policy ${policy.name || policy.id}, which the gateway re-applies; reset the quota or raise the policy's quota instead`);
+      error.status = 409;
+      throw error;
+    }
+
+    const quotaMax = baseQuotaMax + (activeTopUp ? activeTopUp.amount : 0) + amount;
+    const after = Math.max(quotaMax - used, 0);
+    await tykGatewayService.updateKey(keyHash, {
+      ...session,
+      quota_max: quotaMax,
+      quota_remaining: after
+    }, true, orgId, { suppressReset: true });
+    await credential.update({
+      quota_top_up: {
+        base_quota_max: baseQuotaMax,
+        amount: (activeTopUp ? activeTopUp.amount : 0) + amount,
+        renews: session.quota_renews
+      }
+    });
+
+    return describeChange(keyHash, action, amount, session, before, quotaMax, after);
+  }
+
+  /**
+   * Puts the original quota_max back on keys whose top-up period has renewed,
+   * keeping the usage of the new period. Keys gone from the gateway are only cleared.
+   *
+   * @returns {Promise<Object>} { restored, failed }
+   */
+  async restoreExpiredTopUps() {
+    const credentials = (await UserCredentials.findQuotaTopUps())
+      .filter(credential => periodEnded(credential.quota_top_up));
+    let restored = 0;
+    let failed = 0;
+
+    for (const credential of credentials) {
+      const topUp = credential.quota_top_up;
+      try {
+        try {
+          const session = await tykGatewayService.getKey(credential.tyk_key_hash, true);
+          const used = session.quota_max - Math.max(session.quota_remaining ?? session.quota_max, 0);
+          await tykGatewayService.updateKey(credential.tyk_key_hash, {
+            ...session,
+            quota_max: topUp.base_quota_max,
+            quota_remaining: Math.max(topUp.base_quota_max - used, 0)
+          }, true, session.org_id, { suppressReset: true });
+        } catch (gatewayError) {
+          if (gatewayError.gatewayStatus !== 404) {
+            throw gatewayError;
+          }
+        }
+
+        await credential.update({ quota_top_up: null });
+        await AuditLog.create({
+          user_id: null,
+          organization_id: credential.organization_id,
+          action: 'end_key_quota_top_up',
+          resource_type: 'api_key',
+          resource_id: credential.tyk_key_hash,
+          details: {
+            credential_id: credential.id,
+            quota_max: topUp.base_quota_max,
+            top_up_amount: topUp.amount
+          },
+          status: 'success'
+        });
+        restored++;
+      } catch (error) {
+        failed++;
+        console.error(`Failed to end quota top-up of key ${credential.tyk_key_hash}:`, error.message);
+      }
+    }
+
+    return { restored, failed };
+  }
+
+  /**
+   * Starts the periodic top-up check.
+   */
+  start(intervalMs = TOP_UP_CHECK_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.restoreExpiredTopUps().catch(error => {
+        console.error('Quota top-up check failed:', error.message);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for this check
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const describeChange = (keyHash, action, amount, session, before, quotaMax, after) => ({
+  key_hash: keyHash,
+  action,
+  amount,
+  quota_max: quotaMax,
+  quota_remaining_before: before,
+  quota_remaining: after,
+  quota_renews: session.quota_renews
+});
+
+// A top-up lasts until the quota renewal that was due when it was given
+const periodEnded = (topUp) => !(topUp.renews > 0) || topUp.renews * 1000 <= Date.now();
+
+// Finds an applied policy that supplies the key's quota. Partitioned policies only
+// supply the parts they enable; a policy with no partition enabled supplies everything.
+const findQuotaPolicy = async (session, orgId) => {
+  for (const policyId of session.apply_policies || []) {
+    let policy;
+    try {
+      policy = await tykGatewayService.getPolicy(policyId, orgId);
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        continue;
+      }
+      throw error;
+    }
+    const partitions = policy.partitions || {};
+    const partitioned = [...PARTITIONS, 'per_api'].some(part => partitions[part]);
+    if (!partitioned || partitions.quota) {
+      return policy;
+    }
+  }
+  return null;
+};
+
+module.exports = new KeyQuotaService();
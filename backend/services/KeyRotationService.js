@@ -0,0 +1,231 @@
+const { UserCredentials, AuditLog } = require('../models');
+const tykGatewayService = require('./TykGatewayService');
+const { encryptSecret } = require('../utils/secretBox');
+const { generateHmacSecret } = require('../utils/hmacSignature');
+
+// Grace period bounds, in hours
+const DEFAULT_GRACE_PERIOD_HOURS = 24;
+const MAX_GRACE_PERIOD_HOURS = 24 * 30;
+
+// How often rotated-out keys are checked for the end of their grace period
+const DEACTIVATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Service class for rotating API keys without breaking clients.
+ * The replacement key gets the old key's policies, alias and meta_data (HMAC keys
+ * get a new secret, so a leaked secret is retired with the key); the old
+ * key keeps working until its grace period ends and is then deactivated, both
+ * by its gateway expiry and by a periodic sweep that updates the records.
+ */
+class KeyRotationService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Parses a requested grace period.
+   *
+   * @param {*} hours - Requested grace period in hours (0 ends it immediately)
+   * @returns {number} Grace period in hours
+   * @throws {Error} With status 400 when out of range
+   */
+  parseGracePeriod(hours) {
+    if (hours === undefined || hours === null || hours === '') {
+      return DEFAULT_GRACE_PERIOD_HOURS;
+    }
+    const value = Number(hours);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_GRACE_PERIOD_HOURS) {
+      const error = new Error(`grace_period_hours must be between 0 and ${MAX_GRACE_PERIOD_HOURS}`);
+      error.status = 400;
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+   * Rotates a tracked key.
+   *
+   * @param {Object} params - Rotation details
+   * @param {Object} params.credential - UserCredentials record of the key being replaced
+   * @param {string} params.orgId - Tyk organization ID
+   * @param {number} params.gracePeriodHours - How long the old key stays valid
+   * @param {Object} params.user - User performing the rotation
+   * @returns {Promise<Object>} { key, keyHash, credential, previousCredential, graceEndsAt, session, hmacSecret }
+   */
+  async rotateKey({ credential, orgId, gracePeriodHours, user }) {
+    const oldHash = credential.tyk_key_hash;
+    const oldSession = await tykGatewayService.getKey(oldHash, true, orgId);
+    if (oldSession.org_id && oldSession.org_id !== orgId) {
+      const error = new Error('Access denied: key does not belong to your organization');
+      error.status = 403;
+      throw error;
+    }
+
+    const rotatedAt = new Date();
+    const graceEndsAt = new Date(rotatedAt.getTime() + gracePeriodHours * 60 * 60 * 1000);
+
+    const newSession = {
+      org_id: orgId,
+      alias: oldSession.alias,
+      apply_policies: oldSession.apply_policies || [],
+      meta_data: {
+        ...(oldSession.meta_data || {}),
+        rotated_from: oldHash,
+        rotated_at: rotatedAt.toISOString(),
+        rotated_by: user.email
+      }
+    };
+    if (newSession.apply_policies.length === 0) {
+      // Keys without policies carry their limits and access on the session itself
+      ['access_rights', 'rate', 'per', 'quota_max', 'quota_renewal_rate'].forEach(field => {
+        if (oldSession[field] !== undefined) {
+          newSession[field] = oldSession[field];
+        }
+      });
+    }
+    if (oldSession.expires > 0) {
+      newSession.expires = oldSession.expires;
+    }
+    if (oldSession.hmac_enabled) {
+      newSession.hmac_enabled = true;
+      newSession.hmac_string = generateHmacSecret();
+    }
+
+    const created = await tykGatewayService.createKey(newSession, orgId);
+    const newHash = created.key_hash || created.key;
+
+    let hmacSecret = null;
+    if (newSession.hmac_enabled) {
+      // Use the secret the gateway stored, in case it generated its own
+      const stored = await tykGatewayService.getKey(newHash, true, orgId).catch(() => null);
+      hmacSecret = stored?.hmac_string || newSession.hmac_string;
+    }
+
+    // The gateway stops accepting the old key at the end of the grace period by itself
+    const graceEndsEpoch = Math.floor(graceEndsAt.getTime() / 1000);
+    const oldUpdate = {
+      ...oldSession,
+      expires: oldSession.expires > 0 ? Math.min(oldSession.expires, graceEndsEpoch) : graceEndsEpoch,
+      is_inactive: gracePeriodHours === 0 ? true : !!oldSession.is_inactive,
+      meta_data: {
+        ...(oldSession.meta_data || {}),
+        rotated_to: newHash,
+        rotation_grace_ends_at: graceEndsAt.toISOString()
+      }
+    };
+
+    try {
+      await tykGatewayService.updateKey(oldHash, oldUpdate, true, orgId, { suppressReset: true });
+    } catch (error) {
+      // Without the grace period in place the rotation is incomplete; drop the new key
+      await tykGatewayService.deleteKey(newHash, true, orgId).catch(deleteError => {
+        console.error(`Failed to remove replacement key ${newHash} after rotation error:`, deleteError.message);
+      });
+      throw error;
+    }
+
+    const newCredential = await UserCredentials.create({
+      user_id: credential.user_id,
+      organization_id: credential.organization_id,
+      credential_type: credential.credential_type,
+      name: credential.name,
+      description: credential.description,
+      tyk_key_hash: newHash,
+      policy_id: credential.policy_id,
+      rate_limits: credential.rate_limits,
+      access_rights: credential.access_rights,
+      expires_at: credential.expires_at,
+      hmac_secret: hmacSecret ? encryptSecret(hmacSecret) : null,
+      hmac_algorithm: credential.hmac_algorithm,
+      rotated_from_id: credential.id
+    });
+
+    await credential.update({
+      rotated_to_id: newCredential.id,
+      rotated_at: rotatedAt,
+      rotation_grace_ends_at: graceEndsAt,
+      is_active: gracePeriodHours === 0 ? false : credential.is_active
+    });
+
+    return {
+      key: created.key,
+      keyHash: newHash,
+      credential: newCredential,
+      previousCredential: credential,
+      graceEndsAt,
+      session: newSession,
+      hmacSecret
+    };
+  }
+
+  /**
+   * Deactivates rotated-out keys whose grace period has ended, on the gateway
+   * and in UserCredentials. Keys already gone from the gateway are only marked.
+   *
+   * @returns {Promise<Object>} { deactivated, failed }
+   */
+  async deactivateExpiredGracePeriods() {
+    const due = await UserCredentials.findRotationsDueForDeactivation();
+    let deactivated = 0;
+    let failed = 0;
+
+    for (const credential of due) {
+      try {
+        try {
+          const session = await tykGatewayService.getKey(credential.tyk_key_hash, true);
+          await tykGatewayService.updateKey(credential.tyk_key_hash, { ...session, is_inactive: true }, true, session.org_id, { suppressReset: true });
+        } catch (gatewayError) {
+          if (gatewayError.gatewayStatus !== 404) {
+            throw gatewayError;
+          }
+        }
+
+        await credential.update({ is_active: false });
+        await AuditLog.create({
+          user_id: null,
+          organization_id: credential.organization_id,
+          action: 'deactivate_rotated_key',
+          resource_type: 'api_key',
+          resource_id: credential.tyk_key_hash,
+          details: {
+            credential_id: credential.id,
+            rotated_to_id: credential.rotated_to_id,
+            rotation_grace_ends_at: credential.rotation_grace_ends_at
+          },
+          status: 'success'
+        });
+        deactivated++;
+      } catch (error) {
+        failed++;
+        console.error(`Failed to deactivate rotated key ${credential.tyk_key_hash}:`, error.message);
+      }
+    }
+
+    return { deactivated, failed };
+  }
+
+  /**
+   * Starts the periodic grace period check.
+   */
+  start(intervalMs = DEACTIVATION_CHECK_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.deactivateExpiredGracePeriods().catch(error => {
+        console.error('Rotated key deactivation check failed:', error.message);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for this check
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const tykGatewayService = require('./TykGatewayService');
+
+// Tyk stores a client's redirect URIs as one string and splits it on the gateway's
+// `oauth_redirect_uri_separator` setting, which must match this value
+const REDIRECT_URI_SEPARATOR = process.env.TYK_OAUTH_REDIRECT_URI_SEPARATOR || ';';
+const MAX_REDIRECT_URIS = 10;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Tokens are bearer credentials, so clients of this service only ever see a stable ID and a preview
+const tokenId = (code) => crypto.createHash('sha256').update(code).digest('hex').substring(0, 16);
+
+/**
+ * Service class for OAuth2 clients registered on oauth2-protected APIs.
+ * Clients live only on the gateway, keyed by API; every call checks that the
+ * API belongs to the caller's Tyk organization before touching its clients.
+ */
+class OAuthClientService {
+  /**
+   * Validates and normalizes a client's redirect URIs.
+   * HTTPS is required except for loopback addresses used during development.
+   *
+   * @param {Array<string>} redirectUris - Redirect URIs
+   * @returns {Array<string>} Trimmed, de-duplicated URIs
+   * @throws {Error} With status 400 when invalid
+   */
+  validateRedirectUris(redirectUris) {
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      throw httpError(400, 'At least one redirect URI is required');
+    }
+    if (redirectUris.length > MAX_REDIRECT_URIS) {
+      throw httpError(400, `A client can have at most ${MAX_REDIRECT_URIS} redirect URIs`);
+    }
+
+    const normalized = [...new Set(redirectUris.map(uri => String(uri).trim()))];
+    for (const uri of normalized) {
+      let url;
+      try {
+        url = new URL(uri);
+      } catch (error) {
+        throw httpError(400, `Redirect URI "${uri}" is not a valid URL`);
+      }
+      if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname))) {
+        throw httpError(400, `Redirect URI "${uri}" must use https (http is only allowed for localhost)`);
+      }
+      if (url.hash) {
+        throw httpError(400, `Redirect URI "${uri}" must not contain a fragment`);
+      }
+      if (uri.includes(REDIRECT_URI_SEPARATOR)) {
+        throw httpError(400, `Redirect URI "${uri}" must not contain "${REDIRECT_URI_SEPARATOR}"`);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Loads an API and checks it can have OAuth clients registered by this organization.
+   *
+   * @param {string} apiId - API ID
+   * @param {string} orgId - Caller's Tyk organization ID
+   * @returns {Promise<Object>} API definition
+   * @throws {Error} 404 when unknown, 403 for another organization's API, 400 when OAuth2 is off
+   */
+  async resolveOAuthApi(apiId, orgId) {
+    let api;
+    try {
+      api = await tykGatewayService.getApi(apiId);
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        throw httpError(404, `API ${apiId} not found`);
+      }
+      throw error;
+    }
+
+    if (api.org_id !== orgId) {
+      throw httpError(403, 'Access denied: API does not belong to your organization');
+    }
+    if (!api.use_oauth2) {
+      throw httpError(400, `API "${api.name || apiId}" does not use OAuth2`);
+    }
+    return api;
+  }
+
+  /**
+   * Shapes a gateway client for responses. The secret is never included.
+   */
+  formatClient(client, api) {
+    return {
+      client_id: client.client_id,
+      api_id: client.api_id || api.api_id,
+      api_name: api.name,
+      description: client.description || '',
+      redirect_uris: (client.redirect_uri || '').split(REDIRECT_URI_SEPARATOR).filter(Boolean),
+      policy_id: client.policy_id || null,
+      policy_name: client.meta_data?.policy_name || null,
+      created_by: client.meta_data?.created_by || null,
+      created_at: client.meta_data?.created_at || null
+    };
+  }
+
+  /**
+   * Registers an OAuth client for an API.
+   *
+   * @param {Object} params - Client details
+   * @param {string} params.apiId - API the client is for
+   * @param {Array<string>} params.redirectUris - Allowed redirect URIs
+   * @param {Object} params.policy - Policy record (tokens issued to the client get this policy)
+   * @param {string} [params.description] - Client description
+   * @param {string} params.orgId - Caller's Tyk organization ID
+   * @param {Object} params.user - User registering the client
+   * @returns {Promise<Object>} { client, secret, warnings }
+   */
+  async registerClient({ apiId, redirectUris, policy, description = '', orgId, user }) {
+    const uris = this.validateRedirectUris(redirectUris);
+    const api = await this.resolveOAuthApi(apiId, orgId);
+
+    const warnings = [];
+    try {
+      const gatewayPolicy = await tykGatewayService.getPolicy(policy.tyk_policy_id, orgId);
+      if (!gatewayPolicy?.access_rights?.[apiId]) {
+        warnings.push(`Policy "${policy.name}" does not grant access to "${api.name || apiId}"; tokens issued to this client won't be able to call it`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not check policy ${policy.tyk_policy_id} access for OAuth client:`, error.message);
+    }
+
+    // The gateway only accepts string meta_data values
+    const client = await tykGatewayService.createOAuthClient({
+      api_id: apiId,
+      redirect_uri: uris.join(REDIRECT_URI_SEPARATOR),
+      policy_id: policy.tyk_policy_id,
+      description: description.trim(),
+      meta_data: {
+        org_id: orgId,
+        created_by: user.email,
+        created_by_id: String(user.id),
+        created_at: new Date().toISOString(),
+        policy_name: policy.name
+      }
+    });
+
+    return {
+      client: this.formatClient({ ...client, api_id: apiId }, api),
+      secret: client.secret,
+      warnings
+    };
+  }
+
+  /**
+   * Lists OAuth clients, either for one API or for every OAuth2 API of the organization.
+   *
+   * @param {string} orgId - Caller's Tyk organization ID
+   * @param {string} [apiId] - Limit to one API
+   * @returns {Promise<Array<Object>>} Clients (without secrets)
+   */
+  async listClients(orgId, apiId = null) {
+    let apis;
+    if (apiId) {
+      apis = [await this.resolveOAuthApi(apiId, orgId)];
+    } else {
+      const gatewayApis = await tykGatewayService.getApis(orgId);
+      apis = (Array.isArray(gatewayApis) ? gatewayApis : [])
+        .filter(api => api.org_id === orgId && api.use_oauth2);
+    }
+
+    const clients = [];
+    for (const api of apis) {
+      const apiClients = await tykGatewayService.getOAuthClients(api.api_id);
+      clients.push(...apiClients.map(client => this.formatClient(client, api)));
+    }
+    return clients;
+  }
+
+  /**
+   * Loads one client of an organization's API, including its secret (for internal use).
+   *
+   * @returns {Promise<Object>} { client, api }
+   * @throws {Error} With status 404 when the client doesn't exist
+   */
+  async getClient(apiId, clientId, orgId) {
+    const api = await this.resolveOAuthApi(apiId, orgId);
+    try {
+      const client = await tykGatewayService.getOAuthClient(apiId, clientId);
+      return { client, api };
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        throw httpError(404, `OAuth client ${clientId} not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the tokens issued to a client. Tokens are identified by a hash and shown
+   * only as a preview.
+   *
+   * @returns {Promise<Array<Object>>} { token_id, token_preview, expires_at, expired }
+   */
+  async listTokens(apiId, clientId, orgId) {
+    await this.getClient(apiId, clientId, orgId);
+    const tokens = await tykGatewayService.getOAuthClientTokens(apiId, clientId);
+    const now = Math.floor(Date.now() / 1000);
+
+    return tokens.map(token => ({
+      token_id: tokenId(token.code),
+      token_preview: `${token.code.substring(0, 6)}…${token.code.slice(-4)}`,
+      expires_at: token.expires ? new Date(token.expires * 1000).toISOString() : null,
+      expired: token.expires > 0 && token.expires <= now
+    }));
+  }
+
+  /**
+   * Revokes one token issued to a client.
+   *
+   * @param {string} tokenIdToRevoke - token_id from listTokens
+   * @throws {Error} With status 404 when the client has no such token
+   */
+  async revokeToken(apiId, clientId, tokenIdToRevoke, orgId) {
+    await this.getClient(apiId, clientId, orgId);
+    const tokens = await tykGatewayService.getOAuthClientTokens(apiId, clientId);
+    const token = tokens.find(entry => tokenId(entry.code) === tokenIdToRevoke);
+    if (!token) {
+      throw httpError(404, `Token ${tokenIdToRevoke} not found for client ${clientId}`);
+    }
+
+    await tykGatewayService.revokeOAuthToken({ token: token.code, clientId, orgId });
+  }
+
+  /**
+   * Revokes every token issued to a client.
+   */
+  async revokeAllTokens(apiId, clientId, orgId) {
+    const { client } = await this.getClient(apiId, clientId, orgId);
+    await tykGatewayService.revokeAllOAuthTokens({ clientId, clientSecret: client.secret, orgId });
+  }
+
+  /**
+   * Revokes a client. Its tokens are revoked first, since the gateway keeps
+   * honouring tokens of a deleted client until they expire.
+   *
+   * @returns {Promise<Object>} { client, tokens_revoked }
+   */
+  async revokeClient(apiId, clientId, orgId) {
+    const { client, api } = await this.getClient(apiId, clientId, orgId);
+
+    let tokensRevoked = true;
+    try {
+      await tykGatewayService.revokeAllOAuthTokens({ clientId, clientSecret: client.secret, orgId });
+    } catch (error) {
+      tokensRevoked = false;
+      console.warn(`⚠️  Could not revoke tokens of OAuth client ${clientId}:`, error.message);
+    }
+
+    await tykGatewayService.deleteOAuthClient(apiId, clientId);
+    return { client: this.formatClient(client, api), tokens_revoked: tokensRevoked };
+  }
+}
+
+module.exports = new OAuthClientService();
@@ -0,0 +1,335 @@
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+
+// HTTP methods that can appear as operations under an OpenAPI/Swagger path item
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Service class for turning OpenAPI 3 and Swagger 2 documents into
+ * Tyk classic API definitions and comparing the result with what is deployed.
+ */
+class OpenApiImportService {
+  /**
+   * Parses an uploaded document. Accepts an already parsed object,
+   * JSON text or YAML text.
+   *
+   * @param {string|Object} content - Raw document
+   * @returns {Object} Parsed document
+   * @throws {Error} If the document cannot be parsed or is not OpenAPI 3 / Swagger 2
+   */
+  parseDocument(content) {
+    let spec = content;
+
+    if (typeof content === 'string') {
+      try {
+        spec = JSON.parse(content);
+      } catch (jsonError) {
+        try {
+          spec = yaml.load(content);
+        } catch (yamlError) {
+          throw badRequest(`Document is neither valid JSON nor YAML: ${yamlError.message}`);
+        }
+      }
+    }
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw badRequest('Document must be an OpenAPI or Swagger object');
+    }
+
+    this.getFormat(spec);
+
+    if (!spec.info || !spec.info.title) {
+      throw badRequest('Document is missing info.title');
+    }
+    if (!spec.paths || typeof spec.paths !== 'object') {
+      throw badRequest('Document is missing paths');
+    }
+
+    return spec;
+  }
+
+  /**
+   * Detects the document format.
+   *
+   * @param {Object} spec - Parsed document
+   * @returns {string} 'openapi3' or 'swagger2'
+   * @throws {Error} If the format is not supported
+   */
+  getFormat(spec) {
+    if (typeof spec.openapi === 'string' && spec.openapi.startsWith('3.')) {
+      return 'openapi3';
+    }
+    if (String(spec.swagger) === '2.0') {
+      return 'swagger2';
+    }
+    throw badRequest('Only OpenAPI 3.x and Swagger 2.0 documents are supported');
+  }
+
+  /**
+   * Works out the upstream URL from servers (OpenAPI 3) or
+   * schemes/host/basePath (Swagger 2). Relative server URLs are ignored.
+   *
+   * @param {Object} spec - Parsed document
+   * @returns {string|null} Absolute target URL or null
+   */
+  getTargetUrl(spec) {
+    if (this.getFormat(spec) === 'openapi3') {
+      const server = Array.isArray(spec.servers) ? spec.servers[0] : null;
+      if (!server || !server.url) {
+        return null;
+      }
+
+      const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+        const variable = server.variables && server.variables[name];
+        return variable && variable.default !== undefined ? String(variable.default) : match;
+      });
+
+      return /^https?:\/\/[^{}]+$/i.test(url) ? url : null;
+    }
+
+    if (!spec.host) {
+      return null;
+    }
+    const scheme = Array.isArray(spec.schemes) && spec.schemes.length > 0
+      ? (spec.schemes.includes('https') ? 'https' : spec.schemes[0])
+      : 'https';
+    return `${scheme}://${spec.host}${spec.basePath && spec.basePath !== '/' ? spec.basePath : ''}`;
+  }
+
+  /**
+   * Lists the operations in the document as path/method pairs.
+   *
+   * @param {Object} spec - Parsed document
+   * @returns {Array<Object>} Paths with their upper-case methods, sorted by path
+   */
+  getOperations(spec) {
+    return Object.keys(spec.paths)
+      .sort()
+      .map(path => ({
+        path,
+        methods: Object.keys(spec.paths[path] || {})
+          .filter(method => OPERATION_METHODS.includes(method.toLowerCase()))
+          .map(method => method.toUpperCase())
+          .sort()
+      }))
+      .filter(operation => operation.methods.length > 0);
+  }
+
+  /**
+   * Builds a Tyk classic API definition from a document.
+   * The document version becomes a Tyk version whose allow-list contains
+   * every documented path and method. When an existing definition is passed,
+   * its other settings and versions are kept and only the imported version is replaced.
+   *
+   * @param {Object} spec - Parsed document
+   * @param {Object} options - Overrides: name, listen_path, target_url, api_id, org_id
+   * @param {Object|null} existing - Current Tyk definition when re-importing
+   * @returns {Object} Tyk API definition
+   * @throws {Error} If no absolute target URL can be determined
+   */
+  buildTykDefinition(spec, options = {}, existing = null) {
+    const name = (options.name || existing?.name || spec.info.title).substring(0, 100);
+    const versionName = String(spec.info.version || 'Default');
+
+    const targetUrl = options.target_url || this.getTargetUrl(spec) || existing?.proxy?.target_url;
+    if (!targetUrl) {
+      throw badRequest('Document has no absolute server URL; provide target_url');
+    }
+
+    const listenPath = normalizeListenPath(
+      options.listen_path || existing?.proxy?.listen_path || `/${slugify(name)}/`
+    );
+
+    const whiteList = this.getOperations(spec).map(({ path, methods }) => ({
+      path,
+      method_actions: methods.reduce((actions, method) => {
+        actions[method] = { action: 'no_action', code: 200, data: '', headers: {} };
+        return actions;
+      }, {})
+    }));
+
+    const versions = { ...(existing?.version_data?.versions || {}) };
+    versions[versionName] = {
+      name: versionName,
+      use_extended_paths: true,
+      extended_paths: {
+        white_list: whiteList
+      }
+    };
+
+    return {
+      use_keyless: false,
+      auth: {
+        auth_header_name: 'Authorization'
+      },
+      definition: {
+        location: 'header',
+        key: 'x-api-version'
+      },
+      active: true,
+      ...existing,
+      name,
+      api_id: options.api_id || existing?.api_id || uuidv4().replace(/-/g, ''),
+      org_id: options.org_id || existing?.org_id,
+      proxy: {
+        strip_listen_path: true,
+        ...existing?.proxy,
+        listen_path: listenPath,
+        target_url: targetUrl
+      },
+      version_data: {
+        not_versioned: false,
+        default_version: versionName,
+        versions
+      }
+    };
+  }
+
+  /**
+   * Summarizes a Tyk definition for previews.
+   *
+   * @param {Object} definition - Tyk API definition
+   * @returns {Object} Name, proxy settings and allow-listed paths per version
+   */
+  summarize(definition) {
+    return {
+      name: definition.name,
+      api_id: definition.api_id,
+      listen_path: definition.proxy?.listen_path,
+      target_url: definition.proxy?.target_url,
+      default_version: definition.version_data?.default_version,
+      versions: Object.entries(getAllowLists(definition)).map(([version, paths]) => ({
+        name: version,
+        paths: Object.entries(paths).map(([path, methods]) => ({ path, methods }))
+      }))
+    };
+  }
+
+  /**
+   * Compares two Tyk definitions: top-level settings, versions and
+   * allow-listed paths/methods within versions present in both.
+   *
+   * @param {Object|null} previous - Current definition (null for a new API)
+   * @param {Object} next - Definition generated from the document
+   * @returns {Object} Diff with a `changed` flag
+   */
+  diffDefinitions(previous, next) {
+    const diff = {
+      changed: false,
+      fields: [],
+      versions: { added: [], removed: [] },
+      paths: { added: [], removed: [], changed: [] }
+    };
+
+    if (!previous) {
+      diff.changed = true;
+      diff.versions.added = Object.keys(getAllowLists(next));
+      return diff;
+    }
+
+    const fields = [
+      ['name', previous.name, next.name],
+      ['listen_path', previous.proxy?.listen_path, next.proxy?.listen_path],
+      ['target_url', previous.proxy?.target_url, next.proxy?.target_url],
+      ['default_version', previous.version_data?.default_version, next.version_data?.default_version]
+    ];
+    for (const [field, from, to] of fields) {
+      if (from !== to) {
+        diff.fields.push({ field, from: from ?? null, to: to ?? null });
+      }
+    }
+
+    const before = getAllowLists(previous);
+    const after = getAllowLists(next);
+
+    diff.versions.added = Object.keys(after).filter(version => !before[version]);
+    diff.versions.removed = Object.keys(before).filter(version => !after[version]);
+
+    for (const version of Object.keys(after).filter(v => before[v])) {
+      const oldPaths = before[version];
+      const newPaths = after[version];
+
+      for (const path of Object.keys(newPaths)) {
+        if (!oldPaths[path]) {
+          diff.paths.added.push({ version, path, methods: newPaths[path] });
+          continue;
+        }
+        const addedMethods = newPaths[path].filter(method => !oldPaths[path].includes(method));
+        const removedMethods = oldPaths[path].filter(method => !newPaths[path].includes(method));
+        if (addedMethods.length > 0 || removedMethods.length > 0) {
+          diff.paths.changed.push({ version, path, added_methods: addedMethods, removed_methods: removedMethods });
+        }
+      }
+      for (const path of Object.keys(oldPaths)) {
+        if (!newPaths[path]) {
+          diff.paths.removed.push({ version, path, methods: oldPaths[path] });
+        }
+      }
+    }
+
+    diff.changed = diff.fields.length > 0 ||
+      diff.versions.added.length > 0 ||
+      diff.versions.removed.length > 0 ||
+      diff.paths.added.length > 0 ||
+      diff.paths.removed.length > 0 ||
+      diff.paths.changed.length > 0;
+
+    return diff;
+  }
+
+  /**
+   * Parses a document, builds its Tyk definition and diffs it against
+   * the current definition, if any.
+   *
+   * @param {string|Object} content - Raw document
+   * @param {Object} options - Overrides passed to buildTykDefinition
+   * @param {Object|null} existing - Current Tyk definition when re-importing
+   * @returns {Object} Parsed spec, format, definition, summary and diff
+   */
+  prepareImport(content, options = {}, existing = null) {
+    const spec = this.parseDocument(content);
+    const definition = this.buildTykDefinition(spec, options, existing);
+
+    return {
+      spec,
+      format: this.getFormat(spec),
+      definition,
+      summary: this.summarize(definition),
+      diff: this.diffDefinitions(existing, definition)
+    };
+  }
+}
+
+// Allow-listed methods per path for every version of a definition
+const getAllowLists = (definition) => {
+  const versions = definition?.version_data?.versions || {};
+  const result = {};
+
+  for (const [name, version] of Object.entries(versions)) {
+    result[name] = {};
+    for (const entry of version?.extended_paths?.white_list || []) {
+      const methods = Object.keys(entry.method_actions || {}).sort();
+      result[name][entry.path] = [...new Set([...(result[name][entry.path] || []), ...methods])].sort();
+    }
+  }
+
+  return result;
+};
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'api';
+
+const normalizeListenPath = (path) => {
+  let normalized = path.startsWith('/') ? path : `/${path}`;
+  if (!normalized.endsWith('/')) {
+    normalized += '/';
+  }
+  return normalized;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+module.exports = new OpenApiImportService();
@@ -0,0 +1,195 @@
+const { PolicyRevision, PolicyApiAccess } = require('../models');
+const policyService = require('./PolicyService');
+const { diffJson } = require('../utils/jsonDiff');
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Service class for policy revision history.
+ * Every change TykBasic makes to a policy is stored as an immutable, numbered
+ * snapshot of its limits, tags and access rights, together with how many keys
+ * were using the policy, so revisions can be compared and an earlier one restored.
+ */
+class PolicyRevisionService {
+  /**
+   * Captures the revisioned fields of a policy.
+   *
+   * @param {Object} policy - Policy instance
+   * @returns {Promise<Object>} Snapshot with access rights keyed by API ID
+   */
+  async snapshotPolicy(policy) {
+    const accesses = await PolicyApiAccess.findByPolicyId(policy.id);
+
+    return {
+      name: policy.name,
+      description: policy.description || '',
+      rate_limit: policy.rate_limit,
+      rate_per: policy.rate_per,
+      quota_max: policy.quota_max,
+      quota_renewal_rate: policy.quota_renewal_rate,
+      tags: parseJsonArray(policy.tags),
+      partitions: policy.partitions || null,
+      access_rights: Object.fromEntries(accesses.map(access => {
+        const { api_name, versions, allowed_urls, api_limit, endpoint_limits } = access.toJSON();
+        return [access.api_id, {
+          api_name: api_name || access.api_id,
+          versions,
+          allowed_urls,
+          limit: api_limit || null,
+          endpoints: endpoint_limits || []
+        }];
+      }))
+    };
+  }
+
+  /**
+   * Turns a snapshot back into PolicyService.updatePolicy updates.
+   *
+   * @param {Object} snapshot - Revision snapshot
+   * @returns {Object} Policy updates including api_accesses
+   */
+  snapshotToUpdates(snapshot) {
+    const { access_rights: accessRights, ...fields } = snapshot;
+    return {
+      ...fields,
+      api_accesses: Object.entries(accessRights || {}).map(([apiId, access]) => ({ api_id: apiId, ...access }))
+    };
+  }
+
+  /**
+   * Counts the gateway keys applying a policy. Returns null rather than
+   * failing when the gateway cannot be read, so history is still recorded.
+   *
+   * @param {Object} policy - Policy instance
+   * @returns {Promise<number|null>} Key count
+   */
+  async countKeys(policy) {
+    try {
+      const keys = await policyService.findKeysWithPolicy(policy);
+      return keys.length;
+    } catch (error) {
+      console.warn(`⚠️ Could not count keys for policy ${policy.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a new revision of a policy as it is now.
+   * When the policy has no history yet and `baseline` is given, the snapshot
+   * it replaces is stored first as revision 1 so the change can be undone.
+   *
+   * @param {Object} params - Revision details
+   * @param {Object} params.policy - Policy instance, after the change
+   * @param {string} params.action - Change that produced the revision
+   * @param {Object} [params.user] - Author
+   * @param {string} [params.comment] - Author's comment
+   * @param {number} [params.sourceRevisionNumber] - Revision restored by a restore
+   * @param {Object} [params.baseline] - Snapshot taken before the change
+   * @returns {Promise<Object>} Created revision
+   */
+  async recordRevision({ policy, action, user = null, comment = null, sourceRevisionNumber = null, baseline = null }) {
+    const snapshot = await this.snapshotPolicy(policy);
+    // Key assignments do not change with a policy update, so one count covers both revisions
+    const keyCount = await this.countKeys(policy);
+    let latest = await this.getLatestRevisionNumber(policy.id);
+
+    if (latest === 0 && baseline) {
+      await PolicyRevision.create({
+        policy_id: policy.id,
+        organization_id: policy.owner_organization_id,
+        revision_number: 1,
+        snapshot: baseline,
+        action: 'baseline',
+        comment: 'Policy before revision tracking started',
+        key_count: keyCount
+      });
+      latest = 1;
+    }
+
+    return PolicyRevision.create({
+      policy_id: policy.id,
+      organization_id: policy.owner_organization_id,
+      revision_number: latest + 1,
+      snapshot,
+      action,
+      comment: comment || null,
+      author_id: user?.id || null,
+      author_email: user?.email || null,
+      source_revision_number: sourceRevisionNumber,
+      key_count: keyCount
+    });
+  }
+
+  async getLatestRevisionNumber(policyId) {
+    const latest = await PolicyRevision.max('revision_number', {
+      where: { policy_id: policyId }
+    });
+    return latest || 0;
+  }
+
+  /**
+   * Lists a policy's revisions, newest first, without their snapshots.
+   *
+   * @param {number|string} policyId - Policy ID
+   * @returns {Promise<Array<Object>>} Revision summaries
+   */
+  async listRevisions(policyId) {
+    const revisions = await PolicyRevision.findByPolicy(policyId);
+    return revisions.map(revision => revision.toSummary());
+  }
+
+  /**
+   * Loads one revision of a policy.
+   *
+   * @param {number|string} policyId - Policy ID
+   * @param {number|string} revisionNumber - Revision number
+   * @returns {Promise<Object>} Revision
+   * @throws {Error} With status 400 or 404
+   */
+  async getRevision(policyId, revisionNumber) {
+    const number = parseInt(revisionNumber, 10);
+    if (!Number.isInteger(number) || number < 1) {
+      const error = new Error(`Invalid revision number: ${revisionNumber}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const revision = await PolicyRevision.findRevision(policyId, number);
+    if (!revision) {
+      const error = new Error(`Revision ${number} of policy ${policyId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    return revision;
+  }
+
+  /**
+   * Compares two revisions of a policy.
+   *
+   * @param {number|string} policyId - Policy ID
+   * @param {number|string} fromNumber - Older revision
+   * @param {number|string} toNumber - Newer revision
+   * @returns {Promise<Object>} { from, to, changes }
+   */
+  async diffRevisions(policyId, fromNumber, toNumber) {
+    const from = await this.getRevision(policyId, fromNumber);
+    const to = await this.getRevision(policyId, toNumber);
+
+    return {
+      from: from.toSummary(),
+      to: to.toSummary(),
+      changes: diffJson(from.snapshot, to.snapshot)
+    };
+  }
+}
+
+module.exports = new PolicyRevisionService();
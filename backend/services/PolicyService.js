@@ -1,9 +1,55 @@
 const db = require('../models');
-const { Policy, PolicyApiAccess, OrganizationAvailablePolicy, Organization, User, sequelize } = db;
+const { Policy, PolicyApiAccess, OrganizationAvailablePolicy, Organization, User, UserCredentials, sequelize } = db;
 const tykGatewayService = require('./TykGatewayService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { diffJson } = require('../utils/jsonDiff');
+const { getKnownEndpoints, normalizeAccessRules } = require('../utils/policyAccessRules');
+const { normalizePartitions, toTykPartitions, combinePolicies } = require('../utils/policyPartitions');
 const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 
+const KEY_DETAIL_CONCURRENCY = 5;
+
+// Policy fields after applying `updates`; omitted (and, for most fields, empty) values keep the current ones
+const resolvePolicyFields = (policy, updates) => ({
+  name: updates.name || policy.name,
+  description: updates.description !== undefined ? updates.description : policy.description,
+  rate_limit: updates.rate_limit || policy.rate_limit,
+  rate_per: updates.rate_per || policy.rate_per,
+  quota_max: updates.quota_max !== undefined ? updates.quota_max : policy.quota_max,
+  quota_renewal_rate: updates.quota_renewal_rate || policy.quota_renewal_rate,
+  tags: updates.tags || policy.tags,
+  is_active: updates.is_active !== undefined ? updates.is_active : policy.is_active,
+  partitions: updates.partitions !== undefined ? updates.partitions : policy.partitions
+});
+
+// Tyk access_rights entry for a policy API access; accepts request and PolicyApiAccess field names
+const toTykAccessRight = (access) => {
+  const limit = access.limit || access.api_limit;
+  const endpoints = access.endpoints || access.endpoint_limits || [];
+  return {
+    api_id: access.api_id,
+    api_name: access.api_name || access.api_id,
+    versions: access.versions || ['Default'],
+    allowed_urls: access.allowed_urls || [],
+    ...(limit && { limit }),
+    ...(endpoints.length > 0 && { endpoints })
+  };
+};
+
+// Tyk policy fields for resolved policy settings and access rights
+const toTykPolicyFields = (fields, accessRights) => ({
+  name: fields.name,
+  active: fields.is_active,
+  rate: fields.rate_limit,
+  per: fields.rate_per,
+  quota_max: fields.quota_max,
+  quota_renewal_rate: fields.quota_renewal_rate,
+  tags: fields.tags || [],
+  access_rights: accessRights,
+  partitions: toTykPartitions(fields.partitions, Object.values(accessRights))
+});
+
 /**
  * Service class for managing Tyk Gateway policies.
  * Handles policy creation, updates, and deletion in both Tyk Gateway and local database.
@@ -21,9 +67,12 @@ class PolicyService {
    * @param {number} [policyData.rate_per] - Rate limit period in seconds
    * @param {number} [policyData.quota_max] - Maximum quota (-1 for unlimited)
    * @param {number} [policyData.quota_renewal_rate] - Quota renewal period in seconds
-   * @param {Array} [policyData.api_accesses] - List of API access configurations
+   * @param {Array} [policyData.api_accesses] - List of API access configurations, each with
+   *   optional allowed_urls, limit and endpoints (see utils/policyAccessRules)
    * @param {string} [policyData.target_organization_id] - Target organization ID
    * @param {Array} [policyData.tags] - Policy tags
+   * @param {Object} [policyData.partitions] - Parts of a key session the policy supplies
+   *   ({ quota, rate_limit, acl, complexity }); none set means all
    * @param {string} creatorUserId - ID of the user creating the policy
    * @returns {Promise<Object>} Created policy data
    * @throws {Error} If policy creation fails
@@ -55,31 +104,13 @@ class PolicyService {
       const generatedPolicyId = uuidv4().replace(/-/g, ''); // Remove dashes to match Tyk's format
 
       // Prepare Tyk policy data (using structure from working test)
-      const tykPolicyData = {
-        id: generatedPolicyId, // Tyk Gateway requires this field
-        name: policyData.name,
-        active: true,
-        org_id: targetOrgId,
-        rate: policyData.rate_limit || 1000,
-        per: policyData.rate_per || 60,
-        quota_max: policyData.quota_max || -1,
-        quota_renewal_rate: policyData.quota_renewal_rate || 3600,
-        tags: policyData.tags || []
-      };
-
-      // Add access rights (required field, even if empty)
-      tykPolicyData.access_rights = {};
+      // Access rights are a required field, even if empty
+      const accessRights = {};
       if (policyData.api_accesses && policyData.api_accesses.length > 0) {
-        // Only add APIs that we can validate exist
+        // Allowed paths, per-API limits and endpoint limits are checked against
+        // the API's paths by validateApiAccesses before a policy is created
         for (const access of policyData.api_accesses) {
-          // For now, trust that the frontend is sending valid APIs
-          // In production, you'd want to validate each API exists
-          tykPolicyData.access_rights[access.api_id] = {
-            api_id: access.api_id,
-            api_name: access.api_name || access.api_id,
-            versions: access.versions || ['Default'],
-            allowed_urls: access.allowed_urls || []
-          };
+          accessRights[access.api_id] = toTykAccessRight(access);
         }
       } else {
         // Create a placeholder access right to ensure policy creation succeeds
@@ -87,6 +118,21 @@ class PolicyService {
         console.log('Warning: Creating policy without API access - this is for admin setup only');
       }
 
+      const tykPolicyData = {
+        id: generatedPolicyId, // Tyk Gateway requires this field
+        org_id: targetOrgId,
+        ...toTykPolicyFields({
+          name: policyData.name,
+          is_active: true,
+          rate_limit: policyData.rate_limit || 1000,
+          rate_per: policyData.rate_per || 60,
+          quota_max: policyData.quota_max || -1,
+          quota_renewal_rate: policyData.quota_renewal_rate || 3600,
+          tags: policyData.tags,
+          partitions: policyData.partitions
+        }, accessRights)
+      };
+
       // Create policy in Tyk Gateway
       console.log('Sending policy data to Tyk Gateway:', JSON.stringify(tykPolicyData, null, 2));
       const tykPolicyResponse = await tykGatewayService.createPolicy(tykPolicyData);
@@ -116,7 +162,8 @@ class PolicyService {
         quota_max: policyData.quota_max || -1,
         quota_renewal_rate: policyData.quota_renewal_rate || 3600,
         policy_data: tykPolicyResponse,
-        tags: policyData.tags || []
+        tags: policyData.tags || [],
+        partitions: normalizePartitions(policyData.partitions)
       }, { transaction });
 
       // Create API access records if specified
@@ -397,6 +444,8 @@ class PolicyService {
    * @param {number} [updates.quota_renewal_rate] - New quota renewal rate
    * @param {Array} [updates.tags] - New policy tags
    * @param {boolean} [updates.is_active] - New active status
+   * @param {Array} [updates.api_accesses] - Replaces the policy's API access rights
+   * @param {Object} [updates.partitions] - Parts of a key session the policy supplies
    * @param {string} updaterUserId - ID of the user updating the policy
    * @returns {Promise<Object>} Updated policy data
    * @throws {Error} If policy update fails
@@ -410,17 +459,22 @@ class PolicyService {
         throw new Error('Policy not found');
       }
 
+      // Tyk replaces the whole policy on update, so start from the live one
+      const livePolicy = await tykGatewayService.getPolicy(policy.tyk_policy_id);
+      const accessRights = updates.api_accesses
+        ? Object.fromEntries(updates.api_accesses.map(access => [access.api_id, toTykAccessRight(access)]))
+        : livePolicy?.access_rights || {};
+
+      const fields = resolvePolicyFields(policy, updates);
+
       // Update in Tyk Gateway
       const tykUpdates = {
-        name: updates.name || policy.name,
-        rate: updates.rate_limit || policy.rate_limit,
-        per: updates.rate_per || policy.rate_per,
-        quota_max: updates.quota_max !== undefined ? updates.quota_max : policy.quota_max,
-        quota_renewal_rate: updates.quota_renewal_rate || policy.quota_renewal_rate,
-        tags: updates.tags || policy.tags,
+        ...livePolicy,
+        id: policy.tyk_policy_id,
+        ...toTykPolicyFields(fields, accessRights),
         meta_data: {
-          ...policy.policy_data?.meta_data,
-          description: updates.description || policy.description,
+          ...livePolicy?.meta_data,
+          description: fields.description,
           updated_by: (await User.findByPk(updaterUserId))?.email,
           updated_at: new Date().toISOString()
         }
@@ -429,16 +483,14 @@ class PolicyService {
       await tykGatewayService.updatePolicy(policy.tyk_policy_id, tykUpdates);
 
       // Update in our database
-      await policy.update({
-        name: updates.name || policy.name,
-        description: updates.description || policy.description,
-        rate_limit: updates.rate_limit || policy.rate_limit,
-        rate_per: updates.rate_per || policy.rate_per,
-        quota_max: updates.quota_max !== undefined ? updates.quota_max : policy.quota_max,
-        quota_renewal_rate: updates.quota_renewal_rate || policy.quota_renewal_rate,
-        tags: updates.tags || policy.tags,
-        is_active: updates.is_active !== undefined ? updates.is_active : policy.is_active
-      }, { transaction });
+      await policy.update(fields, { transaction });
+
+      if (updates.api_accesses) {
+        await PolicyApiAccess.removeAllForPolicy(policyId, transaction);
+        if (updates.api_accesses.length > 0) {
+          await PolicyApiAccess.createBulkForPolicy(policyId, updates.api_accesses, transaction);
+        }
+      }
 
       await transaction.commit();
       
@@ -451,6 +503,304 @@ class PolicyService {
     }
   }
 
+  /**
+   * Builds the gateway policy for a stored policy from its record and API
+   * accesses, e.g. to push it back to the gateway.
+   *
+   * @param {Object} policy - Policy instance
+   * @param {string} orgId - Tyk organization ID the policy belongs to
+   * @returns {Promise<Object>} Tyk policy data
+   * @throws {Error} With status 400 when the stored partitions conflict with per-API limits
+   */
+  async buildTykPolicyData(policy, orgId) {
+    const accessRights = await PolicyApiAccess.buildTykAccessRights(policy.id);
+    return {
+      id: policy.tyk_policy_id,
+      org_id: orgId,
+      ...toTykPolicyFields(policy.toJSON(), accessRights)
+    };
+  }
+
+  /**
+   * Explains how a set of policies combines on one key: which policy supplies
+   * the access rights, rate limit, quota and query depth limit, and the merged
+   * access rights. Reads the live policies from the gateway.
+   *
+   * @param {Array<Object>} policies - Policy instances, in apply_policies order
+   * @returns {Promise<Object>} Result of combinePolicies; `errors` lists combinations the key cannot use
+   */
+  async describePolicyCombination(policies) {
+    const livePolicies = await mapWithConcurrency(policies, KEY_DETAIL_CONCURRENCY, async (policy) => {
+      const livePolicy = await tykGatewayService.getPolicy(policy.tyk_policy_id);
+      return { ...livePolicy, id: policy.tyk_policy_id, name: policy.name };
+    });
+    return combinePolicies(livePolicies);
+  }
+
+  /**
+   * Loads the paths and methods an API documents, reading the OAS document
+   * for Tyk OAS APIs.
+   *
+   * @param {string} apiId - Gateway API ID
+   * @returns {Promise<Object>} { api, listen_path, endpoints }
+   * @throws {Error} With status 404 if the gateway does not have the API
+   */
+  async getApiEndpoints(apiId) {
+    let api;
+    try {
+      api = await tykGatewayService.getApi(apiId);
+    } catch (error) {
+      if (error.gatewayStatus === 404) {
+        const notFound = new Error(`API ${apiId} not found on the gateway`);
+        notFound.status = 404;
+        throw notFound;
+      }
+      throw error;
+    }
+
+    const oasDefinition = api?.is_oas ? await tykGatewayService.getOasApi(apiId) : null;
+    return { api, ...getKnownEndpoints(api, oasDefinition) };
+  }
+
+  /**
+   * Validates the method ACLs and rate limits of policy API accesses against
+   * the paths each API documents.
+   *
+   * @param {Array<Object>} apiAccesses - API accesses from a policy request
+   * @returns {Promise<Object>} { apiAccesses, warnings } with normalized accesses
+   * @throws {Error} With status 400 for an unknown API or invalid rule
+   */
+  async validateApiAccesses(apiAccesses) {
+    const normalized = [];
+    const warnings = [];
+
+    for (const access of apiAccesses) {
+      const hasRules = (access.allowed_urls || []).length > 0 || (access.endpoints || []).length > 0;
+      let known = { endpoints: [] };
+      if (hasRules) {
+        try {
+          known = await this.getApiEndpoints(access.api_id);
+        } catch (error) {
+          // An unknown API is a problem with the request, not a missing resource
+          if (error.status === 404) error.status = 400;
+          throw error;
+        }
+      }
+      const result = normalizeAccessRules(access, known);
+      normalized.push(result.access);
+      warnings.push(...result.warnings);
+    }
+
+    return { apiAccesses: normalized, warnings };
+  }
+
+  /**
+   * Finds the gateway keys that have a policy in apply_policies.
+   * Scans the keys of every organization the policy is, or was, available to;
+   * key details are fetched with limited concurrency and keys that cannot be
+   * loaded are skipped.
+   *
+   * @param {Object} policy - Policy instance
+   * @returns {Promise<Array<Object>>} Key sessions with key_hash added
+   */
+  async findKeysWithPolicy(policy) {
+    const assignments = await OrganizationAvailablePolicy.findAll({
+      where: { policy_id: policy.id },
+      attributes: ['organization_id']
+    });
+    const organizations = await Organization.findAll({
+      where: { id: [policy.owner_organization_id, ...assignments.map(assignment => assignment.organization_id)] },
+      attributes: ['tyk_org_id']
+    });
+    const tykOrgIds = [...new Set(organizations.map(org => org.tyk_org_id).filter(Boolean))];
+
+    const keys = [];
+    for (const tykOrgId of tykOrgIds) {
+      const response = await tykGatewayService.getKeys(tykOrgId);
+      const keyIds = Array.isArray(response?.keys) ? response.keys : [];
+
+      const details = await mapWithConcurrency(keyIds, KEY_DETAIL_CONCURRENCY, async (keyId) => {
+        try {
+          const session = await tykGatewayService.getKey(keyId, true, tykOrgId);
+          return session ? { ...session, key_hash: keyId } : null;
+        } catch (error) {
+          console.warn(`⚠️ Could not load key ${keyId} while looking up policy ${policy.tyk_policy_id}:`, error.message);
+          return null;
+        }
+      });
+      keys.push(...details.filter(session => session && (session.apply_policies || []).includes(policy.tyk_policy_id)));
+    }
+
+    return keys;
+  }
+
+  /**
+   * Dry run of a policy update or delete. Lists the keys, organization
+   * assignments and APIs the change touches, with each key's limits before
+   * and after; nothing is changed. Keys come from the gateway (apply_policies)
+   * and from UserCredentials.policy_id. If the gateway cannot be read, the
+   * database keys are still listed and `gateway_error` says why.
+   *
+   * Limits after an update assume this policy supplies them; keys that also
+   * apply other policies are listed with `other_policies`, since the gateway
+   * combines those.
+   *
+   * @param {Object} policy - Policy instance
+   * @param {string} operation - 'update' or 'delete'
+   * @param {Object} [updates] - Proposed updates, as accepted by updatePolicy
+   * @returns {Promise<Object>} Impact report
+   */
+  async analyzeImpact(policy, operation, updates = {}) {
+    const accesses = await PolicyApiAccess.findByPolicyId(policy.id);
+    const apisBefore = accesses.map(access => ({ api_id: access.api_id, api_name: access.api_name || access.api_id }));
+    const apisAfter = operation === 'delete'
+      ? []
+      : updates.api_accesses
+        ? updates.api_accesses.map(access => ({ api_id: access.api_id, api_name: access.api_name || access.api_id }))
+        : apisBefore;
+    const beforeIds = apisBefore.map(api => api.api_id);
+    const afterIds = apisAfter.map(api => api.api_id);
+
+    const fields = resolvePolicyFields(policy, updates);
+    const before = {
+      rate: policy.rate_limit,
+      per: policy.rate_per,
+      quota_max: policy.quota_max,
+      quota_renewal_rate: policy.quota_renewal_rate,
+      is_active: policy.is_active,
+      apis: [...beforeIds].sort()
+    };
+    const after = operation === 'delete' ? null : {
+      rate: fields.rate_limit,
+      per: fields.rate_per,
+      quota_max: fields.quota_max,
+      quota_renewal_rate: fields.quota_renewal_rate,
+      is_active: fields.is_active,
+      apis: [...afterIds].sort()
+    };
+
+    const apis = [...apisBefore, ...apisAfter.filter(api => !beforeIds.includes(api.api_id))].map(api => ({
+      ...api,
+      change: !afterIds.includes(api.api_id) ? 'removed' : !beforeIds.includes(api.api_id) ? 'added' : 'unchanged'
+    }));
+
+    const assignments = await OrganizationAvailablePolicy.findAll({
+      where: { policy_id: policy.id },
+      include: [{ model: Organization, as: 'organization', attributes: ['id', 'name', 'tyk_org_id'] }]
+    });
+    const organizations = assignments.map(assignment => ({
+      id: assignment.organization_id,
+      name: assignment.organization?.name || null,
+      tyk_org_id: assignment.organization?.tyk_org_id || null,
+      is_active: assignment.is_active
+    }));
+
+    let gatewayKeys = [];
+    let gatewayError = null;
+    try {
+      gatewayKeys = await this.findKeysWithPolicy(policy);
+    } catch (error) {
+      console.warn(`⚠️ Impact analysis could not read gateway keys for policy ${policy.id}:`, error.message);
+      gatewayError = error.message;
+    }
+
+    const credentials = await UserCredentials.findAll({
+      where: { policy_id: policy.id },
+      include: [{ model: User, as: 'user', attributes: ['email'] }]
+    });
+    const credentialsByHash = new Map(credentials.map(credential => [credential.tyk_key_hash, credential]));
+
+    const keyLimits = (session, limits) => {
+      const sessionApis = Object.keys(session.access_rights || {});
+      return {
+        rate: limits.rate,
+        per: limits.per,
+        quota_max: limits.quota_max,
+        quota_renewal_rate: limits.quota_renewal_rate,
+        apis: [...new Set([
+          ...sessionApis.filter(apiId => !beforeIds.includes(apiId) || limits.apis.includes(apiId)),
+          ...limits.apis
+        ])].sort()
+      };
+    };
+
+    const keys = gatewayKeys.map(session => {
+      const credential = credentialsByHash.get(session.key_hash);
+      credentialsByHash.delete(session.key_hash);
+      return {
+        key_hash: session.key_hash,
+        name: session.alias || credential?.name || null,
+        org_id: session.org_id || null,
+        owner_email: credential?.user?.email || null,
+        sources: credential ? ['gateway', 'database'] : ['gateway'],
+        is_active: !session.is_inactive,
+        other_policies: (session.apply_policies || []).filter(id => id !== policy.tyk_policy_id),
+        before: {
+          rate: session.rate,
+          per: session.per,
+          quota_max: session.quota_max,
+          quota_renewal_rate: session.quota_renewal_rate,
+          quota_remaining: session.quota_remaining,
+          apis: Object.keys(session.access_rights || {}).sort()
+        },
+        after: after ? keyLimits(session, after) : null
+      };
+    });
+
+    // Database records whose key is not on the gateway (or the gateway could not be read)
+    for (const credential of credentialsByHash.values()) {
+      keys.push({
+        key_hash: credential.tyk_key_hash,
+        name: credential.name,
+        org_id: null,
+        owner_email: credential.user?.email || null,
+        sources: ['database'],
+        is_active: credential.is_active,
+        other_policies: [],
+        before: null,
+        after: null
+      });
+    }
+
+    return {
+      policy: {
+        id: policy.id,
+        name: policy.name,
+        tyk_policy_id: policy.tyk_policy_id
+      },
+      operation,
+      before,
+      after,
+      changes: after ? diffJson(before, after) : [],
+      keys,
+      organizations,
+      apis,
+      summary: {
+        key_count: keys.length,
+        gateway_key_count: gatewayKeys.length,
+        database_only_key_count: keys.length - gatewayKeys.length,
+        organization_count: organizations.length,
+        api_count: apis.length
+      },
+      gateway_error: gatewayError,
+      warnings: this.describeImpactWarnings(operation, keys, after)
+    };
+  }
+
+  // Plain-language warnings for an impact report
+  describeImpactWarnings(operation, keys, after) {
+    const warnings = [];
+    const onlyThisPolicy = keys.filter(key => key.before && key.other_policies.length === 0).length;
+
+    if (operation === 'delete' && onlyThisPolicy > 0) {
+      warnings.push(`${onlyThisPolicy} key(s) apply only this policy; the gateway rejects their requests once it is deleted. Move them to another policy first.`);
+    }
+    if (after && after.apis.length === 0 && keys.length > 0) {
+      warnings.push('The policy grants no APIs after this change.');
+    }
+    return warnings;
+  }
+
   /**
    * Deletes a policy from both Tyk Gateway and local database.
    * 
@@ -0,0 +1,562 @@
+const db = require('../models');
+const { ApiDefinition, Policy, PolicyApiAccess, OrganizationAvailablePolicy, UserCredentials, Organization, User } = db;
+const tykGatewayService = require('./TykGatewayService');
+const tykOasService = require('./TykOasService');
+const policyService = require('./PolicyService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { PARTITIONS } = require('../utils/policyPartitions');
+const { Op } = require('sequelize');
+
+// Number of key detail lookups sent to the gateway at once
+const KEY_DETAIL_CONCURRENCY = 5;
+
+// Fixes offered for each kind of drift
+const FIXES = {
+  gateway_only: ['adopt', 'delete_gateway'],
+  db_only: ['push', 'delete_database'],
+  mismatch: ['adopt', 'push']
+};
+
+/**
+ * Service class for detecting drift between Tyk Gateway and the local database.
+ * Compares APIs, policies and keys for an organization and applies
+ * per-item fixes (adopt into the database, push to the gateway, or delete).
+ */
+class ReconciliationService {
+  /**
+   * Builds a drift report for an organization.
+   * Gateway state is treated as one side and ApiDefinition, Policy/PolicyApiAccess
+   * and UserCredentials as the other; items that match on both sides are only counted.
+   *
+   * @param {string} organizationId - Database organization ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeGlobal=false] - Include gateway objects with no org_id (super admins only)
+   * @returns {Promise<Object>} Drift report with summary, items and the keys that could not be checked
+   * @throws {Error} If the organization is not found or has no Tyk org
+   */
+  async detectDrift(organizationId, { includeGlobal = false } = {}) {
+    const { organization, items, inSync, unchecked } = await this.collectDrift(organizationId, { includeGlobal });
+
+    const summary = {};
+    for (const type of ['api', 'policy', 'key']) {
+      const typeItems = items.filter(item => item.resource_type === type);
+      summary[type] = {
+        in_sync: inSync[type],
+        gateway_only: typeItems.filter(item => item.drift === 'gateway_only').length,
+        db_only: typeItems.filter(item => item.drift === 'db_only').length,
+        mismatch: typeItems.filter(item => item.drift === 'mismatch').length
+      };
+    }
+
+    return {
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        tyk_org_id: organization.tyk_org_id
+      },
+      checked_at: new Date().toISOString(),
+      consistent: items.length === 0 && unchecked.length === 0,
+      summary,
+      items: items.map(({ gateway, record, ...item }) => item),
+      unchecked
+    };
+  }
+
+  /**
+   * Applies a list of fixes to the drift found for an organization.
+   * Drift is re-detected first so fixes always act on current state.
+   *
+   * @param {string} organizationId - Database organization ID
+   * @param {Array} fixes - List of { resource_type, resource_id, action }
+   * @param {Object} actor - User applying the fixes; only super admins can fix gateway objects with no org_id
+   * @returns {Promise<Array>} Per-fix results
+   */
+  async applyFixes(organizationId, fixes, actor) {
+    const { organization, items } = await this.collectDrift(organizationId, { includeGlobal: actor.role === 'super_admin' });
+    const results = [];
+
+    for (const fix of fixes) {
+      const { resource_type, resource_id, action } = fix;
+      const item = items.find(i => i.resource_type === resource_type && i.resource_id === resource_id);
+
+      if (!item) {
+        results.push({ resource_type, resource_id, action, success: false, error: 'No drift found for this item' });
+        continue;
+      }
+
+      if (!item.fixes.includes(action)) {
+        results.push({
+          resource_type,
+          resource_id,
+          action,
+          success: false,
+          error: `Action "${action}" is not available for ${item.drift} ${resource_type}. Available: ${item.fixes.join(', ') || 'none'}`
+        });
+        continue;
+      }
+
+      try {
+        const handler = {
+          api: this.fixApi,
+          policy: this.fixPolicy,
+          key: this.fixKey
+        }[resource_type];
+
+        const message = await handler.call(this, item, action, organization, actor);
+        results.push({ resource_type, resource_id, action, drift: item.drift, success: true, message });
+      } catch (error) {
+        console.error(`Reconciliation fix failed for ${resource_type} ${resource_id}:`, error.message);
+        results.push({ resource_type, resource_id, action, drift: item.drift, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Loads both sides and returns drift items with the raw gateway object
+   * and database record attached for use by the fix handlers.
+   *
+   * @param {string} organizationId - Database organization ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeGlobal=false] - Include gateway objects with no org_id
+   * @returns {Promise<Object>} Organization, drift items, in-sync counts and unchecked items
+   */
+  async collectDrift(organizationId, { includeGlobal = false } = {}) {
+    const organization = await Organization.findByPk(organizationId);
+    if (!organization) {
+      const error = new Error('Organization not found');
+      error.status = 404;
+      throw error;
+    }
+    if (!organization.tyk_org_id) {
+      const error = new Error('Organization has no Tyk organization ID');
+      error.status = 400;
+      throw error;
+    }
+
+    const [apis, policies, keys] = await Promise.all([
+      this.diffApis(organization, includeGlobal),
+      this.diffPolicies(organization, includeGlobal),
+      this.diffKeys(organization, includeGlobal)
+    ]);
+
+    return {
+      organization,
+      items: [...apis.items, ...policies.items, ...keys.items],
+      inSync: { api: apis.inSync, policy: policies.inSync, key: keys.inSync },
+      unchecked: keys.unchecked
+    };
+  }
+
+  /**
+   * Compares gateway API definitions with ApiDefinition records.
+   * Undeployed records are drafts and are not expected on the gateway.
+   *
+   * @param {Object} organization - Organization instance
+   * @param {boolean} includeGlobal - Include APIs with no org_id
+   * @returns {Promise<Object>} Drift items and in-sync count
+   */
+  async diffApis(organization, includeGlobal) {
+    const gatewayApis = toArray(await tykGatewayService.getApis(organization.tyk_org_id))
+      .filter(api => belongsToOrganization(api, organization, includeGlobal));
+    const records = await ApiDefinition.findAll({ where: { organization_id: organization.id } });
+
+    return this.diffResources('api', gatewayApis, records, {
+      gatewayId: api => api.api_id,
+      recordId: record => record.api_id,
+      expectOnGateway: record => record.is_deployed,
+      name: (api, record) => api?.name || record?.name,
+      fields: (api, record) => [
+        ['name', api.name, record.name],
+        ['listen_path', api.proxy?.listen_path, record.listen_path],
+        ['target_url', api.proxy?.target_url, record.target_url],
+        ['active', api.active !== false, record.is_active]
+      ]
+    });
+  }
+
+  /**
+   * Compares gateway policies with Policy and PolicyApiAccess records.
+   *
+   * @param {Object} organization - Organization instance
+   * @param {boolean} includeGlobal - Include policies with no org_id
+   * @returns {Promise<Object>} Drift items and in-sync count
+   */
+  async diffPolicies(organization, includeGlobal) {
+    const gatewayPolicies = toArray(await tykGatewayService.getPolicies(organization.tyk_org_id))
+      .filter(policy => belongsToOrganization(policy, organization, includeGlobal));
+
+    // Policies land in the target organization's Tyk org when one is set
+    const records = await Policy.findAll({
+      where: {
+        [Op.or]: [
+          { target_organization_id: organization.id },
+          { owner_organization_id: organization.id, target_organization_id: null }
+        ]
+      },
+      include: [{ model: PolicyApiAccess, as: 'PolicyApiAccesses' }]
+    });
+
+    return this.diffResources('policy', gatewayPolicies, records, {
+      gatewayId: policy => policy.id || policy._id,
+      recordId: record => record.tyk_policy_id,
+      expectOnGateway: () => true,
+      name: (policy, record) => policy?.name || record?.name,
+      fields: (policy, record) => [
+        ['name', policy.name, record.name],
+        ['rate', policy.rate, record.rate_limit],
+        ['per', policy.per, record.rate_per],
+        ['quota_max', policy.quota_max, record.quota_max],
+        ['quota_renewal_rate', policy.quota_renewal_rate, record.quota_renewal_rate],
+        ['active', policy.active !== false, record.is_active],
+        [
+          'access_rights',
+          Object.keys(policy.access_rights || {}).sort().join(','),
+          (record.PolicyApiAccesses || []).map(access => access.api_id).sort().join(',')
+        ]
+      ]
+    });
+  }
+
+  /**
+   * Compares gateway keys with UserCredentials records.
+   * Key details are fetched with limited concurrency; keys that exist only
+   * in the database cannot be pushed because the key secret is not stored.
+   * Keys whose details fail to load are returned as `unchecked` and never
+   * reported as drift, so a gateway error can't make a record look orphaned.
+   *
+   * @param {Object} organization - Organization instance
+   * @param {boolean} includeGlobal - Include keys with no org_id
+   * @returns {Promise<Object>} Drift items, in-sync count and unchecked keys
+   */
+  async diffKeys(organization, includeGlobal) {
+    const response = await tykGatewayService.getKeys(organization.tyk_org_id);
+    const keyIds = toArray(response?.keys || response);
+
+    // Keys listed by the gateway whose details could not be read; their state is unknown
+    const unchecked = [];
+    const details = await mapWithConcurrency(keyIds, KEY_DETAIL_CONCURRENCY, async (keyId) => {
+      try {
+        const detail = await tykGatewayService.getKey(keyId, true, organization.tyk_org_id);
+        return detail ? { ...detail, key_hash: keyId } : null;
+      } catch (error) {
+        console.warn(`⚠️ Reconciliation could not load key ${keyId}:`, error.message);
+        unchecked.push({ resource_type: 'key', resource_id: keyId, error: error.message });
+        return null;
+      }
+    });
+    const uncheckedIds = new Set(unchecked.map(entry => entry.resource_id));
+    const gatewayKeys = details.filter(key => key && belongsToOrganization(key, organization, includeGlobal));
+
+    const records = await UserCredentials.findAll({
+      where: { organization_id: organization.id, tyk_key_hash: { [Op.ne]: null } },
+      include: [{ model: Policy, as: 'policy' }]
+    });
+
+    const result = this.diffResources('key', gatewayKeys, records, {
+      gatewayId: key => key.key_hash,
+      recordId: record => record.tyk_key_hash,
+      // Deleted and expired keys keep an inactive record for history
+      expectOnGateway: record => record.is_active && !uncheckedIds.has(record.tyk_key_hash),
+      name: (key, record) => key?.alias || record?.name,
+      fields: (key, record) => [
+        ['active', !key.is_inactive, record.is_active],
+        [
+          'policy',
+          record.policy && (key.apply_policies || []).includes(record.policy.tyk_policy_id)
+            ? record.policy.tyk_policy_id
+            : (key.apply_policies || []).join(','),
+          record.policy?.tyk_policy_id || ''
+        ]
+      ],
+      fixes: {
+        db_only: ['delete_database']
+      }
+    });
+    return { ...result, unchecked };
+  }
+
+  /**
+   * Matches gateway objects and database records by ID and classifies drift.
+   *
+   * @param {string} resourceType - 'api', 'policy' or 'key'
+   * @param {Array} gatewayItems - Objects returned by the gateway
+   * @param {Array} records - Database records
+   * @param {Object} options - ID accessors, field comparator and fix overrides
+   * @returns {Object} Drift items and in-sync count
+   */
+  diffResources(resourceType, gatewayItems, records, options) {
+    const fixes = { ...FIXES, ...(options.fixes || {}) };
+    const recordsById = new Map(records.map(record => [options.recordId(record), record]));
+    const items = [];
+    let inSync = 0;
+
+    for (const gateway of gatewayItems) {
+      const id = options.gatewayId(gateway);
+      const record = recordsById.get(id);
+      recordsById.delete(id);
+
+      if (!record) {
+        items.push(buildItem(resourceType, id, 'gateway_only', options.name(gateway, null), [], fixes, gateway, null));
+        continue;
+      }
+
+      const differences = options.fields(gateway, record)
+        .filter(([, gatewayValue, databaseValue]) => !sameValue(gatewayValue, databaseValue))
+        .map(([field, gatewayValue, databaseValue]) => ({ field, gateway: gatewayValue, database: databaseValue }));
+
+      if (differences.length === 0) {
+        inSync++;
+      } else {
+        items.push(buildItem(resourceType, id, 'mismatch', options.name(gateway, record), differences, fixes, gateway, record));
+      }
+    }
+
+    for (const [id, record] of recordsById) {
+      if (options.expectOnGateway(record)) {
+        items.push(buildItem(resourceType, id, 'db_only', options.name(null, record), [], fixes, null, record));
+      }
+    }
+
+    return { items, inSync };
+  }
+
+  async fixApi(item, action, organization) {
+    const tykOrgId = organization.tyk_org_id;
+
+    if (action === 'adopt') {
+      const api = item.gateway;
+      const values = {
+        name: api.name,
+        listen_path: api.proxy?.listen_path || `/${api.api_id}/`,
+        target_url: api.proxy?.target_url,
+        is_active: api.active !== false,
+        use_keyless: !!api.use_keyless,
+        api_definition: api,
+        definition_format: api.is_oas ? 'oas' : 'classic',
+        oas_definition: api.is_oas ? await tykGatewayService.getOasApi(api.api_id) : null,
+        is_deployed: true,
+        deployment_status: 'deployed',
+        last_deployed_at: new Date(),
+        deployment_error: null
+      };
+
+      if (item.record) {
+        await item.record.update(values);
+        return 'Database record updated from gateway';
+      }
+
+      await ApiDefinition.create({ ...values, organization_id: organization.id, api_id: api.api_id });
+      return 'API definition adopted into database';
+    }
+
+    if (action === 'push') {
+      if (item.record.definition_format === 'oas') {
+        const oasDefinition = tykOasService.withIds(item.record.oas_definition, { api_id: item.record.api_id, org_id: tykOrgId });
+        if (item.drift === 'db_only') {
+          await tykGatewayService.createOasApi(oasDefinition, tykOrgId);
+        } else {
+          await tykGatewayService.updateOasApi(item.record.api_id, oasDefinition);
+        }
+      } else {
+        const definition = { ...item.record.generateTykDefinition(), org_id: tykOrgId };
+        if (item.drift === 'db_only') {
+          await tykGatewayService.createApi(definition, tykOrgId);
+        } else {
+          await tykGatewayService.updateApi(item.record.api_id, definition);
+        }
+      }
+      await reloadAllNodes('API definition pushed to gateway');
+      await item.record.markAsDeployed();
+      return 'API definition pushed to gateway';
+    }
+
+    if (action === 'delete_gateway') {
+      if (item.gateway.is_oas) {
+        await tykGatewayService.deleteOasApi(item.resource_id);
+      } else {
+        await tykGatewayService.deleteApi(item.resource_id);
+      }
+      await reloadAllNodes('API removed from gateway');
+      return 'API removed from gateway';
+    }
+
+    await item.record.destroy();
+    return 'API definition removed from database';
+  }
+
+  async fixPolicy(item, action, organization, actor) {
+    const tykOrgId = organization.tyk_org_id;
+
+    if (action === 'adopt') {
+      const policy = item.gateway;
+      const values = {
+        name: policy.name || item.resource_id,
+        rate_limit: policy.rate || 1000,
+        rate_per: policy.per || 60,
+        quota_max: policy.quota_max ?? -1,
+        quota_renewal_rate: policy.quota_renewal_rate || 3600,
+        is_active: policy.active !== false,
+        tags: policy.tags || [],
+        partitions: Object.fromEntries(PARTITIONS.map(part => [part, policy.partitions?.[part] === true])),
+        policy_data: policy
+      };
+      const apiAccesses = Object.values(policy.access_rights || {}).map(access => ({
+        api_id: access.api_id,
+        api_name: access.api_name,
+        versions: access.versions,
+        allowed_urls: access.allowed_urls,
+        limit: access.limit?.rate ? access.limit : null,
+        endpoints: access.endpoints || []
+      }));
+
+      await db.sequelize.transaction(async (transaction) => {
+        let record = item.record;
+        if (record) {
+          await record.update(values, { transaction });
+          await PolicyApiAccess.removeAllForPolicy(record.id, transaction);
+        } else {
+          record = await Policy.create({
+            ...values,
+            tyk_policy_id: item.resource_id,
+            created_by_user_id: actor.id,
+            owner_organization_id: organization.id
+          }, { transaction });
+          await OrganizationAvailablePolicy.assignPolicyToOrganization(record.id, organization.id, actor.id, transaction);
+        }
+        if (apiAccesses.length > 0) {
+          await PolicyApiAccess.createBulkForPolicy(record.id, apiAccesses, transaction);
+        }
+      });
+
+      return item.record ? 'Database record updated from gateway' : 'Policy adopted into database';
+    }
+
+    if (action === 'push') {
+      const record = item.record;
+      const tykPolicyData = await policyService.buildTykPolicyData(record, tykOrgId);
+
+      if (item.drift === 'db_only') {
+        await tykGatewayService.createPolicy(tykPolicyData);
+      } else {
+        await tykGatewayService.updatePolicy(record.tyk_policy_id, tykPolicyData, tykOrgId);
+      }
+      await reloadAllNodes('Policy pushed to gateway');
+      return 'Policy pushed to gateway';
+    }
+
+    if (action === 'delete_gateway') {
+      await tykGatewayService.deletePolicy(item.resource_id, tykOrgId);
+      await reloadAllNodes('Policy removed from gateway');
+      return 'Policy removed from gateway';
+    }
+
+    await db.sequelize.transaction(async (transaction) => {
+      await PolicyApiAccess.removeAllForPolicy(item.record.id, transaction);
+      await OrganizationAvailablePolicy.destroy({ where: { policy_id: item.record.id }, transaction });
+      await item.record.destroy({ transaction });
+    });
+    return 'Policy removed from database';
+  }
+
+  async fixKey(item, action, organization, actor) {
+    const tykOrgId = organization.tyk_org_id;
+
+    if (action === 'adopt') {
+      const key = item.gateway;
+      const policy = key.apply_policies?.length
+        ? await Policy.findOne({ where: { tyk_policy_id: key.apply_policies[0] } })
+        : null;
+
+      if (item.record) {
+        await item.record.update({
+          is_active: !key.is_inactive,
+          policy_id: policy ? policy.id : item.record.policy_id
+        });
+        return 'Database record updated from gateway';
+      }
+
+      // Attribute the key to its original creator when they belong to this organization
+      let userId = actor.id;
+      if (key.meta_data?.created_by_id) {
+        const creator = await User.findOne({
+          where: { id: key.meta_data.created_by_id, organization_id: organization.id }
+        });
+        if (creator) {
+          userId = creator.id;
+        }
+      }
+
+      await UserCredentials.create({
+        user_id: userId,
+        organization_id: organization.id,
+        credential_type: 'api_key',
+        name: (key.alias || `Key ${item.resource_id.substring(0, 8)}`).substring(0, 100),
+        description: key.meta_data?.description || null,
+        tyk_key_hash: item.resource_id,
+        is_active: !key.is_inactive,
+        expires_at: key.expires > 0 ? new Date(key.expires * 1000) : null,
+        policy_id: policy ? policy.id : null
+      });
+      return 'Key adopted into database';
+    }
+
+    if (action === 'push') {
+      const record = item.record;
+      const session = await tykGatewayService.getKey(item.resource_id, true, tykOrgId);
+      const applyPolicies = record.policy
+        ? [record.policy.tyk_policy_id, ...(session.apply_policies || []).filter(id => id !== record.policy.tyk_policy_id)]
+        : session.apply_policies;
+
+      await tykGatewayService.updateKey(item.resource_id, {
+        ...session,
+        is_inactive: !record.is_active,
+        apply_policies: applyPolicies
+      }, true, tykOrgId, { suppressReset: true });
+      return 'Key pushed to gateway';
+    }
+
+    if (action === 'delete_gateway') {
+      await tykGatewayService.deleteKey(item.resource_id, true, tykOrgId);
+      return 'Key removed from gateway';
+    }
+
+    await item.record.destroy();
+    return 'Key record removed from database';
+  }
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+
+// Gateway objects with no org_id are shared by every organization, so only super admins may reconcile them
+const belongsToOrganization = (item, organization, includeGlobal) =>
+  item.org_id ? item.org_id === organization.tyk_org_id : includeGlobal;
+
+// A fix only counts as applied once every node has reloaded it
+const reloadAllNodes = async (change) => {
+  const { failed } = await tykGatewayService.hotReloadOrThrow();
+  if (failed.length > 0) {
+    const error = new Error(`${change}, but the reload failed on ${failed.map(result => `${result.node.id} (${result.error})`).join(', ')}`);
+    error.status = 502;
+    throw error;
+  }
+};
+
+const sameValue = (a, b) => {
+  const normalize = (value) => (value === undefined || value === null ? '' : String(value));
+  return normalize(a) === normalize(b);
+};
+
+const buildItem = (resourceType, id, drift, name, differences, fixes, gateway, record) => ({
+  resource_type: resourceType,
+  resource_id: id,
+  name,
+  drift,
+  differences,
+  fixes: fixes[drift],
+  gateway,
+  record
+});
+
+module.exports = new ReconciliationService();
@@ -1,6 +1,24 @@
 const fetch = require('node-fetch');
 const { SystemConfig } = require('../models');
 
+// Defaults for gateway resilience settings (overridable via SystemConfig or environment)
+const DEFAULT_RESILIENCE = {
+  timeoutMs: 10000,
+  maxRetries: 3,
+  retryBaseDelayMs: 200,
+  breakerThreshold: 5,
+  breakerResetMs: 30000,
+  keyCacheTtlMs: 60000
+};
+
+// Only these verbs are safe to replay against the gateway
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Gateway HTTP statuses that indicate a transient failure
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Service class for interacting with the Tyk Gateway API.
  * Handles all communication with the Tyk Gateway, including API management,
@@ -15,6 +33,17 @@ class TykGatewayService {
     this.baseUrl = null;
     this.secret = null;
     this.initialized = false;
+    this.nodes = [];
+    this.resilience = { ...DEFAULT_RESILIENCE };
+    this.circuit = {
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      lastFailure: null,
+      halfOpenTrialInFlight: false
+    };
+    // Key details by `${orgId}:${keyHash}` -> { value, expiresAt }
+    this.keyCache = new Map();
   }
 
   /**
@@ -33,12 +62,17 @@ class TykGatewayService {
 
       // Ensure baseUrl doesn't end with slash
       this.baseUrl = this.baseUrl.replace(/\/$/, '');
+
+      await this.loadResilienceConfig();
+      await this.loadNodes();
       
       this.initialized = true;
       
       console.log(`🔗 Tyk Gateway Service initialized:`, {
         baseUrl: this.baseUrl,
         hasSecret: !!this.secret,
+        nodeCount: this.nodes.length,
+        resilience: this.resilience,
         timestamp: new Date().toISOString()
       });
 
@@ -50,6 +84,314 @@ class TykGatewayService {
     }
   }
 
+  /**
+   * Loads timeout, retry and circuit breaker settings from SystemConfig,
+   * falling back to environment variables and then to built-in defaults.
+   * @returns {Promise<Object>} The resolved resilience settings
+   */
+  async loadResilienceConfig() {
+    const config = await SystemConfig.getMultiple([
+      'tyk_gateway_timeout_ms',
+      'tyk_gateway_max_retries',
+      'tyk_gateway_retry_base_delay_ms',
+      'tyk_gateway_breaker_threshold',
+      'tyk_gateway_breaker_reset_ms',
+      'tyk_key_cache_ttl_ms'
+    ]);
+
+    const pick = (configKey, envKey, fallback) => {
+      const value = parseInt(config[configKey] ?? process.env[envKey], 10);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    this.resilience = {
+      timeoutMs: pick('tyk_gateway_timeout_ms', 'TYK_GATEWAY_TIMEOUT_MS', DEFAULT_RESILIENCE.timeoutMs),
+      maxRetries: pick('tyk_gateway_max_retries', 'TYK_GATEWAY_MAX_RETRIES', DEFAULT_RESILIENCE.maxRetries),
+      retryBaseDelayMs: pick('tyk_gateway_retry_base_delay_ms', 'TYK_GATEWAY_RETRY_BASE_DELAY_MS', DEFAULT_RESILIENCE.retryBaseDelayMs),
+      breakerThreshold: pick('tyk_gateway_breaker_threshold', 'TYK_GATEWAY_BREAKER_THRESHOLD', DEFAULT_RESILIENCE.breakerThreshold),
+      breakerResetMs: pick('tyk_gateway_breaker_reset_ms', 'TYK_GATEWAY_BREAKER_RESET_MS', DEFAULT_RESILIENCE.breakerResetMs),
+      keyCacheTtlMs: pick('tyk_key_cache_ttl_ms', 'TYK_KEY_CACHE_TTL_MS', DEFAULT_RESILIENCE.keyCacheTtlMs)
+    };
+
+    return this.resilience;
+  }
+
+  /**
+   * Loads the registry of gateway nodes in the cluster.
+   * Nodes come from SystemConfig `tyk_gateway_nodes` (array of { id, name, url, secret })
+   * or the comma-separated TYK_GATEWAY_NODES environment variable. Without either, the
+   * cluster is the single node at `tyk_gateway_url`. Management calls keep using the
+   * primary URL; cluster-wide operations fan out to every node.
+   * @returns {Promise<Array>} The registered nodes
+   */
+  async loadNodes() {
+    let configured = await SystemConfig.getValue('tyk_gateway_nodes');
+
+    if ((!Array.isArray(configured) || configured.length === 0) && process.env.TYK_GATEWAY_NODES) {
+      configured = process.env.TYK_GATEWAY_NODES.split(',').map(url => ({ url: url.trim() }));
+    }
+
+    if (!Array.isArray(configured) || configured.length === 0) {
+      configured = [{ id: 'primary', name: 'Primary', url: this.baseUrl }];
+    }
+
+    const previousHealth = new Map(this.nodes.map(node => [node.id, node.health]));
+
+    this.nodes = configured
+      .filter(node => node && node.url)
+      .map((node, index) => {
+        const id = node.id || `node-${index + 1}`;
+        return {
+          id,
+          name: node.name || id,
+          url: node.url.replace(/\/$/, ''),
+          secret: node.secret || this.secret,
+          health: previousHealth.get(id) || { status: 'unknown', checkedAt: null }
+        };
+      });
+
+    return this.nodes;
+  }
+
+  /**
+   * Returns the node registry without secrets, for display and API responses.
+   * @returns {Array} Nodes with id, name, url and last known health
+   */
+  getNodes() {
+    return this.nodes.map(({ id, name, url, health }) => ({ id, name, url, health }));
+  }
+
+  /**
+   * Sends a single request to one specific gateway node.
+   * Node requests bypass the retry loop and circuit breaker so that one
+   * unhealthy node cannot block operations against the rest of the cluster.
+   * @param {Object} node - Node from the registry
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [data] - Request body data
+   * @param {string} [contentType] - Content type for the request
+   * @returns {Promise<Object>} Response data from the node
+   */
+  async requestNode(node, method, endpoint, data = null, contentType = 'application/json') {
+    const headers = this.getHeaders(contentType);
+    headers['x-tyk-authorization'] = node.secret;
+
+    return this.sendRequest(`${node.url}${endpoint}`, {
+      method,
+      headers,
+      body: data ? (typeof data === 'string' ? data : JSON.stringify(data)) : undefined,
+      timeout: this.resilience.timeoutMs
+    });
+  }
+
+  /**
+   * Runs the same request against every registered node in parallel.
+   * Never throws for node failures; each node gets its own result entry.
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<Array>} One { node, success, data | error, duration } per node
+   */
+  async fanOut(method, endpoint) {
+    await this.ensureInitialized();
+
+    return Promise.all(this.nodes.map(async (node) => {
+      const startTime = Date.now();
+      try {
+        const data = await this.requestNode(node, method, endpoint);
+        return {
+          node: { id: node.id, name: node.name, url: node.url },
+          success: true,
+          data,
+          duration: Date.now() - startTime
+        };
+      } catch (error) {
+        console.error(`Tyk Gateway node ${node.id} request failed:`, {
+          method,
+          endpoint,
+          error: error.message
+        });
+        return {
+          node: { id: node.id, name: node.name, url: node.url },
+          success: false,
+          error: error.message,
+          status: error.gatewayStatus || null,
+          duration: Date.now() - startTime
+        };
+      }
+    }));
+  }
+
+  /**
+   * Probes every node's /hello endpoint and records the result on the registry.
+   * @returns {Promise<Array>} Nodes with refreshed health
+   */
+  async checkNodesHealth() {
+    const results = await this.fanOut('GET', '/hello');
+
+    results.forEach(result => {
+      const node = this.nodes.find(n => n.id === result.node.id);
+      if (node) {
+        node.health = {
+          status: result.success ? 'healthy' : 'unhealthy',
+          checkedAt: new Date().toISOString(),
+          duration: result.duration,
+          error: result.error
+        };
+      }
+    });
+
+    return this.getNodes();
+  }
+
+  /**
+   * Fetches the same resource from every node and reports whether they agree.
+   * A node that returns 404 counts as "missing"; any other failure as "error".
+   * @param {string} endpoint - Resource endpoint to fetch
+   * @param {Function} fingerprint - Maps a node response to a comparable value
+   * @returns {Promise<Object>} { consistent, nodes } with per-node presence and fingerprint
+   */
+  async checkConsistency(endpoint, fingerprint) {
+    const results = await this.fanOut('GET', endpoint);
+
+    const nodes = results.map(result => {
+      if (result.success) {
+        return {
+          node: result.node,
+          status: 'present',
+          fingerprint: fingerprint(result.data)
+        };
+      }
+      return {
+        node: result.node,
+        status: result.status === 404 ? 'missing' : 'error',
+        error: result.error
+      };
+    });
+
+    const fingerprints = new Set(nodes.filter(n => n.status === 'present').map(n => n.fingerprint));
+    const consistent = nodes.every(n => n.status === 'present') && fingerprints.size <= 1;
+
+    return { consistent, nodes };
+  }
+
+  /**
+   * Checks that a certificate is present (with the same fingerprint) on every node.
+   * @param {string} certId - Certificate ID
+   * @param {string} [orgId] - Optional organization ID
+   * @returns {Promise<Object>} Consistency report
+   */
+  async checkCertificateConsistency(certId, orgId = null) {
+    let endpoint = `/tyk/certs/${certId}`;
+    if (orgId) {
+      endpoint += `?org_id=${orgId}`;
+    }
+    return this.checkConsistency(endpoint, cert => cert?.fingerprint || cert?.id || certId);
+  }
+
+  /**
+   * Checks that a key's session is present and identical on every node.
+   * @param {string} keyId - Key ID or hash
+   * @param {boolean} [hashed=true] - Whether the key ID is hashed
+   * @param {string} [orgId] - Optional organization ID
+   * @returns {Promise<Object>} Consistency report
+   */
+  async checkKeyConsistency(keyId, hashed = true, orgId = null) {
+    let endpoint = `/tyk/keys/${keyId}?hashed=${hashed}`;
+    if (orgId) {
+      endpoint += `&orgID=${orgId}`;
+    }
+    return this.checkConsistency(endpoint, session => JSON.stringify({
+      apply_policies: session?.apply_policies || [],
+      is_inactive: !!session?.is_inactive,
+      expires: session?.expires || 0,
+      rate: session?.rate,
+      per: session?.per,
+      quota_max: session?.quota_max
+    }));
+  }
+
+  /**
+   * Returns a snapshot of the circuit breaker for status reporting.
+   * @returns {Object} Breaker state, failure count and timing information
+   */
+  getCircuitBreakerState() {
+    const { state, failures, openedAt, lastFailure } = this.circuit;
+    return {
+      state,
+      failures,
+      threshold: this.resilience.breakerThreshold,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(openedAt + this.resilience.breakerResetMs).toISOString() : null,
+      lastFailure
+    };
+  }
+
+  /**
+   * Fails fast while the breaker is open. Once the reset window has elapsed the
+   * breaker moves to half-open and lets a single trial request through; other
+   * requests keep failing fast until the trial settles.
+   * @returns {boolean} True when the caller's request is the half-open trial
+   * @throws {Error} Gateway unavailable error (status 503) while the breaker is open
+   */
+  checkCircuit() {
+    const { state, openedAt, halfOpenTrialInFlight } = this.circuit;
+    if (state === 'closed') {
+      return false;
+    }
+
+    const resetElapsed = state === 'half_open' || Date.now() - openedAt >= this.resilience.breakerResetMs;
+    if (resetElapsed && !halfOpenTrialInFlight) {
+      this.circuit.state = 'half_open';
+      this.circuit.halfOpenTrialInFlight = true;
+      return true;
+    }
+
+    const error = new Error(state === 'half_open'
+      ? 'Tyk Gateway unavailable: waiting for the circuit breaker trial request to finish'
+      : 'Tyk Gateway unavailable: circuit breaker is open after repeated failures');
+    error.status = 503;
+    error.code = 'GATEWAY_UNAVAILABLE';
+    error.circuitBreaker = this.getCircuitBreakerState();
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.circuit.state !== 'closed') {
+      console.log('✅ Tyk Gateway circuit breaker closed');
+    }
+    this.circuit = { state: 'closed', failures: 0, openedAt: null, lastFailure: null, halfOpenTrialInFlight: false };
+  }
+
+  recordFailure(error) {
+    this.circuit.failures += 1;
+    this.circuit.lastFailure = {
+      message: error.message,
+      at: new Date().toISOString()
+    };
+
+    if (this.circuit.state === 'half_open' || this.circuit.failures >= this.resilience.breakerThreshold) {
+      if (this.circuit.state !== 'open') {
+        console.warn(`⚡ Tyk Gateway circuit breaker opened after ${this.circuit.failures} failure(s)`);
+      }
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+      this.circuit.halfOpenTrialInFlight = false;
+    }
+  }
+
+  /**
+   * Network errors, timeouts and 502/503/504 responses are treated as transient.
+   * Anything else (e.g. a 400 or 404 from the gateway) is a definitive answer.
+   * @param {Error} error - Error raised by a request attempt
+   * @returns {boolean} True if the failure should count against the gateway
+   */
+  isTransientError(error) {
+    if (error.gatewayStatus) {
+      return RETRYABLE_STATUSES.includes(error.gatewayStatus);
+    }
+    return error.name === 'FetchError' || error.type === 'request-timeout';
+  }
+
   /**
    * Ensures the service is initialized before making any requests.
    * Throws an error if initialization fails.
@@ -80,52 +422,104 @@ class TykGatewayService {
 
   /**
    * Makes a request to the Tyk Gateway API.
+   * Requests time out after the configured timeout. Idempotent verbs are retried
+   * with exponential backoff on transient failures, and repeated failures open a
+   * circuit breaker so callers fail fast while the gateway is down.
    * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
    * @param {string} endpoint - API endpoint path
    * @param {Object} [data] - Request body data
    * @param {string} [contentType] - Content type for the request
    * @returns {Promise<Object>} Response data from the API
-   * @throws {Error} If the request fails
+   * @throws {Error} If the request fails or the gateway is unavailable
    */
   async makeRequest(method, endpoint, data = null, contentType = 'application/json') {
     await this.ensureInitialized();
+    const trial = this.checkCircuit();
 
     const url = `${this.baseUrl}${endpoint}`;
     const headers = this.getHeaders(contentType);
     const options = {
       method,
       headers,
-      body: data ? JSON.stringify(data) : undefined
+      // Plain-text bodies (e.g. PEM certificates) are sent as-is
+      body: data ? (typeof data === 'string' ? data : JSON.stringify(data)) : undefined,
+      timeout: this.resilience.timeoutMs
     };
 
-    try {
-      const response = await fetch(url, options);
-      let responseData;
-      
-      // Check if response is JSON
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        responseData = await response.json();
-      } else {
-        // For non-JSON responses, get the text
-        const text = await response.text();
-        responseData = { data: text };
-      }
+    const maxAttempts = IDEMPOTENT_METHODS.includes(method) ? this.resilience.maxRetries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.sendRequest(url, options);
+        this.recordSuccess();
+        return result;
+      } catch (error) {
+        const transient = this.isTransientError(error);
+
+        console.error('Tyk Gateway API request failed:', {
+          method,
+          endpoint,
+          attempt,
+          transient,
+          error: error.message
+        });
+
+        if (!transient) {
+          // The gateway answered, so a trial request proves it is back
+          if (trial) {
+            this.recordSuccess();
+          }
+          throw error;
+        }
 
-      if (!response.ok) {
-        throw new Error(`Tyk Gateway API error: ${responseData.error || response.statusText}`);
+        this.recordFailure(error);
+
+        if (attempt >= maxAttempts || this.circuit.state === 'open') {
+          const unavailable = new Error(`Tyk Gateway unavailable: ${error.message}`);
+          unavailable.status = 503;
+          unavailable.code = 'GATEWAY_UNAVAILABLE';
+          unavailable.attempts = attempt;
+          unavailable.circuitBreaker = this.getCircuitBreakerState();
+          throw unavailable;
+        }
+
+        // Exponential backoff with jitter: base, 2x base, 4x base, ...
+        const delay = this.resilience.retryBaseDelayMs * Math.pow(2, attempt - 1);
+        await sleep(delay + Math.floor(Math.random() * this.resilience.retryBaseDelayMs));
       }
+    }
+  }
 
-      // Return the response data directly if it's not wrapped in a data property
-      return responseData.data || responseData;
-    } catch (error) {
-      console.error('Tyk Gateway API request failed:', {
-        method,
-        endpoint,
-        error: error.message
-      });
+  /**
+   * Performs a single HTTP attempt against the gateway and normalizes the response.
+   * @param {string} url - Fully qualified request URL
+   * @param {Object} options - node-fetch request options
+   * @returns {Promise<Object>} Response data from the API
+   * @throws {Error} If the request fails; gateway HTTP errors carry `gatewayStatus`
+   */
+  async sendRequest(url, options) {
+    const response = await fetch(url, options);
+    let responseData;
+    
+    // Check if response is JSON
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      responseData = await response.json();
+    } else {
+      // For non-JSON responses, get the text
+      const text = await response.text();
+      responseData = { data: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(`Tyk Gateway API error: ${responseData.error || responseData.message || response.statusText}`);
+      error.gatewayStatus = response.status;
       throw error;
     }
+
+    // Return the response data directly if it's not wrapped in a data property
+    // (some list endpoints answer with a bare null when empty)
+    return responseData?.data || responseData;
   }
 
   /**
@@ -135,7 +529,7 @@ class TykGatewayService {
    */
   async getApi(apiId) {
     const result = await this.makeRequest('GET', `/tyk/apis/${apiId}`);
-    return result.data;
+    return result;
   }
 
   /**
@@ -160,7 +554,7 @@ class TykGatewayService {
   async getKeys(orgId = null) {
     const endpoint = orgId ? `/tyk/keys?orgID=${orgId}` : '/tyk/keys';
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
   }
 
   /**
@@ -176,7 +570,46 @@ class TykGatewayService {
       endpoint += `&orgID=${orgId}`;
     }
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
+  }
+
+  /**
+   * Retrieves a hashed key's details, served from the key cache when fresh.
+   * Entries expire after `keyCacheTtlMs` and are dropped whenever the key is
+   * created, updated or deleted through this service.
+   * @param {string} keyHash - The hashed key ID
+   * @param {string} [orgId] - Optional organization ID
+   * @returns {Promise<Object>} Key data
+   */
+  async getCachedKey(keyHash, orgId = null) {
+    const cacheKey = `${orgId || ''}:${keyHash}`;
+    const cached = this.keyCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = await this.getKey(keyHash, true, orgId);
+    if (value && this.resilience.keyCacheTtlMs > 0) {
+      this.keyCache.set(cacheKey, { value, expiresAt: Date.now() + this.resilience.keyCacheTtlMs });
+    }
+    return value;
+  }
+
+  /**
+   * Drops cached details for a hashed key in every organization,
+   * or clears the whole key cache when no hash is given.
+   * @param {string} [keyHash] - The hashed key ID
+   */
+  invalidateKeyCache(keyHash = null) {
+    if (!keyHash) {
+      this.keyCache.clear();
+      return;
+    }
+    for (const cacheKey of this.keyCache.keys()) {
+      if (cacheKey.endsWith(`:${keyHash}`)) {
+        this.keyCache.delete(cacheKey);
+      }
+    }
   }
 
   /**
@@ -185,7 +618,7 @@ class TykGatewayService {
    */
   async getOrganizations() {
     const result = await this.makeRequest('GET', '/tyk/org/keys');
-    return result.data;
+    return result;
   }
 
   /**
@@ -195,7 +628,7 @@ class TykGatewayService {
    */
   async getOrganization(orgId) {
     const result = await this.makeRequest('GET', `/tyk/org/keys/${orgId}`);
-    return result.data;
+    return result;
   }
 
   /**
@@ -206,7 +639,7 @@ class TykGatewayService {
   async getOrganizationKeys(orgId = 'default') {
     const endpoint = `/tyk/org/keys?orgID=${orgId}`;
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
   }
 
   /**
@@ -221,7 +654,7 @@ class TykGatewayService {
       endpoint += `?org_id=${orgId}`;
     }
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
   }
 
   /**
@@ -235,7 +668,7 @@ class TykGatewayService {
       endpoint += `?org_id=${orgId}`;
     }
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
   }
 
   /**
@@ -278,7 +711,7 @@ class TykGatewayService {
       endpoint += `?org_id=${orgId}`;
     }
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
   }
 
   /**
@@ -294,7 +727,7 @@ class TykGatewayService {
       endpoint += `?org_id=${orgId}`;
     }
     const result = await this.makeRequest('PUT', endpoint, policyData);
-    return result.data;
+    return result;
   }
 
   /**
@@ -309,16 +742,15 @@ class TykGatewayService {
       endpoint += `?org_id=${orgId}`;
     }
     const result = await this.makeRequest('DELETE', endpoint);
-    return result.data;
+    return result;
   }
 
   /**
-   * Triggers a reload of the Tyk Gateway configuration.
-   * @returns {Promise<Object>} Reload result
+   * Triggers a reload of the Tyk Gateway configuration on every node in the cluster.
+   * @returns {Promise<Array>} Per-node reload results
    */
   async reloadGateway() {
-    const result = await this.makeRequest('GET', '/tyk/reload');
-    return result.data;
+    return this.fanOut('GET', '/tyk/reload');
   }
 
   // Health check
@@ -364,12 +796,46 @@ class TykGatewayService {
 
   async updateApi(apiId, apiDefinition) {
     const result = await this.makeRequest('PUT', `/tyk/apis/${apiId}`, apiDefinition);
-    return result.data;
+    return result;
   }
 
   async deleteApi(apiId) {
     const result = await this.makeRequest('DELETE', `/tyk/apis/${apiId}`);
-    return result.data;
+    return result;
+  }
+
+  // Tyk OAS API Management (OpenAPI documents with the x-tyk-api-gateway extension)
+  async getOasApi(apiId) {
+    const result = await this.makeRequest('GET', `/tyk/apis/oas/${apiId}`);
+    return result;
+  }
+
+  async createOasApi(oasDefinition, orgId = null) {
+    const extension = oasDefinition['x-tyk-api-gateway'];
+
+    // Ensure organization context is set
+    if (orgId && extension?.info) {
+      extension.info.orgId = orgId;
+    }
+
+    const result = await this.makeRequest('POST', '/tyk/apis/oas', oasDefinition);
+
+    // Add api_id to the response for consistency with classic APIs
+    if (result.key) {
+      result.api_id = result.key;
+    }
+
+    return result;
+  }
+
+  async updateOasApi(apiId, oasDefinition) {
+    const result = await this.makeRequest('PUT', `/tyk/apis/oas/${apiId}`, oasDefinition);
+    return result;
+  }
+
+  async deleteOasApi(apiId) {
+    const result = await this.makeRequest('DELETE', `/tyk/apis/oas/${apiId}`);
+    return result;
   }
 
   // Key Management
@@ -380,16 +846,51 @@ class TykGatewayService {
     }
     
     const result = await this.makeRequest('POST', '/tyk/keys', keyData);
-    return result.data;
+    this.invalidateKeyCache(result.key_hash || result.key);
+    return result;
+  }
+
+  /**
+   * Creates a basic-auth session. Tyk keys these by username, so they are
+   * created at /tyk/keys/{username} rather than given a generated key.
+   * @param {string} username - Basic-auth username
+   * @param {Object} keyData - Session including basic_auth_data
+   * @param {string} [orgId] - Optional organization ID
+   * @returns {Promise<Object>} { key, key_hash, action }
+   */
+  async createBasicAuthKey(username, keyData, orgId = null) {
+    if (orgId && !keyData.org_id) {
+      keyData.org_id = orgId;
+    }
+
+    const result = await this.makeRequest('POST', `/tyk/keys/${encodeURIComponent(username)}`, keyData);
+    this.invalidateKeyCache(result.key_hash || result.key);
+    return result;
   }
 
-  async updateKey(keyId, keyData, hashed = true, orgId = null) {
+  /**
+   * Replaces a key's session. Like any key update, this resets the key's quota
+   * unless `suppressReset` is set.
+   * @param {string} keyId - Key ID or hash
+   * @param {Object} keyData - Complete session
+   * @param {boolean} [hashed=true] - Whether the key ID is hashed
+   * @param {string} [orgId] - Optional organization ID
+   * @param {Object} [options]
+   * @param {boolean} [options.suppressReset=false] - Keep the quota the gateway is tracking
+   * @returns {Promise<Object>} Gateway response
+   */
+  async updateKey(keyId, keyData, hashed = true, orgId = null, { suppressReset = false } = {}) {
     let endpoint = `/tyk/keys/${keyId}?hashed=${hashed}`;
     if (orgId) {
       endpoint += `&orgID=${orgId}`;
     }
+    if (suppressReset) {
+      endpoint += '&suppress_reset=1';
+    }
     const result = await this.makeRequest('PUT', endpoint, keyData);
-    return result.data;
+    // Raw keys can't be mapped to their cached hash, so drop everything
+    this.invalidateKeyCache(hashed ? keyId : null);
+    return result;
   }
 
   async deleteKey(keyId, hashed = true, orgId = null) {
@@ -398,40 +899,41 @@ class TykGatewayService {
       endpoint += `&orgID=${orgId}`;
     }
     const result = await this.makeRequest('DELETE', endpoint);
-    return result.data;
+    this.invalidateKeyCache(hashed ? keyId : null);
+    return result;
   }
 
   // Organization Management
   async createOrganization(orgData) {
     const result = await this.makeRequest('PUT', `/tyk/org/keys/${orgData.owner_slug}`, orgData);
-    return result.data;
+    return result;
   }
 
   async updateOrganization(orgId, orgData) {
     const result = await this.makeRequest('PUT', `/tyk/org/keys/${orgId}`, orgData);
-    return result.data;
+    return result;
   }
 
   async deleteOrganization(orgId) {
     const result = await this.makeRequest('DELETE', `/tyk/org/keys/${orgId}`);
-    return result.data;
+    return result;
   }
 
   // Organization Key Management (for organization-level rate limiting)
   async createOrganizationKey(orgId, orgKeyData) {
     const result = await this.makeRequest('PUT', `/tyk/org/keys/${orgId}`, orgKeyData);
-    return result.data;
+    return result;
   }
 
   async updateOrganizationKey(orgId, orgKeyData) {
     const result = await this.makeRequest('PUT', `/tyk/org/keys/${orgId}`, orgKeyData);
-    return result.data;
+    return result;
   }
 
   async deleteOrganizationKey(orgId) {
     const endpoint = `/tyk/org/keys/${orgId}?orgID=${orgId}`;
     const result = await this.makeRequest('DELETE', endpoint);
-    return result.data;
+    return result;
   }
 
   // Certificate Management
@@ -440,10 +942,8 @@ class TykGatewayService {
     if (orgId) {
       endpoint += `?org_id=${orgId}`;
     }
-    const result = await this.makeRequest('POST', endpoint, certificatePem, {
-      contentType: 'text/plain'
-    });
-    return result.data;
+    const result = await this.makeRequest('POST', endpoint, certificatePem, 'text/plain');
+    return result;
   }
 
   async deleteCertificate(certId, orgId = null) {
@@ -452,13 +952,112 @@ class TykGatewayService {
       endpoint += `?org_id=${orgId}`;
     }
     const result = await this.makeRequest('DELETE', endpoint);
-    return result.data;
+    return result;
+  }
+
+  async getCertificates(orgId = null) {
+    let endpoint = '/tyk/certs';
+    if (orgId) {
+      endpoint += `?org_id=${orgId}`;
+    }
+    const result = await this.makeRequest('GET', endpoint);
+    return result.certs || result;
+  }
+
+  // OAuth Client Management
+  async createOAuthClient(clientData) {
+    const result = await this.makeRequest('POST', '/tyk/oauth/clients/create', clientData);
+    return result;
+  }
+
+  async getOAuthClients(apiId) {
+    const result = await this.makeRequest('GET', `/tyk/oauth/clients/${apiId}`);
+    // The gateway answers with null rather than [] when an API has no clients
+    return Array.isArray(result) ? result : [];
+  }
+
+  async getOAuthClient(apiId, clientId) {
+    const result = await this.makeRequest('GET', `/tyk/oauth/clients/${apiId}/${encodeURIComponent(clientId)}`);
+    return result;
+  }
+
+  async deleteOAuthClient(apiId, clientId) {
+    const result = await this.makeRequest('DELETE', `/tyk/oauth/clients/${apiId}/${encodeURIComponent(clientId)}`);
+    return result;
+  }
+
+  async getOAuthClientTokens(apiId, clientId) {
+    const result = await this.makeRequest('GET', `/tyk/oauth/clients/${apiId}/${encodeURIComponent(clientId)}/tokens`);
+    return Array.isArray(result) ? result : [];
+  }
+
+  /**
+   * Revokes one access or refresh token issued to an OAuth client.
+   * @param {Object} params - Revocation details
+   * @param {string} params.token - Token to revoke
+   * @param {string} params.clientId - Client the token was issued to
+   * @param {string} params.orgId - Organization ID
+   * @param {string} [params.tokenTypeHint] - 'access_token' or 'refresh_token'
+   * @returns {Promise<Object>} Gateway response
+   */
+  async revokeOAuthToken({ token, clientId, orgId, tokenTypeHint = 'access_token' }) {
+    const form = new URLSearchParams({
+      token,
+      token_type_hint: tokenTypeHint,
+      client_id: clientId,
+      org_id: orgId
+    });
+    const result = await this.makeRequest('POST', '/tyk/oauth/revoke', form.toString(), 'application/x-www-form-urlencoded');
+    return result;
+  }
+
+  /**
+   * Revokes every token issued to an OAuth client.
+   * @param {Object} params - Revocation details
+   * @param {string} params.clientId - OAuth client ID
+   * @param {string} params.clientSecret - OAuth client secret
+   * @param {string} params.orgId - Organization ID
+   * @returns {Promise<Object>} Gateway response
+   */
+  async revokeAllOAuthTokens({ clientId, clientSecret, orgId }) {
+    const form = new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      org_id: orgId
+    });
+    const result = await this.makeRequest('POST', '/tyk/oauth/revoke_all', form.toString(), 'application/x-www-form-urlencoded');
+    return result;
   }
 
-  // Reload/Hot Reload
+  // Reload/Hot Reload (fans out to every node, one result per node)
   async hotReload() {
-    const result = await this.makeRequest('GET', '/tyk/reload/group');
-    return result.data;
+    return this.fanOut('GET', '/tyk/reload/group');
+  }
+
+  /**
+   * Hot-reloads every node, failing when no node reloaded. Callers that need
+   * every node to pick up a change should pass `everyNode` or check `failed`.
+   * @param {Object} [options]
+   * @param {boolean} [options.everyNode=false] - Also fail when only some nodes reloaded
+   * @returns {Promise<Object>} { results, failed } per-node results and the failed ones
+   * @throws {Error} With status 502 and `nodeResults` when the reload failed
+   */
+  async hotReloadOrThrow({ everyNode = false } = {}) {
+    const results = await this.hotReload();
+    const failed = results.filter(result => !result.success);
+    if (results.length > 0 && failed.length === results.length) {
+      const error = new Error(`Gateway reload failed on every node: ${failed.map(result => `${result.node.id}: ${result.error}`).join('; ')}`);
+      error.status = 502;
+      error.nodeResults = results;
+      throw error;
+    }
+    if (everyNode && failed.length > 0) {
+      const error = new Error(`Gateway reload failed on ${failed.length} of ${results.length} node(s): ${failed.map(result => `${result.node.id}: ${result.error}`).join('; ')}`);
+      error.status = 502;
+      error.nodeResults = results;
+      throw error;
+    }
+    return { results, failed };
   }
 
   // Analytics
@@ -477,7 +1076,7 @@ class TykGatewayService {
     }
     
     const result = await this.makeRequest('GET', endpoint);
-    return result.data;
+    return result;
   }
 }
 
@@ -0,0 +1,324 @@
+// Extension key Tyk reads its gateway configuration from in an OAS document
+const TYK_EXTENSION = 'x-tyk-api-gateway';
+
+// Classic extended_paths sections that have no direct OAS conversion here
+const UNCONVERTED_PATH_SECTIONS = [
+  'black_list', 'ignored', 'transform', 'transform_response', 'transform_headers',
+  'transform_response_headers', 'hard_timeouts', 'circuit_breakers', 'url_rewrites',
+  'virtual', 'size_limits', 'method_transforms', 'track_endpoints', 'do_not_track_endpoints',
+  'validate_json', 'internal', 'cache', 'mock_response'
+];
+
+/**
+ * Service class for Tyk OAS API definitions (OpenAPI 3 documents carrying the
+ * x-tyk-api-gateway extension): validation, summaries and conversion from
+ * classic definitions.
+ */
+class TykOasService {
+  /**
+   * Checks whether a definition is a Tyk OAS document.
+   *
+   * @param {Object} definition - API definition in either format
+   * @returns {boolean} True for Tyk OAS
+   */
+  isOasDefinition(definition) {
+    return !!definition &&
+      typeof definition.openapi === 'string' &&
+      !!definition[TYK_EXTENSION];
+  }
+
+  /**
+   * Validates the fields the gateway needs to load a Tyk OAS API.
+   *
+   * @param {Object} definition - Tyk OAS document
+   * @throws {Error} With status 400 listing every missing field
+   */
+  validateOasDefinition(definition) {
+    const errors = [];
+    const extension = definition?.[TYK_EXTENSION];
+
+    if (!definition || typeof definition.openapi !== 'string' || !definition.openapi.startsWith('3.')) {
+      errors.push('openapi must be a 3.x version');
+    }
+    if (!definition?.info?.title) {
+      errors.push('info.title is required');
+    }
+    if (!extension) {
+      errors.push(`${TYK_EXTENSION} extension is required`);
+    } else {
+      if (!extension.info?.name) {
+        errors.push(`${TYK_EXTENSION}.info.name is required`);
+      }
+      if (!extension.server?.listenPath?.value) {
+        errors.push(`${TYK_EXTENSION}.server.listenPath.value is required`);
+      }
+      if (!extension.upstream?.url) {
+        errors.push(`${TYK_EXTENSION}.upstream.url is required`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid Tyk OAS definition: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the fields TykBasic tracks on ApiDefinition from a Tyk OAS document.
+   *
+   * @param {Object} definition - Tyk OAS document
+   * @returns {Object} name, api_id, org_id, listen_path, target_url and active
+   */
+  summarize(definition) {
+    const extension = definition[TYK_EXTENSION] || {};
+    return {
+      name: extension.info?.name || definition.info?.title,
+      api_id: extension.info?.id || null,
+      org_id: extension.info?.orgId || null,
+      listen_path: extension.server?.listenPath?.value || null,
+      target_url: extension.upstream?.url || null,
+      active: extension.info?.state?.active !== false
+    };
+  }
+
+  /**
+   * Builds a minimal classic definition from a Tyk OAS document: identity,
+   * proxy, state and token authentication. Used as the stored classic side of
+   * APIs created directly in OAS so they can still be switched to classic.
+   *
+   * @param {Object} definition - Tyk OAS document
+   * @returns {Object} Classic Tyk API definition
+   */
+  toClassicDefinition(definition) {
+    const summary = this.summarize(definition);
+    const extension = definition[TYK_EXTENSION] || {};
+
+    return {
+      name: summary.name,
+      api_id: summary.api_id,
+      org_id: summary.org_id,
+      active: summary.active,
+      use_keyless: extension.server?.authentication?.enabled !== true,
+      auth: {
+        auth_header_name: 'Authorization'
+      },
+      definition: {
+        location: 'header',
+        key: 'x-api-version'
+      },
+      proxy: {
+        listen_path: summary.listen_path,
+        target_url: summary.target_url,
+        strip_listen_path: extension.server?.listenPath?.strip !== false
+      },
+      version_data: {
+        not_versioned: true,
+        versions: {
+          Default: { name: 'Default' }
+        }
+      }
+    };
+  }
+
+  /**
+   * Sets the API and organization IDs inside the Tyk extension.
+   *
+   * @param {Object} definition - Tyk OAS document
+   * @param {Object} ids - api_id and/or org_id to set
+   * @returns {Object} Updated copy of the document
+   */
+  withIds(definition, { api_id, org_id }) {
+    const extension = definition[TYK_EXTENSION];
+    return {
+      ...definition,
+      [TYK_EXTENSION]: {
+        ...extension,
+        info: {
+          ...extension.info,
+          ...(api_id ? { id: api_id } : {}),
+          ...(org_id ? { orgId: org_id } : {})
+        }
+      }
+    };
+  }
+
+  /**
+   * Converts a classic API definition to Tyk OAS.
+   * Proxy settings, state, token/JWT/basic authentication and the default
+   * version's allow-list are converted; anything else is reported in
+   * `warnings` and left out. `errors` is non-empty when no usable
+   * definition could be produced.
+   *
+   * @param {Object} classic - Classic Tyk API definition
+   * @returns {Object} { definition, warnings, errors }
+   */
+  classicToOas(classic) {
+    const warnings = [];
+    const errors = [];
+
+    if (!classic?.proxy?.listen_path) {
+      errors.push('Classic definition has no proxy.listen_path');
+    }
+    if (!classic?.proxy?.target_url) {
+      errors.push('Classic definition has no proxy.target_url');
+    }
+    if (errors.length > 0) {
+      return { definition: null, warnings, errors };
+    }
+
+    const versions = classic.version_data?.versions || {};
+    const versionNames = Object.keys(versions);
+    const defaultVersion = classic.version_data?.default_version ||
+      (versionNames.length === 1 ? versionNames[0] : 'Default');
+    const version = versions[defaultVersion] || versions[versionNames[0]] || {};
+
+    if (versionNames.length > 1) {
+      warnings.push(`Only version "${defaultVersion}" was converted; Tyk OAS versions are separate APIs (${versionNames.filter(v => v !== defaultVersion).join(', ')} skipped)`);
+    }
+
+    const { paths, operations } = this.convertAllowList(version.extended_paths?.white_list || []);
+    for (const section of UNCONVERTED_PATH_SECTIONS) {
+      if (Array.isArray(version.extended_paths?.[section]) && version.extended_paths[section].length > 0) {
+        warnings.push(`extended_paths.${section} is not converted`);
+      }
+    }
+
+    const extension = {
+      info: {
+        id: classic.api_id,
+        orgId: classic.org_id,
+        name: classic.name,
+        state: {
+          active: classic.active !== false
+        }
+      },
+      upstream: {
+        url: classic.proxy.target_url
+      },
+      server: {
+        listenPath: {
+          value: classic.proxy.listen_path,
+          strip: classic.proxy.strip_listen_path !== false
+        }
+      }
+    };
+
+    if (Object.keys(operations).length > 0) {
+      extension.middleware = { operations };
+    }
+
+    const document = {
+      openapi: '3.0.3',
+      info: {
+        title: classic.name,
+        version: defaultVersion === 'Default' ? '1.0.0' : defaultVersion
+      },
+      paths
+    };
+
+    const security = this.convertAuthentication(classic, warnings);
+    if (!security && !classic.use_keyless) {
+      // Dropping the only auth method would publish the API without authentication
+      errors.push('Authentication method cannot be converted; the API would become keyless');
+      return { definition: null, warnings, errors };
+    }
+    if (security) {
+      document.components = { securitySchemes: security.schemes };
+      document.security = Object.keys(security.schemes).map(name => ({ [name]: [] }));
+      extension.server.authentication = {
+        enabled: true,
+        securitySchemes: security.extension
+      };
+    }
+
+    document[TYK_EXTENSION] = extension;
+
+    return { definition: document, warnings, errors };
+  }
+
+  /**
+   * Turns a classic white_list into OAS paths plus per-operation allow middleware.
+   *
+   * @param {Array<Object>} whiteList - Classic white_list entries
+   * @returns {Object} { paths, operations }
+   */
+  convertAllowList(whiteList) {
+    const paths = {};
+    const operations = {};
+
+    for (const entry of whiteList) {
+      const methods = Object.keys(entry.method_actions || {});
+      for (const method of methods) {
+        const operationId = `${entry.path.replace(/[^a-zA-Z0-9]/g, '')}${method.toLowerCase()}`;
+        paths[entry.path] = paths[entry.path] || {};
+        paths[entry.path][method.toLowerCase()] = {
+          operationId,
+          responses: { 200: { description: 'OK' } }
+        };
+        operations[operationId] = { allow: { enabled: true } };
+      }
+    }
+
+    return { paths, operations };
+  }
+
+  /**
+   * Maps classic authentication settings to OAS security schemes.
+   *
+   * @param {Object} classic - Classic Tyk API definition
+   * @param {Array<string>} warnings - Conversion warnings, appended to
+   * @returns {Object|null} { schemes, extension } or null for keyless APIs
+   */
+  convertAuthentication(classic, warnings) {
+    if (classic.use_keyless) {
+      return null;
+    }
+
+    const schemes = {};
+    const extension = {};
+
+    if (classic.enable_jwt) {
+      schemes.jwtAuth = { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' };
+      extension.jwtAuth = {
+        enabled: true,
+        header: { enabled: true, name: classic.auth_configs?.jwt?.auth_header_name || 'Authorization' },
+        source: classic.jwt_source,
+        signingMethod: classic.jwt_signing_method,
+        identityBaseField: classic.jwt_identity_base_field,
+        policyFieldName: classic.jwt_policy_field_name,
+        defaultPolicies: classic.jwt_default_policies || []
+      };
+    }
+
+    if (classic.use_basic_auth) {
+      schemes.basicAuth = { type: 'http', scheme: 'basic' };
+      extension.basicAuth = { enabled: true, header: { enabled: true, name: 'Authorization' } };
+    }
+
+    if (classic.enable_signature_checking) {
+      warnings.push('HMAC request signing is not converted');
+    }
+    if (classic.use_oauth2) {
+      warnings.push('OAuth2 settings are not converted');
+    }
+    if (classic.use_mutual_tls_auth) {
+      warnings.push('Mutual TLS settings are not converted');
+    }
+
+    const usesStandardAuth = classic.use_standard_auth ||
+      !(classic.enable_jwt || classic.use_basic_auth || classic.enable_signature_checking ||
+        classic.use_oauth2 || classic.use_mutual_tls_auth);
+
+    if (usesStandardAuth) {
+      const headerName = classic.auth?.auth_header_name || 'Authorization';
+      schemes.authToken = { type: 'apiKey', in: 'header', name: headerName };
+      extension.authToken = { enabled: true };
+    }
+
+    return Object.keys(schemes).length > 0 ? { schemes, extension } : null;
+  }
+}
+
+module.exports = new TykOasService();
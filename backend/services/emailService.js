@@ -3,6 +3,14 @@ const fetch = require('node-fetch');
 const SibApiV3Sdk = require('sib-api-v3-sdk');
 const { SystemConfig } = require('../models');
 
+// User-supplied text interpolated into HTML email bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -447,6 +455,133 @@ The TykBasic Team
     return await this.sendEmail(email, subject, text, html);
   }
 
+  async sendKeyExpiryWarningEmail(email, firstName = '', { keyName, keyHash, expiresAt, daysLeft }) {
+    const keysUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+    const expiryText = expiresAt.toUTCString();
+    const remaining = daysLeft === 1 ? '1 day' : `${daysLeft} days`;
+
+    const subject = `Your TykBasic API key "${keyName}" expires in ${remaining}`;
+
+    const text = `
+Hello${firstName ? ` ${firstName}` : ''},
+
+Your API key "${keyName}" (${keyHash}) expires on ${expiryText}.
+
+Applications using this key will be rejected by the gateway once it expires. Rotate the key or create a new one before then:
+${keysUrl}
+
+Best regards,
+The TykBasic Team
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>API Key Expiring</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #f0ad4e; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>⏰ API Key Expires in ${remaining}</h1>
+    </div>
+    <div class="content">
+      <p>Hello${firstName ? ` ${firstName}` : ''},</p>
+
+      <p>Your API key <strong>${keyName}</strong> (<code>${keyHash}</code>) expires on <strong>${expiryText}</strong>.</p>
+
+      <p>Applications using this key will be rejected by the gateway once it expires. Rotate the key or create a new one before then.</p>
+
+      <p style="text-align: center;">
+        <a href="${keysUrl}" class="button">Manage My Keys</a>
+      </p>
+    </div>
+    <div class="footer">
+      <p>Best regards,<br>The TykBasic Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    return await this.sendEmail(email, subject, text, html);
+  }
+
+  // The key itself is never emailed; approved requesters reveal it once in TykBasic
+  async sendKeyRequestDecisionEmail(email, firstName = '', { keyName, approved, note = null }) {
+    const keysUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+    const outcome = approved ? 'approved' : 'rejected';
+
+    const subject = `Your TykBasic key request "${keyName}" was ${outcome}`;
+
+    const nextStep = approved
+      ? 'Your key has been created. Open API Keys → My Requests to reveal it. It can only be shown once, so save it somewhere safe.'
+      : 'No key was created. You can submit a new request if needed.';
+
+    const text = `
+Hello${firstName ? ` ${firstName}` : ''},
+
+Your request for the API key "${keyName}" was ${outcome}.
+${note ? `\nNote from the reviewer: ${note}\n` : ''}
+${nextStep}
+${keysUrl}
+
+Best regards,
+The TykBasic Team
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Key Request ${approved ? 'Approved' : 'Rejected'}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: ${approved ? '#28a745' : '#dc3545'}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${approved ? '✅ Key Request Approved' : '❌ Key Request Rejected'}</h1>
+    </div>
+    <div class="content">
+      <p>Hello${firstName ? ` ${firstName}` : ''},</p>
+
+      <p>Your request for the API key <strong>${escapeHtml(keyName)}</strong> was ${outcome}.</p>
+      ${note ? `<p><strong>Note from the reviewer:</strong> ${escapeHtml(note)}</p>` : ''}
+
+      <p>${nextStep}</p>
+
+      <p style="text-align: center;">
+        <a href="${keysUrl}" class="button">Open My Keys</a>
+      </p>
+    </div>
+    <div class="footer">
+      <p>Best regards,<br>The TykBasic Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    return await this.sendEmail(email, subject, text, html);
+  }
+
   // Check if email service is configured and enabled
   isConfigured() {
     return this.config && this.config.enabled && this.transporter;
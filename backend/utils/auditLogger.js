@@ -3,6 +3,7 @@ const winston = require('winston');
 // Create audit logger
 const auditLogger = winston.createLogger({
   level: 'info',
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
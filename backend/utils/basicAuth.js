@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Tyk keys basic-auth sessions by username, so keep it to characters that are safe in a URL path
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Generates a random basic-auth password.
+ *
+ * @returns {string} 32 URL-safe characters
+ */
+const generatePassword = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Validates a basic-auth username.
+ *
+ * @param {string} username - Username to check
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateUsername = (username) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-64 characters: letters, numbers, dots, dashes, underscores or @';
+  }
+  return null;
+};
+
+/**
+ * Validates a chosen basic-auth password.
+ *
+ * @param {string} password - Password to check
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Builds the session's basic_auth_data. Tyk bcrypt-hashes the password when it stores the session.
+ */
+const buildBasicAuthData = (password) => ({
+  password,
+  hash_type: 'bcrypt'
+});
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  generatePassword,
+  validateUsername,
+  validatePassword,
+  buildBasicAuthData
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const DEFAULT_VALID_DAYS = 365;
+const MAX_VALID_DAYS = 825;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Reads the details TykBasic records for a client certificate.
+ * Tyk identifies certificates by the SHA-256 fingerprint of their DER encoding.
+ *
+ * @param {string} pem - PEM-encoded certificate
+ * @returns {Object} { fingerprint, subject, issuer, validFrom, validTo }
+ * @throws {Error} With status 400 when the PEM is not a usable client certificate
+ */
+const inspectCertificate = (pem) => {
+  if (typeof pem !== 'string' || !pem.includes('BEGIN CERTIFICATE')) {
+    throw badRequest('Certificate must be PEM-encoded');
+  }
+  if (/PRIVATE KEY/.test(pem)) {
+    throw badRequest('Upload only the client certificate; keep its private key with the client');
+  }
+
+  let x509;
+  try {
+    x509 = new crypto.X509Certificate(pem.trim());
+  } catch (error) {
+    throw badRequest(`Certificate could not be parsed: ${error.message}`);
+  }
+
+  const validTo = new Date(x509.validTo);
+  if (validTo <= new Date()) {
+    throw badRequest(`Certificate expired on ${validTo.toISOString()}`);
+  }
+
+  return {
+    fingerprint: crypto.createHash('sha256').update(x509.raw).digest('hex'),
+    subject: x509.subject,
+    issuer: x509.issuer,
+    validFrom: new Date(x509.validFrom),
+    validTo
+  };
+};
+
+/**
+ * Generates a self-signed client certificate and its private key.
+ *
+ * @param {Object} options - Certificate details
+ * @param {string} options.commonName - Subject CN, usually the client's name
+ * @param {string} [options.organization] - Subject O
+ * @param {number} [options.validDays] - Validity period in days
+ * @returns {Object} { certificatePem, privateKeyPem }
+ * @throws {Error} With status 400 for an invalid validity period
+ */
+const generateClientCertificate = ({ commonName, organization = 'TykBasic', validDays = DEFAULT_VALID_DAYS }) => {
+  if (!Number.isInteger(validDays) || validDays < 1 || validDays > MAX_VALID_DAYS) {
+    throw badRequest(`Certificate validity must be between 1 and ${MAX_VALID_DAYS} days`);
+  }
+
+  // Node's key generation is much faster than forge's pure-JS implementation
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const forgeKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e);
+  cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + validDays * 24 * 60 * 60 * 1000);
+
+  const attributes = [
+    { name: 'commonName', value: commonName },
+    { name: 'organizationName', value: organization }
+  ];
+  cert.setSubject(attributes);
+  cert.setIssuer(attributes);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+    { name: 'extKeyUsage', clientAuth: true }
+  ]);
+  cert.sign(forgeKey, forge.md.sha256.create());
+
+  return {
+    certificatePem: forge.pki.certificateToPem(cert),
+    privateKeyPem
+  };
+};
+
+module.exports = {
+  DEFAULT_VALID_DAYS,
+  inspectCertificate,
+  generateClientCertificate
+};
@@ -0,0 +1,30 @@
+/**
+ * Maps over items with at most `limit` async calls in flight at once.
+ * Results keep the order of the input; a rejected call rejects the whole map,
+ * so callers that want per-item errors should catch inside `fn`.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async mapper called with (item, index)
+ * @returns {Promise<Array>} Mapped results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
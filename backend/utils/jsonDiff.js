@@ -0,0 +1,38 @@
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Lists the leaf-level differences between two JSON documents.
+ * Objects are compared key by key; arrays and scalars are compared as whole
+ * values, so a change inside an array is reported once at the array's path.
+ *
+ * @param {*} before - Original document
+ * @param {*} after - Updated document
+ * @param {string} [path] - Path prefix used while recursing
+ * @returns {Array<Object>} Changes as { path, type: 'added'|'removed'|'changed', from, to }
+ */
+const diffJson = (before, after, path = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap((key) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in after)) {
+        return [{ path: childPath, type: 'removed', from: before[key], to: undefined }];
+      }
+      if (!(key in before)) {
+        return [{ path: childPath, type: 'added', from: undefined, to: after[key] }];
+      }
+      return diffJson(before[key], after[key], childPath);
+    });
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{ path: path || '(root)', type: 'changed', from: before, to: after }];
+};
+
+module.exports = {
+  diffJson
+};
@@ -0,0 +1,253 @@
+const net = require('net');
+
+// Name of the gateway middleware (tyk-configs/middleware) that enforces these restrictions
+const MIDDLEWARE_NAME = 'keyNetworkRestrictions';
+const MAX_ENTRIES = 100;
+
+// Origins are scheme://host[:port]; a leading "*." in the host matches any subdomain
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)(:\d{1,5})?\/?$/;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Converts an IP address to its bytes (4 for IPv4, 16 for IPv6).
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {Array<number>|null} Bytes, or null when the address is invalid
+ */
+const addressToBytes = (address) => {
+  if (net.isIPv4(address)) {
+    return address.split('.').map(Number);
+  }
+  // Zone IDs (fe80::1%eth0) are local to a host and never appear in a client address
+  if (!net.isIPv6(address) || address.includes('%')) {
+    return null;
+  }
+
+  // An embedded IPv4 tail (::ffff:10.0.0.1) stands for the last two groups
+  let text = address;
+  const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail[1].split('.').map(Number);
+    text = text.slice(0, -ipv4Tail[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+};
+
+// IPv4-mapped IPv6 (::ffff:0:0/96) stands for the IPv4 address in its last 4 bytes
+const isIPv4Mapped = (bytes) => bytes.length === 16 &&
+  bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+
+/**
+ * Formats address bytes, compressing the longest run of zero groups in IPv6.
+ *
+ * @param {Array<number>} bytes - 4 or 16 bytes
+ * @returns {string} Address text
+ */
+const bytesToAddress = (bytes) => {
+  if (bytes.length === 4) {
+    return bytes.join('.');
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+
+  let best = { start: -1, length: 0 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (groups[i + length] === '0') length++;
+    if (length > 1 && length > best.length) best = { start: i, length };
+  }
+  if (best.start === -1) {
+    return groups.join(':');
+  }
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+};
+
+/**
+ * Parses an address or CIDR range. A bare address is a single-host range.
+ * IPv4-mapped IPv6 ranges (::ffff:10.0.0.0/104) are returned in IPv4 form,
+ * since clients with mapped addresses are matched as IPv4.
+ *
+ * @param {string} entry - e.g. "203.0.113.7", "203.0.113.0/24" or "2001:db8::/32"
+ * @returns {{ bytes: Array<number>, prefix: number, cidr: string }} Parsed range in canonical form
+ * @throws {Error} With status 400 when the entry is not a valid range or has host bits set
+ */
+const parseCidr = (entry) => {
+  const [address, prefixText, extra] = String(entry).trim().split('/');
+  let bytes = addressToBytes(address);
+  const maxPrefix = bytes ? bytes.length * 8 : 0;
+  let prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+  if (!bytes || extra !== undefined || !/^\d{1,3}$/.test(prefixText ?? '0') || prefix > maxPrefix) {
+    throw badRequest(`"${entry}" is not a valid IP address or CIDR range`);
+  }
+  if (isIPv4Mapped(bytes) && prefix >= 96) {
+    bytes = bytes.slice(12);
+    prefix -= 96;
+  }
+
+  const network = bytes.map((byte, index) => {
+    const bits = Math.min(Math.max(prefix - index * 8, 0), 8);
+    return byte & (0xff << (8 - bits)) & 0xff;
+  });
+  if (network.some((byte, index) => byte !== bytes[index])) {
+    throw badRequest(`"${entry}" has host bits set; did you mean ${bytesToAddress(network)}/${prefix}?`);
+  }
+
+  return { bytes, prefix, cidr: `${bytesToAddress(bytes)}/${prefix}` };
+};
+
+/**
+ * Normalizes an allowed origin to lowercase scheme://host[:port].
+ *
+ * @param {string} entry - Origin such as "https://app.example.com" or "https://*.example.com"
+ * @returns {string} Normalized origin
+ * @throws {Error} With status 400 when the entry is not an origin
+ */
+const normalizeOrigin = (entry) => {
+  const origin = String(entry).trim().toLowerCase();
+  const match = origin.match(ORIGIN_PATTERN);
+  if (!match || (match[4] && Number(match[4].slice(1)) > 65535)) {
+    throw badRequest(`"${entry}" is not a valid origin; use scheme://host[:port], e.g. https://app.example.com`);
+  }
+  return origin.replace(/\/$/, '');
+};
+
+const normalizeList = (value, field, normalizeEntry) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  const normalized = [...new Set(entries.filter(entry => String(entry).trim()).map(normalizeEntry))];
+  if (normalized.length > MAX_ENTRIES) {
+    throw badRequest(`${field} can have at most ${MAX_ENTRIES} entries`);
+  }
+  return normalized;
+};
+
+/**
+ * Validates and normalizes a key's network restrictions. IP lists accept
+ * arrays or comma/whitespace separated strings.
+ *
+ * @param {Object} [restrictions]
+ * @param {Array<string>|string} [restrictions.allowed_ips] - Only these ranges may use the key
+ * @param {Array<string>|string} [restrictions.blocked_ips] - These ranges may never use the key
+ * @param {Array<string>|string} [restrictions.allowed_origins] - Browser origins allowed to use the key
+ * @returns {Object|null} Normalized restrictions, or null when there are none
+ * @throws {Error} With status 400 describing the first invalid entry
+ */
+const normalizeRestrictions = (restrictions) => {
+  if (!restrictions) {
+    return null;
+  }
+  if (typeof restrictions !== 'object' || Array.isArray(restrictions)) {
+    throw badRequest('network_restrictions must be an object with allowed_ips, blocked_ips and allowed_origins');
+  }
+
+  const normalized = {
+    allowed_ips: normalizeList(restrictions.allowed_ips, 'allowed_ips', entry => parseCidr(entry).cidr),
+    blocked_ips: normalizeList(restrictions.blocked_ips, 'blocked_ips', entry => parseCidr(entry).cidr),
+    allowed_origins: normalizeList(restrictions.allowed_origins, 'allowed_origins', normalizeOrigin)
+  };
+
+  const total = normalized.allowed_ips.length + normalized.blocked_ips.length + normalized.allowed_origins.length;
+  return total > 0 ? normalized : null;
+};
+
+const inRange = (addressBytes, cidr) => {
+  const { bytes, prefix } = parseCidr(cidr);
+  if (bytes.length !== addressBytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => {
+    const bits = Math.min(Math.max(prefix - index * 8, 0), 8);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    return (addressBytes[index] & mask) === (byte & mask);
+  });
+};
+
+const originAllowed = (origin, allowedOrigins) => {
+  const match = String(origin).toLowerCase().match(/^(https?:\/\/)([^/]+)/);
+  if (!match) {
+    return false;
+  }
+  return allowedOrigins.some(allowed => {
+    if (allowed === match[0]) return true;
+    // https://*.example.com matches https://app.example.com but not https://example.com
+    const wildcard = allowed.match(/^(https?:\/\/)\*(\..+)$/);
+    return !!wildcard && match[1] === wildcard[1] && match[2].length > wildcard[2].length &&
+      match[2].endsWith(wildcard[2]);
+  });
+};
+
+/**
+ * Checks a request against a key's restrictions the way the gateway
+ * middleware does, without sending it.
+ *
+ * @param {Object|null} restrictions - Normalized restrictions from the key's meta_data
+ * @param {Object} request
+ * @param {string} [request.clientIp] - Address the gateway would see for the client
+ * @param {string} [request.origin] - Origin or Referer header the client sends
+ * @returns {string|null} The middleware's rejection message, or null when the request passes
+ */
+const checkRequest = (restrictions, { clientIp, origin } = {}) => {
+  const allowedIps = restrictions?.allowed_ips || [];
+  const blockedIps = restrictions?.blocked_ips || [];
+  const allowedOrigins = restrictions?.allowed_origins || [];
+
+  if (allowedIps.length > 0 || blockedIps.length > 0) {
+    let clientBytes = clientIp ? addressToBytes(String(clientIp).trim()) : null;
+    // The middleware treats IPv4-mapped IPv6 (::ffff:10.0.0.1) as the IPv4 address
+    if (clientBytes && isIPv4Mapped(clientBytes)) {
+      clientBytes = clientBytes.slice(12);
+    }
+    if (!clientBytes) {
+      return 'Client address could not be determined for this key';
+    }
+    if (blockedIps.some(cidr => inRange(clientBytes, cidr))) {
+      return 'Access from this address is blocked for this key';
+    }
+    if (allowedIps.length > 0 && !allowedIps.some(cidr => inRange(clientBytes, cidr))) {
+      return 'Access from this address is not allowed for this key';
+    }
+  }
+
+  if (allowedOrigins.length > 0 && (!origin || !originAllowed(origin, allowedOrigins))) {
+    return 'Requests from this origin are not allowed for this key';
+  }
+  return null;
+};
+
+/**
+ * Whether an API definition runs the restriction middleware after key authentication.
+ */
+const isEnforcedByApi = (api) =>
+  (api?.custom_middleware?.post_key_auth || []).some(middleware => middleware.name === MIDDLEWARE_NAME);
+
+module.exports = {
+  MIDDLEWARE_NAME,
+  MAX_ENTRIES,
+  parseCidr,
+  normalizeOrigin,
+  normalizeRestrictions,
+  checkRequest,
+  isEnforcedByApi
+};
@@ -0,0 +1,212 @@
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const MAX_RULES = 100;
+
+// Classic extended_paths sections whose entries name a path and method
+const CLASSIC_PATH_SECTIONS = [
+  'white_list', 'black_list', 'ignored', 'transform', 'transform_response', 'transform_headers',
+  'transform_response_headers', 'hard_timeouts', 'circuit_breakers', 'url_rewrites', 'virtual',
+  'size_limits', 'method_transforms', 'track_endpoints', 'do_not_track_endpoints', 'validate_json',
+  'internal', 'rate_limit', 'mock_response'
+];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const addEndpoint = (endpoints, path, methods) => {
+  if (typeof path !== 'string' || !path) return;
+  const known = endpoints.get(path) || new Set();
+  methods.forEach(method => known.add(method.toUpperCase()));
+  endpoints.set(path, known);
+};
+
+/**
+ * Lists the paths and methods an API documents: OAS `paths`, or the entries of
+ * every classic version's extended_paths.
+ *
+ * @param {Object} api - Classic definition from the gateway
+ * @param {Object} [oasDefinition] - OAS document, for APIs stored as Tyk OAS
+ * @returns {{ listen_path: string|null, endpoints: Array<{ path: string, methods: Array<string> }> }}
+ */
+const getKnownEndpoints = (api, oasDefinition = null) => {
+  const endpoints = new Map();
+
+  if (oasDefinition?.paths) {
+    for (const [path, operations] of Object.entries(oasDefinition.paths)) {
+      addEndpoint(endpoints, path, Object.keys(operations || {}).filter(method => HTTP_METHODS.includes(method.toUpperCase())));
+    }
+  } else {
+    for (const version of Object.values(api?.version_data?.versions || {})) {
+      for (const section of CLASSIC_PATH_SECTIONS) {
+        for (const entry of version?.extended_paths?.[section] || []) {
+          const methods = entry.method_actions ? Object.keys(entry.method_actions) : [entry.method].filter(Boolean);
+          addEndpoint(endpoints, entry.path, methods);
+        }
+      }
+    }
+  }
+
+  return {
+    listen_path: oasDefinition?.['x-tyk-api-gateway']?.server?.listenPath?.value || api?.proxy?.listen_path || null,
+    endpoints: [...endpoints.entries()]
+      .map(([path, methods]) => ({ path, methods: [...methods].sort() }))
+      .sort((a, b) => a.path.localeCompare(b.path))
+  };
+};
+
+const normalizeMethods = (methods, label) => {
+  const list = (Array.isArray(methods) ? methods : String(methods || '').split(/[\s,]+/))
+    .map(method => String(method).trim().toUpperCase())
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw badRequest(`${label}: at least one method is required`);
+  }
+  const unknown = list.find(method => !HTTP_METHODS.includes(method));
+  if (unknown) {
+    throw badRequest(`${label}: "${unknown}" is not an HTTP method`);
+  }
+  return [...new Set(list)].sort();
+};
+
+const normalizeRateLimit = (limit, label, { withQuota = false } = {}) => {
+  if (limit === undefined || limit === null || limit === '') {
+    return null;
+  }
+  const rate = Number(limit.rate);
+  const per = Number(limit.per);
+  if (!Number.isInteger(rate) || rate < 1 || !Number.isInteger(per) || per < 1) {
+    throw badRequest(`${label}: rate and per must be whole numbers of at least 1`);
+  }
+  if (!withQuota) {
+    return { rate, per };
+  }
+
+  const quotaMax = limit.quota_max === undefined || limit.quota_max === '' ? -1 : Number(limit.quota_max);
+  const quotaRenewalRate = limit.quota_renewal_rate === undefined || limit.quota_renewal_rate === '' ? 3600 : Number(limit.quota_renewal_rate);
+  if (!Number.isInteger(quotaMax) || (quotaMax < 1 && quotaMax !== -1)) {
+    throw badRequest(`${label}: quota_max must be a positive whole number, or -1 for unlimited`);
+  }
+  if (!Number.isInteger(quotaRenewalRate) || quotaRenewalRate < 1) {
+    throw badRequest(`${label}: quota_renewal_rate must be a whole number of seconds`);
+  }
+  return { rate, per, quota_max: quotaMax, quota_renewal_rate: quotaRenewalRate };
+};
+
+// Path template with parameters filled in, so patterns like /users/[0-9]+ match /users/{id}
+const samplePath = (path) => path.replace(/\{[^}]+\}/g, '1');
+
+const checkMethods = (methods, endpoint, label) => {
+  const missing = methods.filter(method => !endpoint.methods.includes(method));
+  if (missing.length > 0 && endpoint.methods.length > 0) {
+    throw badRequest(`${label}: ${endpoint.path} does not define ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Validates an API access's method ACLs and rate limits, checking paths
+ * against the endpoints the API documents.
+ *
+ * - `allowed_urls`: [{ url, methods }]; `url` is a regular expression the
+ *   gateway matches against the request path and must match a known path
+ * - `limit`: per-API { rate, per, quota_max, quota_renewal_rate } that replaces
+ *   the policy-wide limits for this API
+ * - `endpoints`: [{ path, methods: [{ name, limit: { rate, per } }] }]
+ *   endpoint-level rate limits; `path` must be a known path
+ *
+ * When the API documents no paths, paths cannot be checked and a warning is returned.
+ *
+ * @param {Object} access - API access from a policy request
+ * @param {Object} known - Result of getKnownEndpoints
+ * @returns {{ access: Object, warnings: Array<string> }} Normalized access and warnings
+ * @throws {Error} With status 400 describing the first invalid rule
+ */
+const normalizeAccessRules = (access, known) => {
+  const label = access.api_name || access.api_id;
+  const warnings = [];
+  const checkPaths = known.endpoints.length > 0;
+  const listenPath = (known.listen_path || '').replace(/\/$/, '');
+
+  const allowedUrls = Array.isArray(access.allowed_urls) ? access.allowed_urls : [];
+  const endpointLimits = Array.isArray(access.endpoints) ? access.endpoints : [];
+  if (allowedUrls.length > MAX_RULES || endpointLimits.length > MAX_RULES) {
+    throw badRequest(`${label}: at most ${MAX_RULES} allowed paths and ${MAX_RULES} endpoint limits per API`);
+  }
+  if (!checkPaths && (allowedUrls.length > 0 || endpointLimits.length > 0)) {
+    warnings.push(`${label} documents no paths, so its allowed paths and endpoint limits were not checked`);
+  }
+
+  const normalizedUrls = allowedUrls.map((rule, index) => {
+    const ruleLabel = `${label} allowed path ${index + 1}`;
+    const url = String(rule?.url || '').trim();
+    if (!url) {
+      throw badRequest(`${ruleLabel}: url is required`);
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(url);
+    } catch (error) {
+      throw badRequest(`${ruleLabel}: "${url}" is not a valid regular expression`);
+    }
+    const methods = normalizeMethods(rule.methods, ruleLabel);
+
+    if (checkPaths) {
+      const matches = known.endpoints.filter(endpoint =>
+        [endpoint.path, samplePath(endpoint.path)].some(path => pattern.test(path) || pattern.test(`${listenPath}${path}`))
+      );
+      if (matches.length === 0) {
+        throw badRequest(`${ruleLabel}: "${url}" does not match any path of ${label}`);
+      }
+      const documented = new Set(matches.flatMap(endpoint => endpoint.methods));
+      const missing = methods.filter(method => !documented.has(method));
+      if (missing.length > 0 && documented.size > 0) {
+        throw badRequest(`${ruleLabel}: no path matching "${url}" defines ${missing.join(', ')}`);
+      }
+    }
+    return { url, methods };
+  });
+
+  const normalizedEndpoints = endpointLimits.map((rule, index) => {
+    const ruleLabel = `${label} endpoint limit ${index + 1}`;
+    const path = String(rule?.path || '').trim();
+    if (!path.startsWith('/')) {
+      throw badRequest(`${ruleLabel}: path must start with /`);
+    }
+    const methods = Array.isArray(rule.methods) ? rule.methods : [];
+    if (methods.length === 0) {
+      throw badRequest(`${ruleLabel}: at least one method with a limit is required`);
+    }
+    const normalizedMethods = methods.map(method => ({
+      name: normalizeMethods([method?.name], ruleLabel)[0],
+      limit: normalizeRateLimit(method?.limit, `${ruleLabel} ${method?.name}`) || (() => {
+        throw badRequest(`${ruleLabel}: ${method?.name} needs a rate and per`);
+      })()
+    }));
+
+    if (checkPaths) {
+      const endpoint = known.endpoints.find(candidate => candidate.path === path);
+      if (!endpoint) {
+        throw badRequest(`${ruleLabel}: ${path} is not a path of ${label}`);
+      }
+      checkMethods(normalizedMethods.map(method => method.name), endpoint, ruleLabel);
+    }
+    return { path, methods: normalizedMethods };
+  });
+
+  return {
+    access: {
+      ...access,
+      allowed_urls: normalizedUrls,
+      limit: normalizeRateLimit(access.limit, `${label} limit`, { withQuota: true }),
+      endpoints: normalizedEndpoints
+    },
+    warnings
+  };
+};
+
+module.exports = {
+  HTTP_METHODS,
+  getKnownEndpoints,
+  normalizeAccessRules
+};
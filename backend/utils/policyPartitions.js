@@ -0,0 +1,179 @@
+// Parts of a key session a Tyk policy can supply, in display order
+const PARTITIONS = ['acl', 'rate_limit', 'quota', 'complexity'];
+
+const PARTITION_LABELS = {
+  acl: 'access rights',
+  rate_limit: 'rate limit',
+  quota: 'quota',
+  complexity: 'query depth limit'
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Normalizes a policy's partition toggles. A policy with no partition enabled
+ * supplies every part of the session.
+ *
+ * @param {Object|null} value - { quota, rate_limit, acl, complexity } booleans
+ * @returns {Object} Every partition as a boolean
+ * @throws {Error} With status 400 for an unknown partition or non-boolean value
+ */
+const normalizePartitions = (value) => {
+  if (value === undefined || value === null) {
+    return Object.fromEntries(PARTITIONS.map(part => [part, false]));
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw badRequest('partitions must be an object of quota, rate_limit, acl and complexity flags');
+  }
+  const unknown = Object.keys(value).find(part => !PARTITIONS.includes(part));
+  if (unknown) {
+    throw badRequest(`Unknown partition "${unknown}"; use ${PARTITIONS.join(', ')}`);
+  }
+  const invalid = Object.entries(value).find(([, enabled]) => typeof enabled !== 'boolean');
+  if (invalid) {
+    throw badRequest(`Partition ${invalid[0]} must be true or false`);
+  }
+  return Object.fromEntries(PARTITIONS.map(part => [part, value[part] === true]));
+};
+
+const isPartitioned = (partitions) => PARTITIONS.some(part => partitions?.[part]);
+
+/**
+ * Builds the partitions object of a Tyk policy. Per-API limits need `per_api`,
+ * which the gateway does not allow together with other partitions.
+ *
+ * @param {Object|null} partitions - Normalized partitions
+ * @param {Array<Object>} apiAccesses - Accesses or access rights with an optional `limit` or `api_limit`
+ * @returns {Object} Tyk partitions
+ * @throws {Error} With status 400 when partitions are combined with per-API limits
+ */
+const toTykPartitions = (partitions, apiAccesses = []) => {
+  const normalized = normalizePartitions(partitions);
+  // Gateway policies list every API with a limit object, zeroed when it has none
+  const perApi = apiAccesses.some(access => (access.limit || access.api_limit)?.rate > 0);
+  if (perApi && isPartitioned(normalized)) {
+    throw badRequest('Per-API limits cannot be combined with partitions; remove the per-API limits or the partitions');
+  }
+  return { ...normalized, per_api: perApi };
+};
+
+// Requests per second, so limits with different periods can be compared
+const ratePerSecond = (policy) => (policy.per > 0 ? policy.rate / policy.per : 0);
+const quotaSize = (policy) => (policy.quota_max === -1 ? Infinity : policy.quota_max || 0);
+const depthSize = (policy) => (policy.max_query_depth === -1 || !policy.max_query_depth ? Infinity : policy.max_query_depth);
+
+const PART_VALUES = {
+  rate_limit: { rank: ratePerSecond, value: (source) => ({ rate: source.rate, per: source.per }) },
+  quota: { rank: quotaSize, value: (source) => ({ quota_max: source.quota_max, quota_renewal_rate: source.quota_renewal_rate }) },
+  complexity: { rank: depthSize, value: (source) => ({ max_query_depth: source.max_query_depth ?? -1 }) }
+};
+
+const describe = (policy) => ({ id: policy.id, name: policy.name || policy.id });
+const listNames = (policies) => policies.map(policy => `"${policy.name || policy.id}"`).join(' and ');
+
+/**
+ * Explains which policy supplies which part of the session of a key that
+ * applies `policies`, following the gateway's merge rules: a policy supplies
+ * the parts it partitions (all of them when it has no partitions), access
+ * rights of every supplying policy are merged, and when several policies
+ * supply a limit the most permissive one applies.
+ *
+ * @param {Array<Object>} policies - Gateway policies (rate, per, quota_max, quota_renewal_rate,
+ *   max_query_depth, partitions, access_rights), in apply_policies order
+ * @param {Object} [session] - Key session, used for parts no policy supplies
+ * @returns {Object} { policies, parts, apis, warnings, errors }
+ */
+const combinePolicies = (policies, session = null) => {
+  const warnings = [];
+  const errors = [];
+  const supplies = (policy, part) => !isPartitioned(policy.partitions) || policy.partitions[part] === true;
+
+  const parts = PARTITIONS.map(part => {
+    const sources = policies.filter(policy => supplies(policy, part));
+    const label = PARTITION_LABELS[part];
+
+    if (part === 'acl') {
+      if (sources.length === 0 && session) {
+        warnings.push('None of the policies supplies access rights; the key\'s own access rights are used');
+      } else if (sources.length === 0) {
+        errors.push('None of the policies supplies access rights, so the key could not call any API');
+      }
+      return { part, label, sources: sources.map(describe), applied: null, value: null };
+    }
+
+    if (sources.length === 0) {
+      // Query depth only matters for GraphQL APIs; most keys never set it
+      if (part !== 'complexity') {
+        warnings.push(`No policy supplies the ${label}; the key's own ${label} is used`);
+      }
+      return {
+        part,
+        label,
+        sources: [],
+        applied: session ? { id: null, name: 'Key session' } : null,
+        value: session ? PART_VALUES[part].value(session) : null
+      };
+    }
+
+    const { rank, value } = PART_VALUES[part];
+    const applied = sources.reduce((best, policy) => (rank(policy) > rank(best) ? policy : best));
+    if (sources.length > 1 && part !== 'complexity') {
+      warnings.push(`The ${label} is supplied by ${listNames(sources)}; the most permissive, from "${applied.name || applied.id}", applies`);
+    }
+    return { part, label, sources: sources.map(describe), applied: describe(applied), value: value(applied) };
+  });
+
+  // Access rights of every supplying policy are merged per API
+  const apis = new Map();
+  const aclSources = policies.filter(policy => supplies(policy, 'acl'));
+  const rightsSources = aclSources.length > 0 || !session
+    ? aclSources.map(policy => [policy, policy.access_rights])
+    : [[{ id: null, name: 'Key session' }, session.access_rights]];
+
+  for (const [policy, accessRights] of rightsSources) {
+    for (const [apiId, access] of Object.entries(accessRights || {})) {
+      const merged = apis.get(apiId) || {
+        api_id: apiId,
+        api_name: access.api_name || apiId,
+        versions: [],
+        allowed_urls: [],
+        endpoints: [],
+        limit: null,
+        policies: []
+      };
+      merged.versions = [...new Set([...merged.versions, ...(access.versions || [])])];
+      merged.allowed_urls = [...merged.allowed_urls, ...(access.allowed_urls || [])];
+      merged.endpoints = [...merged.endpoints, ...(access.endpoints || [])];
+      merged.policies.push(describe(policy));
+      if (policy.partitions?.per_api && access.limit?.rate && !merged.limit) {
+        merged.limit = { ...access.limit, from: describe(policy) };
+      }
+      apis.set(apiId, merged);
+    }
+  }
+
+  return {
+    policies: policies.map(policy => ({
+      ...describe(policy),
+      partitioned: isPartitioned(policy.partitions),
+      partitions: PARTITIONS.filter(part => supplies(policy, part)),
+      per_api: !!policy.partitions?.per_api
+    })),
+    parts,
+    apis: [...apis.values()],
+    warnings,
+    errors
+  };
+};
+
+module.exports = {
+  PARTITIONS,
+  normalizePartitions,
+  isPartitioned,
+  toTykPartitions,
+  combinePolicies
+};
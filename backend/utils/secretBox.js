@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// CREDENTIAL_ENCRYPTION_KEY should be set in production; the JWT secret is only a development fallback
+const getKey = () => crypto.createHash('sha256')
+  .update(process.env.CREDENTIAL_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production')
+  .digest();
+
+/**
+ * Encrypts a credential secret for storage.
+ *
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} `v1:<iv>:<auth tag>:<ciphertext>`, base64 parts
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypts a secret produced by encryptSecret.
+ *
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext secret
+ * @throws {Error} When the value is malformed or was encrypted with another key
+ */
+const decryptSecret = (value) => {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Stored secret is not in a recognised encrypted format');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -15,6 +15,9 @@ const AdminDashboard = () => {
   const [statistics, setStatistics] = useState(null);
   const [users, setUsers] = useState([]);
   const [pendingUsers, setPendingUsers] = useState([]);
+  const [keyRequests, setKeyRequests] = useState([]);
+  const [requireKeyApproval, setRequireKeyApproval] = useState(false);
+  const [quotaRequests, setQuotaRequests] = useState([]);
   const [emailWhitelist, setEmailWhitelist] = useState([]);
   const [auditLogs, setAuditLogs] = useState([]);
   const [organizations, setOrganizations] = useState([]);
@@ -47,6 +50,14 @@ const AdminDashboard = () => {
     enabled: false
   });
 
+  // Key expiry settings state
+  const [keyExpiry, setKeyExpiry] = useState({
+    warningDays: '30, 7, 1',
+    cleanupAction: 'deactivate',
+    cleanupAfterDays: 30,
+    keys: []
+  });
+
   // useEffect must be before any early returns
   useEffect(() => {
     if (user && ['super_admin', 'admin'].includes(user.role)) {
@@ -61,6 +72,8 @@ const AdminDashboard = () => {
       } else if (activeTab === 'pending') {
         fetchPendingUsers();
         fetchOrganizations(); // Fetch organizations for user approval
+      } else if (activeTab === 'keyRequests') {
+        fetchKeyRequests();
       } else if (activeTab === 'organizations') {
         // Organizations component handles its own data fetching
       } else if (activeTab === 'policies') {
@@ -69,6 +82,7 @@ const AdminDashboard = () => {
         fetchEmailWhitelist();
       } else if (activeTab === 'settings') {
         fetchEmailConfig();
+        fetchKeyExpiry();
       }
     }
   }, [activeTab, usersPage, userFilters, user, token]);
@@ -143,6 +157,35 @@ const AdminDashboard = () => {
     }
   };
 
+  const fetchKeyRequests = async () => {
+    try {
+      const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      };
+      const [requestsResponse, settingsResponse, quotaResponse] = await Promise.all([
+        fetch('/api/tyk/key-requests?status=pending', { headers }),
+        fetch('/api/tyk/key-requests/settings', { headers }),
+        fetch('/api/tyk/quota-requests?status=pending', { headers })
+      ]);
+
+      if (requestsResponse.ok) {
+        const data = await requestsResponse.json();
+        setKeyRequests(data.data || []);
+      }
+      if (quotaResponse.ok) {
+        const data = await quotaResponse.json();
+        setQuotaRequests(data.data || []);
+      }
+      if (settingsResponse.ok) {
+        const data = await settingsResponse.json();
+        setRequireKeyApproval(data.data.require_approval);
+      }
+    } catch (err) {
+      console.error('Failed to fetch key requests:', err);
+    }
+  };
+
   const fetchEmailWhitelist = async () => {
     try {
       const response = await fetch('/api/admin/email-whitelist', {
@@ -250,6 +293,94 @@ const AdminDashboard = () => {
     }
   };
 
+  const decideQuotaRequest = async (quotaRequestId, decision, note) => {
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch(`/api/tyk/quota-requests/${quotaRequestId}/${decision}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ note })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSuccess(data.message);
+      } else {
+        setError(data.message || `Failed to ${decision} quota request`);
+      }
+      fetchKeyRequests();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const decideKeyRequest = async (keyRequestId, action, body) => {
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch(`/api/tyk/key-requests/${keyRequestId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchKeyRequests();
+      } else {
+        setError(data.message || `Failed to ${action} key request`);
+        fetchKeyRequests();
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const saveKeyApprovalSetting = async (requireApproval) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch('/api/tyk/key-requests/settings', {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ require_approval: requireApproval })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setRequireKeyApproval(data.data.require_approval);
+        setSuccess(data.message);
+      } else {
+        setError(data.message || 'Failed to update key approval setting');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
   const addEmailPattern = async (pattern, description) => {
     setIsLoading(true);
     setError('');
@@ -359,6 +490,94 @@ const AdminDashboard = () => {
     }
   };
 
+  const fetchKeyExpiry = async () => {
+    try {
+      const response = await fetch('/api/admin/key-expiry', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const { data } = await response.json();
+        setKeyExpiry({
+          warningDays: data.config.warning_days.join(', '),
+          cleanupAction: data.config.cleanup.action,
+          cleanupAfterDays: data.config.cleanup.after_days,
+          keys: data.keys
+        });
+      }
+    } catch (err) {
+      console.error('Failed to fetch key expiry settings:', err);
+    }
+  };
+
+  const saveKeyExpiry = async () => {
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch('/api/admin/key-expiry', {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          warning_days: keyExpiry.warningDays.split(',').map(days => days.trim()).filter(Boolean).map(Number),
+          cleanup: {
+            action: keyExpiry.cleanupAction,
+            after_days: Number(keyExpiry.cleanupAfterDays)
+          }
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSuccess('Key expiry settings saved successfully');
+        fetchKeyExpiry();
+      } else {
+        setError(data.message || 'Failed to save key expiry settings');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const runKeyExpiryCheck = async () => {
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch('/api/admin/key-expiry/run', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchKeyExpiry();
+      } else {
+        setError(data.message || 'Failed to run key expiry check');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const updateUser = async (userId, updates) => {
     setIsLoading(true);
     setError('');
@@ -582,6 +801,135 @@ const AdminDashboard = () => {
     </div>
   );
 
+  const renderKeyRequests = () => (
+    <div className="admin-section">
+      <h2>Key Requests</h2>
+      <div className="form-group key-approval-setting">
+        <label>
+          <input
+            type="checkbox"
+            checked={requireKeyApproval}
+            onChange={(e) => saveKeyApprovalSetting(e.target.checked)}
+          />
+          {' '}Require admin approval for new API keys
+        </label>
+        <small>Users then request keys instead of creating them. Admins can always create keys directly.</small>
+      </div>
+      {keyRequests.length === 0 ? (
+        <div className="no-data">No pending key requests</div>
+      ) : (
+        <div className="pending-users-grid">
+          {keyRequests.map(keyRequest => (
+            <div key={keyRequest.id} className="pending-user-card">
+              <div className="user-info">
+                <h3>{keyRequest.name}</h3>
+                <p>{keyRequest.requester?.full_name} ({keyRequest.requester?.email})</p>
+                <p>Policy: {keyRequest.policy_name}</p>
+                <p>Purpose: {keyRequest.purpose}</p>
+                {keyRequest.key_options?.hmac_enabled && <p>HMAC signing: {keyRequest.key_options.hmac_algorithm}</p>}
+                <p>Requested: {new Date(keyRequest.created_at).toLocaleDateString()}</p>
+              </div>
+              <div className="user-actions">
+                <div className="approval-controls">
+                  <label htmlFor={`expires-${keyRequest.id}`}>Expires (empty for never)</label>
+                  <input
+                    type="datetime-local"
+                    className="role-select"
+                    id={`expires-${keyRequest.id}`}
+                    defaultValue={keyRequest.desired_expires_at
+                      ? new Date(new Date(keyRequest.desired_expires_at).getTime() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+                      : ''}
+                  />
+                  <input
+                    type="text"
+                    className="role-select"
+                    id={`note-${keyRequest.id}`}
+                    placeholder="Note or rejection reason for the requester"
+                  />
+                </div>
+                <div className="action-buttons">
+                  <button
+                    className="btn btn-success"
+                    onClick={() => {
+                      const expires = document.getElementById(`expires-${keyRequest.id}`).value;
+                      const note = document.getElementById(`note-${keyRequest.id}`).value;
+                      decideKeyRequest(keyRequest.id, 'approve', {
+                        expires_at: expires ? new Date(expires).toISOString() : null,
+                        note
+                      });
+                    }}
+                    disabled={isLoading}
+                  >
+                    Approve
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => {
+                      const reason = document.getElementById(`note-${keyRequest.id}`).value;
+                      decideKeyRequest(keyRequest.id, 'reject', { reason });
+                    }}
+                    disabled={isLoading}
+                  >
+                    Reject
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h2>Quota Requests</h2>
+      {quotaRequests.length === 0 ? (
+        <div className="no-data">No pending quota requests</div>
+      ) : (
+        <div className="pending-users-grid">
+          {quotaRequests.map(quotaRequest => (
+            <div key={quotaRequest.id} className="pending-user-card">
+              <div className="user-info">
+                <h3>{quotaRequest.key_name}</h3>
+                <p>{quotaRequest.requester?.full_name} ({quotaRequest.requester?.email})</p>
+                <p>
+                  {quotaRequest.action === 'top_up'
+                    ? `Top-up: ${quotaRequest.amount} extra requests`
+                    : 'Reset to the full quota'}
+                </p>
+                <p>Reason: {quotaRequest.reason}</p>
+                <p>Requested: {new Date(quotaRequest.created_at).toLocaleDateString()}</p>
+              </div>
+              <div className="user-actions">
+                <div className="approval-controls">
+                  <input
+                    type="text"
+                    className="role-select"
+                    id={`quota-note-${quotaRequest.id}`}
+                    placeholder="Note or rejection reason for the requester"
+                  />
+                </div>
+                <div className="action-buttons">
+                  <button
+                    className="btn btn-success"
+                    onClick={() => decideQuotaRequest(quotaRequest.id, 'approve', document.getElementById(`quota-note-${quotaRequest.id}`).value)}
+                    disabled={isLoading}
+                  >
+                    Approve
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => decideQuotaRequest(quotaRequest.id, 'reject', document.getElementById(`quota-note-${quotaRequest.id}`).value)}
+                    disabled={isLoading}
+                  >
+                    Reject
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
   const renderEmailWhitelist = () => {
     const handleAddPattern = () => {
       if (newPattern.trim()) {
@@ -837,6 +1185,100 @@ const AdminDashboard = () => {
           </button>
         </div>
       </div>
+
+      <h2>API Key Expiry</h2>
+
+      <div className="settings-form">
+        <div className="form-group">
+          <label>Warn key owners this many days before expiry</label>
+          <input
+            type="text"
+            value={keyExpiry.warningDays}
+            onChange={(e) => setKeyExpiry({...keyExpiry, warningDays: e.target.value})}
+            placeholder="30, 7, 1"
+            disabled={user.role !== 'super_admin'}
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Expired keys</label>
+          <select
+            value={keyExpiry.cleanupAction}
+            onChange={(e) => setKeyExpiry({...keyExpiry, cleanupAction: e.target.value})}
+            disabled={user.role !== 'super_admin'}
+          >
+            <option value="deactivate">Deactivate</option>
+            <option value="delete">Delete from the gateway</option>
+            <option value="none">Leave as they are</option>
+          </select>
+        </div>
+
+        {keyExpiry.cleanupAction !== 'none' && (
+          <div className="form-group">
+            <label>Days after expiry</label>
+            <input
+              type="number"
+              min="0"
+              max="365"
+              value={keyExpiry.cleanupAfterDays}
+              onChange={(e) => setKeyExpiry({...keyExpiry, cleanupAfterDays: e.target.value})}
+              disabled={user.role !== 'super_admin'}
+            />
+          </div>
+        )}
+
+        {user.role === 'super_admin' && (
+          <div className="settings-actions">
+            <button
+              className="btn btn-primary"
+              onClick={saveKeyExpiry}
+              disabled={isLoading}
+            >
+              {isLoading ? 'Saving...' : 'Save Expiry Settings'}
+            </button>
+
+            <button
+              className="btn btn-secondary"
+              onClick={runKeyExpiryCheck}
+              disabled={isLoading}
+            >
+              Run Check Now
+            </button>
+          </div>
+        )}
+
+        <h3>Expiring Keys</h3>
+        {keyExpiry.keys.length === 0 ? (
+          <p>No tracked keys expire within the warning windows.</p>
+        ) : (
+          <div className="users-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Owner</th>
+                  <th>Expires</th>
+                  <th>Warnings Sent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {keyExpiry.keys.map(key => (
+                  <tr key={key.id}>
+                    <td>{key.name}<br /><code>{key.key_hash}</code></td>
+                    <td>{key.owner_email || '—'}</td>
+                    <td>
+                      {new Date(key.expires_at).toLocaleString()}
+                      <br />
+                      <small>{key.days_left > 0 ? `in ${key.days_left} day(s)` : 'Expired'}</small>
+                    </td>
+                    <td>{key.warnings_sent.length > 0 ? key.warnings_sent.map(days => `${days}d`).join(', ') : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 
@@ -885,6 +1327,15 @@ const AdminDashboard = () => {
             <span className="tab-badge">{pendingUsers.length}</span>
           )}
         </button>
+        <button
+          className={`tab ${activeTab === 'keyRequests' ? 'active' : ''}`}
+          onClick={() => setActiveTab('keyRequests')}
+        >
+          Key Requests
+          {keyRequests.length + quotaRequests.length > 0 && (
+            <span className="tab-badge">{keyRequests.length + quotaRequests.length}</span>
+          )}
+        </button>
         <button
           className={`tab ${activeTab === 'organizations' ? 'active' : ''}`}
           onClick={() => setActiveTab('organizations')}
@@ -915,6 +1366,7 @@ const AdminDashboard = () => {
         {activeTab === 'dashboard' && renderDashboard()}
         {activeTab === 'users' && renderUsers()}
         {activeTab === 'pending' && renderPendingUsers()}
+        {activeTab === 'keyRequests' && renderKeyRequests()}
         {activeTab === 'organizations' && <OrganizationManagement />}
         {activeTab === 'policies' && <PolicyManagement />}
         {activeTab === 'whitelist' && renderEmailWhitelist()}
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+
+const SOURCE_HELP = {
+  hmac: 'Shared secret used by the token issuer (at least 32 characters).',
+  rsa: 'PEM public key or certificate of the issuer, or its JWKS URL.',
+  ecdsa: 'PEM public key or certificate of the issuer, or its JWKS URL.'
+};
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const requestJson = async (endpoint, options = {}) => {
+  const response = await fetch(endpoint, { ...options, headers: authHeaders() });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * JWT settings for a classic API: signing method and source, identity and
+ * policy claims, default policies and a claim-to-policy mapping, plus a
+ * token tester that reports which policies a pasted JWT would get.
+ */
+const ApiJwtSettings = ({ api, onClose, onSaved }) => {
+  const [settings, setSettings] = useState(null);
+  const [policies, setPolicies] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [token, setToken] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, [api.api_id]);
+
+  const loadSettings = async () => {
+    try {
+      const [settingsData, policiesData] = await Promise.all([
+        requestJson(`/api/tyk/apis/${api.api_id}/jwt`),
+        requestJson('/api/policies/available')
+      ]);
+      const current = settingsData.data;
+      setSettings(current);
+      setPolicies(policiesData.data || []);
+      setForm({
+        enabled: current.enabled || !current.signing_method,
+        signing_method: current.signing_method || 'rsa',
+        source: current.source || '',
+        identity_base_field: current.identity_base_field,
+        policy_field_name: current.policy_field_name,
+        default_policy_ids: current.default_policies.filter(policy => policy.id).map(policy => String(policy.id)),
+        claim_name: current.claim_name || 'scope',
+        claim_policy_mapping: current.claim_policy_mapping
+          .filter(entry => entry.policy.id)
+          .map(entry => ({ value: entry.value, policy_id: String(entry.policy.id) }))
+      });
+    } catch (err) {
+      console.error('❌ Error loading JWT settings:', err);
+      setError(err.message);
+    }
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateMapping = (index, changes) => {
+    updateForm({
+      claim_policy_mapping: form.claim_policy_mapping.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+    });
+  };
+
+  // A stored secret is never sent back, so it only has to be re-entered when replacing it
+  const sourceRequired = !settings?.source_type || form?.signing_method !== settings.signing_method;
+
+  const saveSettings = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const body = form.enabled
+        ? {
+            ...form,
+            source: form.source.trim() && form.source !== settings.source ? form.source.trim() : undefined,
+            default_policy_ids: form.default_policy_ids.map(id => parseInt(id)),
+            claim_policy_mapping: form.claim_policy_mapping
+              .filter(entry => entry.value.trim())
+              .map(entry => ({ value: entry.value.trim(), policy_id: parseInt(entry.policy_id) }))
+          }
+        : { enabled: false };
+
+      const data = await requestJson(`/api/tyk/apis/${api.api_id}/jwt`, {
+        method: 'PUT',
+        body: JSON.stringify(body)
+      });
+      onSaved(`${data.message}: ${api.name}`);
+    } catch (err) {
+      console.error('❌ Error saving JWT settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const testToken = async () => {
+    try {
+      setTesting(true);
+      setError(null);
+      const data = await requestJson(`/api/tyk/apis/${api.api_id}/jwt/test`, {
+        method: 'POST',
+        body: JSON.stringify({ token })
+      });
+      setTestResult(data.data);
+    } catch (err) {
+      setTestResult(null);
+      setError(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>🔐 JWT Settings: {api.name}</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="modal-body">
+          {error && (
+            <div className="alert alert-error">
+              <span>❌ {error}</span>
+            </div>
+          )}
+
+          {!form && !error && <p>⏳ Loading JWT settings...</p>}
+
+          {form && (
+            <>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={form.enabled}
+                    onChange={(e) => updateForm({ enabled: e.target.checked })}
+                  />
+                  {' '}Authenticate requests with JWTs
+                </label>
+                {form.enabled && !settings.enabled && (
+                  <p className="diff-note">Saving replaces token and keyless access to this API with JWT.</p>
+                )}
+              </div>
+
+              {form.enabled && (
+                <>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Signing Method</label>
+                      <select
+                        value={form.signing_method}
+                        onChange={(e) => updateForm({ signing_method: e.target.value, source: '' })}
+                      >
+                        <option value="rsa">RSA (RS256/PS256...)</option>
+                        <option value="ecdsa">ECDSA (ES256...)</option>
+                        <option value="hmac">HMAC (HS256...)</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Identity Claim</label>
+                      <input
+                        type="text"
+                        value={form.identity_base_field}
+                        onChange={(e) => updateForm({ identity_base_field: e.target.value })}
+                        placeholder="sub"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label>{form.signing_method === 'hmac' ? 'Shared Secret' : 'Public Key or JWKS URL'}</label>
+                    {form.signing_method === 'hmac' ? (
+                      <input
+                        type="password"
+                        value={form.source}
+                        onChange={(e) => updateForm({ source: e.target.value })}
+                        placeholder={sourceRequired ? '' : 'Leave empty to keep the current secret'}
+                        autoComplete="off"
+                      />
+                    ) : (
+                      <textarea
+                        value={form.source}
+                        onChange={(e) => updateForm({ source: e.target.value })}
+                        placeholder={'https://issuer.example.com/.well-known/jwks.json\nor\n-----BEGIN PUBLIC KEY-----'}
+                        rows="4"
+                      />
+                    )}
+                    <p className="diff-note">{SOURCE_HELP[form.signing_method]}</p>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Policy Claim</label>
+                      <input
+                        type="text"
+                        value={form.policy_field_name}
+                        onChange={(e) => updateForm({ policy_field_name: e.target.value })}
+                        placeholder="pol"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Default Policies (tokens without a policy claim)</label>
+                      <select
+                        multiple
+                        value={form.default_policy_ids}
+                        onChange={(e) => updateForm({
+                          default_policy_ids: Array.from(e.target.selectedOptions, option => option.value)
+                        })}
+                      >
+                        {policies.map(policy => (
+                          <option key={policy.id} value={String(policy.id)}>{policy.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className="import-preview">
+                    <h4>Claim-to-Policy Mapping</h4>
+                    <p className="diff-note">
+                      Tokens whose claim contains a listed value also get the mapped policy.
+                    </p>
+                    <div className="form-group">
+                      <label>Claim</label>
+                      <input
+                        type="text"
+                        value={form.claim_name}
+                        onChange={(e) => updateForm({ claim_name: e.target.value })}
+                        placeholder="scope"
+                      />
+                    </div>
+                    {form.claim_policy_mapping.map((entry, index) => (
+                      <div key={index} className="jwt-mapping-row">
+                        <input
+                          type="text"
+                          value={entry.value}
+                          onChange={(e) => updateMapping(index, { value: e.target.value })}
+                          placeholder="Claim value, e.g. orders:write"
+                        />
+                        <select
+                          value={entry.policy_id}
+                          onChange={(e) => updateMapping(index, { policy_id: e.target.value })}
+                        >
+                          <option value="">Choose a policy...</option>
+                          {policies.map(policy => (
+                            <option key={policy.id} value={String(policy.id)}>{policy.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          className="btn btn-small btn-danger"
+                          onClick={() => updateForm({
+                            claim_policy_mapping: form.claim_policy_mapping.filter((_, i) => i !== index)
+                          })}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      className="btn btn-small btn-outline"
+                      onClick={() => updateForm({
+                        claim_policy_mapping: [...form.claim_policy_mapping, { value: '', policy_id: '' }]
+                      })}
+                    >
+                      ➕ Add Mapping
+                    </button>
+                  </div>
+                </>
+              )}
+
+              {settings.enabled && (
+                <div className="import-preview jwt-test">
+                  <h4>🧪 Test a Token</h4>
+                  <p className="diff-note">
+                    Checks a token against the saved settings without calling the API. Save changes first.
+                  </p>
+                  <div className="form-group">
+                    <textarea
+                      value={token}
+                      onChange={(e) => setToken(e.target.value)}
+                      placeholder="eyJhbGciOi..."
+                      rows="3"
+                    />
+                  </div>
+                  <button className="btn btn-small btn-outline" onClick={testToken} disabled={testing || !token.trim()}>
+                    {testing ? '⏳ Checking...' : 'Check Token'}
+                  </button>
+
+                  {testResult && (
+                    <div className="jwt-test-result">
+                      <p>
+                        {testResult.valid ? '✅ The gateway would accept this token' : '❌ The gateway would reject this token'}
+                        {testResult.identity !== null && <> as <code>{String(testResult.identity)}</code></>}
+                      </p>
+                      {testResult.errors.length > 0 && (
+                        <ul className="conversion-errors">
+                          {testResult.errors.map(message => <li key={message}>{message}</li>)}
+                        </ul>
+                      )}
+                      {testResult.policies.length > 0 && (
+                        <ul className="import-diff">
+                          {testResult.policies.map((policy, index) => (
+                            <li key={`${policy.tyk_policy_id}-${index}`} className={policy.available ? 'diff-added' : 'diff-removed'}>
+                              {policy.name || policy.tyk_policy_id} ← {policy.from}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <pre className="jwt-claims">{JSON.stringify(testResult.claims, null, 2)}</pre>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={saveSettings}
+            disabled={!form || saving || (form.enabled && sourceRequired && !form.source.trim())}
+          >
+            {saving ? '⏳ Deploying...' : '💾 Save & Deploy'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiJwtSettings;
@@ -0,0 +1,999 @@
+import React, { useState, useEffect } from 'react';
+import './ApiManagement.css';
+import ApiJwtSettings from './ApiJwtSettings';
+
+const EMPTY_IMPORT_FORM = {
+  spec: '',
+  name: '',
+  listen_path: '',
+  target_url: '',
+  api_id: '',
+  definition_format: 'classic'
+};
+
+const DRAFT_TEMPLATE = JSON.stringify({
+  name: '',
+  proxy: {
+    listen_path: '/my-api/',
+    target_url: 'https://backend.example.com',
+    strip_listen_path: true
+  },
+  use_keyless: false
+}, null, 2);
+
+const DEPLOYMENT_STATUS_LABELS = {
+  draft: 'Draft',
+  staged: 'Staged',
+  pending: 'Not deployed',
+  updating: 'Deploying',
+  deployed: 'Deployed',
+  failed: 'Deploy failed'
+};
+
+const ApiManagement = () => {
+  const [apis, setApis] = useState([]);
+  const [definitions, setDefinitions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [formatFilter, setFormatFilter] = useState('all');
+  const [showImportModal, setShowImportModal] = useState(false);
+
+  // Format switch state: conversion to OAS is previewed before it is applied
+  const [formatSwitch, setFormatSwitch] = useState(null);
+  const [switchingFormat, setSwitchingFormat] = useState(false);
+
+  // Draft editor state: api_id is empty for a new draft
+  const [draftEditor, setDraftEditor] = useState(null);
+  const [lifecycleBusy, setLifecycleBusy] = useState(null);
+
+  // Revision history state: a rollback is confirmed with an optional comment
+  const [history, setHistory] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [jwtApi, setJwtApi] = useState(null);
+
+  // Import state: the preview must be loaded before an import can be applied
+  const [importForm, setImportForm] = useState(EMPTY_IMPORT_FORM);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    fetchApis();
+  }, []);
+
+  const fetchApis = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/tyk/apis', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setApis(Array.isArray(data.data) ? data.data : []);
+
+      // Stored definitions add lifecycle state and list drafts not yet on the gateway
+      const definitionsResponse = await fetch('/api/tyk/apis/definitions', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      if (definitionsResponse.ok) {
+        const definitionsData = await definitionsResponse.json();
+        setDefinitions(Array.isArray(definitionsData.data) ? definitionsData.data : []);
+      }
+    } catch (err) {
+      console.error('❌ Error fetching APIs:', err);
+      setError(`Failed to fetch APIs: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only send the fields the user filled in so the backend can fall back to the document
+  const buildImportBody = (extra = {}) => {
+    const body = { spec: importForm.spec, definition_format: importForm.definition_format };
+    ['name', 'listen_path', 'target_url', 'api_id'].forEach(field => {
+      if (importForm[field].trim()) {
+        body[field] = importForm[field].trim();
+      }
+    });
+    return { ...body, ...extra };
+  };
+
+  const sendJson = async (endpoint, body, method = 'POST') => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(endpoint, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return data;
+  };
+
+  const getJson = async (endpoint) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(endpoint, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return data;
+  };
+
+  const previewImport = async () => {
+    if (!importForm.spec.trim()) {
+      setImportError('Paste or upload an OpenAPI or Swagger document');
+      return;
+    }
+
+    try {
+      setPreviewing(true);
+      setImportError(null);
+      const data = await sendJson('/api/tyk/apis/import/preview', buildImportBody());
+      setImportPreview(data.data);
+    } catch (err) {
+      console.error('❌ Error previewing import:', err);
+      setImportPreview(null);
+      setImportError(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const applyImport = async () => {
+    try {
+      setImporting(true);
+      setImportError(null);
+      const data = await sendJson('/api/tyk/apis/import', buildImportBody({ confirm: true }));
+      setSuccess(`${data.message}: ${data.data.api.name} (${data.data.api.listen_path})`);
+      closeImportModal();
+      fetchApis();
+    } catch (err) {
+      console.error('❌ Error importing API:', err);
+      setImportError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleSpecFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => updateImportForm('spec', e.target.result);
+    reader.readAsText(file);
+  };
+
+  // Any change to the inputs invalidates the current preview
+  const updateImportForm = (field, value) => {
+    setImportForm(prev => ({ ...prev, [field]: value }));
+    setImportPreview(null);
+  };
+
+  const openReimport = (api) => {
+    setImportForm({ ...EMPTY_IMPORT_FORM, api_id: api.api_id });
+    setShowImportModal(true);
+  };
+
+  const closeImportModal = () => {
+    setShowImportModal(false);
+    setImportForm(EMPTY_IMPORT_FORM);
+    setImportPreview(null);
+    setImportError(null);
+  };
+
+  const openFormatSwitch = async (api) => {
+    const target = api.definition_format === 'oas' ? 'classic' : 'oas';
+    setFormatSwitch({ api, target, preview: null, error: null });
+
+    if (target === 'oas') {
+      try {
+        const data = await sendJson(`/api/tyk/apis/${api.api_id}/convert-to-oas`, {});
+        setFormatSwitch(prev => prev && { ...prev, preview: data.data });
+      } catch (err) {
+        setFormatSwitch(prev => prev && { ...prev, error: err.message });
+      }
+    }
+  };
+
+  const applyFormatSwitch = async () => {
+    try {
+      setSwitchingFormat(true);
+      const data = await sendJson(
+        `/api/tyk/apis/${formatSwitch.api.api_id}/format`,
+        { format: formatSwitch.target },
+        'PUT'
+      );
+      setSuccess(`${data.message}: ${formatSwitch.api.name}`);
+      setFormatSwitch(null);
+      fetchApis();
+    } catch (err) {
+      console.error('❌ Error switching API format:', err);
+      setFormatSwitch(prev => ({ ...prev, error: err.message }));
+    } finally {
+      setSwitchingFormat(false);
+    }
+  };
+
+  const openDraftEditor = async (record = null) => {
+    if (!record) {
+      setDraftEditor({ api_id: '', name: 'New API Draft', text: DRAFT_TEMPLATE, error: null });
+      return;
+    }
+
+    try {
+      const data = await getJson(`/api/tyk/apis/${record.api_id}/draft`);
+      setDraftEditor({
+        api_id: record.api_id,
+        name: record.name,
+        text: JSON.stringify(data.data.definition, null, 2),
+        error: null
+      });
+    } catch (err) {
+      setError(`Failed to load definition: ${err.message}`);
+    }
+  };
+
+  const saveDraft = async () => {
+    let definition;
+    try {
+      definition = JSON.parse(draftEditor.text);
+    } catch (err) {
+      setDraftEditor(prev => ({ ...prev, error: `Invalid JSON: ${err.message}` }));
+      return;
+    }
+
+    try {
+      setLifecycleBusy('draft');
+      const data = draftEditor.api_id
+        ? await sendJson(`/api/tyk/apis/${draftEditor.api_id}/draft`, { definition }, 'PUT')
+        : await sendJson('/api/tyk/apis/drafts', { definition });
+      setSuccess(`${data.message}: ${data.data.name}`);
+      setDraftEditor(null);
+      fetchApis();
+    } catch (err) {
+      console.error('❌ Error saving draft:', err);
+      setDraftEditor(prev => ({ ...prev, error: err.message }));
+    } finally {
+      setLifecycleBusy(null);
+    }
+  };
+
+  // Runs a stage, deploy or undeploy action for a stored definition
+  const runLifecycleAction = async (record, action) => {
+    try {
+      setLifecycleBusy(`${action}-${record.api_id}`);
+      clearMessages();
+      const data = await sendJson(`/api/tyk/apis/${record.api_id}/${action}`, {});
+      const warnings = data.data?.warnings?.length ? ` (⚠️ ${data.data.warnings.join('; ')})` : '';
+      setSuccess(`${data.message}: ${record.name}${warnings}`);
+    } catch (err) {
+      console.error(`❌ Error running ${action}:`, err);
+      setError(`${record.name}: ${err.message}`);
+    } finally {
+      setLifecycleBusy(null);
+      fetchApis();
+    }
+  };
+
+  const openHistory = async (api) => {
+    setHistory({ api, revisions: null, diff: null, rollback: null, comment: '', error: null });
+    try {
+      const data = await getJson(`/api/tyk/apis/${api.api_id}/revisions`);
+      setHistory(prev => prev && { ...prev, revisions: data.data });
+    } catch (err) {
+      setHistory(prev => prev && { ...prev, error: err.message });
+    }
+  };
+
+  // Compares a revision with the one before it
+  const showRevisionDiff = async (revision) => {
+    try {
+      const data = await getJson(
+        `/api/tyk/apis/${history.api.api_id}/revisions/diff?from=${revision.revision_number - 1}&to=${revision.revision_number}`
+      );
+      setHistory(prev => prev && { ...prev, diff: data.data, error: null });
+    } catch (err) {
+      setHistory(prev => prev && { ...prev, error: err.message });
+    }
+  };
+
+  const applyRollback = async () => {
+    const { api, rollback, comment } = history;
+    try {
+      setRollingBack(true);
+      const data = await sendJson(
+        `/api/tyk/apis/${api.api_id}/revisions/${rollback.revision_number}/rollback`,
+        comment.trim() ? { comment: comment.trim() } : {}
+      );
+      setSuccess(`${data.message}: ${api.name}`);
+      setHistory(null);
+      fetchApis();
+    } catch (err) {
+      console.error('❌ Error rolling back API:', err);
+      setHistory(prev => ({ ...prev, error: err.message }));
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+  const clearMessages = () => {
+    setError(null);
+    setSuccess(null);
+  };
+
+  const getVersionNames = (api) => Object.keys(api.version_data?.versions || {});
+
+  const findDefinition = (apiId) => definitions.find(record => record.api_id === apiId);
+
+  const undeployedDefinitions = definitions.filter(record => !record.is_deployed);
+
+  const renderLifecycleActions = (record) => {
+    const busy = lifecycleBusy && lifecycleBusy.endsWith(record.api_id);
+    return (
+      <>
+        <button className="btn btn-small btn-outline" onClick={() => openDraftEditor(record)} disabled={busy}>
+          📝 Edit Draft
+        </button>
+        {['draft', 'pending', 'failed'].includes(record.deployment_status) && !record.is_deployed && (
+          <button className="btn btn-small btn-outline" onClick={() => runLifecycleAction(record, 'stage')} disabled={busy}>
+            📦 Stage
+          </button>
+        )}
+        {record.deployment_status !== 'deployed' && (
+          <button className="btn btn-small btn-primary" onClick={() => runLifecycleAction(record, 'deploy')} disabled={busy}>
+            {lifecycleBusy === `deploy-${record.api_id}`
+              ? '⏳ Deploying...'
+              : record.deployment_status === 'failed' ? '🔁 Retry Deploy' : '🚀 Deploy'}
+          </button>
+        )}
+        {record.is_deployed && (
+          <button className="btn btn-small btn-outline" onClick={() => runLifecycleAction(record, 'undeploy')} disabled={busy}>
+            📴 Undeploy
+          </button>
+        )}
+      </>
+    );
+  };
+
+  const filteredApis = apis.filter(api => {
+    if (formatFilter !== 'all' && api.definition_format !== formatFilter) {
+      return false;
+    }
+    const term = searchTerm.toLowerCase();
+    return !term ||
+      api.name?.toLowerCase().includes(term) ||
+      api.api_id?.toLowerCase().includes(term) ||
+      api.proxy?.listen_path?.toLowerCase().includes(term);
+  });
+
+  const renderDiff = (diff, isReimport) => {
+    if (!isReimport) {
+      return <p className="diff-note">New API — nothing is deployed for this document yet.</p>;
+    }
+    if (!diff.changed) {
+      return <p className="diff-note">No changes — the deployed API already matches this document.</p>;
+    }
+
+    return (
+      <ul className="import-diff">
+        {diff.fields.map(change => (
+          <li key={change.field} className="diff-changed">
+            <strong>{change.field}</strong>: {String(change.from)} → {String(change.to)}
+          </li>
+        ))}
+        {diff.versions.added.map(version => (
+          <li key={`version-added-${version}`} className="diff-added">+ version {version}</li>
+        ))}
+        {diff.versions.removed.map(version => (
+          <li key={`version-removed-${version}`} className="diff-removed">− version {version}</li>
+        ))}
+        {diff.paths.added.map(item => (
+          <li key={`added-${item.version}-${item.path}`} className="diff-added">
+            + {item.methods.join(', ')} {item.path} <span className="diff-version">({item.version})</span>
+          </li>
+        ))}
+        {diff.paths.removed.map(item => (
+          <li key={`removed-${item.version}-${item.path}`} className="diff-removed">
+            − {item.methods.join(', ')} {item.path} <span className="diff-version">({item.version})</span>
+          </li>
+        ))}
+        {diff.paths.changed.map(item => (
+          <li key={`changed-${item.version}-${item.path}`} className="diff-changed">
+            ~ {item.path} <span className="diff-version">({item.version})</span>
+            {item.added_methods.length > 0 && ` +${item.added_methods.join(', ')}`}
+            {item.removed_methods.length > 0 && ` −${item.removed_methods.join(', ')}`}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="api-management">
+      <div className="api-header">
+        <h2>API Management</h2>
+        <div className="api-actions">
+          <button
+            className="btn btn-primary"
+            onClick={() => setShowImportModal(true)}
+          >
+            📥 Import OpenAPI / Swagger
+          </button>
+          <button
+            className="btn btn-outline"
+            onClick={() => openDraftEditor()}
+          >
+            📝 New Draft
+          </button>
+          <button
+            className="btn btn-outline"
+            onClick={fetchApis}
+            disabled={loading}
+          >
+            🔄 Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <span>❌ {error}</span>
+          <button onClick={clearMessages} className="alert-close">×</button>
+        </div>
+      )}
+
+      {success && (
+        <div className="alert alert-success">
+          <span>✅ {success}</span>
+          <button onClick={clearMessages} className="alert-close">×</button>
+        </div>
+      )}
+
+      <div className="api-filters">
+        <input
+          type="text"
+          placeholder="Search APIs by name, ID, or listen path..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        <div className="format-filter">
+          {[
+            ['all', `All (${apis.length})`],
+            ['classic', `Classic (${apis.filter(api => api.definition_format === 'classic').length})`],
+            ['oas', `Tyk OAS (${apis.filter(api => api.definition_format === 'oas').length})`]
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              className={`format-filter-btn ${formatFilter === value ? 'active' : ''}`}
+              onClick={() => setFormatFilter(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!loading && undeployedDefinitions.length > 0 && (
+        <div className="lifecycle-section">
+          <h3>Not on the gateway</h3>
+          <div className="apis-grid">
+            {undeployedDefinitions.map(record => (
+              <div key={record.api_id} className="api-card">
+                <div className="api-card-header">
+                  <h4>{record.name}</h4>
+                  <div className="api-badges">
+                    <span className={`api-format ${record.definition_format}`}>
+                      {record.definition_format === 'oas' ? 'Tyk OAS' : 'Classic'}
+                    </span>
+                    <span className={`deployment-status ${record.deployment_status}`}>
+                      {DEPLOYMENT_STATUS_LABELS[record.deployment_status]}
+                    </span>
+                  </div>
+                </div>
+                <div className="api-card-details">
+                  <p><strong>API ID:</strong> <code>{record.api_id}</code></p>
+                  <p><strong>Listen Path:</strong> <code>{record.listen_path}</code></p>
+                  <p><strong>Target:</strong> {record.target_url}</p>
+                  {record.deployment_error && (
+                    <p className="deployment-error">❌ {record.deployment_error}</p>
+                  )}
+                </div>
+                <div className="api-card-actions">
+                  {renderLifecycleActions(record)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-spinner">
+          <div className="spinner"></div>
+          <p>Loading APIs...</p>
+        </div>
+      ) : filteredApis.length === 0 ? (
+        <div className="empty-state">
+          <h3>No APIs found</h3>
+          <p>Import an OpenAPI 3 or Swagger 2 document to create your first API.</p>
+        </div>
+      ) : (
+        <div className="apis-grid">
+          {filteredApis.map(api => (
+            <div key={api.api_id} className="api-card">
+              <div className="api-card-header">
+                <h4>{api.name}</h4>
+                <div className="api-badges">
+                  <span className={`api-format ${api.definition_format}`}>
+                    {api.definition_format === 'oas' ? 'Tyk OAS' : 'Classic'}
+                  </span>
+                  <span className={`api-status ${api.active !== false ? 'active' : 'inactive'}`}>
+                    {api.active !== false ? 'Active' : 'Inactive'}
+                  </span>
+                  {findDefinition(api.api_id) && findDefinition(api.api_id).deployment_status !== 'deployed' && (
+                    <span className={`deployment-status ${findDefinition(api.api_id).deployment_status}`}>
+                      {findDefinition(api.api_id).deployment_status === 'failed' ? 'Deploy failed' : 'Undeployed changes'}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <div className="api-card-details">
+                <p><strong>API ID:</strong> <code>{api.api_id}</code></p>
+                <p><strong>Listen Path:</strong> <code>{api.proxy?.listen_path}</code></p>
+                <p><strong>Target:</strong> {api.proxy?.target_url}</p>
+                {getVersionNames(api).length > 0 && (
+                  <p><strong>Versions:</strong> {getVersionNames(api).join(', ')}</p>
+                )}
+              </div>
+              <div className="api-card-actions">
+                <button
+                  className="btn btn-small btn-outline"
+                  onClick={() => openReimport(api)}
+                >
+                  📥 Re-import Spec
+                </button>
+                <button
+                  className="btn btn-small btn-outline"
+                  onClick={() => openFormatSwitch(api)}
+                >
+                  🔁 {api.definition_format === 'oas' ? 'Switch to Classic' : 'Switch to Tyk OAS'}
+                </button>
+                <button
+                  className="btn btn-small btn-outline"
+                  onClick={() => openHistory(api)}
+                >
+                  📜 History
+                </button>
+                {api.definition_format !== 'oas' && (
+                  <button
+                    className="btn btn-small btn-outline"
+                    onClick={() => setJwtApi(api)}
+                  >
+                    🔐 JWT{api.enable_jwt ? ' (on)' : ''}
+                  </button>
+                )}
+                {findDefinition(api.api_id) && renderLifecycleActions(findDefinition(api.api_id))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <div className="modal-overlay" onClick={closeImportModal}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{importForm.api_id ? 'Re-import API Specification' : 'Import API Specification'}</h3>
+              <button className="modal-close" onClick={closeImportModal}>×</button>
+            </div>
+            <div className="modal-body">
+              {importError && (
+                <div className="alert alert-error">
+                  <span>❌ {importError}</span>
+                </div>
+              )}
+
+              {importForm.api_id && (
+                <p className="reimport-note">
+                  Updating <code>{importForm.api_id}</code>. Review the changes before applying them.
+                </p>
+              )}
+
+              <div className="form-group">
+                <label>OpenAPI 3 / Swagger 2 document (JSON or YAML)</label>
+                <input type="file" accept=".json,.yaml,.yml" onChange={handleSpecFile} />
+                <textarea
+                  value={importForm.spec}
+                  onChange={(e) => updateImportForm('spec', e.target.value)}
+                  placeholder="openapi: 3.0.0&#10;info:&#10;  title: My API&#10;  version: v1&#10;paths: ..."
+                  rows={10}
+                />
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Name (Optional)</label>
+                  <input
+                    type="text"
+                    value={importForm.name}
+                    onChange={(e) => updateImportForm('name', e.target.value)}
+                    placeholder="Defaults to info.title"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Listen Path (Optional)</label>
+                  <input
+                    type="text"
+                    value={importForm.listen_path}
+                    onChange={(e) => updateImportForm('listen_path', e.target.value)}
+                    placeholder="/my-api/"
+                  />
+                </div>
+              </div>
+
+              {!importForm.api_id && (
+                <div className="form-group">
+                  <label>Definition Format</label>
+                  <select
+                    value={importForm.definition_format}
+                    onChange={(e) => updateImportForm('definition_format', e.target.value)}
+                  >
+                    <option value="classic">Classic API definition</option>
+                    <option value="oas">Tyk OAS (x-tyk-api-gateway)</option>
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label>Target URL (Optional)</label>
+                <input
+                  type="text"
+                  value={importForm.target_url}
+                  onChange={(e) => updateImportForm('target_url', e.target.value)}
+                  placeholder="Defaults to the first server / host in the document"
+                />
+              </div>
+
+              {importPreview && (
+                <div className="import-preview">
+                  <h4>Preview ({importPreview.format === 'openapi3' ? 'OpenAPI 3' : 'Swagger 2'})</h4>
+                  <p><strong>Name:</strong> {importPreview.summary.name}</p>
+                  <p><strong>Listen Path:</strong> <code>{importPreview.summary.listen_path}</code></p>
+                  <p><strong>Target:</strong> {importPreview.summary.target_url}</p>
+                  {importPreview.summary.versions.map(version => (
+                    <div key={version.name} className="preview-version">
+                      <strong>
+                        Version {version.name}
+                        {version.name === importPreview.summary.default_version && ' (default)'}
+                      </strong>
+                      <ul>
+                        {version.paths.map(item => (
+                          <li key={item.path}><code>{item.methods.join(', ')}</code> {item.path}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+
+                  <h4>Changes</h4>
+                  {renderDiff(importPreview.diff, importPreview.is_reimport)}
+
+                  {importPreview.conversion_warnings?.length > 0 && (
+                    <>
+                      <h4>Tyk OAS conversion</h4>
+                      <ul className="conversion-warnings">
+                        {importPreview.conversion_warnings.map(warning => <li key={warning}>⚠️ {warning}</li>)}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={closeImportModal}>
+                Cancel
+              </button>
+              <button
+                className="btn btn-outline"
+                onClick={previewImport}
+                disabled={previewing || importing}
+              >
+                {previewing ? '⏳ Previewing...' : '🔍 Preview'}
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={applyImport}
+                disabled={!importPreview || importing || (importPreview.is_reimport && !importPreview.diff.changed)}
+              >
+                {importing ? '⏳ Importing...' : importPreview?.is_reimport ? '✅ Apply Changes' : '📥 Import & Deploy'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Format Switch Modal */}
+      {formatSwitch && (
+        <div className="modal-overlay" onClick={() => setFormatSwitch(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{formatSwitch.target === 'oas' ? 'Switch to Tyk OAS' : 'Switch to Classic'}</h3>
+              <button className="modal-close" onClick={() => setFormatSwitch(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              {formatSwitch.error && (
+                <div className="alert alert-error">
+                  <span>❌ {formatSwitch.error}</span>
+                </div>
+              )}
+
+              <p>
+                <strong>{formatSwitch.api.name}</strong> will be redeployed using its{' '}
+                {formatSwitch.target === 'oas' ? 'Tyk OAS' : 'classic'} definition.
+              </p>
+
+              {formatSwitch.target === 'oas' && !formatSwitch.preview && !formatSwitch.error && (
+                <p>⏳ Converting classic definition...</p>
+              )}
+
+              {formatSwitch.preview && (
+                <div className="import-preview">
+                  {formatSwitch.preview.errors.length > 0 ? (
+                    <>
+                      <h4>Cannot convert</h4>
+                      <ul className="conversion-errors">
+                        {formatSwitch.preview.errors.map(message => <li key={message}>❌ {message}</li>)}
+                      </ul>
+                    </>
+                  ) : (
+                    <p>✅ The classic definition can be converted.</p>
+                  )}
+                  {formatSwitch.preview.warnings.length > 0 && (
+                    <>
+                      <h4>Not carried over</h4>
+                      <ul className="conversion-warnings">
+                        {formatSwitch.preview.warnings.map(warning => <li key={warning}>⚠️ {warning}</li>)}
+                      </ul>
+                    </>
+                  )}
+                  {!formatSwitch.preview.tracked && (
+                    <p className="diff-note">
+                      This API is not tracked in TykBasic yet; adopt it from reconciliation before switching.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {formatSwitch.target === 'classic' && (
+                <p className="diff-note">
+                  The stored classic definition is restored with the current name, listen path, target URL and state.
+                  Other settings only configured in Tyk OAS are not carried over.
+                </p>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setFormatSwitch(null)}>
+                Cancel
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={applyFormatSwitch}
+                disabled={
+                  switchingFormat ||
+                  (formatSwitch.target === 'oas' &&
+                    (!formatSwitch.preview || !formatSwitch.preview.convertible || !formatSwitch.preview.tracked))
+                }
+              >
+                {switchingFormat ? '⏳ Switching...' : '🔁 Switch Format'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Draft Editor Modal */}
+      {draftEditor && (
+        <div className="modal-overlay" onClick={() => setDraftEditor(null)}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{draftEditor.api_id ? `Edit Draft: ${draftEditor.name}` : 'New API Draft'}</h3>
+              <button className="modal-close" onClick={() => setDraftEditor(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              {draftEditor.error && (
+                <div className="alert alert-error">
+                  <span>❌ {draftEditor.error}</span>
+                </div>
+              )}
+              <p className="diff-note">
+                Drafts are saved in TykBasic only. Nothing changes on the gateway until the draft is deployed.
+              </p>
+              <div className="form-group">
+                <label>Definition (classic or Tyk OAS JSON)</label>
+                <textarea
+                  rows="18"
+                  value={draftEditor.text}
+                  onChange={(e) => setDraftEditor(prev => ({ ...prev, text: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setDraftEditor(null)}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={saveDraft} disabled={lifecycleBusy === 'draft'}>
+                {lifecycleBusy === 'draft' ? '⏳ Saving...' : '💾 Save Draft'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* JWT Settings Modal */}
+      {jwtApi && (
+        <ApiJwtSettings
+          api={jwtApi}
+          onClose={() => setJwtApi(null)}
+          onSaved={(message) => {
+            setSuccess(message);
+            setJwtApi(null);
+            fetchApis();
+          }}
+        />
+      )}
+
+      {/* Revision History Modal */}
+      {history && (
+        <div className="modal-overlay" onClick={() => setHistory(null)}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Revision History: {history.api.name}</h3>
+              <button className="modal-close" onClick={() => setHistory(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              {history.error && (
+                <div className="alert alert-error">
+                  <span>❌ {history.error}</span>
+                </div>
+              )}
+
+              {!history.revisions && !history.error && <p>⏳ Loading revisions...</p>}
+
+              {history.revisions && history.revisions.length === 0 && (
+                <p className="diff-note">
+                  No revisions yet — history starts with the next change made through TykBasic.
+                </p>
+              )}
+
+              {history.revisions && history.revisions.length > 0 && (
+                <table className="revision-table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Change</th>
+                      <th>Author</th>
+                      <th>When</th>
+                      <th>Comment</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.revisions.map((revision, index) => (
+                      <tr key={revision.id}>
+                        <td>{revision.revision_number}</td>
+                        <td>
+                          {revision.action}
+                          {revision.source_revision_number && ` (from #${revision.source_revision_number})`}
+                          <span className={`api-format ${revision.definition_format}`}>
+                            {revision.definition_format === 'oas' ? 'Tyk OAS' : 'Classic'}
+                          </span>
+                        </td>
+                        <td>{revision.author.email || 'system'}</td>
+                        <td>{new Date(revision.created_at).toLocaleString()}</td>
+                        <td>{revision.comment}</td>
+                        <td className="revision-actions">
+                          {revision.revision_number > 1 && (
+                            <button className="btn btn-small btn-outline" onClick={() => showRevisionDiff(revision)}>
+                              Diff
+                            </button>
+                          )}
+                          {index > 0 && (
+                            <button
+                              className="btn btn-small btn-outline"
+                              onClick={() => setHistory(prev => ({ ...prev, rollback: revision }))}
+                            >
+                              ⏪ Roll back
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {history.diff && (
+                <div className="import-preview">
+                  <h4>
+                    Changes from #{history.diff.from.revision_number} to #{history.diff.to.revision_number}
+                    {history.diff.format_changed && ' (definition format changed)'}
+                  </h4>
+                  {history.diff.changes.length === 0 ? (
+                    <p className="diff-note">No differences.</p>
+                  ) : (
+                    <ul className="import-diff">
+                      {history.diff.changes.map(change => (
+                        <li key={change.path} className={`diff-${change.type}`}>
+                          <strong>{change.path}</strong>: {formatValue(change.from)} → {formatValue(change.to)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {history.rollback && (
+                <div className="rollback-confirm">
+                  <p>
+                    Redeploy revision <strong>#{history.rollback.revision_number}</strong> and hot-reload the gateway?
+                    The rollback is recorded as a new revision.
+                  </p>
+                  <input
+                    type="text"
+                    placeholder="Comment (optional)"
+                    value={history.comment}
+                    onChange={(e) => setHistory(prev => ({ ...prev, comment: e.target.value }))}
+                    className="search-input"
+                  />
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setHistory(null)}>
+                Close
+              </button>
+              {history.rollback && (
+                <button className="btn btn-primary" onClick={applyRollback} disabled={rollingBack}>
+                  {rollingBack ? '⏳ Rolling back...' : `⏪ Roll back to #${history.rollback.revision_number}`}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiManagement;
@@ -24,21 +24,26 @@ const Dashboard = () => {
       setLoading(true);
       const token = localStorage.getItem('token');
       
-      const [apisResponse, keysResponse] = await Promise.all([
+      const [apisResponse, keysResponse, activeKeysResponse] = await Promise.all([
         fetch('/api/tyk/apis', {
           headers: { 'Authorization': `Bearer ${token}` }
         }),
         fetch('/api/tyk/keys', {
           headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        // Only the total is needed, so ask for a single active key
+        fetch('/api/tyk/keys?status=active&limit=1', {
+          headers: { 'Authorization': `Bearer ${token}` }
         })
       ]);
 
-      if (!apisResponse.ok || !keysResponse.ok) {
+      if (!apisResponse.ok || !keysResponse.ok || !activeKeysResponse.ok) {
         throw new Error('Failed to fetch data');
       }
 
       const apisData = await apisResponse.json();
       const keysData = await keysResponse.json();
+      const activeKeysData = await activeKeysResponse.json();
 
       setApis(apisData.data || []);
       setKeys(keysData.data || []);
@@ -46,8 +51,8 @@ const Dashboard = () => {
       // Update stats
       setStats({
         totalAPIs: apisData.data?.length || 0,
-        totalKeys: keysData.data?.length || 0,
-        activeKeys: keysData.data?.filter(key => key.active !== false).length || 0,
+        totalKeys: keysData.pagination?.total ?? (keysData.data?.length || 0),
+        activeKeys: activeKeysData.pagination?.total ?? 0,
         totalUsers: 1
       });
 
@@ -1,9 +1,32 @@
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
 import '../styles/KeyManagement.css';
 import KeyCreationModal from './dashboard/KeyCreationModal';
 import KeySuccessModal from './dashboard/KeySuccessModal';
+import KeyRequestModal from './dashboard/KeyRequestModal';
+import HmacSigningHelper from './dashboard/HmacSigningHelper';
+import AccessSimulator from './dashboard/AccessSimulator';
+
+const KEYS_PAGE_SIZE = 24;
+
+const BULK_ACTION_LABELS = {
+  deactivate: 'Disable Keys',
+  activate: 'Enable Keys',
+  set_policies: 'Change Policy',
+  extend_expiry: 'Extend Expiry',
+  delete: 'Delete Keys'
+};
+
+const KEY_REQUEST_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  approved: '✅ Approved',
+  rejected: '❌ Rejected',
+  cancelled: '🚫 Cancelled'
+};
 
 const KeyManagement = () => {
+  const { user } = useAuth();
+  const isAdmin = ['admin', 'super_admin'].includes(user?.role);
   const [keys, setKeys] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -12,23 +35,88 @@ const KeyManagement = () => {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [keyToDelete, setKeyToDelete] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchField, setSearchField] = useState('search');
   const [filterStatus, setFilterStatus] = useState('all');
-  const [sortBy, setSortBy] = useState('created_at');
+  const [sortBy, setSortBy] = useState('');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [totalKeys, setTotalKeys] = useState(0);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [createdKeyData, setCreatedKeyData] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [keyToRotate, setKeyToRotate] = useState(null);
+  const [rotationGraceHours, setRotationGraceHours] = useState(24);
+  const [rotating, setRotating] = useState(false);
+  const [keyToSign, setKeyToSign] = useState(null);
+  // Access simulator: a key to prefill, or {} to start from scratch
+  const [keyToSimulate, setKeyToSimulate] = useState(null);
+  // Basic-auth password reset: leave newPassword empty to generate one
+  const [keyForPassword, setKeyForPassword] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [passwordResult, setPasswordResult] = useState(null);
+  // Bulk operations: selectedHashes holds ticked keys; selectAllMatching targets the whole filter instead
+  const [selectedHashes, setSelectedHashes] = useState([]);
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkAction, setBulkAction] = useState(null);
+  const [bulkPolicies, setBulkPolicies] = useState([]);
+  const [bulkPolicyId, setBulkPolicyId] = useState('');
+  const [bulkExtendDays, setBulkExtendDays] = useState(30);
+  const [batchJob, setBatchJob] = useState(null);
+  // Key requests, for organizations that approve new keys
+  const [keyApprovalRequired, setKeyApprovalRequired] = useState(false);
+  const [keyRequests, setKeyRequests] = useState([]);
+  const [showRequestModal, setShowRequestModal] = useState(false);
+  // Network restrictions editor in the key details view
+  const [restrictionsForm, setRestrictionsForm] = useState(null);
+  const [savingRestrictions, setSavingRestrictions] = useState(false);
+  const [restrictionWarnings, setRestrictionWarnings] = useState([]);
+  // Quota reset / top-up: admins apply it directly, everyone else asks an admin
+  const [keyForQuota, setKeyForQuota] = useState(null);
+  const [quotaForm, setQuotaForm] = useState({ action: 'reset', amount: '', reason: '' });
+  const [changingQuota, setChangingQuota] = useState(false);
+  const [quotaResult, setQuotaResult] = useState(null);
+  const [pendingQuotaRequests, setPendingQuotaRequests] = useState({});
 
   useEffect(() => {
-    fetchKeys();
+    // Debounce so typing in the search box doesn't hit the gateway on every keystroke
+    const timer = setTimeout(() => fetchKeys(), searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [page, searchTerm, searchField, filterStatus, sortBy, sortOrder]);
+
+  useEffect(() => {
+    fetchKeyRequests();
   }, []);
 
+  useEffect(() => {
+    if (user && !isAdmin) {
+      fetchPendingQuotaRequests();
+    }
+  }, [user, isAdmin]);
+
+  // Filters change the result set, so go back to the first page and drop the selection
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+    setSelectedHashes([]);
+    setSelectAllMatching(false);
+  };
+
   const fetchKeys = async () => {
     try {
       setLoading(true);
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/tyk/keys', {
+      const params = new URLSearchParams({ page, limit: KEYS_PAGE_SIZE });
+      if (searchTerm) params.append(searchField, searchTerm);
+      if (filterStatus !== 'all') params.append('status', filterStatus);
+      if (sortBy) {
+        params.append('sort', sortBy);
+        params.append('order', sortOrder);
+      }
+
+      const response = await fetch(`/api/tyk/keys?${params}`, {
         headers: { 'Authorization': `Bearer ${token}` }
       });
 
@@ -79,6 +167,8 @@ const KeyManagement = () => {
         console.log('🔑 Sample key structure:', keysArray[0]);
       }
       setKeys(keysArray);
+      setPagination(data.pagination || { page: 1, pages: 1, total: keysArray.length });
+      setTotalKeys(data.total_keys ?? keysArray.length);
     } catch (err) {
       console.error('Error fetching keys:', err);
       setError(err.message);
@@ -109,14 +199,10 @@ const KeyManagement = () => {
         throw new Error(errorData.message || 'Failed to delete key');
       }
 
-      // Remove from local state
-      setKeys(keys.filter(k => {
-        const kHash = k.key_hash || k.hash || k.keyId;
-        return kHash !== keyHash;
-      }));
       setShowDeleteConfirm(false);
       setKeyToDelete(null);
       console.log('✅ Key deleted successfully');
+      fetchKeys(); // Refresh the page and totals
     } catch (err) {
       console.error('Error deleting key:', err);
       setError(err.message);
@@ -183,6 +269,345 @@ const KeyManagement = () => {
     }
   };
 
+  const closePasswordModal = () => {
+    setKeyForPassword(null);
+    setNewPassword('');
+    setPasswordResult(null);
+  };
+
+  const handleChangePassword = async () => {
+    try {
+      setChangingPassword(true);
+      const token = localStorage.getItem('token');
+      const keyHash = keyForPassword.key_hash || keyForPassword.hash || keyForPassword.keyId;
+
+      const response = await fetch(`/api/tyk/keys/${keyHash}/password`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(newPassword ? { password: newPassword } : {})
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to change password');
+      }
+
+      console.log('✅ Basic-auth password changed');
+      setNewPassword('');
+      setPasswordResult(data.data);
+    } catch (err) {
+      console.error('Error changing password:', err);
+      setError(err.message);
+      closePasswordModal();
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const fetchPendingQuotaRequests = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/tyk/quota-requests?status=pending', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      setPendingQuotaRequests(Object.fromEntries((data.data || []).map(request => [request.tyk_key_hash, request])));
+    } catch (err) {
+      console.error('Error fetching quota requests:', err);
+    }
+  };
+
+  const closeQuotaModal = () => {
+    setKeyForQuota(null);
+    setQuotaForm({ action: 'reset', amount: '', reason: '' });
+    setQuotaResult(null);
+  };
+
+  const handleQuotaChange = async () => {
+    try {
+      setChangingQuota(true);
+      const token = localStorage.getItem('token');
+      const keyHash = keyForQuota.key_hash || keyForQuota.hash || keyForQuota.keyId;
+      const change = {
+        action: quotaForm.action,
+        ...(quotaForm.action === 'top_up' && { amount: parseInt(quotaForm.amount, 10) }),
+        reason: quotaForm.reason
+      };
+
+      const response = await fetch(`/api/tyk/keys/${keyHash}/${isAdmin ? 'quota' : 'quota-requests'}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(change)
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to change quota');
+      }
+
+      if (isAdmin) {
+        console.log(`✅ Quota updated for key ${keyHash}`);
+        setKeys(keys.map(k => {
+          const kHash = k.key_hash || k.hash || k.keyId;
+          return kHash === keyHash ? { ...k, quota_max: data.data.quota_max, quota_remaining: data.data.quota_remaining } : k;
+        }));
+      } else {
+        console.log(`📨 Quota request submitted for key ${keyHash}`);
+        setPendingQuotaRequests(prev => ({ ...prev, [keyHash]: data.data }));
+      }
+      setQuotaResult({ message: data.message, ...data.data });
+    } catch (err) {
+      console.error('Error changing quota:', err);
+      setError(err.message);
+      closeQuotaModal();
+    } finally {
+      setChangingQuota(false);
+    }
+  };
+
+  const handleRotateKey = async () => {
+    try {
+      setRotating(true);
+      const token = localStorage.getItem('token');
+      const keyHash = keyToRotate.key_hash || keyToRotate.hash || keyToRotate.keyId;
+
+      const response = await fetch(`/api/tyk/keys/${keyHash}/rotate`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ grace_period_hours: Number(rotationGraceHours) })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to rotate key');
+      }
+
+      console.log('✅ Key rotated successfully');
+      setKeyToRotate(null);
+      handleKeyCreated(data.data, {
+        rate: keyToRotate.rate,
+        per: keyToRotate.per,
+        allowance: keyToRotate.quota_max > 0 ? keyToRotate.quota_max : 'Unlimited',
+        org_id: keyToRotate.org_id
+      }, []);
+    } catch (err) {
+      console.error('Error rotating key:', err);
+      setError(err.message);
+    } finally {
+      setRotating(false);
+    }
+  };
+
+  const editRestrictions = (key) => {
+    const restrictions = key.network_restrictions || {};
+    setRestrictionWarnings([]);
+    setRestrictionsForm({
+      allowed_ips: (restrictions.allowed_ips || []).join('\n'),
+      blocked_ips: (restrictions.blocked_ips || []).join('\n'),
+      allowed_origins: (restrictions.allowed_origins || []).join('\n')
+    });
+  };
+
+  const handleSaveRestrictions = async () => {
+    try {
+      setSavingRestrictions(true);
+      const token = localStorage.getItem('token');
+      const keyHash = selectedKey.key_hash || selectedKey.hash || selectedKey.keyId;
+
+      const response = await fetch(`/api/tyk/keys/${keyHash}/restrictions`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(restrictionsForm)
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to update network restrictions');
+      }
+
+      const updatedKey = { ...selectedKey, network_restrictions: data.data.network_restrictions };
+      setSelectedKey(updatedKey);
+      setKeys(keys.map(key => (key.key_hash === updatedKey.key_hash ? updatedKey : key)));
+      setRestrictionWarnings(data.data.warnings || []);
+      setRestrictionsForm(null);
+    } catch (err) {
+      console.error('Error updating network restrictions:', err);
+      setError(err.message);
+    } finally {
+      setSavingRestrictions(false);
+    }
+  };
+
+  const toggleKeySelection = (keyHash) => {
+    setSelectAllMatching(false);
+    setSelectedHashes(selectedHashes.includes(keyHash)
+      ? selectedHashes.filter(hash => hash !== keyHash)
+      : [...selectedHashes, keyHash]);
+  };
+
+  const togglePageSelection = () => {
+    const pageHashes = filteredAndSortedKeys.map(k => k.key_hash).filter(Boolean);
+    const allSelected = pageHashes.every(hash => selectedHashes.includes(hash));
+    setSelectAllMatching(false);
+    setSelectedHashes(allSelected
+      ? selectedHashes.filter(hash => !pageHashes.includes(hash))
+      : [...new Set([...selectedHashes, ...pageHashes])]);
+  };
+
+  const clearSelection = () => {
+    setSelectedHashes([]);
+    setSelectAllMatching(false);
+  };
+
+  const hasActiveFilter = !!searchTerm || filterStatus !== 'all';
+  const bulkTargetCount = selectAllMatching ? (pagination?.total || 0) : selectedHashes.length;
+
+  const openBulkAction = async (action) => {
+    setBulkAction(action);
+    setBatchJob(null);
+    if (action === 'set_policies' && bulkPolicies.length === 0) {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch('/api/policies/available', {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setBulkPolicies(data.data || []);
+        }
+      } catch (err) {
+        console.error('Failed to load policies:', err);
+      }
+    }
+  };
+
+  const pollBatchJob = async (jobId) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`/api/tyk/keys/batch/${jobId}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get batch progress');
+    }
+
+    setBatchJob(data.data);
+    if (data.data.status === 'completed') {
+      console.log(`✅ Batch ${data.data.action} finished:`, data.data);
+      clearSelection();
+      fetchKeys();
+    } else {
+      setTimeout(() => pollBatchJob(jobId).catch(err => setError(err.message)), 1000);
+    }
+  };
+
+  const handleBulkSubmit = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const body = { action: bulkAction };
+
+      if (selectAllMatching) {
+        body.filter = { status: filterStatus };
+        if (searchTerm) body.filter[searchField] = searchTerm;
+      } else {
+        body.key_hashes = selectedHashes;
+      }
+      if (bulkAction === 'set_policies') {
+        body.policy_ids = [bulkPolicyId];
+      }
+      if (bulkAction === 'extend_expiry') {
+        body.extend_days = Number(bulkExtendDays);
+      }
+
+      console.log('📦 Starting batch key operation:', body);
+
+      const response = await fetch('/api/tyk/keys/batch', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to start batch operation');
+      }
+
+      setBatchJob(data.data);
+      await pollBatchJob(data.data.id);
+    } catch (err) {
+      console.error('Error running batch operation:', err);
+      setError(err.message);
+      setBulkAction(null);
+    }
+  };
+
+  const fetchKeyRequests = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const [settingsResponse, requestsResponse] = await Promise.all([
+        fetch('/api/tyk/key-requests/settings', { headers }),
+        fetch('/api/tyk/key-requests?mine=true', { headers })
+      ]);
+
+      if (settingsResponse.ok) {
+        const settings = await settingsResponse.json();
+        setKeyApprovalRequired(settings.data.approval_required_for_me);
+      }
+      if (requestsResponse.ok) {
+        const data = await requestsResponse.json();
+        setKeyRequests(data.data || []);
+      }
+    } catch (err) {
+      console.error('Error fetching key requests:', err);
+    }
+  };
+
+  const handleKeyRequestAction = async (keyRequest, action) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/tyk/key-requests/${keyRequest.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `Failed to ${action} key request`);
+      }
+
+      if (action === 'reveal') {
+        handleKeyCreated(data.data, {
+          name: keyRequest.name,
+          description: keyRequest.purpose,
+          policy_id: keyRequest.policy_id
+        }, []);
+      }
+      fetchKeyRequests();
+    } catch (err) {
+      console.error(`Error on key request ${action}:`, err);
+      setError(err.message);
+      fetchKeyRequests();
+    }
+  };
+
   const handleKeyCreated = (keyData, formData, selectedApis) => {
     console.log('🔑 Key created:', keyData);
     setCreatedKeyData({ keyData, formData, selectedApis });
@@ -208,30 +633,13 @@ const KeyManagement = () => {
     return `${remaining || 0} remaining (resets every ${renewal_rate || 0} seconds)`;
   };
 
-  const filteredAndSortedKeys = (Array.isArray(keys) ? keys : [])
-    .filter(key => {
-      const matchesSearch = searchTerm === '' || 
-        (key.alias && key.alias.toLowerCase().includes(searchTerm.toLowerCase())) ||
-        (key.key_hash && key.key_hash.toLowerCase().includes(searchTerm.toLowerCase()));
-      
-      const matchesStatus = filterStatus === 'all' || 
-        (filterStatus === 'active' && key.active !== false) ||
-        (filterStatus === 'inactive' && key.active === false);
-      
-      return matchesSearch && matchesStatus;
-    })
-    .sort((a, b) => {
-      const aVal = a[sortBy] || 0;
-      const bVal = b[sortBy] || 0;
-      
-      if (sortOrder === 'asc') {
-        return aVal > bVal ? 1 : -1;
-      } else {
-        return aVal < bVal ? 1 : -1;
-      }
-    });
+  // Filtering, sorting and paging happen on the server
+  const filteredAndSortedKeys = Array.isArray(keys) ? keys : [];
+  const pageStart = pagination && pagination.total > 0 ? (pagination.page - 1) * KEYS_PAGE_SIZE + 1 : 0;
+  const pageEnd = pagination ? pageStart + filteredAndSortedKeys.length - (pageStart > 0 ? 1 : 0) : 0;
 
-  if (loading) {
+  // Only take over the whole view on first load so the search box keeps focus afterwards
+  if (loading && !pagination) {
     return (
       <div className="key-management">
         <div className="loading-spinner">
@@ -257,8 +665,17 @@ const KeyManagement = () => {
           </div>
         </div>
         <div className="header-actions">
-          <button className="btn btn-primary" onClick={() => setShowCreateModal(true)}>
-            ➕ Create API Key
+          {keyApprovalRequired ? (
+            <button className="btn btn-primary" onClick={() => setShowRequestModal(true)}>
+              📨 Request API Key
+            </button>
+          ) : (
+            <button className="btn btn-primary" onClick={() => setShowCreateModal(true)}>
+              ➕ Create API Key
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setKeyToSimulate({})}>
+            🧪 Access Simulator
           </button>
           <button className="btn btn-secondary" onClick={fetchKeys}>
             🔄 Refresh
@@ -274,13 +691,73 @@ const KeyManagement = () => {
         </div>
       )}
 
+      {keyRequests.length > 0 && (
+        <div className="key-requests">
+          <h3>My Key Requests</h3>
+          <table className="key-requests-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Policy</th>
+                <th>Requested</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {keyRequests.map(keyRequest => (
+                <tr key={keyRequest.id}>
+                  <td>
+                    {keyRequest.name}
+                    {keyRequest.review_note && <small className="review-note">“{keyRequest.review_note}”</small>}
+                  </td>
+                  <td>{keyRequest.policy_name}</td>
+                  <td>{new Date(keyRequest.created_at).toLocaleDateString()}</td>
+                  <td className={`key-request-status ${keyRequest.status}`}>
+                    {KEY_REQUEST_STATUS_LABELS[keyRequest.status]}
+                  </td>
+                  <td>
+                    {keyRequest.key_ready && (
+                      <button className="btn btn-sm btn-primary" onClick={() => handleKeyRequestAction(keyRequest, 'reveal')}>
+                        🔑 Reveal Key
+                      </button>
+                    )}
+                    {keyRequest.status === 'approved' && !keyRequest.key_ready && (
+                      <small>Revealed {new Date(keyRequest.revealed_at).toLocaleDateString()}</small>
+                    )}
+                    {keyRequest.status === 'pending' && (
+                      <button className="btn btn-sm btn-secondary" onClick={() => handleKeyRequestAction(keyRequest, 'cancel')}>
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       <div className="key-management-controls">
         <div className="search-box">
+          <select
+            value={searchField}
+            onChange={(e) => updateFilter(setSearchField)(e.target.value)}
+            className="filter-select"
+          >
+            <option value="search">Name / ID</option>
+            <option value="creator">Creator</option>
+            <option value="policy">Policy</option>
+          </select>
           <input
             type="text"
-            placeholder="Search keys by name or ID..."
+            placeholder={
+              searchField === 'creator' ? 'Search keys by creator email...' :
+              searchField === 'policy' ? 'Search keys by policy name or ID...' :
+              'Search keys by name or ID...'
+            }
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            onChange={(e) => updateFilter(setSearchTerm)(e.target.value)}
             className="search-input"
           />
         </div>
@@ -288,7 +765,7 @@ const KeyManagement = () => {
         <div className="filter-controls">
           <select 
             value={filterStatus} 
-            onChange={(e) => setFilterStatus(e.target.value)}
+            onChange={(e) => updateFilter(setFilterStatus)(e.target.value)}
             className="filter-select"
           >
             <option value="all">All Keys</option>
@@ -298,9 +775,10 @@ const KeyManagement = () => {
           
           <select 
             value={sortBy} 
-            onChange={(e) => setSortBy(e.target.value)}
+            onChange={(e) => updateFilter(setSortBy)(e.target.value)}
             className="sort-select"
           >
+            <option value="">Default Order</option>
             <option value="created_at">Created Date</option>
             <option value="last_updated">Last Updated</option>
             <option value="alias">Name</option>
@@ -309,7 +787,8 @@ const KeyManagement = () => {
           
           <button 
             className="sort-order-btn"
-            onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
+            onClick={() => updateFilter(setSortOrder)(sortOrder === 'asc' ? 'desc' : 'asc')}
+            disabled={!sortBy}
           >
             {sortOrder === 'asc' ? '↑' : '↓'}
           </button>
@@ -319,22 +798,58 @@ const KeyManagement = () => {
       <div className="keys-summary">
         <div className="summary-stat">
           <span className="summary-label">Total Keys:</span>
-          <span className="summary-value">{Array.isArray(keys) ? keys.length : 0}</span>
+          <span className="summary-value">{totalKeys}</span>
         </div>
         <div className="summary-stat">
-          <span className="summary-label">Active:</span>
-          <span className="summary-value">{Array.isArray(keys) ? keys.filter(k => k.active !== false).length : 0}</span>
+          <span className="summary-label">Matching:</span>
+          <span className="summary-value">{pagination?.total || 0}</span>
         </div>
         <div className="summary-stat">
-          <span className="summary-label">Inactive:</span>
-          <span className="summary-value">{Array.isArray(keys) ? keys.filter(k => k.active === false).length : 0}</span>
+          <span className="summary-label">Active (this page):</span>
+          <span className="summary-value">{filteredAndSortedKeys.filter(k => k.active !== false).length}</span>
         </div>
         <div className="summary-stat">
           <span className="summary-label">Showing:</span>
-          <span className="summary-value">{filteredAndSortedKeys.length}</span>
+          <span className="summary-value">{pageStart}–{pageEnd}</span>
         </div>
+        {loading && (
+          <div className="summary-stat">
+            <span className="summary-label">Loading…</span>
+          </div>
+        )}
       </div>
 
+      {filteredAndSortedKeys.length > 0 && (
+        <div className="bulk-toolbar">
+          <label className="bulk-select-page">
+            <input
+              type="checkbox"
+              checked={filteredAndSortedKeys.every(k => selectedHashes.includes(k.key_hash))}
+              onChange={togglePageSelection}
+            />
+            Select page
+          </label>
+          {bulkTargetCount > 0 && (
+            <>
+              <span className="bulk-count">
+                {selectAllMatching ? `All ${bulkTargetCount} matching keys selected` : `${bulkTargetCount} selected`}
+              </span>
+              {hasActiveFilter && !selectAllMatching && pagination?.total > selectedHashes.length && (
+                <button className="btn btn-sm btn-outline" onClick={() => setSelectAllMatching(true)}>
+                  Select all {pagination.total} matching
+                </button>
+              )}
+              <button className="btn btn-sm btn-secondary" onClick={() => openBulkAction('deactivate')}>⏸️ Disable</button>
+              <button className="btn btn-sm btn-secondary" onClick={() => openBulkAction('activate')}>▶️ Enable</button>
+              <button className="btn btn-sm btn-secondary" onClick={() => openBulkAction('set_policies')}>📋 Change Policy</button>
+              <button className="btn btn-sm btn-secondary" onClick={() => openBulkAction('extend_expiry')}>⏰ Extend Expiry</button>
+              <button className="btn btn-sm btn-danger" onClick={() => openBulkAction('delete')}>🗑️ Delete</button>
+              <button className="btn btn-sm btn-outline" onClick={clearSelection}>Clear</button>
+            </>
+          )}
+        </div>
+      )}
+
       {filteredAndSortedKeys.length === 0 ? (
                   <div className="empty-state">
           <div className="empty-icon">🔑</div>
@@ -354,6 +869,14 @@ const KeyManagement = () => {
           {filteredAndSortedKeys.map((key, index) => (
             <div key={key.key_hash || index} className="key-card">
               <div className="key-card-header">
+                <input
+                  type="checkbox"
+                  className="key-select"
+                  checked={selectAllMatching || selectedHashes.includes(key.key_hash)}
+                  onChange={() => toggleKeySelection(key.key_hash)}
+                  disabled={!key.key_hash || selectAllMatching}
+                  title="Select for bulk actions"
+                />
                               <div className="key-title">
                 <h3>
                   {key.alias || 
@@ -367,12 +890,19 @@ const KeyManagement = () => {
                 <span className={`status-badge ${key.active !== false ? 'active' : 'inactive'}`}>
                   {key.active !== false ? 'Active' : 'Inactive'}
                 </span>
+                {key.meta_data?.rotated_to && (
+                  <span className="status-badge rotated" title={`Replaced by ${key.meta_data.rotated_to}`}>
+                    Rotated
+                  </span>
+                )}
               </div>
                 <div className="key-actions">
                   <button 
                     className="btn btn-sm btn-outline"
                     onClick={() => {
                       setSelectedKey(key);
+                      setRestrictionsForm(null);
+                      setRestrictionWarnings([]);
                       setShowDetails(true);
                     }}
                   >
@@ -384,6 +914,49 @@ const KeyManagement = () => {
                   >
                     {key.active !== false ? '⏸️ Disable' : '▶️ Enable'}
                   </button>
+                  {key.basic_auth_username && (
+                    <button 
+                      className="btn btn-sm btn-outline"
+                      onClick={() => setKeyForPassword(key)}
+                    >
+                      🔑 Password
+                    </button>
+                  )}
+                  {!key.basic_auth_username && !key.certificate_id && !key.meta_data?.rotated_to && key.active !== false && (
+                    <button 
+                      className="btn btn-sm btn-outline"
+                      onClick={() => {
+                        setRotationGraceHours(24);
+                        setKeyToRotate(key);
+                      }}
+                    >
+                      🔄 Rotate
+                    </button>
+                  )}
+                  {(key.hmac_enabled || key.meta_data?.auth_type === 'hmac') && (
+                    <button 
+                      className="btn btn-sm btn-outline"
+                      onClick={() => setKeyToSign(key)}
+                    >
+                      ✍️ Signing Helper
+                    </button>
+                  )}
+                  <button 
+                    className="btn btn-sm btn-outline"
+                    onClick={() => setKeyToSimulate(key)}
+                  >
+                    🧪 Simulate
+                  </button>
+                  {key.quota_max > 0 && (
+                    <button 
+                      className="btn btn-sm btn-outline"
+                      onClick={() => setKeyForQuota(key)}
+                      disabled={!isAdmin && !!pendingQuotaRequests[key.key_hash]}
+                      title={!isAdmin && pendingQuotaRequests[key.key_hash] ? 'A quota request for this key is waiting for approval' : undefined}
+                    >
+                      📈 {isAdmin ? 'Quota' : (pendingQuotaRequests[key.key_hash] ? 'Quota Requested' : 'Request Quota')}
+                    </button>
+                  )}
                   <button 
                     className="btn btn-sm btn-danger"
                     onClick={() => {
@@ -417,6 +990,25 @@ const KeyManagement = () => {
                     </small>
                   </div>
 
+                  {key.basic_auth_username && (
+                    <div className="key-info-item">
+                      <label>Basic Auth Username:</label>
+                      <code>{key.basic_auth_username}</code>
+                    </div>
+                  )}
+
+                  {key.certificate_id && (
+                    <div className="key-info-item">
+                      <label>Client Certificate:</label>
+                      <code title={key.meta_data?.certificate_fingerprint}>
+                        {(key.meta_data?.certificate_fingerprint || key.certificate_id).substring(0, 16)}...
+                      </code>
+                      {key.meta_data?.certificate_expires_at && (
+                        <small> expires {new Date(key.meta_data.certificate_expires_at).toLocaleDateString()}</small>
+                      )}
+                    </div>
+                  )}
+
                   <div className="key-info-item">
                     <label>Rate Limit:</label>
                     <span>{key.rate || 0} requests per {key.per || 60} seconds</span>
@@ -457,6 +1049,28 @@ const KeyManagement = () => {
         </div>
       )}
 
+      {pagination && pagination.pages > 1 && (
+        <div className="keys-pagination">
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || loading}
+          >
+            ← Previous
+          </button>
+          <span className="pagination-info">
+            Page {pagination.page} of {pagination.pages}
+          </span>
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages || loading}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+
       {/* Key Details Modal */}
       {showDetails && selectedKey && (
         <div className="modal-overlay" onClick={() => setShowDetails(false)}>
@@ -494,6 +1108,59 @@ const KeyManagement = () => {
                     <label>Organization:</label>
                     <span>{selectedKey.org_id || 'default'}</span>
                   </div>
+                  <div className="detail-item">
+                    <label>Authentication:</label>
+                    <span>
+                      {selectedKey.basic_auth_username
+                        ? `Basic auth (username: ${selectedKey.basic_auth_username})`
+                        : selectedKey.certificate_id
+                          ? 'Client certificate (mTLS)'
+                          : selectedKey.hmac_enabled || selectedKey.meta_data?.auth_type === 'hmac'
+                            ? `HMAC signature (${selectedKey.meta_data?.hmac_algorithm || 'hmac-sha256'})`
+                            : 'Auth token'}
+                    </span>
+                  </div>
+                  {selectedKey.certificate_id && (
+                    <>
+                      <div className="detail-item">
+                        <label>Certificate ID:</label>
+                        <div className="key-value-with-copy">
+                          <code>{selectedKey.certificate_id}</code>
+                          <button onClick={() => copyToClipboard(selectedKey.certificate_id)} title="Copy certificate ID to clipboard">📋</button>
+                        </div>
+                      </div>
+                      {selectedKey.meta_data?.certificate_expires_at && (
+                        <div className="detail-item">
+                          <label>Certificate Expires:</label>
+                          <span>{new Date(selectedKey.meta_data.certificate_expires_at).toLocaleString()}</span>
+                        </div>
+                      )}
+                    </>
+                  )}
+                  {selectedKey.meta_data?.password_changed_at && (
+                    <div className="detail-item">
+                      <label>Password Changed:</label>
+                      <span>{new Date(selectedKey.meta_data.password_changed_at).toLocaleString()}</span>
+                    </div>
+                  )}
+                  {selectedKey.meta_data?.rotated_from && (
+                    <div className="detail-item">
+                      <label>Replaces Key:</label>
+                      <code>{selectedKey.meta_data.rotated_from}</code>
+                    </div>
+                  )}
+                  {selectedKey.meta_data?.rotated_to && (
+                    <>
+                      <div className="detail-item">
+                        <label>Replaced By:</label>
+                        <code>{selectedKey.meta_data.rotated_to}</code>
+                      </div>
+                      <div className="detail-item">
+                        <label>Grace Period Ends:</label>
+                        <span>{new Date(selectedKey.meta_data.rotation_grace_ends_at).toLocaleString()}</span>
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 <div className="detail-section">
@@ -562,6 +1229,73 @@ const KeyManagement = () => {
                   )}
                 </div>
 
+                <div className="detail-section">
+                  <h3>Network Restrictions</h3>
+                  {restrictionsForm ? (
+                    <div className="restrictions-form">
+                      <div className="form-group">
+                        <label htmlFor="restrict-allowed-ips">Allowed IPs (addresses or CIDR ranges, one per line)</label>
+                        <textarea
+                          id="restrict-allowed-ips"
+                          rows="3"
+                          value={restrictionsForm.allowed_ips}
+                          onChange={e => setRestrictionsForm({ ...restrictionsForm, allowed_ips: e.target.value })}
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="restrict-blocked-ips">Blocked IPs</label>
+                        <textarea
+                          id="restrict-blocked-ips"
+                          rows="2"
+                          value={restrictionsForm.blocked_ips}
+                          onChange={e => setRestrictionsForm({ ...restrictionsForm, blocked_ips: e.target.value })}
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="restrict-origins">Allowed Origins</label>
+                        <textarea
+                          id="restrict-origins"
+                          rows="2"
+                          value={restrictionsForm.allowed_origins}
+                          onChange={e => setRestrictionsForm({ ...restrictionsForm, allowed_origins: e.target.value })}
+                          placeholder="https://app.example.com"
+                        />
+                      </div>
+                      <button className="btn btn-secondary" onClick={() => setRestrictionsForm(null)} disabled={savingRestrictions}>
+                        Cancel
+                      </button>
+                      <button className="btn btn-primary" onClick={handleSaveRestrictions} disabled={savingRestrictions}>
+                        {savingRestrictions ? 'Saving...' : 'Save Restrictions'}
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      {selectedKey.network_restrictions ? (
+                        [
+                          ['Allowed IPs', selectedKey.network_restrictions.allowed_ips],
+                          ['Blocked IPs', selectedKey.network_restrictions.blocked_ips],
+                          ['Allowed Origins', selectedKey.network_restrictions.allowed_origins]
+                        ].filter(([, entries]) => entries && entries.length > 0).map(([label, entries]) => (
+                          <div key={label} className="detail-item">
+                            <label>{label}:</label>
+                            <span>{entries.map(entry => <code key={entry} className="restriction-entry">{entry}</code>)}</span>
+                          </div>
+                        ))
+                      ) : (
+                        <p>Any address and origin may use this key</p>
+                      )}
+                      {restrictionWarnings.length > 0 && (
+                        <ul className="restriction-warnings">
+                          {restrictionWarnings.map(warning => <li key={warning}>⚠️ {warning}</li>)}
+                        </ul>
+                      )}
+                      <button className="btn btn-outline btn-sm" onClick={() => editRestrictions(selectedKey)}>
+                        Edit Restrictions
+                      </button>
+                    </>
+                  )}
+                </div>
+
                 <div className="detail-section">
                   <h3>Timestamps</h3>
                   <div className="detail-item">
@@ -614,6 +1348,16 @@ const KeyManagement = () => {
         onKeyCreated={handleKeyCreated}
       />
 
+      {/* Key Request Modal */}
+      <KeyRequestModal
+        isOpen={showRequestModal}
+        onClose={() => setShowRequestModal(false)}
+        onSubmitted={() => {
+          setShowRequestModal(false);
+          fetchKeyRequests();
+        }}
+      />
+
       {/* Key Success Modal */}
       <KeySuccessModal
         isOpen={showSuccessModal}
@@ -626,6 +1370,331 @@ const KeyManagement = () => {
         selectedApis={createdKeyData?.selectedApis || []}
       />
 
+      {/* Bulk Action Modal */}
+      {bulkAction && (
+        <div className="modal-overlay" onClick={() => !batchJob && setBulkAction(null)}>
+          <div className="modal-content bulk-action-modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{BULK_ACTION_LABELS[bulkAction]}</h2>
+              <button className="modal-close" onClick={() => setBulkAction(null)} disabled={batchJob?.status === 'running'}>×</button>
+            </div>
+
+            <div className="modal-body">
+              {!batchJob ? (
+                <>
+                  <p>
+                    This applies to <strong>{bulkTargetCount}</strong> key(s)
+                    {selectAllMatching ? ' matching the current filter' : ''}.
+                  </p>
+                  {bulkAction === 'set_policies' && (
+                    <div className="form-group">
+                      <label htmlFor="bulk-policy">Replace applied policies with:</label>
+                      <select id="bulk-policy" value={bulkPolicyId} onChange={e => setBulkPolicyId(e.target.value)}>
+                        <option value="">Select a policy...</option>
+                        {bulkPolicies.map(policy => (
+                          <option key={policy.id} value={policy.id}>{policy.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {bulkAction === 'extend_expiry' && (
+                    <div className="form-group">
+                      <label htmlFor="bulk-extend">Extend expiry by (days):</label>
+                      <input
+                        id="bulk-extend"
+                        type="number"
+                        min="1"
+                        max="3650"
+                        value={bulkExtendDays}
+                        onChange={e => setBulkExtendDays(e.target.value)}
+                      />
+                      <small>Keys that never expire are skipped.</small>
+                    </div>
+                  )}
+                  {bulkAction === 'delete' && (
+                    <p className="warning-text">
+                      This action cannot be undone. Applications using these keys will lose access immediately.
+                    </p>
+                  )}
+                </>
+              ) : (
+                <div className="batch-progress">
+                  <div className="batch-progress-bar">
+                    <div
+                      className="batch-progress-fill"
+                      style={{ width: `${batchJob.total ? (batchJob.processed / batchJob.total) * 100 : 0}%` }}
+                    />
+                  </div>
+                  <p>
+                    {batchJob.processed} of {batchJob.total} processed —
+                    {' '}{batchJob.succeeded} succeeded, {batchJob.skipped} skipped, {batchJob.failed} failed
+                  </p>
+                  {batchJob.results.length > 0 && (
+                    <ul className="batch-results">
+                      {[...batchJob.results]
+                        .sort((a, b) => (a.status === 'failed' ? -1 : 0) - (b.status === 'failed' ? -1 : 0))
+                        .map(result => (
+                          <li key={result.key_hash} className={`batch-result ${result.status}`}>
+                            <code>{result.key_hash}</code> {result.name && <span>{result.name}</span>}
+                            <strong> {result.status}</strong>
+                            {(result.error || result.message) && <small> — {result.error || result.message}</small>}
+                          </li>
+                        ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              {!batchJob ? (
+                <>
+                  <button className="btn btn-secondary" onClick={() => setBulkAction(null)}>
+                    Cancel
+                  </button>
+                  <button
+                    className={`btn ${bulkAction === 'delete' ? 'btn-danger' : 'btn-primary'}`}
+                    onClick={handleBulkSubmit}
+                    disabled={bulkAction === 'set_policies' && !bulkPolicyId}
+                  >
+                    Apply to {bulkTargetCount} Key(s)
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="btn btn-primary"
+                  onClick={() => setBulkAction(null)}
+                  disabled={batchJob.status === 'running'}
+                >
+                  {batchJob.status === 'running' ? 'Working...' : 'Close'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Rotate Key Modal */}
+      {keyToRotate && (
+        <div className="modal-overlay" onClick={() => setKeyToRotate(null)}>
+          <div className="modal-content delete-confirm-modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Rotate API Key</h2>
+              <button className="modal-close" onClick={() => setKeyToRotate(null)}>×</button>
+            </div>
+
+            <div className="modal-body">
+              <p>
+                A new key is issued for <strong>{keyToRotate.alias || 'Unnamed Key'}</strong> with the same
+                policies and metadata. The old key keeps working during the grace period so clients can switch over.
+              </p>
+              <div className="form-group">
+                <label htmlFor="rotation-grace">Grace period (hours):</label>
+                <input
+                  id="rotation-grace"
+                  type="number"
+                  min="0"
+                  max="720"
+                  value={rotationGraceHours}
+                  onChange={e => setRotationGraceHours(e.target.value)}
+                />
+                <small>Use 0 to deactivate the old key immediately.</small>
+              </div>
+            </div>
+
+            <div className="modal-footer">
+              <button 
+                className="btn btn-secondary" 
+                onClick={() => setKeyToRotate(null)}
+              >
+                Cancel
+              </button>
+              <button 
+                className="btn btn-primary" 
+                onClick={handleRotateKey}
+                disabled={rotating}
+              >
+                {rotating ? 'Rotating...' : 'Rotate Key'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Basic-auth Password Modal */}
+      {keyForPassword && (
+        <div className="modal-overlay" onClick={closePasswordModal}>
+          <div className="modal-content delete-confirm-modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Change Password</h2>
+              <button className="modal-close" onClick={closePasswordModal}>×</button>
+            </div>
+
+            <div className="modal-body">
+              {passwordResult ? (
+                <>
+                  <p>The password for <strong>{passwordResult.username}</strong> has been changed. The old password no longer works.</p>
+                  {passwordResult.password && (
+                    <div className="form-group">
+                      <label>New password (shown only once):</label>
+                      <div className="key-value-with-copy">
+                        <code>{passwordResult.password}</code>
+                        <button onClick={() => copyToClipboard(passwordResult.password)} title="Copy password to clipboard">📋</button>
+                      </div>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <>
+                  <p>
+                    Set a new password for basic-auth user <strong>{keyForPassword.basic_auth_username}</strong>.
+                    The old password stops working immediately.
+                  </p>
+                  <div className="form-group">
+                    <label htmlFor="basic-auth-password">New password:</label>
+                    <input
+                      id="basic-auth-password"
+                      type="password"
+                      value={newPassword}
+                      onChange={e => setNewPassword(e.target.value)}
+                      placeholder="Leave empty to generate one"
+                      autoComplete="new-password"
+                    />
+                    <small>At least 12 characters, or leave empty to rotate to a generated password.</small>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              <button 
+                className="btn btn-secondary" 
+                onClick={closePasswordModal}
+              >
+                {passwordResult ? 'Done' : 'Cancel'}
+              </button>
+              {!passwordResult && (
+                <button 
+                  className="btn btn-primary" 
+                  onClick={handleChangePassword}
+                  disabled={changingPassword}
+                >
+                  {changingPassword ? 'Saving...' : (newPassword ? 'Reset Password' : 'Generate New Password')}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Quota Reset / Top-up Modal */}
+      {keyForQuota && (
+        <div className="modal-overlay" onClick={closeQuotaModal}>
+          <div className="modal-content delete-confirm-modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{isAdmin ? 'Change Quota' : 'Request More Quota'}</h2>
+              <button className="modal-close" onClick={closeQuotaModal}>×</button>
+            </div>
+
+            <div className="modal-body">
+              {quotaResult ? (
+                isAdmin ? (
+                  <p>
+                    {quotaResult.message}. <strong>{keyForQuota.name || keyForQuota.alias}</strong> now has{' '}
+                    {quotaResult.quota_remaining} of {quotaResult.quota_max} requests remaining
+                    (was {quotaResult.quota_remaining_before}).
+                  </p>
+                ) : (
+                  <p>Your request was sent to your organization's admins. The quota changes once it is approved.</p>
+                )
+              ) : (
+                <>
+                  <p>
+                    <strong>{keyForQuota.name || keyForQuota.alias}</strong> has{' '}
+                    {Math.max(keyForQuota.quota_remaining ?? keyForQuota.quota_max, 0)} of {keyForQuota.quota_max} requests
+                    remaining in this quota period.
+                  </p>
+                  <div className="form-group">
+                    <label htmlFor="quota-action">Change:</label>
+                    <select
+                      id="quota-action"
+                      value={quotaForm.action}
+                      onChange={e => setQuotaForm(prev => ({ ...prev, action: e.target.value }))}
+                    >
+                      <option value="reset">Reset to the full quota ({keyForQuota.quota_max} requests)</option>
+                      <option value="top_up">One-off top-up</option>
+                    </select>
+                    {quotaForm.action === 'reset' && (
+                      <small>Starts a new quota period. Other key settings are not changed.</small>
+                    )}
+                  </div>
+                  {quotaForm.action === 'top_up' && (
+                    <div className="form-group">
+                      <label htmlFor="quota-amount">Extra requests:</label>
+                      <input
+                        id="quota-amount"
+                        type="number"
+                        min="1"
+                        max="1000000"
+                        value={quotaForm.amount}
+                        onChange={e => setQuotaForm(prev => ({ ...prev, amount: e.target.value }))}
+                      />
+                      <small>Added to the remaining quota until the current period renews.</small>
+                    </div>
+                  )}
+                  <div className="form-group">
+                    <label htmlFor="quota-reason">Reason{isAdmin ? '' : ' *'}:</label>
+                    <textarea
+                      id="quota-reason"
+                      rows="3"
+                      maxLength="1000"
+                      value={quotaForm.reason}
+                      onChange={e => setQuotaForm(prev => ({ ...prev, reason: e.target.value }))}
+                      placeholder={isAdmin ? 'Recorded in the audit log' : 'Why do you need more requests?'}
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              <button 
+                className="btn btn-secondary" 
+                onClick={closeQuotaModal}
+              >
+                {quotaResult ? 'Done' : 'Cancel'}
+              </button>
+              {!quotaResult && (
+                <button 
+                  className="btn btn-primary" 
+                  onClick={handleQuotaChange}
+                  disabled={
+                    changingQuota ||
+                    (quotaForm.action === 'top_up' && !(parseInt(quotaForm.amount, 10) > 0)) ||
+                    (!isAdmin && !quotaForm.reason.trim())
+                  }
+                >
+                  {changingQuota ? 'Saving...' : (isAdmin ? 'Apply' : 'Submit Request')}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* HMAC Signing Helper */}
+      {keyToSign && (
+        <HmacSigningHelper apiKey={keyToSign} onClose={() => setKeyToSign(null)} />
+      )}
+
+      {/* Access Simulator */}
+      {keyToSimulate && (
+        <AccessSimulator
+          apiKey={keyToSimulate.key_hash ? keyToSimulate : null}
+          onClose={() => setKeyToSimulate(null)}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && keyToDelete && (
         <div className="modal-overlay" onClick={() => setShowDeleteConfirm(false)}>
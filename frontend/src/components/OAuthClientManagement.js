@@ -0,0 +1,566 @@
+import React, { useState, useEffect } from 'react';
+import './CertificateManagement.css';
+import './OAuthClientManagement.css';
+
+const emptyRegisterForm = {
+  api_id: '',
+  policy_id: '',
+  redirect_uris: '',
+  description: ''
+};
+
+const OAuthClientManagement = () => {
+  const [clients, setClients] = useState([]);
+  const [oauthApis, setOauthApis] = useState([]);
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showRegisterModal, setShowRegisterModal] = useState(false);
+  const [registerForm, setRegisterForm] = useState(emptyRegisterForm);
+  const [registering, setRegistering] = useState(false);
+  const [registeredClient, setRegisteredClient] = useState(null);
+  const [secretCopied, setSecretCopied] = useState(false);
+  const [clientToRevoke, setClientToRevoke] = useState(null);
+  const [tokensClient, setTokensClient] = useState(null);
+  const [tokens, setTokens] = useState([]);
+  const [loadingTokens, setLoadingTokens] = useState(false);
+
+  useEffect(() => {
+    fetchClients();
+    fetchOptions();
+  }, []);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const readError = async (response, fallback) => {
+    const data = await response.json().catch(() => ({}));
+    return new Error(data.error || data.message || fallback);
+  };
+
+  const fetchClients = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/tyk/oauth/clients', { headers: authHeaders() });
+      if (!response.ok) {
+        throw await readError(response, `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setClients(Array.isArray(data.data) ? data.data : []);
+    } catch (err) {
+      console.error('❌ Error fetching OAuth clients:', err);
+      setError(`Failed to fetch OAuth clients: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only OAuth2-protected APIs can have clients
+  const fetchOptions = async () => {
+    try {
+      const [apisResponse, policiesResponse] = await Promise.all([
+        fetch('/api/tyk/apis', { headers: authHeaders() }),
+        fetch('/api/policies/available', { headers: authHeaders() })
+      ]);
+
+      if (apisResponse.ok) {
+        const apisData = await apisResponse.json();
+        const apis = Array.isArray(apisData.data) ? apisData.data : [];
+        setOauthApis(apis.filter(api => api.use_oauth2));
+      }
+      if (policiesResponse.ok) {
+        const policiesData = await policiesResponse.json();
+        setPolicies(policiesData.data || []);
+      }
+    } catch (err) {
+      console.error('❌ Error loading APIs and policies:', err);
+    }
+  };
+
+  const registerClient = async () => {
+    try {
+      setRegistering(true);
+      setError(null);
+
+      const response = await fetch('/api/tyk/oauth/clients', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          api_id: registerForm.api_id,
+          policy_id: parseInt(registerForm.policy_id),
+          redirect_uris: registerForm.redirect_uris.split('\n').map(uri => uri.trim()).filter(Boolean),
+          description: registerForm.description
+        })
+      });
+
+      if (!response.ok) {
+        throw await readError(response, 'Failed to register client');
+      }
+
+      const data = await response.json();
+      setShowRegisterModal(false);
+      setRegisterForm(emptyRegisterForm);
+      setSecretCopied(false);
+      setRegisteredClient(data.data);
+      fetchClients();
+    } catch (err) {
+      console.error('❌ Error registering OAuth client:', err);
+      setError(`Failed to register client: ${err.message}`);
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const revokeClient = async (client) => {
+    try {
+      setError(null);
+
+      const response = await fetch(`/api/tyk/oauth/clients/${client.api_id}/${client.client_id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (!response.ok) {
+        throw await readError(response, 'Failed to revoke client');
+      }
+
+      const data = await response.json();
+      setSuccess(data.message);
+      setClientToRevoke(null);
+      fetchClients();
+    } catch (err) {
+      console.error('❌ Error revoking OAuth client:', err);
+      setError(`Failed to revoke client: ${err.message}`);
+      setClientToRevoke(null);
+    }
+  };
+
+  const openTokens = async (client) => {
+    setTokensClient(client);
+    setTokens([]);
+    await fetchTokens(client);
+  };
+
+  const fetchTokens = async (client) => {
+    try {
+      setLoadingTokens(true);
+      setError(null);
+
+      const response = await fetch(`/api/tyk/oauth/clients/${client.api_id}/${client.client_id}/tokens`, {
+        headers: authHeaders()
+      });
+
+      if (!response.ok) {
+        throw await readError(response, 'Failed to fetch tokens');
+      }
+
+      const data = await response.json();
+      setTokens(Array.isArray(data.data) ? data.data : []);
+    } catch (err) {
+      console.error('❌ Error fetching OAuth tokens:', err);
+      setError(`Failed to fetch tokens: ${err.message}`);
+    } finally {
+      setLoadingTokens(false);
+    }
+  };
+
+  const revokeTokens = async (client, tokenId = null) => {
+    const base = `/api/tyk/oauth/clients/${client.api_id}/${client.client_id}/tokens`;
+    try {
+      setError(null);
+
+      const response = await fetch(tokenId ? `${base}/${tokenId}` : base, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (!response.ok) {
+        throw await readError(response, 'Failed to revoke tokens');
+      }
+
+      setSuccess(tokenId ? 'Token revoked' : `All tokens of "${client.description || client.client_id}" revoked`);
+      fetchTokens(client);
+    } catch (err) {
+      console.error('❌ Error revoking OAuth tokens:', err);
+      setError(`Failed to revoke tokens: ${err.message}`);
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(registeredClient.secret);
+      setSecretCopied(true);
+    } catch (err) {
+      console.error('Failed to copy secret:', err);
+    }
+  };
+
+  const clearMessages = () => {
+    setError(null);
+    setSuccess(null);
+  };
+
+  const filteredClients = clients.filter(client => {
+    const term = searchTerm.toLowerCase();
+    return !term ||
+      client.client_id.toLowerCase().includes(term) ||
+      (client.description || '').toLowerCase().includes(term) ||
+      (client.api_name || '').toLowerCase().includes(term);
+  });
+
+  const canRegister = registerForm.api_id && registerForm.policy_id && registerForm.redirect_uris.trim();
+
+  return (
+    <div className="oauth-client-management">
+      <div className="certificate-header">
+        <h2>OAuth Clients</h2>
+        <div className="certificate-actions">
+          <button
+            className="btn btn-primary"
+            onClick={() => setShowRegisterModal(true)}
+            disabled={oauthApis.length === 0}
+            title={oauthApis.length === 0 ? 'None of your APIs use OAuth2' : ''}
+          >
+            ➕ Register Client
+          </button>
+          <button
+            className="btn btn-outline"
+            onClick={fetchClients}
+            disabled={loading}
+          >
+            🔄 Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <span>❌ {error}</span>
+          <button onClick={clearMessages} className="alert-close">×</button>
+        </div>
+      )}
+
+      {success && (
+        <div className="alert alert-success">
+          <span>✅ {success}</span>
+          <button onClick={clearMessages} className="alert-close">×</button>
+        </div>
+      )}
+
+      <div className="certificate-filters">
+        <div className="search-box">
+          <input
+            type="text"
+            placeholder="Search clients by ID, description, or API..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="search-input"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-spinner">
+          <div className="spinner"></div>
+          <p>Loading OAuth clients...</p>
+        </div>
+      ) : (
+        <div className="certificates-container">
+          {filteredClients.length === 0 ? (
+            <div className="empty-state">
+              <h3>No OAuth clients found</h3>
+              <p>
+                {oauthApis.length === 0
+                  ? 'Enable OAuth2 on one of your APIs to register clients for it.'
+                  : 'Register a client to let an application request tokens for your OAuth2 APIs.'}
+              </p>
+            </div>
+          ) : (
+            <div className="oauth-clients-grid">
+              {filteredClients.map(client => (
+                <div key={client.client_id} className="oauth-client-card">
+                  <div className="certificate-info">
+                    <h4>{client.description || 'OAuth Client'}</h4>
+                    <p className="cert-id">{client.client_id}</p>
+
+                    <h4>API</h4>
+                    <p>{client.api_name || client.api_id}</p>
+
+                    <h4>Policy</h4>
+                    <p>{client.policy_name || client.policy_id || 'None'}</p>
+
+                    <h4>Redirect URIs</h4>
+                    <ul className="redirect-uri-list">
+                      {client.redirect_uris.map(uri => <li key={uri}>{uri}</li>)}
+                    </ul>
+
+                    {client.created_at && (
+                      <p className="client-created">
+                        Registered {new Date(client.created_at).toLocaleString()}
+                        {client.created_by && ` by ${client.created_by}`}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="certificate-actions">
+                    <button
+                      className="btn btn-small btn-outline"
+                      onClick={() => openTokens(client)}
+                    >
+                      🎟️ Tokens
+                    </button>
+                    <button
+                      className="btn btn-small btn-danger"
+                      onClick={() => setClientToRevoke(client)}
+                    >
+                      🗑️ Revoke
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Register Client Modal */}
+      {showRegisterModal && (
+        <div className="modal-overlay" onClick={() => setShowRegisterModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Register OAuth Client</h3>
+              <button
+                className="modal-close"
+                onClick={() => setShowRegisterModal(false)}
+              >
+                ×
+              </button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>API *</label>
+                <select
+                  value={registerForm.api_id}
+                  onChange={(e) => setRegisterForm({ ...registerForm, api_id: e.target.value })}
+                >
+                  <option value="">Choose an OAuth2 API...</option>
+                  {oauthApis.map(api => (
+                    <option key={api.api_id} value={api.api_id}>{api.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Policy *</label>
+                <select
+                  value={registerForm.policy_id}
+                  onChange={(e) => setRegisterForm({ ...registerForm, policy_id: e.target.value })}
+                >
+                  <option value="">Choose a policy...</option>
+                  {policies.map(policy => (
+                    <option key={policy.id} value={policy.id}>{policy.name}</option>
+                  ))}
+                </select>
+                <small>Tokens issued to this client get the policy's rate limits, quota and access rights.</small>
+              </div>
+              <div className="form-group">
+                <label>Redirect URIs * (one per line)</label>
+                <textarea
+                  value={registerForm.redirect_uris}
+                  onChange={(e) => setRegisterForm({ ...registerForm, redirect_uris: e.target.value })}
+                  placeholder="https://app.example.com/oauth/callback"
+                  rows="3"
+                />
+                <small>HTTPS is required, except for localhost during development.</small>
+              </div>
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  value={registerForm.description}
+                  onChange={(e) => setRegisterForm({ ...registerForm, description: e.target.value })}
+                  placeholder="Which application is this client for?"
+                />
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowRegisterModal(false)}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={registerClient}
+                disabled={registering || !canRegister}
+              >
+                {registering ? 'Registering...' : 'Register Client'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* One-time Secret Modal */}
+      {registeredClient && (
+        <div className="modal-overlay">
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>✅ Client Registered</h3>
+            </div>
+            <div className="modal-body">
+              <div className="warning">
+                <p>⚠️ {registeredClient.security_notice}</p>
+              </div>
+              <div className="detail-group">
+                <h4>Client ID</h4>
+                <p className="cert-id">{registeredClient.client_id}</p>
+              </div>
+              <div className="detail-group">
+                <h4>Client Secret</h4>
+                <div className="secret-display">
+                  <code>{registeredClient.secret}</code>
+                  <button className="btn btn-small btn-outline" onClick={copySecret}>
+                    {secretCopied ? '✅ Copied' : '📋 Copy'}
+                  </button>
+                </div>
+              </div>
+              {registeredClient.warnings?.length > 0 && (
+                <div className="warning">
+                  {registeredClient.warnings.map(warning => <p key={warning}>⚠️ {warning}</p>)}
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button
+                className="btn btn-primary"
+                onClick={() => setRegisteredClient(null)}
+              >
+                I've saved the secret
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Tokens Modal */}
+      {tokensClient && (
+        <div className="modal-overlay" onClick={() => setTokensClient(null)}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Tokens of {tokensClient.description || tokensClient.client_id}</h3>
+              <button
+                className="modal-close"
+                onClick={() => setTokensClient(null)}
+              >
+                ×
+              </button>
+            </div>
+            <div className="modal-body">
+              {loadingTokens ? (
+                <p>Loading tokens...</p>
+              ) : tokens.length === 0 ? (
+                <p>This client has no active tokens.</p>
+              ) : (
+                <table className="token-table">
+                  <thead>
+                    <tr>
+                      <th>Token</th>
+                      <th>Expires</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tokens.map(token => (
+                      <tr key={token.token_id} className={token.expired ? 'expired' : ''}>
+                        <td><code>{token.token_preview}</code></td>
+                        <td>
+                          {token.expires_at ? new Date(token.expires_at).toLocaleString() : 'Never'}
+                          {token.expired && ' (expired)'}
+                        </td>
+                        <td>
+                          <button
+                            className="btn btn-small btn-danger"
+                            onClick={() => revokeTokens(tokensClient, token.token_id)}
+                          >
+                            Revoke
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setTokensClient(null)}
+              >
+                Close
+              </button>
+              <button
+                className="btn btn-danger"
+                onClick={() => revokeTokens(tokensClient)}
+                disabled={loadingTokens || tokens.length === 0}
+              >
+                Revoke All Tokens
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Revoke Client Confirmation Modal */}
+      {clientToRevoke && (
+        <div className="modal-overlay" onClick={() => setClientToRevoke(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Revoke OAuth Client</h3>
+              <button
+                className="modal-close"
+                onClick={() => setClientToRevoke(null)}
+              >
+                ×
+              </button>
+            </div>
+            <div className="modal-body">
+              <p>Are you sure you want to revoke this client?</p>
+              <div className="cert-info">
+                <strong>ID:</strong> {clientToRevoke.client_id}
+                <br />
+                <strong>API:</strong> {clientToRevoke.api_name || clientToRevoke.api_id}
+              </div>
+              <div className="warning">
+                <p>⚠️ <strong>Warning:</strong> All tokens issued to this client are revoked too, and the application will need a new client to request tokens.</p>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setClientToRevoke(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn btn-danger"
+                onClick={() => revokeClient(clientToRevoke)}
+              >
+                🗑️ Revoke Client
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OAuthClientManagement;
@@ -13,6 +13,10 @@ const PolicyManagement = () => {
   const [selectedPolicy, setSelectedPolicy] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [userRole, setUserRole] = useState('');
+  const [history, setHistory] = useState(null);
+  const [deletePreview, setDeletePreview] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [restoring, setRestoring] = useState(false);
 
   useEffect(() => {
     if (user) {
@@ -106,12 +110,22 @@ const PolicyManagement = () => {
     }
   };
 
-  const handleDeletePolicy = async (policyId) => {
-    if (!window.confirm('Are you sure you want to delete this policy? This action cannot be undone.')) {
-      return;
+  const previewDeletePolicy = async (policy) => {
+    setDeletePreview({ policy, impact: null, error: null });
+    try {
+      const data = await fetchPolicyJson(`/api/policies/${policy.id}/impact`, {
+        method: 'POST',
+        body: JSON.stringify({ operation: 'delete' })
+      });
+      setDeletePreview(prev => prev && { ...prev, impact: data.data });
+    } catch (err) {
+      setDeletePreview(prev => prev && { ...prev, error: err.message });
     }
+  };
 
+  const handleDeletePolicy = async (policyId) => {
     try {
+      setDeleting(true);
       const token = localStorage.getItem('token');
       const response = await fetch(`/api/policies/${policyId}`, {
         method: 'DELETE',
@@ -126,11 +140,14 @@ const PolicyManagement = () => {
         setError(null);
       } else {
         const errorData = await response.json().catch(() => ({}));
-        setError(`Failed to delete policy: ${errorData.message || response.statusText}`);
+        setError(`Failed to delete policy: ${errorData.error || errorData.message || response.statusText}`);
       }
     } catch (error) {
       console.error('Failed to delete policy:', error);
       setError('Network error while deleting policy');
+    } finally {
+      setDeleting(false);
+      setDeletePreview(null);
     }
   };
 
@@ -139,6 +156,66 @@ const PolicyManagement = () => {
     setShowEditModal(true);
   };
 
+  const fetchPolicyJson = async (url, options = {}) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || response.statusText);
+    }
+    return data;
+  };
+
+  const openHistory = async (policy) => {
+    setHistory({ policy, revisions: null, diff: null, restore: null, comment: '', error: null });
+    try {
+      const data = await fetchPolicyJson(`/api/policies/${policy.id}/revisions`);
+      setHistory(prev => prev && { ...prev, revisions: data.data });
+    } catch (err) {
+      setHistory(prev => prev && { ...prev, error: err.message });
+    }
+  };
+
+  // Compares a revision with the one before it
+  const showRevisionDiff = async (revision) => {
+    try {
+      const data = await fetchPolicyJson(
+        `/api/policies/${history.policy.id}/revisions/diff?from=${revision.revision_number - 1}&to=${revision.revision_number}`
+      );
+      setHistory(prev => prev && { ...prev, diff: data.data, error: null });
+    } catch (err) {
+      setHistory(prev => prev && { ...prev, error: err.message });
+    }
+  };
+
+  const applyRestore = async () => {
+    const { policy, restore, comment } = history;
+    try {
+      setRestoring(true);
+      const data = await fetchPolicyJson(`/api/policies/${policy.id}/revisions/${restore.revision_number}/restore`, {
+        method: 'POST',
+        body: JSON.stringify(comment.trim() ? { comment: comment.trim() } : {})
+      });
+      setHistory(null);
+      setError(null);
+      loadPolicies();
+      console.log(`✅ ${data.message}: ${policy.name}`);
+    } catch (err) {
+      console.error('Failed to restore policy revision:', err);
+      setHistory(prev => ({ ...prev, error: err.message }));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const formatRevisionValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
   const formatDateTime = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -248,6 +325,12 @@ const PolicyManagement = () => {
                         <span className="value">{policy.quota_max}</span>
                       </div>
                     )}
+                    {describePartitions(policy.partitions) && (
+                      <div className="stat">
+                        <span className="label">Supplies:</span>
+                        <span className="value">{describePartitions(policy.partitions)}</span>
+                      </div>
+                    )}
                   </div>
 
                   <div className="policy-meta">
@@ -276,9 +359,15 @@ const PolicyManagement = () => {
                   >
                     ✏️ Edit
                   </button>
+                  <button 
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => openHistory(policy)}
+                  >
+                    📜 History
+                  </button>
                   <button 
                     className="btn btn-sm btn-danger"
-                    onClick={() => handleDeletePolicy(policy.id)}
+                    onClick={() => previewDeletePolicy(policy)}
                   >
                     🗑️ Delete
                   </button>
@@ -325,10 +414,447 @@ const PolicyManagement = () => {
           onError={setError}
         />
       )}
+
+      {/* Delete Impact Preview */}
+      {deletePreview && (
+        <div className="modal-overlay">
+          <div className="modal-content large">
+            <div className="modal-header">
+              <h2>🗑️ Delete Policy: {deletePreview.policy.name}</h2>
+              <button className="modal-close" onClick={() => setDeletePreview(null)}>×</button>
+            </div>
+            <div className="policy-history">
+              {deletePreview.error && (
+                <div className="error-banner">
+                  <span>⚠️ Impact preview failed: {deletePreview.error}</span>
+                </div>
+              )}
+              {!deletePreview.impact && !deletePreview.error && <p>⏳ Checking affected keys...</p>}
+              {deletePreview.impact && <PolicyImpactPreview impact={deletePreview.impact} />}
+              <p>This removes the policy from the gateway and cannot be undone.</p>
+
+              <div className="form-actions">
+                <button type="button" onClick={() => setDeletePreview(null)} disabled={deleting}>
+                  Cancel
+                </button>
+                <button
+                  className="btn btn-danger"
+                  onClick={() => handleDeletePolicy(deletePreview.policy.id)}
+                  disabled={deleting || (!deletePreview.impact && !deletePreview.error)}
+                >
+                  {deleting ? 'Deleting...' : '🗑️ Delete Policy'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Revision History Modal */}
+      {history && (
+        <div className="modal-overlay">
+          <div className="modal-content large">
+            <div className="modal-header">
+              <h2>📜 Revision History: {history.policy.name}</h2>
+              <button className="modal-close" onClick={() => setHistory(null)}>×</button>
+            </div>
+            <div className="policy-history">
+              {history.error && (
+                <div className="error-banner">
+                  <span>⚠️ {history.error}</span>
+                </div>
+              )}
+
+              {!history.revisions && !history.error && <p>⏳ Loading revisions...</p>}
+
+              {history.revisions && history.revisions.length === 0 && (
+                <p className="diff-note">
+                  No revisions yet — history starts with the next change made through TykBasic.
+                </p>
+              )}
+
+              {history.revisions && history.revisions.length > 0 && (
+                <table className="revision-table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Change</th>
+                      <th>Keys</th>
+                      <th>Author</th>
+                      <th>When</th>
+                      <th>Comment</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.revisions.map((revision, index) => (
+                      <tr key={revision.id}>
+                        <td>{revision.revision_number}</td>
+                        <td>
+                          {revision.action}
+                          {revision.source_revision_number && ` (from #${revision.source_revision_number})`}
+                        </td>
+                        <td title="Keys with this policy applied when the revision was made">
+                          {revision.key_count ?? '?'}
+                        </td>
+                        <td>{revision.author.email || 'system'}</td>
+                        <td>{formatDateTime(revision.created_at)}</td>
+                        <td>{revision.comment}</td>
+                        <td className="revision-actions">
+                          {revision.revision_number > 1 && (
+                            <button className="btn btn-sm btn-secondary" onClick={() => showRevisionDiff(revision)}>
+                              Diff
+                            </button>
+                          )}
+                          {index > 0 && (
+                            <button
+                              className="btn btn-sm btn-secondary"
+                              onClick={() => setHistory(prev => ({ ...prev, restore: revision }))}
+                            >
+                              ⏪ Restore
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {history.diff && (
+                <div className="revision-diff">
+                  <h4>Changes from #{history.diff.from.revision_number} to #{history.diff.to.revision_number}</h4>
+                  {history.diff.changes.length === 0 ? (
+                    <p className="diff-note">No differences.</p>
+                  ) : (
+                    <ul>
+                      {history.diff.changes.map(change => (
+                        <li key={change.path} className={`diff-${change.type}`}>
+                          <strong>{change.path}</strong>: {formatRevisionValue(change.from)} → {formatRevisionValue(change.to)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {history.restore && (
+                <div className="restore-confirm">
+                  <p>
+                    Push revision <strong>#{history.restore.revision_number}</strong> back to the gateway?
+                    Its rate, quota, tags and access rights apply to every key using this policy
+                    ({history.revisions[0].key_count ?? 'unknown number of'} keys at the latest revision).
+                    The restore is recorded as a new revision.
+                  </p>
+                  <input
+                    type="text"
+                    placeholder="Comment (optional)"
+                    value={history.comment}
+                    onChange={(e) => setHistory(prev => ({ ...prev, comment: e.target.value }))}
+                  />
+                </div>
+              )}
+
+              <div className="form-actions">
+                <button type="button" onClick={() => setHistory(null)}>
+                  Close
+                </button>
+                {history.restore && (
+                  <button className="btn btn-primary" onClick={applyRestore} disabled={restoring}>
+                    {restoring ? '⏳ Restoring...' : `⏪ Restore #${history.restore.revision_number}`}
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// JSON columns can arrive as strings from SQLite
+const asList = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const asObject = (value) => {
+  if (!value || typeof value === 'object') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// API access as sent to the policy routes, from a stored PolicyApiAccess
+const toApiAccess = (access) => ({
+  api_id: access.api_id,
+  api_name: access.api_name || access.api_id,
+  versions: asList(access.versions).length > 0 ? asList(access.versions) : ['Default'],
+  allowed_urls: asList(access.allowed_urls),
+  limit: asObject(access.api_limit),
+  endpoints: asList(access.endpoint_limits)
+});
+
+// Endpoint limits are edited one path and method per row
+const flattenEndpointLimits = (endpoints) => endpoints.flatMap(endpoint =>
+  endpoint.methods.map(method => ({ path: endpoint.path, name: method.name, rate: method.limit?.rate ?? '', per: method.limit?.per ?? '' }))
+);
+
+const groupEndpointLimits = (rows) => rows.reduce((endpoints, row) => {
+  const method = { name: row.name, limit: { rate: row.rate, per: row.per } };
+  const existing = endpoints.find(endpoint => endpoint.path === row.path);
+  if (existing) {
+    existing.methods.push(method);
+    return endpoints;
+  }
+  return [...endpoints, { path: row.path, methods: [method] }];
+}, []);
+
+// Allowed paths, per-API limit and endpoint rate limits of one API in a policy
+const ApiAccessRulesEditor = ({ access, orgId, defaultLimit, onChange }) => {
+  const [known, setKnown] = useState(null);
+
+  useEffect(() => {
+    const loadEndpoints = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const query = orgId ? `?org_id=${encodeURIComponent(orgId)}` : '';
+        const response = await fetch(`/api/tyk/apis/${encodeURIComponent(access.api_id)}/endpoints${query}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        const data = await response.json().catch(() => ({}));
+        setKnown(response.ok ? data.data : { endpoints: [], error: data.error || data.message || response.statusText });
+      } catch (error) {
+        setKnown({ endpoints: [], error: error.message });
+      }
+    };
+    loadEndpoints();
+  }, [access.api_id, orgId]);
+
+  const allowedUrls = access.allowed_urls || [];
+  const endpointRows = flattenEndpointLimits(access.endpoints || []);
+  const knownPaths = known?.endpoints || [];
+  const methodsFor = (path) => knownPaths.find(endpoint => endpoint.path === path)?.methods || HTTP_METHODS;
+  const datalistId = `paths-${access.api_id}`;
+
+  const updateAllowedUrl = (index, changes) => {
+    onChange({ ...access, allowed_urls: allowedUrls.map((rule, i) => i === index ? { ...rule, ...changes } : rule) });
+  };
+
+  const toggleAllowedMethod = (index, method, checked) => {
+    const methods = allowedUrls[index].methods || [];
+    updateAllowedUrl(index, { methods: checked ? [...methods, method] : methods.filter(m => m !== method) });
+  };
+
+  const updateEndpointRows = (rows) => {
+    onChange({ ...access, endpoints: groupEndpointLimits(rows) });
+  };
+
+  const updateLimit = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...access, limit: { ...access.limit, [name]: value } });
+  };
+
+  return (
+    <div className="access-rules">
+      <h4>{access.api_name || access.api_id}</h4>
+      {!known && <p className="impact-note">⏳ Loading paths...</p>}
+      {known?.error && <p className="impact-note">⚠️ Could not load paths: {known.error}</p>}
+      {known && !known.error && knownPaths.length === 0 && (
+        <p className="impact-note">This API documents no paths, so rules cannot be checked against it.</p>
+      )}
+      <datalist id={datalistId}>
+        {knownPaths.map(endpoint => <option key={endpoint.path} value={endpoint.path} />)}
+      </datalist>
+
+      <div className="access-rules-group">
+        <h5>Allowed Paths</h5>
+        <small>Leave empty to allow every path and method. Paths are regular expressions.</small>
+        {allowedUrls.map((rule, index) => (
+          <div key={index} className="access-rule-row">
+            <input
+              type="text"
+              list={datalistId}
+              value={rule.url}
+              onChange={(e) => updateAllowedUrl(index, { url: e.target.value })}
+              placeholder="/users/[0-9]+"
+            />
+            <div className="access-rule-methods">
+              {HTTP_METHODS.map(method => (
+                <label key={method} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={(rule.methods || []).includes(method)}
+                    onChange={(e) => toggleAllowedMethod(index, method, e.target.checked)}
+                  />
+                  <span>{method}</span>
+                </label>
+              ))}
+            </div>
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => onChange({ ...access, allowed_urls: allowedUrls.filter((_, i) => i !== index) })}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={() => onChange({ ...access, allowed_urls: [...allowedUrls, { url: '', methods: ['GET'] }] })}
+        >
+          + Add Path
+        </button>
+      </div>
+
+      <div className="access-rules-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={!!access.limit}
+            onChange={(e) => onChange({ ...access, limit: e.target.checked ? { ...defaultLimit } : null })}
+          />
+          <span>Separate rate limit and quota for this API</span>
+        </label>
+        {access.limit && (
+          <div className="form-row">
+            <div className="form-group">
+              <label>Rate (requests)</label>
+              <input type="number" name="rate" value={access.limit.rate} onChange={updateLimit} min="1" required />
+            </div>
+            <div className="form-group">
+              <label>Per (seconds)</label>
+              <input type="number" name="per" value={access.limit.per} onChange={updateLimit} min="1" required />
+            </div>
+            <div className="form-group">
+              <label>Quota</label>
+              <input
+                type="number"
+                name="quota_max"
+                value={access.limit.quota_max === -1 ? '' : access.limit.quota_max}
+                onChange={updateLimit}
+                min="1"
+                placeholder="Unlimited"
+              />
+            </div>
+            <div className="form-group">
+              <label>Renewal (seconds)</label>
+              <input type="number" name="quota_renewal_rate" value={access.limit.quota_renewal_rate} onChange={updateLimit} min="1" />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="access-rules-group">
+        <h5>Endpoint Rate Limits</h5>
+        <small>Limits one path and method on top of the API's rate limit.</small>
+        {endpointRows.map((row, index) => (
+          <div key={index} className="access-rule-row">
+            <input
+              type="text"
+              list={datalistId}
+              value={row.path}
+              onChange={(e) => updateEndpointRows(endpointRows.map((r, i) => i === index ? { ...r, path: e.target.value } : r))}
+              placeholder="/users"
+            />
+            <select
+              value={row.name}
+              onChange={(e) => updateEndpointRows(endpointRows.map((r, i) => i === index ? { ...r, name: e.target.value } : r))}
+            >
+              {methodsFor(row.path).map(method => <option key={method} value={method}>{method}</option>)}
+            </select>
+            <input
+              type="number"
+              value={row.rate}
+              onChange={(e) => updateEndpointRows(endpointRows.map((r, i) => i === index ? { ...r, rate: e.target.value } : r))}
+              min="1"
+              placeholder="Rate"
+              required
+            />
+            <input
+              type="number"
+              value={row.per}
+              onChange={(e) => updateEndpointRows(endpointRows.map((r, i) => i === index ? { ...r, per: e.target.value } : r))}
+              min="1"
+              placeholder="Per (s)"
+              required
+            />
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => updateEndpointRows(endpointRows.filter((_, i) => i !== index))}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={() => {
+            const path = knownPaths[0]?.path || '';
+            updateEndpointRows([...endpointRows, { path, name: methodsFor(path)[0], rate: 10, per: 1 }]);
+          }}
+        >
+          + Add Endpoint Limit
+        </button>
+      </div>
     </div>
   );
 };
 
+const PARTITION_OPTIONS = [
+  { part: 'acl', label: 'Access rights', hint: 'APIs, versions and allowed paths' },
+  { part: 'rate_limit', label: 'Rate limit', hint: 'Requests per period' },
+  { part: 'quota', label: 'Quota', hint: 'Requests per renewal period' },
+  { part: 'complexity', label: 'Query depth', hint: 'GraphQL query depth limit' }
+];
+
+const EMPTY_PARTITIONS = { acl: false, rate_limit: false, quota: false, complexity: false };
+
+// Parts of a key's session a policy supplies when combined with other policies
+const PolicyPartitionsFields = ({ partitions, onChange }) => (
+  <div className="form-section">
+    <h3>Partitions</h3>
+    <p className="section-description">
+      Keys can combine several policies. Pick the parts this policy supplies, e.g. only the quota,
+      so another policy can supply the APIs. Leave all unchecked to supply everything.
+    </p>
+    <div className="partition-options">
+      {PARTITION_OPTIONS.map(({ part, label, hint }) => (
+        <label key={part} className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={!!partitions?.[part]}
+            onChange={(e) => onChange({ ...EMPTY_PARTITIONS, ...partitions, [part]: e.target.checked })}
+          />
+          <span>{label} <small>({hint})</small></span>
+        </label>
+      ))}
+    </div>
+  </div>
+);
+
+const describePartitions = (partitions) => PARTITION_OPTIONS
+  .filter(({ part }) => partitions?.[part])
+  .map(({ label }) => label)
+  .join(', ');
+
 // Policy Create Modal Component
 const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCreated, onError }) => {
   const [formData, setFormData] = useState({
@@ -339,7 +865,8 @@ const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCre
     quota_max: '',
     quota_renewal_rate: 3600,
     target_organization_id: '',
-    tags: []
+    tags: [],
+    partitions: EMPTY_PARTITIONS
   });
   const [selectedApis, setSelectedApis] = useState([]);
   const [selectedOrganizations, setSelectedOrganizations] = useState([]);
@@ -406,7 +933,10 @@ const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCre
       setSelectedApis(prev => [...prev, {
         api_id: api.api_id,
         api_name: api.name,
-        versions: ['Default']
+        versions: ['Default'],
+        allowed_urls: [],
+        limit: null,
+        endpoints: []
       }]);
     } else {
       setSelectedApis(prev => prev.filter(a => a.api_id !== api.api_id));
@@ -450,9 +980,12 @@ const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCre
       if (response.ok) {
         const result = await response.json();
         onPolicyCreated(result.data);
+        if (result.warnings?.length > 0) {
+          onError(`Policy created. ${result.warnings.join('. ')}`);
+        }
       } else {
         const errorData = await response.json().catch(() => ({}));
-        onError(`Failed to create policy: ${errorData.message || response.statusText}`);
+        onError(`Failed to create policy: ${errorData.error || errorData.message || response.statusText}`);
       }
     } catch (error) {
       console.error('Failed to create policy:', error);
@@ -559,6 +1092,20 @@ const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCre
                 </div>
               )}
             </div>
+            {selectedApis.map(access => (
+              <ApiAccessRulesEditor
+                key={access.api_id}
+                access={access}
+                orgId={formData.target_organization_id}
+                defaultLimit={{
+                  rate: formData.rate_limit,
+                  per: formData.rate_per,
+                  quota_max: formData.quota_max,
+                  quota_renewal_rate: formData.quota_renewal_rate
+                }}
+                onChange={(updated) => setSelectedApis(prev => prev.map(a => a.api_id === updated.api_id ? updated : a))}
+              />
+            ))}
           </div>
 
           {/* Organization Access - only for super admins */}
@@ -622,6 +1169,11 @@ const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCre
             </div>
           </div>
 
+          <PolicyPartitionsFields
+            partitions={formData.partitions}
+            onChange={(partitions) => setFormData(prev => ({ ...prev, partitions }))}
+          />
+
           {/* Quota Settings */}
           <div className="form-section">
             <h3>Quota Settings</h3>
@@ -670,14 +1222,95 @@ const PolicyCreateModal = ({ apis, organizations, userRole, onClose, onPolicyCre
   );
 };
 
+const formatLimits = (limits) => {
+  if (!limits) return '—';
+  const quota = limits.quota_max > 0 ? `${limits.quota_max} per ${limits.quota_renewal_rate}s` : 'unlimited';
+  return `${limits.rate}/${limits.per}s, quota ${quota}, APIs: ${limits.apis.join(', ') || 'none'}`;
+};
+
+// Keys, organizations and APIs touched by a proposed policy update or delete
+const PolicyImpactPreview = ({ impact }) => (
+  <div className="impact-preview">
+    <h3>Impact</h3>
+    <p>
+      {impact.summary.key_count} key(s), {impact.summary.organization_count} organization assignment(s)
+      and {impact.summary.api_count} API(s) are affected.
+    </p>
+
+    {impact.gateway_error && (
+      <p className="impact-warning">⚠️ Gateway keys could not be read ({impact.gateway_error}); only keys recorded in TykBasic are listed.</p>
+    )}
+    {impact.warnings.map(warning => (
+      <p key={warning} className="impact-warning">⚠️ {warning}</p>
+    ))}
+
+    <div className="impact-limits">
+      <div><strong>Before:</strong> {formatLimits(impact.before)}</div>
+      <div><strong>After:</strong> {impact.after ? formatLimits(impact.after) : 'policy deleted'}</div>
+    </div>
+
+    {impact.keys.length > 0 && (
+      <table className="revision-table">
+        <thead>
+          <tr>
+            <th>Key</th>
+            <th>Owner</th>
+            <th>Before</th>
+            <th>After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {impact.keys.map(key => (
+            <tr key={key.key_hash}>
+              <td>
+                {key.name || key.key_hash}
+                {!key.sources.includes('gateway') && <div className="impact-note">not on gateway</div>}
+                {key.other_policies.length > 0 && (
+                  <div className="impact-note">also applies {key.other_policies.length} other policy(ies)</div>
+                )}
+              </td>
+              <td>{key.owner_email || '—'}</td>
+              <td>{formatLimits(key.before)}</td>
+              <td>{key.after ? formatLimits(key.after) : (key.before ? 'loses this policy' : '—')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+
+    {impact.organizations.length > 0 && (
+      <p>
+        <strong>Organizations:</strong>{' '}
+        {impact.organizations.map(org => `${org.name || org.id}${org.is_active ? '' : ' (inactive)'}`).join(', ')}
+      </p>
+    )}
+    {impact.apis.length > 0 && (
+      <p>
+        <strong>APIs:</strong>{' '}
+        {impact.apis.map(api => `${api.api_name}${api.change === 'unchanged' ? '' : ` (${api.change})`}`).join(', ')}
+      </p>
+    )}
+  </div>
+);
+
 // Policy Edit Modal Component (simplified for now)
 const PolicyEditModal = ({ policy, onClose, onPolicyUpdated, onError }) => {
   const [formData, setFormData] = useState({
     name: policy.name,
     description: policy.description || '',
-    is_active: policy.is_active
+    is_active: policy.is_active,
+    rate_limit: policy.rate_limit,
+    rate_per: policy.rate_per,
+    quota_max: policy.quota_max > 0 ? policy.quota_max : '',
+    quota_renewal_rate: policy.quota_renewal_rate,
+    partitions: { ...EMPTY_PARTITIONS, ...policy.partitions },
+    comment: ''
   });
   const [loading, setLoading] = useState(false);
+  const [apiAccesses, setApiAccesses] = useState(() => (policy.PolicyApiAccesses || []).map(toApiAccess));
+  const [accessesChanged, setAccessesChanged] = useState(false);
+
+  const [impact, setImpact] = useState(null);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -685,29 +1318,65 @@ const PolicyEditModal = ({ policy, onClose, onPolicyUpdated, onError }) => {
       ...prev,
       [name]: type === 'checkbox' ? checked : value
     }));
+    // The preview no longer matches the form
+    setImpact(null);
+  };
+
+  const handleAccessChange = (updated) => {
+    setApiAccesses(prev => prev.map(access => access.api_id === updated.api_id ? updated : access));
+    setAccessesChanged(true);
+    setImpact(null);
   };
 
+  // API accesses are only sent when edited, since they replace the stored ones
+  const buildChanges = () => ({
+    ...formData,
+    quota_max: formData.quota_max ? parseInt(formData.quota_max) : -1,
+    ...(accessesChanged && { api_accesses: apiAccesses })
+  });
+
+  // First submit previews the impact; the second applies the update
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
       const token = localStorage.getItem('token');
+      const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      };
+
+      if (!impact) {
+        const response = await fetch(`/api/policies/${policy.id}/impact`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ operation: 'update', changes: buildChanges() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (response.ok) {
+          setImpact(result.data);
+        } else {
+          onError(`Failed to preview policy update: ${result.error || response.statusText}`);
+        }
+        return;
+      }
+
       const response = await fetch(`/api/policies/${policy.id}`, {
         method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(formData)
+        headers,
+        body: JSON.stringify(buildChanges())
       });
 
       if (response.ok) {
         const result = await response.json();
         onPolicyUpdated(result.data);
+        if (result.warnings?.length > 0) {
+          onError(`Policy updated. ${result.warnings.join('. ')}`);
+        }
       } else {
         const errorData = await response.json().catch(() => ({}));
-        onError(`Failed to update policy: ${errorData.message || response.statusText}`);
+        onError(`Failed to update policy: ${errorData.error || errorData.message || response.statusText}`);
       }
     } catch (error) {
       console.error('Failed to update policy:', error);
@@ -719,7 +1388,7 @@ const PolicyEditModal = ({ policy, onClose, onPolicyUpdated, onError }) => {
 
   return (
     <div className="modal-overlay">
-      <div className="modal-content">
+      <div className="modal-content large">
         <div className="modal-header">
           <h2>✏️ Edit Policy</h2>
           <button className="modal-close" onClick={onClose}>×</button>
@@ -761,6 +1430,101 @@ const PolicyEditModal = ({ policy, onClose, onPolicyUpdated, onError }) => {
             </label>
           </div>
 
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="edit_rate_limit">Rate Limit (requests)</label>
+              <input
+                type="number"
+                id="edit_rate_limit"
+                name="rate_limit"
+                value={formData.rate_limit}
+                onChange={handleInputChange}
+                min="1"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="edit_rate_per">Per (seconds)</label>
+              <input
+                type="number"
+                id="edit_rate_per"
+                name="rate_per"
+                value={formData.rate_per}
+                onChange={handleInputChange}
+                min="1"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="edit_quota_max">Quota (max requests)</label>
+              <input
+                type="number"
+                id="edit_quota_max"
+                name="quota_max"
+                value={formData.quota_max}
+                onChange={handleInputChange}
+                min="0"
+                placeholder="Leave empty for unlimited"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="edit_quota_renewal_rate">Renewal Period (seconds)</label>
+              <input
+                type="number"
+                id="edit_quota_renewal_rate"
+                name="quota_renewal_rate"
+                value={formData.quota_renewal_rate}
+                onChange={handleInputChange}
+                min="1"
+              />
+            </div>
+          </div>
+
+          <PolicyPartitionsFields
+            partitions={formData.partitions}
+            onChange={(partitions) => {
+              setFormData(prev => ({ ...prev, partitions }));
+              setImpact(null);
+            }}
+          />
+
+          {apiAccesses.length > 0 && (
+            <div className="form-section">
+              <h3>API Access Rules</h3>
+              {apiAccesses.map(access => (
+                <ApiAccessRulesEditor
+                  key={access.api_id}
+                  access={access}
+                  orgId={policy.target_organization_id || policy.owner_organization_id}
+                  defaultLimit={{
+                    rate: formData.rate_limit,
+                    per: formData.rate_per,
+                    quota_max: formData.quota_max,
+                    quota_renewal_rate: formData.quota_renewal_rate
+                  }}
+                  onChange={handleAccessChange}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="edit_comment">Change Comment</label>
+            <input
+              type="text"
+              id="edit_comment"
+              name="comment"
+              value={formData.comment}
+              onChange={handleInputChange}
+              placeholder="Recorded in the policy's revision history (optional)"
+            />
+          </div>
+
+          {impact && <PolicyImpactPreview impact={impact} />}
+
           <div className="form-actions">
             <button type="button" onClick={onClose} disabled={loading}>
               Cancel
@@ -770,7 +1534,7 @@ const PolicyEditModal = ({ policy, onClose, onPolicyUpdated, onError }) => {
               disabled={loading || !formData.name}
               className="btn btn-primary"
             >
-              {loading ? 'Updating Policy...' : '✏️ Update Policy'}
+              {loading ? (impact ? 'Updating Policy...' : 'Checking Impact...') : (impact ? '✅ Confirm Update' : '🔮 Preview Impact')}
             </button>
           </div>
         </form>
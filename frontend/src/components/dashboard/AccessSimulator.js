@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const CHECK_LABELS = {
+  api: 'API',
+  authentication: 'Authentication',
+  key: 'Key',
+  network: 'Network restrictions',
+  policies: 'Policies',
+  access: 'Access rights',
+  version: 'Version',
+  path: 'Path and method',
+  rate_limit: 'Rate limit',
+  quota: 'Quota'
+};
+
+const OUTCOME_ICONS = { pass: '✅', fail: '❌', skip: '➖', info: 'ℹ️' };
+
+const describeQuota = (quota) => {
+  if (!quota || quota.quota_max <= 0) return 'Unlimited';
+  return `${quota.quota_remaining} of ${quota.quota_max} left`;
+};
+
+/**
+ * Explains what a key, or a new key built from a set of policies, can do:
+ * which policy supplies each limit, the APIs, versions and paths it may use,
+ * and whether a given request would be allowed. Nothing is sent to the API.
+ */
+const AccessSimulator = ({ apiKey, onClose }) => {
+  const [mode, setMode] = useState('key');
+  const [keyHash, setKeyHash] = useState(apiKey ? (apiKey.key_hash || apiKey.hash || apiKey.keyId) : '');
+  const [policies, setPolicies] = useState([]);
+  const [policyIds, setPolicyIds] = useState([]);
+  const [method, setMethod] = useState('GET');
+  const [path, setPath] = useState('/');
+  const [version, setVersion] = useState('');
+  const [clientIp, setClientIp] = useState('');
+  const [origin, setOrigin] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+
+  useEffect(() => {
+    if (mode !== 'policies' || policies.length > 0) return;
+    const loadPolicies = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch('/api/policies/available', {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setPolicies(data.data || []);
+        }
+      } catch (err) {
+        console.error('Failed to load policies:', err);
+      }
+    };
+    loadPolicies();
+  }, [mode, policies.length]);
+
+  const togglePolicy = (policyId) => {
+    setPolicyIds(ids => (ids.includes(policyId) ? ids.filter(id => id !== policyId) : [...ids, policyId]));
+  };
+
+  const handleSimulate = async () => {
+    try {
+      setSimulating(true);
+      setError(null);
+      const token = localStorage.getItem('token');
+      const subject = mode === 'key' ? { key_hash: keyHash.trim() } : { policy_ids: policyIds };
+
+      const response = await fetch('/api/tyk/keys/simulate', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...subject, method, path, version, client_ip: clientIp, origin })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to simulate access');
+      }
+
+      setResult(data.data);
+    } catch (err) {
+      console.error('Error simulating access:', err);
+      setError(err.message);
+      setResult(null);
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const canSimulate = path.startsWith('/') && (mode === 'key' ? keyHash.trim() : policyIds.length > 0);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content key-details-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🧪 Access Simulator</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p>
+            Check what a key can do and whether the gateway would allow a request, without sending any traffic.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="simulate-mode">Simulate:</label>
+            <select id="simulate-mode" className="filter-select" value={mode} onChange={e => { setMode(e.target.value); setResult(null); }}>
+              <option value="key">An existing key</option>
+              <option value="policies">A new key from policies</option>
+            </select>
+          </div>
+
+          {mode === 'key' ? (
+            <div className="form-group">
+              <label htmlFor="simulate-key">Key hash:</label>
+              <input id="simulate-key" type="text" value={keyHash} onChange={e => setKeyHash(e.target.value)} />
+            </div>
+          ) : (
+            <div className="form-group">
+              <label>Policies (in the order the key applies them):</label>
+              {policies.length === 0 ? (
+                <small>No policies available</small>
+              ) : (
+                policies.map(policy => (
+                  <label key={policy.id} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={policyIds.includes(policy.id)}
+                      onChange={() => togglePolicy(policy.id)}
+                    />
+                    {policy.name}
+                  </label>
+                ))
+              )}
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="simulate-method">Method:</label>
+              <select id="simulate-method" className="filter-select" value={method} onChange={e => setMethod(e.target.value)}>
+                {HTTP_METHODS.map(m => (
+                  <option key={m} value={m}>{m}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="simulate-path">Path (including the API's listen path):</label>
+              <input id="simulate-path" type="text" value={path} onChange={e => setPath(e.target.value)} placeholder="/my-api/users/42" />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="simulate-version">Version (optional):</label>
+              <input id="simulate-version" type="text" value={version} onChange={e => setVersion(e.target.value)} placeholder="API default" />
+            </div>
+            <div className="form-group">
+              <label htmlFor="simulate-ip">Client IP (optional):</label>
+              <input id="simulate-ip" type="text" value={clientIp} onChange={e => setClientIp(e.target.value)} placeholder="203.0.113.7" />
+            </div>
+            <div className="form-group">
+              <label htmlFor="simulate-origin">Origin (optional):</label>
+              <input id="simulate-origin" type="text" value={origin} onChange={e => setOrigin(e.target.value)} placeholder="https://app.example.com" />
+            </div>
+          </div>
+
+          {error && <div className="hmac-check invalid">❌ {error}</div>}
+
+          {result && (
+            <>
+              <div className={`hmac-check ${result.decision.allowed ? 'valid' : 'invalid'}`}>
+                {result.decision.allowed ? '✅ Allowed' : `❌ Denied (${result.decision.status})`}: {result.decision.reason}
+              </div>
+
+              <div className="detail-section">
+                <h3>Checks{result.api ? ` for ${result.api.name}` : ''}</h3>
+                <ul className="simulation-checks">
+                  {result.checks.map(item => (
+                    <li key={item.check} className={`simulation-check ${item.outcome}`}>
+                      <span className="simulation-check-icon">{OUTCOME_ICONS[item.outcome]}</span>
+                      <strong>{CHECK_LABELS[item.check] || item.check}:</strong> {item.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="detail-section">
+                <h3>Effective Access</h3>
+                <div>
+                  {result.effective.parts.filter(part => part.part !== 'acl').map(part => (
+                    <div className="detail-item" key={part.part}>
+                      <label>{part.label.charAt(0).toUpperCase() + part.label.slice(1)}:</label>
+                      <span>{part.applied ? `from ${part.applied.name}` : 'not set'}</span>
+                    </div>
+                  ))}
+                  <div className="detail-item">
+                    <label>Rate limit:</label>
+                    <span>
+                      {result.effective.rate_limit
+                        ? `${result.effective.rate_limit.rate} per ${result.effective.rate_limit.per}s`
+                        : 'None'}
+                    </span>
+                  </div>
+                  <div className="detail-item">
+                    <label>Quota:</label>
+                    <span>{describeQuota(result.effective.quota)}</span>
+                  </div>
+                </div>
+
+                {result.effective.apis.length === 0 ? (
+                  <p>No API access.</p>
+                ) : (
+                  <table className="simulation-apis">
+                    <thead>
+                      <tr>
+                        <th>API</th>
+                        <th>Versions</th>
+                        <th>Allowed paths</th>
+                        <th>From</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.effective.apis.map(api => (
+                        <tr key={api.api_id}>
+                          <td>{api.api_name}</td>
+                          <td>{api.versions.join(', ') || 'All'}</td>
+                          <td>
+                            {api.allowed_urls.length === 0
+                              ? 'All'
+                              : api.allowed_urls.map(rule => `${rule.methods.join(', ')} ${rule.url}`).join('; ')}
+                          </td>
+                          <td>{api.policies.map(policy => policy.name).join(', ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {result.warnings.length > 0 && (
+                <div className="detail-section">
+                  <h3>Notes</h3>
+                  <ul>
+                    {result.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleSimulate}
+            disabled={simulating || !canSimulate}
+          >
+            {simulating ? 'Checking...' : 'Simulate Request'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessSimulator;
@@ -5,6 +5,8 @@ import KeyCreationModal from './KeyCreationModal';
 import KeySuccessModal from './KeySuccessModal';
 import KeyManagement from '../KeyManagement';
 import CertificateManagement from '../CertificateManagement';
+import OAuthClientManagement from '../OAuthClientManagement';
+import ApiManagement from '../ApiManagement';
 import './Dashboard.css';
 
 const Dashboard = () => {
@@ -84,8 +86,8 @@ const Dashboard = () => {
         console.log('📊 API count updated:', apiCount);
       }
 
-      // Load Keys count  
-      const keysResponse = await fetch('/api/tyk/keys', {
+      // Load Keys count (only the total is needed, so ask for a single-key page)
+      const keysResponse = await fetch('/api/tyk/keys?limit=1', {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -96,7 +98,9 @@ const Dashboard = () => {
         const keysData = await keysResponse.json();
         // Tyk returns { keys: [...] } structure in data field
         let keyCount = 0;
-        if (keysData.data?.keys && Array.isArray(keysData.data.keys)) {
+        if (keysData.pagination) {
+          keyCount = keysData.pagination.total;
+        } else if (keysData.data?.keys && Array.isArray(keysData.data.keys)) {
           keyCount = keysData.data.keys.length;
         } else if (keysData.data && Array.isArray(keysData.data)) {
           keyCount = keysData.data.length;
@@ -138,7 +142,9 @@ const Dashboard = () => {
         const data = await response.json();
         console.log('API Keys:', data);
         let keyCount = 0;
-        if (data.data?.keys && Array.isArray(data.data.keys)) {
+        if (data.pagination) {
+          keyCount = data.pagination.total;
+        } else if (data.data?.keys && Array.isArray(data.data.keys)) {
           keyCount = data.data.keys.length;
         } else if (data.data && Array.isArray(data.data)) {
           keyCount = data.data.length;
@@ -257,7 +263,13 @@ const Dashboard = () => {
       if (response.ok) {
         const data = await response.json();
         console.log('🚀 Changes Deployed:', data);
-        alert('🚀 Changes deployed successfully!\n\n✅ All API changes are now live and available.');
+        if (data.success) {
+          alert('🚀 Changes deployed successfully!\n\n✅ All API changes are now live and available.');
+        } else {
+          // Partial reload - some gateway nodes did not respond
+          const failedNodes = (data.data || []).filter(result => !result.success);
+          setError(`${data.message}: ${failedNodes.map(result => `${result.node.name} (${result.error})`).join(', ')}`);
+        }
         checkTykGatewayStatus(); // Refresh status
         loadDashboardStats(); // Refresh stats after reload
       } else {
@@ -278,10 +290,14 @@ const Dashboard = () => {
 
   const renderContent = () => {
     switch (activeView) {
+      case 'apis':
+        return <ApiManagement />;
       case 'keys':
         return <KeyManagement />;
       case 'certificates':
         return <CertificateManagement />;
+      case 'oauth':
+        return <OAuthClientManagement />;
       case 'dashboard':
       default:
         return (
@@ -342,6 +358,13 @@ const Dashboard = () => {
                     >
                       🔑 Create API Key
                     </button>
+                    <button 
+                      className="action-btn secondary" 
+                      onClick={() => setActiveView('apis')}
+                      disabled={loading}
+                    >
+                      📥 Import OpenAPI Spec
+                    </button>
                     <button 
                       className="action-btn secondary" 
                       onClick={() => setActiveView('keys')}
@@ -448,6 +471,12 @@ const Dashboard = () => {
             >
               🏠 Dashboard
             </button>
+            <button 
+              className={`nav-btn ${activeView === 'apis' ? 'active' : ''}`}
+              onClick={() => setActiveView('apis')}
+            >
+              🌐 APIs
+            </button>
             <button 
               className={`nav-btn ${activeView === 'keys' ? 'active' : ''}`}
               onClick={() => setActiveView('keys')}
@@ -460,6 +489,12 @@ const Dashboard = () => {
             >
               📜 Certificates
             </button>
+            <button 
+              className={`nav-btn ${activeView === 'oauth' ? 'active' : ''}`}
+              onClick={() => setActiveView('oauth')}
+            >
+              🪪 OAuth Clients
+            </button>
             {user && ['super_admin', 'admin'].includes(user.role) && (
               <Link to="/admin" className="nav-btn admin-link">
                 ⚙️ Admin
@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+
+// Browser digest names for the algorithms Tyk accepts
+const SUBTLE_HASHES = {
+  'hmac-sha1': 'SHA-1',
+  'hmac-sha256': 'SHA-256',
+  'hmac-sha384': 'SHA-384',
+  'hmac-sha512': 'SHA-512'
+};
+
+// Parses "Name: value" lines into a header object
+const parseHeaderLines = (text) => {
+  const headers = {};
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+};
+
+const buildSigningString = (method, path, headers, headerNames) =>
+  headerNames.map(name => (
+    name === '(request-target)'
+      ? `(request-target): ${method.toLowerCase()} ${path}`
+      : `${name}: ${headers[name] ?? ''}`
+  )).join('\n');
+
+const signInBrowser = async (signingString, secret, algorithm) => {
+  const encoder = new TextEncoder();
+  const cryptoKey = await window.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: SUBTLE_HASHES[algorithm] },
+    false,
+    ['sign']
+  );
+  const signature = await window.crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(signingString));
+  return btoa(String.fromCharCode(...new Uint8Array(signature)));
+};
+
+/**
+ * Builds the signing string and Authorization header for an HMAC-signed key,
+ * and checks a client's signature against the secret stored for the key.
+ * A secret typed in here is only used in the browser and never sent.
+ */
+const HmacSigningHelper = ({ apiKey, onClose }) => {
+  const keyHash = apiKey.key_hash || apiKey.hash || apiKey.keyId;
+  const algorithm = apiKey.meta_data?.hmac_algorithm || 'hmac-sha256';
+
+  const [method, setMethod] = useState('GET');
+  const [path, setPath] = useState('/');
+  const [date, setDate] = useState(new Date().toUTCString());
+  const [signedHeaders, setSignedHeaders] = useState('(request-target) date');
+  const [extraHeaders, setExtraHeaders] = useState('');
+  const [secret, setSecret] = useState('');
+  const [signature, setSignature] = useState('');
+  const [result, setResult] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const getRequest = () => {
+    const headerNames = signedHeaders.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const headers = { ...parseHeaderLines(extraHeaders), date };
+    return { headerNames, headers };
+  };
+
+  const handleBuild = async () => {
+    setError(null);
+    setVerification(null);
+    try {
+      const { headerNames, headers } = getRequest();
+      const signingString = buildSigningString(method, path, headers, headerNames);
+      let localSignature = null;
+      if (secret) {
+        localSignature = await signInBrowser(signingString, secret, algorithm);
+        setSignature(localSignature);
+      }
+      setResult({
+        signingString,
+        authorization: `Signature keyId="<your API key>",algorithm="${algorithm}",headers="${headerNames.join(' ')}",signature="${localSignature ? encodeURIComponent(localSignature) : '<URL-encoded base64 signature>'}"`
+      });
+    } catch (err) {
+      console.error('Error signing request:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      setError(null);
+      const token = localStorage.getItem('token');
+      const { headerNames, headers } = getRequest();
+
+      const response = await fetch(`/api/tyk/keys/${keyHash}/hmac/verify`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ method, path, headers, header_names: headerNames, signature })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to verify signature');
+      }
+
+      setVerification(data.data);
+    } catch (err) {
+      console.error('Error verifying signature:', err);
+      setError(err.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content key-details-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>✍️ HMAC Signing Helper</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p>
+            Requests with <strong>{apiKey.alias || 'this key'}</strong> are signed with {algorithm}.
+            Describe a request to see exactly what your client must sign.
+          </p>
+
+          {error && <div className="hmac-check invalid">❌ {error}</div>}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="hmac-method">Method:</label>
+              <select id="hmac-method" className="filter-select" value={method} onChange={e => setMethod(e.target.value)}>
+                {['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'].map(m => (
+                  <option key={m} value={m}>{m}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="hmac-path">Path (with query string):</label>
+              <input id="hmac-path" type="text" value={path} onChange={e => setPath(e.target.value)} />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="hmac-date">Date header:</label>
+            <div className="key-value-with-copy">
+              <input id="hmac-date" type="text" value={date} onChange={e => setDate(e.target.value)} />
+              <button onClick={() => setDate(new Date().toUTCString())} title="Use the current time">🕒</button>
+            </div>
+            <small>Tyk rejects signatures whose Date is too far from the gateway's clock.</small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="hmac-headers">Signed headers (in order):</label>
+            <input id="hmac-headers" type="text" value={signedHeaders} onChange={e => setSignedHeaders(e.target.value)} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="hmac-extra">Other signed header values (one "Name: value" per line):</label>
+            <textarea id="hmac-extra" rows="2" value={extraHeaders} onChange={e => setExtraHeaders(e.target.value)} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="hmac-secret">Shared secret (optional, stays in your browser):</label>
+            <input id="hmac-secret" type="password" value={secret} onChange={e => setSecret(e.target.value)} autoComplete="off" />
+          </div>
+
+          {result && (
+            <div className="detail-section">
+              <h3>Signing String</h3>
+              <pre className="hmac-output">{result.signingString}</pre>
+              <h3>Authorization Header</h3>
+              <pre className="hmac-output">{result.authorization}</pre>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="hmac-signature">Signature to check (base64, URL-encoded or not):</label>
+            <input id="hmac-signature" type="text" value={signature} onChange={e => setSignature(e.target.value)} />
+          </div>
+
+          {verification && verification.valid !== null && (
+            <div className={`hmac-check ${verification.valid ? 'valid' : 'invalid'}`}>
+              {verification.valid
+                ? '✅ Signature matches the secret stored for this key'
+                : '❌ Signature does not match. Compare your signing string with the one below.'}
+              {!verification.valid && <pre className="hmac-output">{verification.signing_string}</pre>}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+          <button className="btn btn-outline" onClick={handleBuild}>
+            {secret ? 'Build & Sign' : 'Build Signing String'}
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleVerify}
+            disabled={verifying || !signature}
+          >
+            {verifying ? 'Checking...' : 'Check Signature'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HmacSigningHelper;
@@ -1,16 +1,69 @@
 import React, { useState, useEffect } from 'react';
 import './KeyCreationModal.css';
 
+const PART_LABELS = {
+  acl: 'Access rights',
+  rate_limit: 'Rate limit',
+  quota: 'Quota',
+  complexity: 'Query depth'
+};
+
+const formatPartValue = ({ part, value }) => {
+  if (!value) return '—';
+  if (part === 'rate_limit') return `${value.rate} requests per ${value.per}s`;
+  if (part === 'quota') return value.quota_max === -1 ? 'Unlimited' : `${value.quota_max} per ${value.quota_renewal_rate}s`;
+  if (part === 'complexity') return value.max_query_depth === -1 ? 'Unlimited' : `Depth ${value.max_query_depth}`;
+  return '—';
+};
+
+// Which of the combined policies supplies each part of the key's session
+const PolicySourcesSummary = ({ sources }) => (
+  <div className="policy-details">
+    <h4>Combined Access</h4>
+    <div className="policy-info">
+      {sources.parts.map(part => (
+        <div key={part.part} className="policy-info-row">
+          <span className="label">{PART_LABELS[part.part]}:</span>
+          <span className="value">
+            {part.part === 'acl'
+              ? (sources.apis.length > 0
+                ? sources.apis.map(api => `${api.api_name} (from ${api.policies.map(p => p.name).join(', ')})`).join('; ')
+                : 'No APIs')
+              : part.applied
+                ? `${formatPartValue(part)} — from ${part.applied.name}`
+                : 'Not supplied by any policy'}
+          </span>
+        </div>
+      ))}
+    </div>
+    {sources.errors.map(message => <p key={message} className="policy-sources-error">⛔ {message}</p>)}
+    {sources.warnings.map(message => <p key={message} className="policy-sources-warning">⚠️ {message}</p>)}
+  </div>
+);
+
 const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     policy_id: '',
-    expires: '' // Optional expiration
+    expires: '', // Optional expiration
+    hmac_enabled: false,
+    hmac_algorithm: 'hmac-sha256',
+    credential_type: 'api_key',
+    username: '',
+    password: '',
+    certificate_source: 'generate', // 'generate' or 'upload'
+    certificate: '',
+    certificate_valid_days: 365,
+    allowed_ips: '',
+    blocked_ips: '',
+    allowed_origins: ''
   });
   
   const [policies, setPolicies] = useState([]);
   const [selectedPolicy, setSelectedPolicy] = useState(null);
+  const [extraPolicyIds, setExtraPolicyIds] = useState([]);
+  const [policySources, setPolicySources] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -46,6 +99,44 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
     }
   };
 
+  // Explain the combination whenever a key would apply more than one policy
+  useEffect(() => {
+    const policyIds = [formData.policy_id, ...extraPolicyIds].filter(Boolean);
+    if (!formData.policy_id || policyIds.length < 2) {
+      setPolicySources(null);
+      return;
+    }
+
+    let cancelled = false;
+    const loadPolicySources = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch('/api/policies/combine', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ policy_ids: policyIds.map(id => parseInt(id)) })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!cancelled) {
+          setPolicySources(response.ok ? data.data : { error: data.error || response.statusText });
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setPolicySources({ error: error.message });
+        }
+      }
+    };
+    loadPolicySources();
+    return () => { cancelled = true; };
+  }, [formData.policy_id, extraPolicyIds]);
+
+  const toggleExtraPolicy = (policyId, checked) => {
+    setExtraPolicyIds(prev => checked ? [...prev, String(policyId)] : prev.filter(id => id !== String(policyId)));
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -57,6 +148,7 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
     if (name === 'policy_id') {
       const policy = policies.find(p => p.id === parseInt(value));
       setSelectedPolicy(policy);
+      setExtraPolicyIds(prev => prev.filter(id => id !== value));
     }
   };
 
@@ -78,11 +170,43 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
         policy_id: parseInt(formData.policy_id)
       };
 
+      if (extraPolicyIds.length > 0) {
+        keyData.policy_ids = [formData.policy_id, ...extraPolicyIds].map(id => parseInt(id));
+      }
+
       // Add expiration if specified
       if (formData.expires) {
         keyData.expires = new Date(formData.expires).getTime() / 1000;
       }
 
+      if (formData.credential_type === 'basic_auth') {
+        keyData.credential_type = 'basic_auth';
+        keyData.username = formData.username.trim();
+        // Leave the password out to have a strong one generated
+        if (formData.password) {
+          keyData.password = formData.password;
+        }
+      } else if (formData.credential_type === 'mtls_certificate') {
+        keyData.credential_type = 'mtls_certificate';
+        if (formData.certificate_source === 'upload') {
+          keyData.certificate = formData.certificate.trim();
+        } else {
+          keyData.certificate_valid_days = parseInt(formData.certificate_valid_days);
+        }
+      } else if (formData.hmac_enabled) {
+        keyData.hmac_enabled = true;
+        keyData.hmac_algorithm = formData.hmac_algorithm;
+      }
+
+      // The server validates and normalizes the lists (one entry per line or comma separated)
+      if (formData.allowed_ips.trim() || formData.blocked_ips.trim() || formData.allowed_origins.trim()) {
+        keyData.network_restrictions = {
+          allowed_ips: formData.allowed_ips,
+          blocked_ips: formData.blocked_ips,
+          allowed_origins: formData.allowed_origins
+        };
+      }
+
       console.log('🔑 Creating policy-based key with data:', keyData);
 
       const token = localStorage.getItem('token');
@@ -118,9 +242,22 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
       name: '',
       description: '',
       policy_id: '',
-      expires: ''
+      expires: '',
+      hmac_enabled: false,
+      hmac_algorithm: 'hmac-sha256',
+      credential_type: 'api_key',
+      username: '',
+      password: '',
+      certificate_source: 'generate',
+      certificate: '',
+      certificate_valid_days: 365,
+      allowed_ips: '',
+      blocked_ips: '',
+      allowed_origins: ''
     });
     setSelectedPolicy(null);
+    setExtraPolicyIds([]);
+    setPolicySources(null);
     setShowAdvanced(false);
     setError(null);
     onClose();
@@ -171,6 +308,103 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
                 rows="3"
               />
             </div>
+
+            <div className="form-group">
+              <label htmlFor="credential_type">Credential Type</label>
+              <select
+                id="credential_type"
+                name="credential_type"
+                value={formData.credential_type}
+                onChange={handleInputChange}
+              >
+                <option value="api_key">API key</option>
+                <option value="basic_auth">Basic auth (username and password)</option>
+                <option value="mtls_certificate">Client certificate (mTLS)</option>
+              </select>
+              {formData.credential_type === 'basic_auth' && (
+                <small>Only works with APIs that use basic authentication.</small>
+              )}
+              {formData.credential_type === 'mtls_certificate' && (
+                <small>The key is bound to a client certificate, which clients present instead of a token. Only works with APIs that accept client certificates.</small>
+              )}
+            </div>
+
+            {formData.credential_type === 'basic_auth' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="username">Username *</label>
+                  <input
+                    type="text"
+                    id="username"
+                    name="username"
+                    value={formData.username}
+                    onChange={handleInputChange}
+                    placeholder="e.g., billing-service"
+                    autoComplete="off"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="password">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleInputChange}
+                    placeholder="Leave empty to generate one"
+                    autoComplete="new-password"
+                  />
+                  <small>At least 12 characters. The password is shown once after creation and is not stored by TykBasic.</small>
+                </div>
+              </>
+            )}
+
+            {formData.credential_type === 'mtls_certificate' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="certificate_source">Certificate</label>
+                  <select
+                    id="certificate_source"
+                    name="certificate_source"
+                    value={formData.certificate_source}
+                    onChange={handleInputChange}
+                  >
+                    <option value="generate">Generate a new certificate and private key</option>
+                    <option value="upload">Use my own certificate</option>
+                  </select>
+                </div>
+                {formData.certificate_source === 'upload' ? (
+                  <div className="form-group">
+                    <label htmlFor="certificate">Certificate PEM *</label>
+                    <textarea
+                      id="certificate"
+                      name="certificate"
+                      value={formData.certificate}
+                      onChange={handleInputChange}
+                      placeholder="-----BEGIN CERTIFICATE-----"
+                      rows="6"
+                      required
+                    />
+                    <small>Paste the certificate only; the private key stays with the client.</small>
+                  </div>
+                ) : (
+                  <div className="form-group">
+                    <label htmlFor="certificate_valid_days">Valid for (days)</label>
+                    <input
+                      type="number"
+                      id="certificate_valid_days"
+                      name="certificate_valid_days"
+                      min="1"
+                      max="825"
+                      value={formData.certificate_valid_days}
+                      onChange={handleInputChange}
+                    />
+                    <small>The private key is shown once after creation. The key expires with the certificate.</small>
+                  </div>
+                )}
+              </>
+            )}
           </div>
 
           {/* Policy Selection */}
@@ -238,6 +472,38 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
                   </div>
                 </div>
               )}
+
+              {formData.policy_id && policies.length > 1 && (
+                <div className="form-group">
+                  <label>Combine With Other Policies</label>
+                  <small>
+                    Apply several policies together, e.g. one for the APIs and another for the quota.
+                    Partitioned policies only supply the parts named next to them.
+                  </small>
+                  <div className="extra-policies">
+                    {policies.filter(policy => String(policy.id) !== String(formData.policy_id)).map(policy => (
+                      <label key={policy.id} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={extraPolicyIds.includes(String(policy.id))}
+                          onChange={(e) => toggleExtraPolicy(policy.id, e.target.checked)}
+                        />
+                        <span>
+                          {policy.name}
+                          {policy.partitions && Object.keys(PART_LABELS).some(part => policy.partitions[part]) && (
+                            <small> ({Object.keys(PART_LABELS).filter(part => policy.partitions[part]).map(part => PART_LABELS[part]).join(', ')} only)</small>
+                          )}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {policySources?.error && (
+                <p className="policy-sources-error">⚠️ Could not combine policies: {policySources.error}</p>
+              )}
+              {policySources?.parts && <PolicySourcesSummary sources={policySources} />}
             </div>
           </div>
 
@@ -266,6 +532,80 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
                   </div>
                 </div>
 
+                {/* HMAC request signing */}
+                {formData.credential_type === 'api_key' && (
+                  <div className="advanced-subsection">
+                    <h4>Request Signing</h4>
+                    <div className="form-group">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={formData.hmac_enabled}
+                          onChange={(e) => setFormData(prev => ({ ...prev, hmac_enabled: e.target.checked }))}
+                        />
+                        {' '}Enable HMAC signatures
+                      </label>
+                      <small>Clients sign each request with a shared secret instead of sending the key itself. Use with APIs that have signature checking enabled.</small>
+                    </div>
+                    {formData.hmac_enabled && (
+                      <div className="form-group">
+                        <label htmlFor="hmac_algorithm">Algorithm</label>
+                        <select
+                          id="hmac_algorithm"
+                          name="hmac_algorithm"
+                          value={formData.hmac_algorithm}
+                          onChange={handleInputChange}
+                        >
+                          <option value="hmac-sha256">hmac-sha256</option>
+                          <option value="hmac-sha384">hmac-sha384</option>
+                          <option value="hmac-sha512">hmac-sha512</option>
+                          <option value="hmac-sha1">hmac-sha1 (legacy)</option>
+                        </select>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Network restrictions */}
+                <div className="advanced-subsection">
+                  <h4>Network Restrictions</h4>
+                  <div className="form-group">
+                    <label htmlFor="allowed_ips">Allowed IPs</label>
+                    <textarea
+                      id="allowed_ips"
+                      name="allowed_ips"
+                      value={formData.allowed_ips}
+                      onChange={handleInputChange}
+                      placeholder={'203.0.113.0/24\n2001:db8::/32'}
+                      rows="2"
+                    />
+                    <small>Addresses or CIDR ranges, one per line. Leave empty to allow any address.</small>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="blocked_ips">Blocked IPs</label>
+                    <textarea
+                      id="blocked_ips"
+                      name="blocked_ips"
+                      value={formData.blocked_ips}
+                      onChange={handleInputChange}
+                      placeholder="198.51.100.0/24"
+                      rows="2"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="allowed_origins">Allowed Origins</label>
+                    <textarea
+                      id="allowed_origins"
+                      name="allowed_origins"
+                      value={formData.allowed_origins}
+                      onChange={handleInputChange}
+                      placeholder={'https://app.example.com\nhttps://*.example.com'}
+                      rows="2"
+                    />
+                    <small>Browser requests must come from one of these origins. Only enforced on APIs that run the keyNetworkRestrictions middleware.</small>
+                  </div>
+                </div>
+
                 {/* Policy Information */}
                 <div className="advanced-subsection">
                   <h4>About Policy-Based Keys</h4>
@@ -285,7 +625,7 @@ const KeyCreationModal = ({ isOpen, onClose, onKeyCreated }) => {
             </button>
             <button 
               type="submit" 
-              disabled={loading || !formData.policy_id}
+              disabled={loading || !formData.policy_id || policySources?.errors?.length > 0}
               className="primary"
             >
               {loading ? 'Creating Key...' : '🔑 Create Key'}
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import './KeyCreationModal.css';
+
+const EMPTY_REQUEST = {
+  name: '',
+  purpose: '',
+  policy_id: '',
+  expires_at: '',
+  hmac_enabled: false,
+  hmac_algorithm: 'hmac-sha256'
+};
+
+/**
+ * Asks an organization admin for a new API key. Used instead of
+ * KeyCreationModal when the organization requires key approval.
+ */
+const KeyRequestModal = ({ isOpen, onClose, onSubmitted }) => {
+  const [formData, setFormData] = useState(EMPTY_REQUEST);
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadPolicies();
+    }
+  }, [isOpen]);
+
+  const loadPolicies = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/policies/available', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to load available policies');
+      }
+      const data = await response.json();
+      setPolicies(data.data || []);
+    } catch (err) {
+      console.error('Failed to load policies:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleClose = () => {
+    setFormData(EMPTY_REQUEST);
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/tyk/key-requests', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          name: formData.name,
+          purpose: formData.purpose,
+          policy_id: parseInt(formData.policy_id),
+          expires_at: formData.expires_at ? new Date(formData.expires_at).toISOString() : null,
+          hmac_enabled: formData.hmac_enabled,
+          hmac_algorithm: formData.hmac_algorithm
+        })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to submit key request');
+      }
+
+      console.log('📨 Key request submitted:', data.data.id);
+      setFormData(EMPTY_REQUEST);
+      onSubmitted(data.data);
+    } catch (err) {
+      console.error('Error submitting key request:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>📨 Request API Key</h2>
+          <button className="modal-close" onClick={handleClose}>×</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="key-creation-form">
+          {error && (
+            <div className="error-message">
+              ⚠️ {error}
+            </div>
+          )}
+
+          <div className="form-section">
+            <p>
+              Your organization approves new keys. Once an admin approves this request,
+              you can reveal the key once under My Key Requests.
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="request-name">Key Name *</label>
+              <input
+                type="text"
+                id="request-name"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                maxLength="100"
+                placeholder="e.g., Mobile App Key"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="request-purpose">Purpose *</label>
+              <textarea
+                id="request-purpose"
+                name="purpose"
+                value={formData.purpose}
+                onChange={handleInputChange}
+                maxLength="1000"
+                placeholder="What will this key be used for?"
+                rows="3"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="request-policy">Policy *</label>
+              <select
+                id="request-policy"
+                name="policy_id"
+                value={formData.policy_id}
+                onChange={handleInputChange}
+                required
+              >
+                <option value="">Choose a policy...</option>
+                {policies.map(policy => (
+                  <option key={policy.id} value={policy.id}>
+                    {policy.name} ({policy.rate_limit} req / {policy.rate_per}s)
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="request-expires">Needed Until</label>
+              <input
+                type="datetime-local"
+                id="request-expires"
+                name="expires_at"
+                value={formData.expires_at}
+                onChange={handleInputChange}
+              />
+              <small>Leave empty if the key should not expire. The approving admin may change this.</small>
+            </div>
+
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={formData.hmac_enabled}
+                  onChange={(e) => setFormData(prev => ({ ...prev, hmac_enabled: e.target.checked }))}
+                />
+                {' '}Enable HMAC signatures
+              </label>
+            </div>
+            {formData.hmac_enabled && (
+              <div className="form-group">
+                <label htmlFor="request-hmac-algorithm">Algorithm</label>
+                <select
+                  id="request-hmac-algorithm"
+                  name="hmac_algorithm"
+                  value={formData.hmac_algorithm}
+                  onChange={handleInputChange}
+                >
+                  <option value="hmac-sha256">hmac-sha256</option>
+                  <option value="hmac-sha384">hmac-sha384</option>
+                  <option value="hmac-sha512">hmac-sha512</option>
+                  <option value="hmac-sha1">hmac-sha1 (legacy)</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className="form-actions">
+            <button type="button" onClick={handleClose} disabled={loading}>
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || !formData.policy_id}
+              className="primary"
+            >
+              {loading ? 'Submitting...' : '📨 Submit Request'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default KeyRequestModal;
@@ -10,6 +10,10 @@ const KeySuccessModal = ({ isOpen, onClose, keyData, formData, selectedApis }) =
   const keyValue = keyData.key || keyData.keyId || 'Generated';
   const keyHash = keyData.key_hash || keyData.hash || 'N/A';
   const status = keyData.status || 'unknown';
+  const rotation = keyData.rotation;
+  const hmac = keyData.hmac;
+  const basicAuth = keyData.basic_auth;
+  const certificate = keyData.certificate;
 
   const copyToClipboard = async (text, fieldName) => {
     try {
@@ -30,51 +34,133 @@ const KeySuccessModal = ({ isOpen, onClose, keyData, formData, selectedApis }) =
     }
   };
 
+  const downloadFile = (content, filename) => {
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/x-pem-file' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const testApiPath = selectedApis.length > 0 ? selectedApis[0].proxy?.listen_path : '/your-api-path/';
   const gatewayUrl = 'http://localhost:8080';
 
-  const curlExample = `curl -H "Authorization: ${keyValue}" \\
+  const curlExample = certificate
+    ? `curl --cert client-cert.pem --key client-key.pem \\
+     ${gatewayUrl}${testApiPath}get`
+    : basicAuth
+    ? `curl -u "${basicAuth.username}:${basicAuth.password}" \\
+     ${gatewayUrl}${testApiPath}get`
+    : hmac
+    ? `DATE="$(date -u '+%a, %d %b %Y %H:%M:%S GMT')"
+SIG=$(printf 'date: %s' "$DATE" | openssl dgst -${hmac.algorithm.replace('hmac-', '')} -hmac "${hmac.secret}" -binary | base64 | sed 's/+/%2B/g; s/\\//%2F/g; s/=/%3D/g')
+curl -H "Date: $DATE" \\
+     -H "Authorization: Signature keyId=\\"${keyValue}\\",algorithm=\\"${hmac.algorithm}\\",headers=\\"date\\",signature=\\"$SIG\\"" \\
+     ${gatewayUrl}${testApiPath}get`
+    : `curl -H "Authorization: ${keyValue}" \\
      ${gatewayUrl}${testApiPath}get`;
 
   const httpExample = `GET ${testApiPath}get HTTP/1.1
 Host: localhost:8080
-Authorization: ${keyValue}
+Authorization: ${basicAuth ? `Basic ${btoa(`${basicAuth.username}:${basicAuth.password}`)}` : keyValue}
 Content-Type: application/json`;
 
   return (
     <div className="modal-overlay">
       <div className="modal-content key-success-modal">
         <div className="modal-header">
-          <h2>🎉 API Key Created Successfully!</h2>
+          <h2>{rotation ? '🔄 API Key Rotated' : '🎉 API Key Created Successfully!'}</h2>
           <button className="modal-close" onClick={onClose}>×</button>
         </div>
 
         <div className="key-success-content">
           <div className="success-message">
-            <p>✅ Your API key has been created and is ready to use!</p>
+            <p>
+              {rotation
+                ? '✅ Your replacement key is ready to use. Update your clients before the old key stops working.'
+                : '✅ Your API key has been created and is ready to use!'}
+            </p>
           </div>
 
+          {rotation && (
+            <div className="rotation-notice">
+              <div className="config-item">
+                <span className="config-label">Replaces key:</span>
+                <span className="config-value"><code>{rotation.previous_key_hash}</code></span>
+              </div>
+              <div className="config-item">
+                <span className="config-label">Old key valid until:</span>
+                <span className="config-value">
+                  {rotation.grace_period_hours > 0
+                    ? new Date(rotation.grace_ends_at).toLocaleString()
+                    : 'Deactivated immediately'}
+                </span>
+              </div>
+            </div>
+          )}
+
           <div className="key-details">
             <div className="detail-section">
-              <h3>🔐 API Key Information</h3>
+              <h3>{basicAuth ? '🔐 Basic Auth Credentials' : '🔐 API Key Information'}</h3>
               
-              <div className="copy-field">
-                <label>API Key (Use this for authentication):</label>
-                <div className="copy-input-group">
-                  <input 
-                    type="text" 
-                    value={keyValue} 
-                    readOnly 
-                    className="copy-input"
-                  />
-                  <button 
-                    className="copy-btn"
-                    onClick={() => copyToClipboard(keyValue, 'key')}
-                  >
-                    {copiedField === 'key' ? '✓ Copied!' : '📋 Copy'}
-                  </button>
+              {basicAuth ? (
+                <>
+                  <div className="copy-field">
+                    <label>Username:</label>
+                    <div className="copy-input-group">
+                      <input 
+                        type="text" 
+                        value={basicAuth.username} 
+                        readOnly 
+                        className="copy-input"
+                      />
+                      <button 
+                        className="copy-btn"
+                        onClick={() => copyToClipboard(basicAuth.username, 'username')}
+                      >
+                        {copiedField === 'username' ? '✓ Copied!' : '📋 Copy'}
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="copy-field">
+                    <label>Password - shown only once:</label>
+                    <div className="copy-input-group">
+                      <input 
+                        type="text" 
+                        value={basicAuth.password} 
+                        readOnly 
+                        className="copy-input"
+                      />
+                      <button 
+                        className="copy-btn"
+                        onClick={() => copyToClipboard(basicAuth.password, 'password')}
+                      >
+                        {copiedField === 'password' ? '✓ Copied!' : '📋 Copy'}
+                      </button>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <div className="copy-field">
+                  <label>API Key (Use this for authentication):</label>
+                  <div className="copy-input-group">
+                    <input 
+                      type="text" 
+                      value={keyValue} 
+                      readOnly 
+                      className="copy-input"
+                    />
+                    <button 
+                      className="copy-btn"
+                      onClick={() => copyToClipboard(keyValue, 'key')}
+                    >
+                      {copiedField === 'key' ? '✓ Copied!' : '📋 Copy'}
+                    </button>
+                  </div>
                 </div>
-              </div>
+              )}
 
               <div className="copy-field">
                 <label>Key Hash (Internal ID):</label>
@@ -95,6 +181,76 @@ Content-Type: application/json`;
               </div>
             </div>
 
+            {hmac && (
+              <div className="detail-section">
+                <h3>✍️ HMAC Signing Secret</h3>
+                <div className="copy-field">
+                  <label>Shared Secret ({hmac.algorithm}) - shown only once:</label>
+                  <div className="copy-input-group">
+                    <input 
+                      type="text" 
+                      value={hmac.secret} 
+                      readOnly 
+                      className="copy-input"
+                    />
+                    <button 
+                      className="copy-btn"
+                      onClick={() => copyToClipboard(hmac.secret, 'hmac')}
+                    >
+                      {copiedField === 'hmac' ? '✓ Copied!' : '📋 Copy'}
+                    </button>
+                  </div>
+                </div>
+                <p className="hmac-note">
+                  Sign the <code>{hmac.signed_headers.join(' ')}</code> header(s) of each request with this secret and send
+                  {' '}<code>Authorization: Signature keyId="&lt;API key&gt;",algorithm="{hmac.algorithm}",headers="{hmac.signed_headers.join(' ')}",signature="&lt;signature&gt;"</code>.
+                  The Signing Helper on the key card builds and checks signing strings.
+                </p>
+              </div>
+            )}
+
+            {certificate && (
+              <div className="detail-section">
+                <h3>📜 Client Certificate</h3>
+                <div className="config-item">
+                  <span className="config-label">Subject:</span>
+                  <span className="config-value">{certificate.subject.replace(/\n/g, ', ')}</span>
+                </div>
+                <div className="config-item">
+                  <span className="config-label">SHA-256 Fingerprint:</span>
+                  <span className="config-value"><code>{certificate.fingerprint}</code></span>
+                </div>
+                <div className="config-item">
+                  <span className="config-label">Expires:</span>
+                  <span className="config-value">{new Date(certificate.expires_at).toLocaleString()}</span>
+                </div>
+                {certificate.private_key_pem && (
+                  <div className="certificate-downloads">
+                    <p className="hmac-note">
+                      This private key is not stored anywhere and will not be shown again. Clients present the certificate and key on every request.
+                    </p>
+                    <button className="copy-btn" onClick={() => downloadFile(certificate.certificate_pem, 'client-cert.pem')}>
+                      ⬇️ Certificate
+                    </button>
+                    <button className="copy-btn" onClick={() => downloadFile(certificate.private_key_pem, 'client-key.pem')}>
+                      ⬇️ Private Key
+                    </button>
+                    <button className="copy-btn" onClick={() => copyToClipboard(certificate.private_key_pem, 'private-key')}>
+                      {copiedField === 'private-key' ? '✓ Copied!' : '📋 Copy Private Key'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {keyData.warnings?.length > 0 && (
+              <div className="key-warnings">
+                {keyData.warnings.map(warning => (
+                  <p key={warning}>⚠️ {warning}</p>
+                ))}
+              </div>
+            )}
+
             <div className="detail-section">
               <h3>⚙️ Configuration</h3>
               <div className="config-grid">
@@ -144,7 +300,7 @@ Content-Type: application/json`;
                       value={curlExample}
                       readOnly 
                       className="copy-textarea"
-                      rows="2"
+                      rows={hmac ? 5 : 2}
                     />
                     <button 
                       className="copy-btn"
@@ -180,7 +336,7 @@ Content-Type: application/json`;
             <div className="important-note">
               <h4>⚠️ Important Notes:</h4>
               <ul>
-                <li>🔐 <strong>Keep this API key secure</strong> - treat it like a password</li>
+                <li>🔐 <strong>Keep this {basicAuth ? 'password' : (certificate?.private_key_pem ? 'private key' : 'API key')} secure</strong> - it can't be shown again</li>
                 <li>🚀 <strong>Deploy changes</strong> to activate the key if you created new APIs</li>
                 <li>📊 <strong>Monitor usage</strong> to track rate limits and quotas</li>
                 <li>🔄 <strong>Test the endpoints</strong> to ensure everything works correctly</li>
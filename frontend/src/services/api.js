@@ -148,14 +148,157 @@ class ApiService {
     return this.makeRequest('POST', '/tyk/apis', apiDefinition);
   }
 
-  async getKeys() {
-    return this.makeRequest('GET', '/tyk/keys');
+  async previewApiImport(importData) {
+    return this.makeRequest('POST', '/tyk/apis/import/preview', importData);
+  }
+
+  async importApi(importData) {
+    return this.makeRequest('POST', '/tyk/apis/import', importData);
+  }
+
+  async createOasApi(oasDefinition) {
+    return this.makeRequest('POST', '/tyk/apis/oas', oasDefinition);
+  }
+
+  async convertApiToOas(apiId) {
+    return this.makeRequest('POST', `/tyk/apis/${apiId}/convert-to-oas`);
+  }
+
+  async setApiFormat(apiId, format) {
+    return this.makeRequest('PUT', `/tyk/apis/${apiId}/format`, { format });
+  }
+
+  async getApiDefinitions(status) {
+    return this.makeRequest('GET', status ? `/tyk/apis/definitions?status=${status}` : '/tyk/apis/definitions');
+  }
+
+  async createApiDraft(definition) {
+    return this.makeRequest('POST', '/tyk/apis/drafts', { definition });
+  }
+
+  async saveApiDraft(apiId, definition) {
+    return this.makeRequest('PUT', `/tyk/apis/${apiId}/draft`, { definition });
+  }
+
+  async stageApi(apiId) {
+    return this.makeRequest('POST', `/tyk/apis/${apiId}/stage`);
+  }
+
+  async deployApi(apiId, comment) {
+    return this.makeRequest('POST', `/tyk/apis/${apiId}/deploy`, { comment });
+  }
+
+  async undeployApi(apiId) {
+    return this.makeRequest('POST', `/tyk/apis/${apiId}/undeploy`);
+  }
+
+  async getApiRevisions(apiId) {
+    return this.makeRequest('GET', `/tyk/apis/${apiId}/revisions`);
+  }
+
+  async diffApiRevisions(apiId, from, to) {
+    return this.makeRequest('GET', `/tyk/apis/${apiId}/revisions/diff?from=${from}&to=${to}`);
+  }
+
+  async rollbackApi(apiId, revision, comment) {
+    return this.makeRequest('POST', `/tyk/apis/${apiId}/revisions/${revision}/rollback`, { comment });
+  }
+
+  async getApiJwtSettings(apiId) {
+    return this.makeRequest('GET', `/tyk/apis/${apiId}/jwt`);
+  }
+
+  async updateApiJwtSettings(apiId, settings) {
+    return this.makeRequest('PUT', `/tyk/apis/${apiId}/jwt`, settings);
+  }
+
+  async testApiJwt(apiId, token) {
+    return this.makeRequest('POST', `/tyk/apis/${apiId}/jwt/test`, { token });
+  }
+
+  async getKeys(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.makeRequest('GET', query ? `/tyk/keys?${query}` : '/tyk/keys');
   }
 
   async createKey(keyData) {
     return this.makeRequest('POST', '/tyk/keys', keyData);
   }
 
+  async startKeyBatch(batchRequest) {
+    return this.makeRequest('POST', '/tyk/keys/batch', batchRequest);
+  }
+
+  async getKeyBatch(jobId) {
+    return this.makeRequest('GET', `/tyk/keys/batch/${jobId}`);
+  }
+
+  async getKeyRequestSettings() {
+    return this.makeRequest('GET', '/tyk/key-requests/settings');
+  }
+
+  async updateKeyRequestSettings(requireApproval) {
+    return this.makeRequest('PUT', '/tyk/key-requests/settings', { require_approval: requireApproval });
+  }
+
+  async getKeyRequests(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.makeRequest('GET', query ? `/tyk/key-requests?${query}` : '/tyk/key-requests');
+  }
+
+  async submitKeyRequest(requestData) {
+    return this.makeRequest('POST', '/tyk/key-requests', requestData);
+  }
+
+  async approveKeyRequest(requestId, decision = {}) {
+    return this.makeRequest('POST', `/tyk/key-requests/${requestId}/approve`, decision);
+  }
+
+  async rejectKeyRequest(requestId, reason = '') {
+    return this.makeRequest('POST', `/tyk/key-requests/${requestId}/reject`, { reason });
+  }
+
+  async cancelKeyRequest(requestId) {
+    return this.makeRequest('POST', `/tyk/key-requests/${requestId}/cancel`);
+  }
+
+  async revealKeyRequestKey(requestId) {
+    return this.makeRequest('POST', `/tyk/key-requests/${requestId}/reveal`);
+  }
+
+  async rotateKey(keyHash, gracePeriodHours) {
+    return this.makeRequest('POST', `/tyk/keys/${keyHash}/rotate`, { grace_period_hours: gracePeriodHours });
+  }
+
+  async updateKeyRestrictions(keyHash, restrictions) {
+    return this.makeRequest('PUT', `/tyk/keys/${keyHash}/restrictions`, restrictions);
+  }
+
+  async changeKeyQuota(keyHash, change) {
+    return this.makeRequest('POST', `/tyk/keys/${keyHash}/quota`, change);
+  }
+
+  async requestKeyQuota(keyHash, request) {
+    return this.makeRequest('POST', `/tyk/keys/${keyHash}/quota-requests`, request);
+  }
+
+  async getQuotaRequests(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.makeRequest('GET', query ? `/tyk/quota-requests?${query}` : '/tyk/quota-requests');
+  }
+
+  async decideQuotaRequest(requestId, decision, note = '') {
+    return this.makeRequest('POST', `/tyk/quota-requests/${requestId}/${decision}`, { note });
+  }
+
+  async changeBasicAuthPassword(keyHash, password = null) {
+    return this.makeRequest('POST', `/tyk/keys/${keyHash}/password`, password ? { password } : {});
+  }
+
+  async verifyHmacSignature(keyHash, request) {
+    return this.makeRequest('POST', `/tyk/keys/${keyHash}/hmac/verify`, request);
+  }
+
   async reloadGateway() {
     return this.makeRequest('POST', '/tyk/gateway/reload');
   }
@@ -180,6 +323,26 @@ class ApiService {
     return this.makeRequest('GET', `/tyk/certificates/${certId}`);
   }
 
+  async getOAuthClients(apiId = null) {
+    return this.makeRequest('GET', `/tyk/oauth/clients${apiId ? `?api_id=${encodeURIComponent(apiId)}` : ''}`);
+  }
+
+  async registerOAuthClient(clientData) {
+    return this.makeRequest('POST', '/tyk/oauth/clients', clientData);
+  }
+
+  async revokeOAuthClient(apiId, clientId) {
+    return this.makeRequest('DELETE', `/tyk/oauth/clients/${apiId}/${clientId}`);
+  }
+
+  async getOAuthClientTokens(apiId, clientId) {
+    return this.makeRequest('GET', `/tyk/oauth/clients/${apiId}/${clientId}/tokens`);
+  }
+
+  async revokeOAuthClientTokens(apiId, clientId, tokenId = null) {
+    return this.makeRequest('DELETE', `/tyk/oauth/clients/${apiId}/${clientId}/tokens${tokenId ? `/${tokenId}` : ''}`);
+  }
+
   // Admin API methods
   async getUsers(page = 1, limit = 20) {
     return this.makeRequest('GET', `/admin/users?page=${page}&limit=${limit}`);
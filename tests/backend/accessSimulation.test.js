@@ -0,0 +1,122 @@
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('access simulation', () => {
+  let ctx;
+  let gold;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+    gold = await ctx.createPolicy({
+      accessRights: {
+        pets: {
+          api_id: 'pets',
+          api_name: 'pets',
+          versions: ['Default'],
+          allowed_urls: [{ url: '^/pets/?$', methods: ['GET'] }]
+        }
+      }
+    });
+  });
+
+  const addKey = (keyHash, session = {}) => {
+    ctx.gateway.state.keys.set(keyHash, ctx.gateway.buildSession({
+      org_id: 'acme-org',
+      apply_policies: ['gold'],
+      ...session
+    }));
+  };
+
+  const simulate = (body) => ctx.api('POST', '/api/tyk/keys/simulate', { method: 'GET', ...body });
+
+  const outcomes = (result) => Object.fromEntries(result.checks.map(entry => [entry.check, entry.outcome]));
+
+  it('allows a request the key\'s policies grant', async () => {
+    addKey('gold-key', { quota_remaining: 250 });
+
+    const response = await simulate({ key_hash: 'gold-key', path: '/pets/pets' });
+
+    expect(response.status).toBe(200);
+    const result = response.body.data;
+    expect(result.decision).toMatchObject({ allowed: true, status: 200 });
+    expect(result.api).toMatchObject({ api_id: 'pets', path: '/pets' });
+    expect(outcomes(result)).toMatchObject({ api: 'pass', key: 'pass', policies: 'pass', access: 'pass', path: 'pass', quota: 'pass' });
+    expect(result.effective.rate_limit).toEqual({ rate: 100, per: 60 });
+    expect(result.effective.quota).toMatchObject({ quota_max: 1000, quota_remaining: 250 });
+  });
+
+  it('reports the first failing check as the gateway response', async () => {
+    addKey('gold-key');
+
+    const wrongMethod = await simulate({ key_hash: 'gold-key', method: 'DELETE', path: '/pets/pets' });
+    expect(wrongMethod.body.data.decision).toMatchObject({ allowed: false, status: 403 });
+    expect(outcomes(wrongMethod.body.data).path).toBe('fail');
+    expect(wrongMethod.body.data.decision.reason).toMatch(/only allows GET, not DELETE/);
+
+    const noAccess = await simulate({ key_hash: 'gold-key', path: '/orders/' });
+    expect(noAccess.body.data.decision).toMatchObject({ allowed: false, status: 403, reason: 'The key has no access to orders' });
+
+    const noApi = await simulate({ key_hash: 'gold-key', path: '/unknown/' });
+    expect(noApi.body.data.decision).toMatchObject({ allowed: false, status: 404 });
+  });
+
+  it('rejects inactive, expired and used-up keys', async () => {
+    addKey('inactive-key', { is_inactive: true });
+    addKey('expired-key', { expires: Math.floor(Date.now() / 1000) - 60 });
+    addKey('used-up-key', { quota_remaining: 0, quota_renews: Math.floor(Date.now() / 1000) + 600 });
+
+    const inactive = await simulate({ key_hash: 'inactive-key', path: '/pets/' });
+    expect(inactive.body.data.decision).toMatchObject({ status: 403, reason: 'The key is inactive' });
+
+    const expired = await simulate({ key_hash: 'expired-key', path: '/pets/' });
+    expect(expired.body.data.decision.status).toBe(401);
+
+    const usedUp = await simulate({ key_hash: 'used-up-key', path: '/pets/' });
+    expect(usedUp.body.data.decision.status).toBe(403);
+    expect(outcomes(usedUp.body.data).quota).toBe('fail');
+  });
+
+  it('rejects keys whose applied policy is gone from the gateway', async () => {
+    addKey('orphan-key', { apply_policies: ['gold', 'retired'] });
+
+    const response = await simulate({ key_hash: 'orphan-key', path: '/pets/' });
+
+    expect(response.body.data.decision).toMatchObject({ allowed: false, status: 403 });
+    expect(response.body.data.decision.reason).toMatch(/retired not found on the gateway/);
+  });
+
+  it('simulates a new key from policies available to the organization', async () => {
+    const allowed = await simulate({ policy_ids: [gold.id], path: '/pets/' });
+
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.subject).toEqual({ type: 'policies', policies: [{ id: 'gold', name: 'Gold' }] });
+    expect(allowed.body.data.decision.allowed).toBe(true);
+    expect(outcomes(allowed.body.data).key).toBe('skip');
+
+    await ctx.db.OrganizationAvailablePolicy.update({ is_active: false }, { where: { policy_id: gold.id } });
+    const unavailable = await simulate({ policy_ids: [gold.id], path: '/pets/' });
+    expect(unavailable.status).toBe(403);
+  });
+
+  it('refuses keys of other organizations, unknown keys and invalid requests', async () => {
+    addKey('foreign-key', { org_id: 'other-org' });
+
+    expect((await simulate({ key_hash: 'foreign-key', path: '/pets/' })).status).toBe(403);
+    expect((await simulate({ key_hash: 'missing-key', path: '/pets/' })).status).toBe(404);
+    expect((await simulate({ key_hash: 'foreign-key', method: 'FETCH', path: '/pets/' })).status).toBe(400);
+    expect((await simulate({ key_hash: 'foreign-key', path: 'pets' })).status).toBe(400);
+    expect((await simulate({ path: '/pets/' })).status).toBe(400);
+  });
+});
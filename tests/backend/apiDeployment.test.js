@@ -0,0 +1,114 @@
+const { createTestContext, classicApi } = require('./testContext');
+const apiDeploymentService = require('../../backend/services/ApiDeploymentService');
+
+describe('ApiDeploymentService', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    await ctx.db.ApiDefinition.destroy({ where: {} });
+  });
+
+  const createRecord = (values = {}) => ctx.db.ApiDefinition.create({
+    organization_id: ctx.organization.id,
+    name: 'pets',
+    api_id: 'pets',
+    listen_path: '/pets/',
+    target_url: 'http://upstream.test',
+    api_definition: classicApi('pets'),
+    deployment_status: 'updating',
+    ...values
+  });
+
+  it('marks a record deployed once the gateway has reloaded', async () => {
+    const record = await createRecord();
+
+    await apiDeploymentService.push(record);
+
+    expect(ctx.gateway.state.apis.has('pets')).toBe(true);
+    expect(ctx.gateway.state.reloads).toBe(1);
+    expect(record.deployment_status).toBe('deployed');
+    expect(record.is_deployed).toBe(true);
+  });
+
+  it('marks a record failed with the node errors when the reload fails', async () => {
+    const record = await createRecord();
+    ctx.gateway.setFault({ status: 500, message: 'reload failed', path: '/tyk/reload' });
+
+    const error = await apiDeploymentService.push(record).catch(pushError => pushError);
+
+    expect(error.status).toBe(502);
+    expect(error.nodeResults).toHaveLength(1);
+    expect(error.nodeResults[0].success).toBe(false);
+    await record.reload();
+    expect(record.deployment_status).toBe('failed');
+    expect(record.is_deployed).toBe(false);
+    expect(record.deployment_error).toMatch(/reload/i);
+  });
+
+  it('keeps a record deployed until an undeploy has reloaded, so it can be retried', async () => {
+    const record = await createRecord();
+    await apiDeploymentService.push(record);
+    ctx.gateway.setFault({ status: 500, message: 'reload failed', path: '/tyk/reload', times: 1 });
+
+    await expect(apiDeploymentService.undeploy(record)).rejects.toMatchObject({ status: 502 });
+    expect(ctx.gateway.state.apis.has('pets')).toBe(false);
+    await record.reload();
+    expect(record.is_deployed).toBe(true);
+
+    await apiDeploymentService.undeploy(record);
+
+    expect(ctx.gateway.state.reloads).toBe(2);
+    expect(record.deployment_status).toBe('staged');
+    expect(record.is_deployed).toBe(false);
+  });
+
+  it('lets a deploy that was interrupted mid-way be retried after the timeout', async () => {
+    const record = await createRecord();
+    expect(apiDeploymentService.isDeploying(record)).toBe(true);
+
+    const busy = await ctx.api('POST', '/api/tyk/apis/pets/deploy', {});
+    expect(busy.status).toBe(409);
+
+    // Sequelize always sets updated_at itself, so age the record directly
+    await ctx.db.sequelize.query('UPDATE api_definitions SET updated_at = ? WHERE id = ?', {
+      replacements: [new Date(Date.now() - 10 * 60 * 1000), record.id]
+    });
+    const retried = await ctx.api('POST', '/api/tyk/apis/pets/deploy', {});
+
+    expect(retried.status).toBe(200);
+    await record.reload();
+    expect(record.deployment_status).toBe('deployed');
+    expect(ctx.gateway.state.apis.has('pets')).toBe(true);
+  });
+
+  it('keeps the tracked record in step with a classic API update, so a redeploy does not revert it', async () => {
+    const record = await createRecord();
+    await apiDeploymentService.push(record);
+    const edited = classicApi('pets', {
+      proxy: { listen_path: '/pets/', target_url: 'http://upstream-v2.test', strip_listen_path: true }
+    });
+
+    const response = await ctx.api('PUT', '/api/tyk/apis/pets', edited);
+
+    expect(response.status).toBe(200);
+    expect(ctx.gateway.state.apis.get('pets').proxy.target_url).toBe('http://upstream-v2.test');
+    expect(ctx.gateway.state.reloads).toBe(2);
+    await record.reload();
+    expect(record.target_url).toBe('http://upstream-v2.test');
+    expect(record.api_definition.proxy.target_url).toBe('http://upstream-v2.test');
+    expect(record.deployment_status).toBe('deployed');
+
+    const redeployed = await ctx.api('POST', '/api/tyk/apis/pets/deploy', {});
+    expect(redeployed.status).toBe(200);
+    expect(ctx.gateway.state.apis.get('pets').proxy.target_url).toBe('http://upstream-v2.test');
+  });
+});
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('API JWT settings', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    await ctx.db.ApiDefinitionRevision.destroy({ where: {} });
+    await ctx.db.ApiDefinition.destroy({ where: {} });
+  });
+
+  const jwksSource = (url) => Buffer.from(url).toString('base64');
+
+  it.each([
+    'http://localhost:8080/jwks',
+    'https://localhost/jwks',
+    'https://10.0.0.5/jwks',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/jwks',
+    'https://[::ffff:192.168.1.1]/jwks'
+  ])('refuses %s as a JWKS URL', async (source) => {
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+
+    const response = await ctx.api('PUT', '/api/tyk/apis/pets/jwt', { enabled: true, signing_method: 'rsa', source });
+
+    expect(response.status).toBe(400);
+    expect(ctx.gateway.state.apis.get('pets').enable_jwt).toBeUndefined();
+  });
+
+  it('does not fetch a stored JWKS URL on a private address when testing a token', async () => {
+    ctx.gateway.state.apis.set('pets', classicApi('pets', {
+      enable_jwt: true,
+      jwt_signing_method: 'rsa',
+      jwt_source: jwksSource('https://10.0.0.5/jwks')
+    }));
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = jwt.sign({ sub: 'alice' }, privateKey, { algorithm: 'RS256', keyid: 'key-1' });
+
+    const response = await ctx.api('POST', '/api/tyk/apis/pets/jwt/test', { token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.valid).toBe(false);
+    expect(response.body.data.errors.join(' ')).toMatch(/private address/);
+  });
+
+  it('keeps the remaining auth method as the tracked auth type when JWT is disabled', async () => {
+    const definition = classicApi('pets', {
+      enable_jwt: true,
+      use_basic_auth: true,
+      use_standard_auth: false,
+      jwt_signing_method: 'hmac',
+      jwt_source: Buffer.from('x'.repeat(32)).toString('base64')
+    });
+    ctx.gateway.state.apis.set('pets', definition);
+    const record = await ctx.db.ApiDefinition.create({
+      organization_id: ctx.organization.id,
+      name: 'pets',
+      api_id: 'pets',
+      listen_path: '/pets/',
+      target_url: 'http://upstream.test',
+      api_definition: definition,
+      auth_type: 'jwt',
+      is_deployed: true,
+      deployment_status: 'deployed'
+    });
+
+    const response = await ctx.api('PUT', '/api/tyk/apis/pets/jwt', { enabled: false });
+
+    expect(response.status).toBe(200);
+    await record.reload();
+    expect(record.auth_type).toBe('basic_auth');
+    expect(ctx.gateway.state.apis.get('pets')).toMatchObject({ enable_jwt: false, use_basic_auth: true });
+    expect(ctx.gateway.state.apis.get('pets').use_standard_auth).toBe(false);
+  });
+});
@@ -0,0 +1,140 @@
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('basic-auth keys', () => {
+  let ctx;
+  let policy;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets', { use_basic_auth: true, use_standard_auth: false }));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+    policy = await ctx.createPolicy({
+      accessRights: {
+        pets: { api_id: 'pets', api_name: 'pets', versions: ['Default'] },
+        orders: { api_id: 'orders', api_name: 'orders', versions: ['Default'] }
+      }
+    });
+  });
+
+  const createBasicAuthKey = (body = {}) => ctx.api('POST', '/api/tyk/keys', {
+    name: 'Alice',
+    policy_id: policy.id,
+    credential_type: 'basic_auth',
+    username: 'alice',
+    ...body
+  });
+
+  const changePassword = (keyHash, body = {}) => ctx.api('POST', `/api/tyk/keys/${keyHash}/password`, body);
+
+  it('creates a basic-auth user with a generated password shown once', async () => {
+    const response = await createBasicAuthKey();
+
+    expect(response.status).toBe(201);
+    const key = response.body.data;
+    expect(key.basic_auth).toMatchObject({ username: 'alice', password_generated: true });
+    expect(key.basic_auth.password.length).toBeGreaterThanOrEqual(12);
+    expect(key.security_notice).toMatch(/password will only be displayed once/);
+    expect(key.warnings).toEqual([expect.stringMatching(/^API "orders" does not use basic auth/)]);
+
+    expect(ctx.gateway.requests).toContainEqual(expect.objectContaining({ method: 'POST', path: '/tyk/keys/alice' }));
+    const session = ctx.gateway.state.keys.get(key.key_hash);
+    expect(session.basic_auth_data).toEqual({ password: key.basic_auth.password, hash_type: 'bcrypt' });
+    expect(session.meta_data).toMatchObject({ auth_type: 'basic_auth', basic_auth_username: 'alice' });
+
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(key.key_hash);
+    expect(credential).toMatchObject({
+      credential_type: 'basic_auth',
+      basic_auth_username: 'alice',
+      user_id: ctx.user.id,
+      organization_id: ctx.organization.id
+    });
+    expect(credential.password_changed_at).toBeTruthy();
+    expect(JSON.stringify(credential.toJSON())).not.toContain(key.basic_auth.password);
+
+    const fetched = await ctx.api('GET', `/api/tyk/keys/${key.key_hash}`);
+    expect(fetched.body.data.basic_auth_data).toEqual({ hash_type: 'bcrypt' });
+  });
+
+  it('accepts a chosen password and validates usernames and passwords', async () => {
+    const chosen = await createBasicAuthKey({ password: 'Correct-Horse-42' });
+    expect(chosen.status).toBe(201);
+    expect(chosen.body.data.basic_auth).toMatchObject({ password: 'Correct-Horse-42', password_generated: false });
+
+    const weak = await createBasicAuthKey({ username: 'bob', password: 'short' });
+    expect(weak.status).toBe(400);
+    expect(weak.body.field).toBe('password');
+
+    const badUsername = await createBasicAuthKey({ username: 'a b' });
+    expect(badUsername.status).toBe(400);
+    expect(badUsername.body.field).toBe('username');
+  });
+
+  it('refuses a username already active in the organization', async () => {
+    expect((await createBasicAuthKey()).status).toBe(201);
+
+    const duplicate = await createBasicAuthKey({ name: 'Alice again' });
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.field).toBe('username');
+    expect(await ctx.db.UserCredentials.count()).toBe(1);
+  });
+
+  it('rotates to a generated password shown once and resets to a chosen one without echoing it', async () => {
+    const key = (await createBasicAuthKey()).body.data;
+
+    const rotated = await changePassword(key.key_hash);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data).toMatchObject({ username: 'alice', security_notice: expect.stringMatching(/only be displayed once/) });
+    expect(rotated.body.data.password).not.toBe(key.basic_auth.password);
+    expect(ctx.gateway.state.keys.get(key.key_hash).basic_auth_data.password).toBe(rotated.body.data.password);
+
+    const reset = await changePassword(key.key_hash, { password: 'Another-Secret-7' });
+    expect(reset.status).toBe(200);
+    expect(reset.body.data).not.toHaveProperty('password');
+    expect(reset.body.data.security_notice).toBeNull();
+    expect(ctx.gateway.state.keys.get(key.key_hash).basic_auth_data.password).toBe('Another-Secret-7');
+    expect(ctx.gateway.state.keys.get(key.key_hash).meta_data.password_changed_by).toBe(ctx.user.email);
+
+    expect((await changePassword(key.key_hash, { password: 'short' })).status).toBe(400);
+  });
+
+  it('only changes passwords of basic-auth users in the caller\'s organization', async () => {
+    const otherOrganization = await ctx.db.Organization.create({ name: 'Globex', tyk_org_id: 'globex-org' });
+    const outsider = await ctx.createUser({ organization_id: otherOrganization.id });
+    ctx.gateway.state.keys.set('globex-alice', ctx.gateway.buildSession({
+      org_id: 'globex-org',
+      basic_auth_data: { password: 'Globex-Passw0rd!', hash_type: 'bcrypt' }
+    }));
+    await ctx.db.UserCredentials.create({
+      user_id: outsider.id,
+      organization_id: otherOrganization.id,
+      credential_type: 'basic_auth',
+      name: 'Globex Alice',
+      tyk_key_hash: 'globex-alice',
+      basic_auth_username: 'alice',
+      is_active: true
+    });
+    await ctx.createTrackedKey('plain-key');
+
+    const foreign = await changePassword('globex-alice');
+    expect(foreign.status).toBe(403);
+    expect(ctx.gateway.state.keys.get('globex-alice').basic_auth_data.password).toBe('Globex-Passw0rd!');
+
+    expect((await changePassword('plain-key')).status).toBe(404);
+
+    // The username is only taken within Globex
+    expect((await createBasicAuthKey()).status).toBe(201);
+  });
+});
@@ -0,0 +1,136 @@
+const { createTestContext, classicApi } = require('./testContext');
+const clientCertificate = require('../../backend/utils/clientCertificate');
+
+describe('certificate-bound keys', () => {
+  let ctx;
+  let policy;
+  let partner;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+    partner = clientCertificate.generateClientCertificate({ commonName: 'partner', validDays: 30 });
+    partner.details = clientCertificate.inspectCertificate(partner.certificatePem);
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets', { auth: { use_certificate: true } }));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+    policy = await ctx.createPolicy({
+      accessRights: {
+        pets: { api_id: 'pets', api_name: 'pets', versions: ['Default'] },
+        orders: { api_id: 'orders', api_name: 'orders', versions: ['Default'] }
+      }
+    });
+  });
+
+  const createCertificateKey = (body = {}) => ctx.api('POST', '/api/tyk/keys', {
+    name: 'Partner',
+    policy_id: policy.id,
+    credential_type: 'mtls_certificate',
+    ...body
+  });
+
+  it('generates a certificate, binds the key to it and shows the private key once', async () => {
+    const response = await createCertificateKey({ certificate_common_name: 'partner-client', certificate_valid_days: 90 });
+
+    expect(response.status).toBe(201);
+    const key = response.body.data;
+    expect(key.certificate.private_key_pem).toMatch(/BEGIN PRIVATE KEY/);
+    expect(key.certificate.certificate_pem).toMatch(/BEGIN CERTIFICATE/);
+    expect(key.certificate.subject).toMatch(/CN=partner-client/);
+    expect(key.certificate.id).toBe(`acme-org${key.certificate.fingerprint}`);
+    expect(key.security_notice).toMatch(/private key for this certificate will only be displayed once/);
+    expect(key.warnings).toEqual([expect.stringMatching(/^API "orders" does not accept client certificates/)]);
+
+    const stored = ctx.gateway.state.certs.get(key.certificate.id);
+    expect(stored.meta.has_private).toBe(false);
+    const session = ctx.gateway.state.keys.get(key.key_hash);
+    expect(session.certificate).toBe(key.certificate.id);
+    expect(session.meta_data).toMatchObject({ auth_type: 'mtls', certificate_fingerprint: key.certificate.fingerprint });
+    expect(session.expires).toBe(Math.floor(new Date(key.certificate.expires_at).getTime() / 1000));
+
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(key.key_hash);
+    expect(credential).toMatchObject({
+      credential_type: 'mtls_certificate',
+      certificate_id: key.certificate.id,
+      certificate_fingerprint: key.certificate.fingerprint,
+      user_id: ctx.user.id,
+      organization_id: ctx.organization.id
+    });
+    expect(credential.certificate_data.generated).toBe(true);
+    expect(JSON.stringify(credential.toJSON())).not.toContain('PRIVATE KEY');
+  });
+
+  it('binds an uploaded certificate and caps the key expiry at the certificate\'s', async () => {
+    const expires = Math.floor(Date.now() / 1000) + 365 * 24 * 3600;
+
+    const response = await createCertificateKey({ certificate: partner.certificatePem, expires });
+
+    expect(response.status).toBe(201);
+    const key = response.body.data;
+    expect(key.certificate).not.toHaveProperty('private_key_pem');
+    expect(key.certificate.fingerprint).toBe(partner.details.fingerprint);
+    expect(key.security_notice).toBe('This key will only be displayed once. Save it securely.');
+    expect(key.warnings).toContainEqual(expect.stringMatching(/^Key expiry was brought forward/));
+    expect(ctx.gateway.state.keys.get(key.key_hash).expires).toBe(Math.floor(partner.details.validTo.getTime() / 1000));
+
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(key.key_hash);
+    expect(credential.certificate_data.generated).toBe(false);
+  });
+
+  it('refuses a certificate already bound to an active key until that key is deleted', async () => {
+    const first = (await createCertificateKey({ certificate: partner.certificatePem })).body.data;
+
+    const conflict = await createCertificateKey({ name: 'Partner again', certificate: partner.certificatePem });
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.message).toMatch(/already bound to "Partner"/);
+
+    expect((await ctx.api('DELETE', `/api/tyk/keys/${first.key_hash}`)).status).toBe(200);
+    expect(ctx.gateway.state.certs.has(first.certificate.id)).toBe(false);
+
+    expect((await createCertificateKey({ name: 'Partner again', certificate: partner.certificatePem })).status).toBe(201);
+  });
+
+  it('scopes certificate bindings to the organization', async () => {
+    const otherOrganization = await ctx.db.Organization.create({ name: 'Globex', tyk_org_id: 'globex-org' });
+    const outsider = await ctx.createUser({ organization_id: otherOrganization.id });
+    await ctx.db.UserCredentials.create({
+      user_id: outsider.id,
+      organization_id: otherOrganization.id,
+      credential_type: 'mtls_certificate',
+      name: 'Globex partner',
+      tyk_key_hash: 'globex-partner',
+      certificate_id: `globex-org${partner.details.fingerprint}`,
+      is_active: true
+    });
+
+    const response = await createCertificateKey({ certificate: partner.certificatePem });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.certificate.id).toBe(`acme-org${partner.details.fingerprint}`);
+  });
+
+  it('rejects invalid certificates and combinations, and removes the certificate when the key fails', async () => {
+    const withKey = await createCertificateKey({ certificate: `${partner.certificatePem}\n${partner.privateKeyPem}` });
+    expect(withKey.status).toBe(400);
+
+    const hmac = await createCertificateKey({ certificate: partner.certificatePem, hmac_enabled: true });
+    expect(hmac.status).toBe(400);
+    expect(hmac.body.field).toBe('hmac_enabled');
+
+    ctx.gateway.setFault({ method: 'POST', path: '/tyk/keys', status: 500, message: 'gateway down', times: 1 });
+    const failed = await createCertificateKey({ certificate: partner.certificatePem });
+    expect(failed.status).toBeGreaterThanOrEqual(400);
+    expect(ctx.gateway.state.certs.size).toBe(0);
+    expect(await ctx.db.UserCredentials.count()).toBe(0);
+  });
+});
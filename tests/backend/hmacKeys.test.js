@@ -0,0 +1,133 @@
+const { createTestContext, classicApi } = require('./testContext');
+const { encryptSecret, decryptSecret } = require('../../backend/utils/secretBox');
+const hmacSignature = require('../../backend/utils/hmacSignature');
+
+describe('HMAC keys', () => {
+  let ctx;
+  let policy;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets', { enable_signature_checking: true }));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+    policy = await ctx.createPolicy({
+      accessRights: {
+        pets: { api_id: 'pets', api_name: 'pets', versions: ['Default'] },
+        orders: { api_id: 'orders', api_name: 'orders', versions: ['Default'] }
+      }
+    });
+  });
+
+  const createHmacKey = async (body = {}) => {
+    const response = await ctx.api('POST', '/api/tyk/keys', {
+      name: 'Signing client',
+      policy_id: policy.id,
+      hmac_enabled: true,
+      hmac_algorithm: 'hmac-sha512',
+      ...body
+    });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  const verify = (keyHash, body) => ctx.api('POST', `/api/tyk/keys/${keyHash}/hmac/verify`, body);
+
+  it('stores the HMAC secret encrypted and returns it with the key', async () => {
+    const key = await createHmacKey();
+
+    expect(key.hmac).toMatchObject({ algorithm: 'hmac-sha512', key_id: key.key, signed_headers: ['date'] });
+    expect(key.hmac.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(key.security_notice).toMatch(/HMAC secret will only be displayed once/);
+    expect(key.warnings).toEqual([expect.stringMatching(/^API "orders" does not require HMAC signatures/)]);
+
+    const session = ctx.gateway.state.keys.get(key.key_hash);
+    expect(session).toMatchObject({ hmac_enabled: true, hmac_string: key.hmac.secret });
+    expect(session.meta_data).toMatchObject({ auth_type: 'hmac', hmac_algorithm: 'hmac-sha512' });
+
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(key.key_hash);
+    expect(credential).toMatchObject({
+      credential_type: 'hmac_signature',
+      hmac_algorithm: 'hmac-sha512',
+      user_id: ctx.user.id,
+      organization_id: ctx.organization.id
+    });
+    expect(credential.hmac_secret).not.toContain(key.hmac.secret);
+    expect(decryptSecret(credential.hmac_secret)).toBe(key.hmac.secret);
+  });
+
+  it('does not show the secret again when the key is fetched', async () => {
+    const key = await createHmacKey();
+
+    const response = await ctx.api('GET', `/api/tyk/keys/${key.key_hash}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.hmac_enabled).toBe(true);
+    expect(response.body.data).not.toHaveProperty('hmac_string');
+    expect(JSON.stringify(response.body)).not.toContain(key.hmac.secret);
+  });
+
+  it('checks signatures against the stored secret', async () => {
+    const key = await createHmacKey();
+    const request = { method: 'GET', path: '/pets/', headers: { Date: 'Mon, 19 Oct 2026 10:00:00 GMT' } };
+    const signature = hmacSignature.signString('date: Mon, 19 Oct 2026 10:00:00 GMT', key.hmac.secret, 'hmac-sha512');
+
+    const valid = await verify(key.key_hash, { ...request, signature: encodeURIComponent(signature) });
+    expect(valid.status).toBe(200);
+    expect(valid.body.data).toMatchObject({ valid: true, algorithm: 'hmac-sha512', signing_string: 'date: Mon, 19 Oct 2026 10:00:00 GMT' });
+    expect(JSON.stringify(valid.body)).not.toContain(key.hmac.secret);
+
+    const invalid = await verify(key.key_hash, { ...request, signature: hmacSignature.signString('date: x', key.hmac.secret, 'hmac-sha512') });
+    expect(invalid.body.data.valid).toBe(false);
+
+    expect((await verify(key.key_hash, { path: '/pets/', headers: {}, signature })).status).toBe(400);
+  });
+
+  it('rejects unknown algorithms and HMAC on non-API-key credentials', async () => {
+    const unknown = await ctx.api('POST', '/api/tyk/keys', {
+      name: 'Signing client', policy_id: policy.id, hmac_enabled: true, hmac_algorithm: 'hmac-md5'
+    });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.field).toBe('hmac_algorithm');
+
+    const basic = await ctx.api('POST', '/api/tyk/keys', {
+      name: 'Signing client', policy_id: policy.id, hmac_enabled: true, credential_type: 'basic_auth', username: 'alice'
+    });
+    expect(basic.status).toBe(400);
+    expect(basic.body.field).toBe('hmac_enabled');
+    expect(ctx.gateway.state.keys.size).toBe(0);
+  });
+
+  it('does not verify signatures for keys of other organizations or keys without a secret', async () => {
+    const otherOrganization = await ctx.db.Organization.create({ name: 'Globex', tyk_org_id: 'globex-org' });
+    const outsider = await ctx.createUser({ organization_id: otherOrganization.id });
+    await ctx.db.UserCredentials.create({
+      user_id: outsider.id,
+      organization_id: otherOrganization.id,
+      credential_type: 'hmac_signature',
+      name: 'Globex client',
+      tyk_key_hash: 'globex-key',
+      hmac_secret: encryptSecret('globex-secret'),
+      hmac_algorithm: 'hmac-sha256',
+      is_active: true
+    });
+    await ctx.createTrackedKey('plain-key');
+
+    const foreign = await verify('globex-key', { path: '/pets/', headers: { date: 'now' } });
+    expect(foreign.status).toBe(403);
+    expect(JSON.stringify(foreign.body)).not.toContain('globex-secret');
+
+    expect((await verify('plain-key', { path: '/pets/', headers: { date: 'now' } })).status).toBe(404);
+  });
+});
@@ -0,0 +1,5 @@
+// Backend routes and services log every step; keep test output to failures
+process.env.NODE_ENV = 'test';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
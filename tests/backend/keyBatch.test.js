@@ -0,0 +1,123 @@
+const { createTestContext } = require('./testContext');
+const keyBatchService = require('../../backend/services/KeyBatchService');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+describe('KeyBatchService', () => {
+  let ctx;
+  let gold;
+  let silver;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: [] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    gold = await ctx.createPolicy();
+    silver = await ctx.createPolicy({ id: 'silver', name: 'Silver' });
+  });
+
+  const createTrackedKey = (keyHash, session = {}) =>
+    ctx.createTrackedKey(keyHash, { policy: gold, session: { quota_remaining: 250, ...session } });
+
+  const runJob = async (request) => {
+    const started = keyBatchService.startJob({
+      orgId: 'acme-org',
+      organizationId: ctx.organization.id,
+      user: ctx.user,
+      ...request
+    });
+    let job = started;
+    while (job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = keyBatchService.getJob(started.id, ctx.organization.id);
+    }
+    return job;
+  };
+
+  it('deactivates keys without resetting their quota and updates the records', async () => {
+    const first = await createTrackedKey('key-1');
+    await createTrackedKey('key-2', { is_inactive: true });
+
+    const job = await runJob({ action: 'deactivate', keyHashes: ['key-1', 'key-2'] });
+
+    expect(job).toMatchObject({ total: 2, processed: 2, succeeded: 1, skipped: 1, failed: 0 });
+    const session = ctx.gateway.state.keys.get('key-1');
+    expect(session.is_inactive).toBe(true);
+    expect(session.quota_remaining).toBe(250);
+    await first.reload();
+    expect(first.is_active).toBe(false);
+  });
+
+  it('replaces policies and records the single policy on the credential', async () => {
+    const credential = await createTrackedKey('key-1');
+
+    const job = await runJob({ action: 'set_policies', params: { policies: [silver] }, keyHashes: ['key-1'] });
+
+    expect(job.succeeded).toBe(1);
+    const session = ctx.gateway.state.keys.get('key-1');
+    expect(session.apply_policies).toEqual(['silver']);
+    expect(session.meta_data).toMatchObject({ policy_id: silver.id, policy_name: 'Silver' });
+    await credential.reload();
+    expect(credential.policy_id).toBe(silver.id);
+  });
+
+  it('extends expiring keys and skips keys that never expire', async () => {
+    const expires = Math.floor(Date.now() / 1000) + DAY_SECONDS;
+    await createTrackedKey('key-1', { expires });
+    await createTrackedKey('key-2', { expires: 0 });
+
+    const job = await runJob({ action: 'extend_expiry', params: { extend_days: 7 }, keyHashes: ['key-1', 'key-2'] });
+
+    expect(job).toMatchObject({ succeeded: 1, skipped: 1 });
+    expect(ctx.gateway.state.keys.get('key-1').expires).toBe(expires + 7 * DAY_SECONDS);
+    expect(ctx.gateway.state.keys.get('key-1').quota_remaining).toBe(250);
+  });
+
+  it('reports keys of another organization and missing keys as failed without stopping the batch', async () => {
+    await createTrackedKey('key-1');
+    await createTrackedKey('foreign-key', { org_id: 'other-org' });
+
+    const job = await runJob({ action: 'delete', keyHashes: ['foreign-key', 'missing-key', 'key-1'] });
+
+    expect(job).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+    const errors = Object.fromEntries(job.results.map(result => [result.key_hash, result.error]));
+    expect(errors['foreign-key']).toMatch(/organization/);
+    expect(errors['missing-key']).toBe('Key not found');
+    expect(ctx.gateway.state.keys.has('foreign-key')).toBe(true);
+    expect(ctx.gateway.state.keys.has('key-1')).toBe(false);
+  });
+
+  it('rejects invalid batch requests', () => {
+    expect(() => keyBatchService.startJob({
+      action: 'rename',
+      keyHashes: ['key-1'],
+      orgId: 'acme-org',
+      organizationId: ctx.organization.id,
+      user: ctx.user
+    })).toThrow(/action must be one of/);
+    expect(() => keyBatchService.startJob({
+      action: 'deactivate',
+      keyHashes: [],
+      orgId: 'acme-org',
+      organizationId: ctx.organization.id,
+      user: ctx.user
+    })).toThrow(/No keys matched/);
+  });
+
+  it('hides jobs from other organizations', async () => {
+    await createTrackedKey('key-1');
+    const job = await runJob({ action: 'deactivate', keyHashes: ['key-1'] });
+
+    expect(() => keyBatchService.getJob(job.id, 'another-organization')).toThrow(/not found/);
+  });
+});
@@ -0,0 +1,78 @@
+const { createTestContext } = require('./testContext');
+const keyExpiryService = require('../../backend/services/KeyExpiryService');
+const emailService = require('../../backend/services/emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('KeyExpiryService', () => {
+  let ctx;
+  let sendWarning;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: [] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.AuditLog.destroy({ where: {} });
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    sendWarning = jest.spyOn(emailService, 'sendKeyExpiryWarningEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    sendWarning.mockRestore();
+  });
+
+  // A tracked key on the gateway expiring `days` from now (negative for already expired)
+  const createExpiringKey = (keyHash, days, credential = {}) => ctx.createTrackedKey(keyHash, {
+    session: { expires: Math.floor((Date.now() + days * DAY_MS) / 1000), quota_max: 1000, quota_remaining: 250 },
+    credential
+  });
+
+  it('warns the owner once for the tightest window a key has entered', async () => {
+    const credential = await createExpiringKey('expiring-key', 5.5);
+
+    expect(await keyExpiryService.runChecks()).toMatchObject({ checked: 1, warned: 1 });
+    expect(sendWarning).toHaveBeenCalledTimes(1);
+    expect(sendWarning.mock.calls[0][0]).toBe(ctx.user.email);
+    expect(sendWarning.mock.calls[0][2]).toMatchObject({ keyHash: 'expiring-key', daysLeft: 6 });
+    await credential.reload();
+    expect(credential.expiry_warnings_sent.days).toEqual([30, 7]);
+
+    expect(await keyExpiryService.runChecks()).toMatchObject({ checked: 1, warned: 0 });
+    expect(sendWarning).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not warn about keys that have been rotated out', async () => {
+    const replacement = await createExpiringKey('replacement-key', 90);
+    await createExpiringKey('rotated-key', 0.5, { rotated_to_id: replacement.id });
+
+    expect(await keyExpiryService.runChecks()).toMatchObject({ checked: 2, warned: 0 });
+    expect(sendWarning).not.toHaveBeenCalled();
+  });
+
+  it('deactivates keys that stayed expired past the cleanup period without resetting their quota', async () => {
+    const credential = await createExpiringKey('expired-key', -31);
+
+    expect(await keyExpiryService.runChecks()).toMatchObject({ checked: 1, cleaned: 1 });
+
+    const session = ctx.gateway.state.keys.get('expired-key');
+    expect(session.is_inactive).toBe(true);
+    expect(session.quota_remaining).toBe(250);
+    await credential.reload();
+    expect(credential.is_active).toBe(false);
+    expect(await ctx.db.AuditLog.count({ where: { action: 'deactivate_expired_key' } })).toBe(1);
+  });
+
+  it('leaves recently expired keys alone', async () => {
+    await createExpiringKey('expired-key', -2);
+
+    expect(await keyExpiryService.runChecks()).toMatchObject({ checked: 1, warned: 0, cleaned: 0 });
+    expect(ctx.gateway.state.keys.get('expired-key').is_inactive).toBe(false);
+  });
+});
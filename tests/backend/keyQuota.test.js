@@ -0,0 +1,97 @@
+const { createTestContext } = require('./testContext');
+const keyQuotaService = require('../../backend/services/KeyQuotaService');
+
+describe('key quota changes', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.AuditLog.destroy({ where: {} });
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+  });
+
+  // A key's own quota of 1000 with 100 requests left this period
+  const ownQuota = (session = {}) => ({
+    quota_max: 1000,
+    quota_remaining: 100,
+    quota_renews: Math.floor(Date.now() / 1000) + 3600,
+    ...session
+  });
+
+  const changeQuota = (keyHash, body) => ctx.api('POST', `/api/tyk/keys/${keyHash}/quota`, body);
+
+  it('tops up by raising quota_max for the period and keeps the used quota', async () => {
+    const credential = await ctx.createTrackedKey('top-up-key', { session: ownQuota() });
+
+    const response = await changeQuota('top-up-key', { action: 'top_up', amount: 500 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ quota_max: 1500, quota_remaining_before: 100, quota_remaining: 600 });
+    const session = ctx.gateway.state.keys.get('top-up-key');
+    expect(session).toMatchObject({ quota_max: 1500, quota_remaining: 600 });
+    const update = ctx.gateway.requests.find(request => request.method === 'PUT');
+    expect(update.query.suppress_reset).toBe('1');
+    await credential.reload();
+    expect(credential.quota_top_up).toMatchObject({ base_quota_max: 1000, amount: 500 });
+  });
+
+  it('adds up top-ups given in the same period', async () => {
+    const credential = await ctx.createTrackedKey('repeat-key', { session: ownQuota() });
+
+    await changeQuota('repeat-key', { action: 'top_up', amount: 500 });
+    const response = await changeQuota('repeat-key', { action: 'top_up', amount: 200 });
+
+    expect(response.body.data).toMatchObject({ quota_max: 1700, quota_remaining: 800 });
+    await credential.reload();
+    expect(credential.quota_top_up).toMatchObject({ base_quota_max: 1000, amount: 700 });
+  });
+
+  it('resets to the original maximum and ends a top-up', async () => {
+    const credential = await ctx.createTrackedKey('reset-key', { session: ownQuota() });
+    await changeQuota('reset-key', { action: 'top_up', amount: 500 });
+
+    const response = await changeQuota('reset-key', { action: 'reset' });
+
+    expect(response.status).toBe(200);
+    expect(ctx.gateway.state.keys.get('reset-key')).toMatchObject({ quota_max: 1000, quota_remaining: 1000 });
+    await credential.reload();
+    expect(credential.quota_top_up).toBeNull();
+  });
+
+  it('refuses a top-up when a policy supplies the quota', async () => {
+    const policy = await ctx.createPolicy();
+    await ctx.createTrackedKey('policy-key', { policy, session: ownQuota() });
+    const before = { ...ctx.gateway.state.keys.get('policy-key') };
+
+    const response = await changeQuota('policy-key', { action: 'top_up', amount: 500 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toMatch(/policy Gold/);
+    expect(ctx.gateway.state.keys.get('policy-key')).toEqual(before);
+  });
+
+  it('puts the original maximum back once the top-up period has renewed', async () => {
+    const credential = await ctx.createTrackedKey('expired-top-up-key', { session: ownQuota({ quota_max: 1500, quota_remaining: 1400 }) });
+    await credential.update({
+      quota_top_up: { base_quota_max: 1000, amount: 500, renews: Math.floor(Date.now() / 1000) - 60 }
+    });
+
+    expect(await keyQuotaService.restoreExpiredTopUps()).toEqual({ restored: 1, failed: 0 });
+
+    expect(ctx.gateway.state.keys.get('expired-top-up-key')).toMatchObject({ quota_max: 1000, quota_remaining: 900 });
+    await credential.reload();
+    expect(credential.quota_top_up).toBeNull();
+    expect(await ctx.db.AuditLog.count({ where: { action: 'end_key_quota_top_up' } })).toBe(1);
+  });
+});
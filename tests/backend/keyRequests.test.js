@@ -0,0 +1,190 @@
+const { createTestContext, classicApi } = require('./testContext');
+const emailService = require('../../backend/services/emailService');
+
+describe('key requests', () => {
+  let ctx;
+  let policy;
+  let requester;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+    requester = await ctx.createUser({ role: 'user' });
+    ctx.organization.settings = { ...ctx.organization.settings, require_key_approval: true };
+    ctx.organization.changed('settings', true);
+    await ctx.organization.save();
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.KeyRequest.destroy({ where: {} });
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+    policy = await ctx.createPolicy({
+      accessRights: { pets: { api_id: 'pets', api_name: 'pets', versions: ['Default'] } }
+    });
+  });
+
+  const submitRequest = async (body = {}) => {
+    const response = await ctx.api('POST', '/api/tyk/key-requests', {
+      name: 'Mobile app',
+      purpose: 'iOS client',
+      policy_id: policy.id,
+      ...body
+    }, requester);
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  const approve = (keyRequest, body = {}) => ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/approve`, body);
+
+  const claim = (keyRequest) => ctx.db.KeyRequest.update(
+    { reviewed_by: ctx.user.id, reviewed_at: new Date() },
+    { where: { id: keyRequest.id } }
+  );
+
+  it('refuses direct key creation when the organization requires approval', async () => {
+    const response = await ctx.api('POST', '/api/tyk/keys', { name: 'Mobile app', policy_id: policy.id }, requester);
+
+    expect(response.status).toBe(403);
+    expect(response.body.approval_required).toBe(true);
+    expect(ctx.gateway.state.keys.size).toBe(0);
+
+    const settings = await ctx.api('GET', '/api/tyk/key-requests/settings', undefined, requester);
+    expect(settings.body.data).toEqual({ require_approval: true, approval_required_for_me: true });
+  });
+
+  it('creates the key for the requester on approval without showing it to the approver', async () => {
+    const keyRequest = await submitRequest();
+
+    const response = await approve(keyRequest, { note: 'Approved for the beta' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'approved', review_note: 'Approved for the beta' });
+    expect(JSON.stringify(response.body)).not.toContain('"key"');
+
+    const stored = await ctx.db.KeyRequest.findByPk(keyRequest.id);
+    const session = ctx.gateway.state.keys.get(stored.tyk_key_hash);
+    expect(session).toMatchObject({ alias: 'Mobile app', apply_policies: ['gold'], org_id: 'acme-org' });
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(stored.tyk_key_hash);
+    expect(credential.user_id).toBe(requester.id);
+    expect(credential.organization_id).toBe(ctx.organization.id);
+    expect(stored.issued_secret).toBeTruthy();
+    expect(stored.issued_secret).not.toContain(stored.tyk_key_hash);
+  });
+
+  it('creates only one key when two admins approve at once', async () => {
+    const keyRequest = await submitRequest();
+    const otherAdmin = await ctx.createUser({ role: 'admin' });
+
+    const responses = await Promise.all([
+      approve(keyRequest),
+      ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/approve`, {}, otherAdmin)
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    expect(ctx.gateway.state.keys.size).toBe(1);
+    expect(await ctx.db.UserCredentials.count()).toBe(1);
+  });
+
+  it('releases the claim when the key cannot be created so the request can be approved again', async () => {
+    const keyRequest = await submitRequest();
+    ctx.gateway.setFault({ method: 'POST', path: '/tyk/keys', status: 500, message: 'gateway down', times: 1 });
+
+    const failed = await approve(keyRequest);
+
+    expect(failed.status).toBeGreaterThanOrEqual(400);
+    const stored = await ctx.db.KeyRequest.findByPk(keyRequest.id);
+    expect(stored).toMatchObject({ status: 'pending', reviewed_by: null, reviewed_at: null });
+    expect(ctx.gateway.state.keys.size).toBe(0);
+
+    const retried = await approve(keyRequest);
+    expect(retried.status).toBe(200);
+    expect(ctx.gateway.state.keys.size).toBe(1);
+  });
+
+  it('refuses to reject or cancel a request while it is being approved', async () => {
+    const keyRequest = await submitRequest();
+    await claim(keyRequest);
+
+    const rejected = await ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/reject`, { reason: 'No' });
+    expect(rejected.status).toBe(409);
+    expect(rejected.body.message).toBe('Key request is being approved');
+
+    const cancelled = await ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/cancel`, {}, requester);
+    expect(cancelled.status).toBe(409);
+    expect((await ctx.db.KeyRequest.findByPk(keyRequest.id)).status).toBe('pending');
+  });
+
+  it('rejects and cancels pending requests', async () => {
+    const toReject = await submitRequest();
+    const toCancel = await submitRequest({ name: 'Web app' });
+
+    const rejected = await ctx.api('POST', `/api/tyk/key-requests/${toReject.id}/reject`, { reason: 'Use the shared key' });
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data).toMatchObject({ status: 'rejected', review_note: 'Use the shared key' });
+
+    expect((await ctx.api('POST', `/api/tyk/key-requests/${toCancel.id}/cancel`, {})).status).toBe(403);
+    const cancelled = await ctx.api('POST', `/api/tyk/key-requests/${toCancel.id}/cancel`, {}, requester);
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.status).toBe('cancelled');
+
+    expect((await approve(toReject)).status).toBe(409);
+    expect(ctx.gateway.state.keys.size).toBe(0);
+  });
+
+  it('reveals the approved key to the requester once', async () => {
+    const keyRequest = await submitRequest();
+    await approve(keyRequest);
+
+    expect((await ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/reveal`, {})).status).toBe(403);
+
+    const revealed = await ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/reveal`, {}, requester);
+    expect(revealed.status).toBe(200);
+    const stored = await ctx.db.KeyRequest.findByPk(keyRequest.id);
+    expect(revealed.body.data).toMatchObject({ key_hash: stored.tyk_key_hash });
+    expect(revealed.body.data.key).toBeTruthy();
+    expect(stored.issued_secret).toBeNull();
+    expect(stored.revealed_at).toBeTruthy();
+
+    const again = await ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/reveal`, {}, requester);
+    expect(again.status).toBe(410);
+    expect(again.body.data).toBeUndefined();
+  });
+
+  it('does not expose requests of other organizations', async () => {
+    const keyRequest = await submitRequest();
+    const otherOrganization = await ctx.db.Organization.create({ name: 'Globex', tyk_org_id: 'globex-org' });
+    const outsider = await ctx.createUser({ role: 'admin', organization_id: otherOrganization.id });
+
+    const response = await ctx.api('POST', `/api/tyk/key-requests/${keyRequest.id}/approve`, {}, outsider);
+
+    expect(response.status).toBe(404);
+    expect(ctx.gateway.state.keys.size).toBe(0);
+  });
+
+  it('escapes the key name and reviewer note in the decision email', async () => {
+    const sendEmail = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+
+    try {
+      await emailService.sendKeyRequestDecisionEmail('alice@acme.test', 'Alice', {
+        keyName: '<img src=x onerror=alert(1)>',
+        approved: false,
+        note: 'Use "the shared" key & <b>retry</b>'
+      });
+
+      const html = sendEmail.mock.calls[0][3];
+      expect(html).toContain('<strong>&lt;img src=x onerror=alert(1)&gt;</strong>');
+      expect(html).toContain('Use &quot;the shared&quot; key &amp; &lt;b&gt;retry&lt;/b&gt;');
+      expect(html).not.toContain('<img');
+    } finally {
+      sendEmail.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const { createTestContext } = require('./testContext');
+const keyRotationService = require('../../backend/services/KeyRotationService');
+
+describe('KeyRotationService', () => {
+  let ctx;
+  let policy;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: [] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.AuditLog.destroy({ where: {} });
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    policy = await ctx.createPolicy();
+  });
+
+  // A tracked key on the gateway that has used part of its quota
+  const createTrackedKey = () =>
+    ctx.createTrackedKey('old-key-hash', { name: 'Mobile app', policy, session: { quota_remaining: 250 } });
+
+  it('creates a replacement key and keeps the old one until the grace period ends', async () => {
+    const credential = await createTrackedKey();
+    const before = Date.now();
+
+    const result = await keyRotationService.rotateKey({
+      credential,
+      orgId: 'acme-org',
+      gracePeriodHours: 2,
+      user: ctx.user
+    });
+
+    const replacement = ctx.gateway.state.keys.get(result.keyHash);
+    expect(replacement.apply_policies).toEqual(['gold']);
+    expect(replacement.alias).toBe('Mobile app');
+    expect(replacement.meta_data.rotated_from).toBe('old-key-hash');
+
+    const old = ctx.gateway.state.keys.get('old-key-hash');
+    expect(old.is_inactive).toBe(false);
+    expect(old.meta_data.rotated_to).toBe(result.keyHash);
+    expect(old.expires * 1000).toBeGreaterThanOrEqual(before + 2 * 60 * 60 * 1000 - 1000);
+    expect(old.quota_remaining).toBe(250);
+
+    await credential.reload();
+    expect(credential.rotated_to_id).toBe(result.credential.id);
+    expect(result.credential.rotated_from_id).toBe(credential.id);
+    expect(result.credential.tyk_key_hash).toBe(result.keyHash);
+  });
+
+  it('drops the replacement key when the old key cannot be updated', async () => {
+    const credential = await createTrackedKey();
+    ctx.gateway.setFault({ status: 500, message: 'boom', method: 'PUT', path: '/tyk/keys/' });
+
+    await expect(keyRotationService.rotateKey({
+      credential,
+      orgId: 'acme-org',
+      gracePeriodHours: 2,
+      user: ctx.user
+    })).rejects.toThrow();
+
+    expect([...ctx.gateway.state.keys.keys()]).toEqual(['old-key-hash']);
+    expect(await ctx.db.UserCredentials.count()).toBe(1);
+  });
+
+  it('deactivates keys whose grace period has ended without resetting their quota', async () => {
+    const credential = await createTrackedKey();
+    const { credential: replacement } = await keyRotationService.rotateKey({
+      credential,
+      orgId: 'acme-org',
+      gracePeriodHours: 2,
+      user: ctx.user
+    });
+    await credential.update({ rotation_grace_ends_at: new Date(Date.now() - 1000) });
+
+    const result = await keyRotationService.deactivateExpiredGracePeriods();
+
+    expect(result).toEqual({ deactivated: 1, failed: 0 });
+    const old = ctx.gateway.state.keys.get('old-key-hash');
+    expect(old.is_inactive).toBe(true);
+    expect(old.quota_remaining).toBe(250);
+    await credential.reload();
+    expect(credential.is_active).toBe(false);
+    await replacement.reload();
+    expect(replacement.is_active).toBe(true);
+    expect(await ctx.db.AuditLog.count({ where: { action: 'deactivate_rotated_key' } })).toBe(1);
+  });
+});
@@ -0,0 +1,165 @@
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('key routes', () => {
+  let ctx;
+  let policy;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+    policy = await ctx.createPolicy({
+      accessRights: { pets: { api_id: 'pets', api_name: 'pets', versions: ['Default'] } }
+    });
+  });
+
+  const createKey = async (body = {}) => {
+    const response = await ctx.api('POST', '/api/tyk/keys', { name: 'Mobile app', policy_id: policy.id, ...body });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  it('creates a key on the gateway from a policy and records the credential', async () => {
+    const key = await createKey({ description: 'iOS client' });
+
+    expect(key.key).toBeTruthy();
+    const session = ctx.gateway.state.keys.get(key.key_hash);
+    expect(session.apply_policies).toEqual(['gold']);
+    expect(session.alias).toBe('Mobile app');
+    expect(session.org_id).toBe('acme-org');
+
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(key.key_hash);
+    expect(credential.user_id).toBe(ctx.user.id);
+    expect(credential.policy_id).toBe(policy.id);
+  });
+
+  it('rejects a key without a name', async () => {
+    const response = await ctx.api('POST', '/api/tyk/keys', { policy_id: policy.id });
+
+    expect(response.status).toBe(400);
+    expect(response.body.field).toBe('name');
+    expect(ctx.gateway.state.keys.size).toBe(0);
+  });
+
+  it('rejects a policy that is not available to the organization', async () => {
+    const response = await ctx.api('POST', '/api/tyk/keys', { name: 'Mobile app', policy_id: 9999 });
+
+    expect(response.status).toBeGreaterThanOrEqual(400);
+    expect(ctx.gateway.state.keys.size).toBe(0);
+  });
+
+  it('gets a key session', async () => {
+    const key = await createKey();
+
+    const response = await ctx.api('GET', `/api/tyk/keys/${key.key_hash}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.alias).toBe('Mobile app');
+    expect(response.body.data.apply_policies).toEqual(['gold']);
+  });
+
+  it('fails for a key the gateway does not have', async () => {
+    const response = await ctx.api('GET', '/api/tyk/keys/does-not-exist');
+
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('updates a key session', async () => {
+    const key = await createKey();
+    const session = ctx.gateway.state.keys.get(key.key_hash);
+
+    const response = await ctx.api('PUT', `/api/tyk/keys/${key.key_hash}`, { ...session, is_inactive: true });
+
+    expect(response.status).toBe(200);
+    expect(ctx.gateway.state.keys.get(key.key_hash).is_inactive).toBe(true);
+  });
+
+  it('deletes a key from the gateway', async () => {
+    const key = await createKey();
+
+    const response = await ctx.api('DELETE', `/api/tyk/keys/${key.key_hash}`);
+
+    expect(response.status).toBe(200);
+    expect(ctx.gateway.state.keys.has(key.key_hash)).toBe(false);
+  });
+
+  it('deactivates the credential of a deleted key, freeing its basic-auth username', async () => {
+    const body = { credential_type: 'basic_auth', username: 'alice' };
+    const key = await createKey(body);
+
+    const response = await ctx.api('DELETE', `/api/tyk/keys/${key.key_hash}`);
+
+    expect(response.status).toBe(200);
+    const credential = await ctx.db.UserCredentials.findByTykKeyHash(key.key_hash);
+    expect(credential.is_active).toBe(false);
+    await createKey(body);
+  });
+
+  it('warns about unprotected APIs of every policy a restricted key applies', async () => {
+    ctx.gateway.state.apis.set('pets', classicApi('pets', {
+      custom_middleware: { post_key_auth: [{ name: 'keyNetworkRestrictions', path: 'middleware/keyNetworkRestrictions.js' }] }
+    }));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+    await ctx.createPolicy({
+      id: 'silver',
+      name: 'Silver',
+      accessRights: { orders: { api_id: 'orders', api_name: 'orders', versions: ['Default'] } }
+    });
+    const key = await createKey();
+    const session = ctx.gateway.state.keys.get(key.key_hash);
+    session.apply_policies = ['gold', 'silver'];
+
+    const response = await ctx.api('PUT', `/api/tyk/keys/${key.key_hash}/restrictions`, { allowed_ips: ['10.0.0.0/8'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.warnings).toEqual([expect.stringMatching(/^API "orders" does not run the keyNetworkRestrictions middleware/)]);
+    expect(ctx.gateway.state.keys.get(key.key_hash).meta_data.network_restrictions.allowed_ips).toEqual(['10.0.0.0/8']);
+  });
+
+  it('reports a gateway failure without creating a credential', async () => {
+    ctx.gateway.setFault({ method: 'POST', path: '/tyk/keys', status: 400, message: 'bad session' });
+
+    const response = await ctx.api('POST', '/api/tyk/keys', { name: 'Mobile app', policy_id: policy.id });
+
+    expect(response.status).toBeGreaterThanOrEqual(400);
+    expect(await ctx.db.UserCredentials.count()).toBe(0);
+  });
+
+  it('resets a basic-auth password without resetting the quota', async () => {
+    ctx.gateway.state.keys.set('alice-hash', ctx.gateway.buildSession({
+      org_id: 'acme-org',
+      apply_policies: ['gold'],
+      basic_auth_data: { password: 'Old-Passw0rd!', hash_type: 'bcrypt' },
+      quota_remaining: 250
+    }));
+    await ctx.db.UserCredentials.create({
+      user_id: ctx.user.id,
+      organization_id: ctx.organization.id,
+      credential_type: 'basic_auth',
+      name: 'Alice',
+      tyk_key_hash: 'alice-hash',
+      basic_auth_username: 'alice',
+      policy_id: policy.id,
+      is_active: true
+    });
+
+    const response = await ctx.api('POST', '/api/tyk/keys/alice-hash/password', {});
+
+    expect(response.status).toBe(200);
+    const session = ctx.gateway.state.keys.get('alice-hash');
+    expect(session.basic_auth_data.password).toBe(response.body.data.password);
+    expect(session.quota_remaining).toBe(250);
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseCidr, normalizeRestrictions, checkRequest } = require('../../backend/utils/networkRestrictions');
+
+// Loads the gateway middleware the way the Tyk JSVM does, with its knr* helpers as globals
+const loadMiddleware = () => {
+  const middleware = {
+    NewProcessRequest(handler) {
+      this.handler = handler;
+    },
+    ReturnData: (request, metaData) => ({ Request: request, SessionMeta: metaData })
+  };
+  const context = vm.createContext({
+    TykJS: {
+      TykMiddleware: {
+        NewMiddleware: function NewMiddleware() {
+          return middleware;
+        }
+      }
+    }
+  });
+  const source = fs.readFileSync(path.join(__dirname, '../../tyk-configs/middleware/keyNetworkRestrictions.js'), 'utf8');
+  vm.runInContext(source, context);
+  return { context, middleware };
+};
+
+describe('network restrictions', () => {
+  const { context, middleware } = loadMiddleware();
+
+  const runMiddleware = (restrictions, { clientIp, origin } = {}) => {
+    const headers = {};
+    if (clientIp) headers['X-Real-Ip'] = [clientIp];
+    if (origin) headers.Origin = [origin];
+    const request = { Headers: headers, ReturnOverrides: {} };
+
+    middleware.handler(request, { meta_data: { network_restrictions: restrictions } }, { config_data: {} });
+    return request.ReturnOverrides.ResponseError || null;
+  };
+
+  describe('parseCidr', () => {
+    it('canonicalizes addresses and ranges', () => {
+      expect(parseCidr('203.0.113.7').cidr).toBe('203.0.113.7/32');
+      expect(parseCidr(' 10.0.0.0/8 ').cidr).toBe('10.0.0.0/8');
+      expect(parseCidr('2001:0db8:0000:0000::/32').cidr).toBe('2001:db8::/32');
+      expect(parseCidr('2001:db8:0:0:1:0:0:1').cidr).toBe('2001:db8::1:0:0:1/128');
+      expect(parseCidr('::/0').cidr).toBe('::/0');
+      expect(parseCidr('::1').cidr).toBe('::1/128');
+    });
+
+    it('stores IPv4-mapped ranges in IPv4 form', () => {
+      expect(parseCidr('::ffff:10.0.0.0/104').cidr).toBe('10.0.0.0/8');
+      expect(parseCidr('::ffff:a00:1').cidr).toBe('10.0.0.1/32');
+      expect(parseCidr('::ffff:0:0/96').cidr).toBe('0.0.0.0/0');
+      expect(parseCidr('::fffe:0:0/95').cidr).toBe('::fffe:0:0/95');
+    });
+
+    it('rejects ranges with host bits set and suggests the network', () => {
+      expect(() => parseCidr('10.0.0.1/8')).toThrow('"10.0.0.1/8" has host bits set; did you mean 10.0.0.0/8?');
+      expect(() => parseCidr('2001:db8::1/32')).toThrow(/did you mean 2001:db8::\/32\?/);
+    });
+
+    it.each([
+      '10.0.0.0/33',
+      '2001:db8::/129',
+      '10.0.0.0/',
+      '10.0.0.0/8/1',
+      '10.0.0.0/-1',
+      '256.0.0.1',
+      '10.0.0',
+      '2001:db8::1::2',
+      'example.com'
+    ])('rejects %s', (entry) => {
+      expect(() => parseCidr(entry)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('normalizeRestrictions', () => {
+    it('accepts separated strings, drops duplicates and lowercases origins', () => {
+      expect(normalizeRestrictions({
+        allowed_ips: '10.0.0.0/8, 10.0.0.0/8\n2001:db8::/32',
+        allowed_origins: ['HTTPS://App.Example.com/']
+      })).toEqual({
+        allowed_ips: ['10.0.0.0/8', '2001:db8::/32'],
+        blocked_ips: [],
+        allowed_origins: ['https://app.example.com']
+      });
+      expect(normalizeRestrictions({ allowed_ips: [] })).toBeNull();
+      expect(() => normalizeRestrictions({ allowed_origins: ['https://app.example.com/path'] })).toThrow(/not a valid origin/);
+    });
+  });
+
+  // Every case runs through both checkRequest and the gateway middleware, so the two copies stay in step
+  describe.each([
+    ['allows an address in an allowed range', { allowed_ips: ['10.0.0.0/8'] }, { clientIp: '10.1.2.3' }, null],
+    ['refuses an address outside the allowed ranges', { allowed_ips: ['10.0.0.0/8'] }, { clientIp: '11.0.0.1' }, 'Access from this address is not allowed for this key'],
+    ['lets a blocked range win over an allowed one', { allowed_ips: ['10.0.0.0/8'], blocked_ips: ['10.1.0.0/16'] }, { clientIp: '10.1.2.3' }, 'Access from this address is blocked for this key'],
+    ['allows addresses outside the blocked ranges', { blocked_ips: ['10.1.0.0/16'] }, { clientIp: '10.2.0.1' }, null],
+    ['matches a dotted IPv4-mapped client as IPv4', { allowed_ips: ['10.0.0.0/8'] }, { clientIp: '::ffff:10.1.2.3' }, null],
+    ['matches a hex IPv4-mapped client as IPv4', { allowed_ips: ['10.0.0.0/8'] }, { clientIp: '::ffff:a01:203' }, null],
+    ['blocks an IPv4 client with an IPv4-mapped entry', { blocked_ips: ['::ffff:10.0.0.1'] }, { clientIp: '10.0.0.1' }, 'Access from this address is blocked for this key'],
+    ['allows an IPv6 address in range', { allowed_ips: ['2001:db8::/32'] }, { clientIp: '2001:db8:0:1::5' }, null],
+    ['refuses an IPv6 address out of range', { allowed_ips: ['2001:db8::/32'] }, { clientIp: '2001:db9::1' }, 'Access from this address is not allowed for this key'],
+    ['never matches IPv4 against IPv6 ranges', { allowed_ips: ['::/0'] }, { clientIp: '10.0.0.1' }, 'Access from this address is not allowed for this key'],
+    ['refuses a request without a client address', { allowed_ips: ['10.0.0.0/8'] }, {}, 'Client address could not be determined for this key'],
+    ['refuses an unparseable client address', { blocked_ips: ['10.0.0.0/8'] }, { clientIp: 'unknown' }, 'Client address could not be determined for this key'],
+    ['allows a subdomain of a wildcard origin', { allowed_origins: ['https://*.example.com'] }, { origin: 'https://app.example.com' }, null],
+    ['refuses the apex of a wildcard origin', { allowed_origins: ['https://*.example.com'] }, { origin: 'https://example.com' }, 'Requests from this origin are not allowed for this key'],
+    ['refuses a wildcard origin on another scheme', { allowed_origins: ['https://*.example.com'] }, { origin: 'http://app.example.com' }, 'Requests from this origin are not allowed for this key'],
+    ['refuses a lookalike of a wildcard origin', { allowed_origins: ['https://*.example.com'] }, { origin: 'https://app.example.com.evil.test' }, 'Requests from this origin are not allowed for this key'],
+    ['refuses a host that only ends with the wildcard domain', { allowed_origins: ['https://*.example.com'] }, { origin: 'https://evilexample.com' }, 'Requests from this origin are not allowed for this key'],
+    ['matches an exact origin with port, ignoring the path', { allowed_origins: ['https://app.example.com:8443'] }, { origin: 'https://app.example.com:8443/page' }, null],
+    ['refuses an exact origin on another port', { allowed_origins: ['https://app.example.com:8443'] }, { origin: 'https://app.example.com' }, 'Requests from this origin are not allowed for this key'],
+    ['refuses a request without an origin', { allowed_origins: ['https://app.example.com'] }, { clientIp: '10.0.0.1' }, 'Requests from this origin are not allowed for this key'],
+    ['checks addresses before origins', { allowed_ips: ['10.0.0.0/8'], allowed_origins: ['https://app.example.com'] }, { clientIp: '11.0.0.1', origin: 'https://evil.test' }, 'Access from this address is not allowed for this key']
+  ])('%s', (name, restrictions, request, expected) => {
+    const stored = normalizeRestrictions(restrictions);
+
+    it('in checkRequest', () => {
+      expect(checkRequest(stored, request)).toBe(expected);
+    });
+
+    it('in the gateway middleware', () => {
+      expect(runMiddleware(stored, request)).toBe(expected);
+    });
+  });
+
+  describe('gateway middleware', () => {
+    it.each([
+      ['10.0.0.1', [10, 0, 0, 1]],
+      ['::ffff:10.0.0.1', [10, 0, 0, 1]],
+      ['::FFFF:a00:1', [10, 0, 0, 1]],
+      ['::1', [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]],
+      ['2001:db8::ff00:42', [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0, 0, 0x42]],
+      ['256.0.0.1', null],
+      ['2001:db8::1::2', null],
+      ['example.com', null]
+    ])('parses %s', (address, expected) => {
+      const bytes = context.knrAddressBytes(address);
+      expect(bytes && Array.from(bytes)).toEqual(expected);
+    });
+
+    it('matches mapped ranges stored before they were normalized to IPv4', () => {
+      const client = context.knrAddressBytes('10.1.2.3');
+
+      expect(context.knrInRange(client, '::ffff:a00:0/104')).toBe(true);
+      expect(context.knrInRange(client, '::ffff:b00:0/104')).toBe(false);
+      expect(context.knrInRange(client, '::ffff:0:0/96')).toBe(true);
+      expect(context.knrInRange(client, '::ffff:0:0/95')).toBe(false);
+    });
+
+    it('falls back to X-Forwarded-For and honours a configured client IP header', () => {
+      const restrictions = { allowed_ips: ['10.0.0.0/8'], blocked_ips: [], allowed_origins: [] };
+      const forwarded = { Headers: { 'X-Forwarded-For': ['10.0.0.1, 203.0.113.9'] }, ReturnOverrides: {} };
+      middleware.handler(forwarded, { meta_data: { network_restrictions: restrictions } }, { config_data: {} });
+      expect(forwarded.ReturnOverrides.ResponseCode).toBeUndefined();
+
+      const custom = { Headers: { 'X-Real-Ip': ['10.0.0.1'], 'Cf-Connecting-Ip': ['203.0.113.9'] }, ReturnOverrides: {} };
+      middleware.handler(custom, { meta_data: { network_restrictions: restrictions } }, { config_data: { client_ip_header: 'Cf-Connecting-Ip' } });
+      expect(custom.ReturnOverrides).toEqual({ ResponseCode: 403, ResponseError: 'Access from this address is not allowed for this key' });
+    });
+
+    it('passes keys without restrictions through', () => {
+      const request = { Headers: {}, ReturnOverrides: {} };
+
+      const result = middleware.handler(request, { meta_data: {} }, { config_data: {} });
+
+      expect(result.Request).toBe(request);
+      expect(request.ReturnOverrides).toEqual({});
+    });
+  });
+});
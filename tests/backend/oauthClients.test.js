@@ -0,0 +1,145 @@
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('OAuth clients', () => {
+  let ctx;
+  let policy;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['tyk'] });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets', { use_oauth2: true, use_standard_auth: false }));
+    ctx.gateway.state.apis.set('orders', classicApi('orders', { use_oauth2: true, use_standard_auth: false }));
+    ctx.gateway.state.apis.set('plain', classicApi('plain'));
+    ctx.gateway.state.apis.set('globex', classicApi('globex', { org_id: 'globex-org', use_oauth2: true }));
+    policy = await ctx.createPolicy({
+      accessRights: { pets: { api_id: 'pets', api_name: 'pets', versions: ['Default'] } }
+    });
+  });
+
+  const registerClient = (body = {}) => ctx.api('POST', '/api/tyk/oauth/clients', {
+    api_id: 'pets',
+    policy_id: policy.id,
+    redirect_uris: ['https://app.example.com/callback', ' https://app.example.com/callback '],
+    description: ' Mobile app ',
+    ...body
+  });
+
+  it('registers a client on the gateway and shows its secret once', async () => {
+    const response = await registerClient();
+
+    expect(response.status).toBe(201);
+    const client = response.body.data;
+    expect(client).toMatchObject({
+      api_id: 'pets',
+      description: 'Mobile app',
+      redirect_uris: ['https://app.example.com/callback'],
+      policy_id: 'gold',
+      policy_name: 'Gold',
+      created_by: ctx.user.email,
+      warnings: []
+    });
+    expect(client.secret).toBeTruthy();
+    expect(client.security_notice).toMatch(/secret will only be displayed once/);
+
+    const stored = ctx.gateway.state.oauthClients.get(client.client_id);
+    expect(stored).toMatchObject({ redirect_uri: 'https://app.example.com/callback', policy_id: 'gold', secret: client.secret });
+    expect(stored.meta_data).toMatchObject({ org_id: 'acme-org', created_by: ctx.user.email, created_by_id: String(ctx.user.id) });
+    expect(await ctx.db.UserCredentials.count()).toBe(0);
+
+    const listed = await ctx.api('GET', '/api/tyk/oauth/clients');
+    expect(listed.status).toBe(200);
+    expect(listed.body.data).toEqual([expect.objectContaining({ client_id: client.client_id, api_name: 'pets' })]);
+    expect(listed.body.data[0]).not.toHaveProperty('secret');
+    expect(JSON.stringify(listed.body)).not.toContain(client.secret);
+  });
+
+  it('warns when the policy does not grant the API', async () => {
+    const response = await registerClient({ api_id: 'orders' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.warnings).toEqual([expect.stringMatching(/^Policy "Gold" does not grant access to "orders"/)]);
+  });
+
+  it.each([
+    [{ redirect_uris: [] }, /At least one redirect URI/],
+    [{ redirect_uris: ['http://app.example.com/callback'] }, /must use https/],
+    [{ redirect_uris: ['https://app.example.com/callback#token'] }, /must not contain a fragment/],
+    [{ redirect_uris: ['https://app.example.com/a;b'] }, /must not contain ";"/],
+    [{ redirect_uris: ['not a url'] }, /is not a valid URL/],
+    [{ api_id: 'plain' }, /does not use OAuth2/]
+  ])('rejects %j', async (body, message) => {
+    const response = await registerClient(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(message);
+    expect(ctx.gateway.state.oauthClients.size).toBe(0);
+  });
+
+  it('allows http redirects to localhost', async () => {
+    const response = await registerClient({ redirect_uris: ['http://localhost:3000/callback', 'http://127.0.0.1/cb'] });
+
+    expect(response.status).toBe(201);
+    expect(ctx.gateway.state.oauthClients.get(response.body.data.client_id).redirect_uri)
+      .toBe('http://localhost:3000/callback;http://127.0.0.1/cb');
+  });
+
+  it('lists, revokes and previews tokens without exposing them', async () => {
+    const client = (await registerClient()).body.data;
+    const first = ctx.gateway.issueOAuthToken(client.client_id);
+    const second = ctx.gateway.issueOAuthToken(client.client_id);
+
+    const tokens = await ctx.api('GET', `/api/tyk/oauth/clients/pets/${client.client_id}/tokens`);
+    expect(tokens.status).toBe(200);
+    expect(tokens.body.count).toBe(2);
+    expect(JSON.stringify(tokens.body)).not.toContain(first);
+    expect(tokens.body.data[0].token_preview).toBe(`${first.substring(0, 6)}…${first.slice(-4)}`);
+
+    const revoked = await ctx.api('DELETE', `/api/tyk/oauth/clients/pets/${client.client_id}/tokens/${tokens.body.data[0].token_id}`);
+    expect(revoked.status).toBe(200);
+    expect(ctx.gateway.state.oauthTokens.get(client.client_id).map(token => token.code)).toEqual([second]);
+
+    const deleted = await ctx.api('DELETE', `/api/tyk/oauth/clients/pets/${client.client_id}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.data.tokens_revoked).toBe(true);
+    expect(deleted.body.data.client).not.toHaveProperty('secret');
+    expect(ctx.gateway.state.oauthClients.has(client.client_id)).toBe(false);
+    expect(ctx.gateway.state.oauthTokens.has(client.client_id)).toBe(false);
+  });
+
+  it('keeps clients of other organizations\' APIs out of reach', async () => {
+    ctx.gateway.state.oauthClients.set('globex-client', {
+      client_id: 'globex-client',
+      secret: 'globex-secret',
+      redirect_uri: 'https://globex.example.com/cb',
+      policy_id: 'globex-policy',
+      api_id: 'globex'
+    });
+
+    expect((await registerClient({ api_id: 'globex' })).status).toBe(403);
+    expect((await ctx.api('GET', '/api/tyk/oauth/clients?api_id=globex')).status).toBe(403);
+    expect((await ctx.api('GET', '/api/tyk/oauth/clients/globex/globex-client/tokens')).status).toBe(403);
+    expect((await ctx.api('DELETE', '/api/tyk/oauth/clients/globex/globex-client')).status).toBe(403);
+    expect(ctx.gateway.state.oauthClients.has('globex-client')).toBe(true);
+
+    const listed = await ctx.api('GET', '/api/tyk/oauth/clients');
+    expect(listed.body.data).toEqual([]);
+    expect((await ctx.api('GET', '/api/tyk/oauth/clients/pets/globex-client/tokens')).status).toBe(404);
+  });
+
+  it('refuses a policy that is not available to the organization', async () => {
+    const response = await registerClient({ policy_id: 9999 });
+
+    expect(response.status).toBe(403);
+    expect(ctx.gateway.state.oauthClients.size).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('policy routes', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['policies'], role: 'super_admin' });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    await ctx.db.PolicyRevision.destroy({ where: {} });
+    await ctx.db.PolicyApiAccess.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+  });
+
+  const createPolicy = async (body = {}) => {
+    const response = await ctx.api('POST', '/api/policies', {
+      name: 'Gold',
+      rate_limit: 50,
+      rate_per: 10,
+      quota_max: 5000,
+      api_accesses: [{ api_id: 'pets', api_name: 'pets', versions: ['Default'] }],
+      ...body
+    });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  it('creates a policy on the gateway and stores its API access', async () => {
+    const policy = await createPolicy();
+
+    const tykPolicy = ctx.gateway.state.policies.get(policy.tyk_policy_id);
+    expect(tykPolicy).toMatchObject({ name: 'Gold', org_id: 'acme-org', rate: 50, per: 10, quota_max: 5000 });
+    expect(Object.keys(tykPolicy.access_rights)).toEqual(['pets']);
+    expect(tykPolicy.access_rights.pets.versions).toEqual(['Default']);
+
+    const accesses = await ctx.db.PolicyApiAccess.findAll({ where: { policy_id: policy.id } });
+    expect(accesses.map(access => access.api_id)).toEqual(['pets']);
+  });
+
+  it('rejects a policy without a name', async () => {
+    const response = await ctx.api('POST', '/api/policies', { name: '  ' });
+
+    expect(response.status).toBe(400);
+    expect(ctx.gateway.state.policies.size).toBe(0);
+  });
+
+  it('does not store a policy the gateway rejected', async () => {
+    ctx.gateway.setFault({ status: 500, message: 'boom', method: 'POST', path: '/tyk/policies' });
+
+    const response = await ctx.api('POST', '/api/policies', { name: 'Gold' });
+
+    expect(response.status).toBeGreaterThanOrEqual(500);
+    expect(await ctx.db.Policy.count()).toBe(0);
+  });
+
+  it('updates limits and replaces API access on the gateway', async () => {
+    const policy = await createPolicy();
+
+    const response = await ctx.api('PUT', `/api/policies/${policy.id}`, {
+      rate_limit: 200,
+      api_accesses: [{ api_id: 'orders', api_name: 'orders', versions: ['Default'] }]
+    });
+
+    expect(response.status).toBe(200);
+    const tykPolicy = ctx.gateway.state.policies.get(policy.tyk_policy_id);
+    expect(tykPolicy).toMatchObject({ name: 'Gold', rate: 200, per: 10, quota_max: 5000 });
+    expect(Object.keys(tykPolicy.access_rights)).toEqual(['orders']);
+
+    const stored = await ctx.db.Policy.findByPk(policy.id);
+    expect(stored.rate_limit).toBe(200);
+    const accesses = await ctx.db.PolicyApiAccess.findAll({ where: { policy_id: policy.id } });
+    expect(accesses.map(access => access.api_id)).toEqual(['orders']);
+  });
+
+  it('keeps API access when an update leaves it out', async () => {
+    const policy = await createPolicy();
+
+    const response = await ctx.api('PUT', `/api/policies/${policy.id}`, { name: 'Platinum' });
+
+    expect(response.status).toBe(200);
+    const tykPolicy = ctx.gateway.state.policies.get(policy.tyk_policy_id);
+    expect(tykPolicy.name).toBe('Platinum');
+    expect(Object.keys(tykPolicy.access_rights)).toEqual(['pets']);
+  });
+
+  it('returns 404 when updating an unknown policy', async () => {
+    const response = await ctx.api('PUT', '/api/policies/9999', { name: 'Platinum' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('lets admins change only their own organization\'s policies', async () => {
+    const policy = await createPolicy();
+    const admin = await ctx.createUser({ role: 'admin' });
+    const otherOrganization = await ctx.db.Organization.create({ name: 'Other', tyk_org_id: 'other-org' });
+    const otherAdmin = await ctx.createUser({ role: 'admin', organization_id: otherOrganization.id });
+
+    const denied = await ctx.api('PUT', `/api/policies/${policy.id}`, { name: 'Stolen' }, otherAdmin);
+    expect(denied.status).toBe(403);
+    const deniedDelete = await ctx.api('DELETE', `/api/policies/${policy.id}`, undefined, otherAdmin);
+    expect(deniedDelete.status).toBe(403);
+    expect(ctx.gateway.state.policies.get(policy.tyk_policy_id).name).toBe('Gold');
+
+    const updated = await ctx.api('PUT', `/api/policies/${policy.id}`, { name: 'Platinum' }, admin);
+    expect(updated.status).toBe(200);
+    expect(ctx.gateway.state.policies.get(policy.tyk_policy_id).name).toBe('Platinum');
+  });
+});
@@ -0,0 +1,133 @@
+const { createTestContext, classicApi } = require('./testContext');
+
+describe('policy impact analysis', () => {
+  let ctx;
+  let policy;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['policies'], role: 'super_admin' });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.PolicyRevision.destroy({ where: {} });
+    await ctx.db.PolicyApiAccess.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+
+    const created = await ctx.api('POST', '/api/policies', {
+      name: 'Gold',
+      rate_limit: 50,
+      rate_per: 10,
+      quota_max: 5000,
+      api_accesses: [{ api_id: 'pets', api_name: 'pets', versions: ['Default'] }]
+    });
+    policy = created.body.data;
+    await ctx.createPolicy({ id: 'silver', name: 'Silver' });
+  });
+
+  const addKey = (keyHash, session = {}) => {
+    ctx.gateway.state.keys.set(keyHash, ctx.gateway.buildSession({
+      org_id: 'acme-org',
+      alias: keyHash,
+      apply_policies: [policy.tyk_policy_id],
+      ...session
+    }));
+  };
+
+  const trackKey = (keyHash) => ctx.db.UserCredentials.create({
+    user_id: ctx.user.id,
+    organization_id: ctx.organization.id,
+    credential_type: 'api_key',
+    name: keyHash,
+    tyk_key_hash: keyHash,
+    policy_id: policy.id,
+    is_active: true
+  });
+
+  const previewImpact = (body) => ctx.api('POST', `/api/policies/${policy.id}/impact`, body);
+
+  it('lists the keys, organizations and APIs an update touches without changing anything', async () => {
+    addKey('only-key');
+    addKey('shared-key', { apply_policies: [policy.tyk_policy_id, 'silver'] });
+    addKey('unrelated-key', { apply_policies: ['silver'] });
+    await trackKey('only-key');
+    await trackKey('database-only-key');
+    const requestsBefore = ctx.gateway.requests.length;
+
+    const response = await previewImpact({
+      operation: 'update',
+      changes: {
+        rate_limit: 200,
+        api_accesses: [{ api_id: 'orders', api_name: 'orders', versions: ['Default'] }]
+      }
+    });
+
+    expect(response.status).toBe(200);
+    const impact = response.body.data;
+    expect(impact.before).toMatchObject({ rate: 50, apis: ['pets'] });
+    expect(impact.after).toMatchObject({ rate: 200, per: 10, quota_max: 5000, apis: ['orders'] });
+    expect(impact.changes.find(change => change.path === 'rate')).toMatchObject({ from: 50, to: 200 });
+    expect(impact.apis).toEqual(expect.arrayContaining([
+      expect.objectContaining({ api_id: 'pets', change: 'removed' }),
+      expect.objectContaining({ api_id: 'orders', change: 'added' })
+    ]));
+    expect(impact.organizations).toEqual([expect.objectContaining({ tyk_org_id: 'acme-org', is_active: true })]);
+
+    const keys = Object.fromEntries(impact.keys.map(key => [key.key_hash, key]));
+    expect(Object.keys(keys).sort()).toEqual(['database-only-key', 'only-key', 'shared-key']);
+    expect(keys['only-key']).toMatchObject({
+      owner_email: ctx.user.email,
+      sources: ['gateway', 'database'],
+      other_policies: [],
+      before: { rate: 50, apis: ['pets'] },
+      after: { rate: 200, apis: ['orders'] }
+    });
+    expect(keys['shared-key'].other_policies).toEqual(['silver']);
+    expect(keys['database-only-key']).toMatchObject({ sources: ['database'], before: null, after: null });
+    expect(impact.summary).toMatchObject({ key_count: 3, gateway_key_count: 2, database_only_key_count: 1 });
+
+    const writes = ctx.gateway.requests.slice(requestsBefore).filter(request => request.method !== 'GET');
+    expect(writes).toEqual([]);
+    expect(ctx.gateway.state.policies.get(policy.tyk_policy_id).rate).toBe(50);
+  });
+
+  it('warns about keys that would lose their only policy on delete', async () => {
+    addKey('only-key');
+    addKey('shared-key', { apply_policies: [policy.tyk_policy_id, 'silver'] });
+
+    const response = await previewImpact({ operation: 'delete' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.after).toBeNull();
+    expect(response.body.data.changes).toEqual([]);
+    expect(response.body.data.warnings).toEqual([expect.stringMatching(/^1 key\(s\) apply only this policy/)]);
+    expect(ctx.gateway.state.policies.has(policy.tyk_policy_id)).toBe(true);
+  });
+
+  it('still lists database keys when the gateway keys cannot be read', async () => {
+    addKey('only-key');
+    await trackKey('only-key');
+    ctx.gateway.setFault({ status: 500, message: 'boom', method: 'GET', path: /^\/tyk\/keys$/ });
+
+    const response = await previewImpact({ operation: 'update', changes: { rate_limit: 200 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.gateway_error).toBeTruthy();
+    expect(response.body.data.keys).toEqual([expect.objectContaining({ key_hash: 'only-key', sources: ['database'] })]);
+  });
+
+  it('rejects unknown operations', async () => {
+    const response = await previewImpact({ operation: 'rename' });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,100 @@
+const { createTestContext, classicApi } = require('./testContext');
+const policyRevisionService = require('../../backend/services/PolicyRevisionService');
+
+describe('policy revisions', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: ['policies'], role: 'super_admin' });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    await ctx.db.PolicyRevision.destroy({ where: {} });
+    await ctx.db.PolicyApiAccess.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+    ctx.gateway.state.apis.set('orders', classicApi('orders'));
+  });
+
+  // Creates a policy through the API (revision 1) and updates it (revision 2)
+  const createAndUpdatePolicy = async () => {
+    const created = await ctx.api('POST', '/api/policies', {
+      name: 'Gold',
+      rate_limit: 50,
+      rate_per: 10,
+      api_accesses: [{ api_id: 'pets', api_name: 'pets', versions: ['Default'] }]
+    });
+    expect(created.status).toBe(201);
+    const policy = created.body.data;
+
+    const updated = await ctx.api('PUT', `/api/policies/${policy.id}`, {
+      rate_limit: 200,
+      api_accesses: [{ api_id: 'orders', api_name: 'orders', versions: ['Default'] }],
+      comment: 'More traffic, orders only'
+    });
+    expect(updated.status).toBe(200);
+    return policy;
+  };
+
+  it('records a revision for every change, newest first', async () => {
+    const policy = await createAndUpdatePolicy();
+
+    const response = await ctx.api('GET', `/api/policies/${policy.id}/revisions`);
+
+    expect(response.status).toBe(200);
+    const revisions = response.body.data.revisions || response.body.data;
+    expect(revisions.map(revision => [revision.revision_number, revision.action])).toEqual([[2, 'update'], [1, 'create']]);
+    expect(revisions[0]).toMatchObject({ comment: 'More traffic, orders only', author: { email: ctx.user.email } });
+  });
+
+  it('compares two revisions field by field', async () => {
+    const policy = await createAndUpdatePolicy();
+
+    const { changes } = await policyRevisionService.diffRevisions(policy.id, 1, 2);
+
+    const paths = changes.map(change => change.path);
+    expect(changes.find(change => change.path === 'rate_limit')).toMatchObject({ from: 50, to: 200 });
+    expect(paths).toContain('access_rights.pets');
+    expect(paths).toContain('access_rights.orders');
+    expect(paths).not.toContain('rate_per');
+  });
+
+  it('restores an earlier revision on the gateway as a new revision', async () => {
+    const policy = await createAndUpdatePolicy();
+
+    const response = await ctx.api('POST', `/api/policies/${policy.id}/revisions/1/restore`, { comment: 'Undo' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.revision).toMatchObject({ revision_number: 3, action: 'restore', source_revision_number: 1 });
+    const tykPolicy = ctx.gateway.state.policies.get(policy.tyk_policy_id);
+    expect(tykPolicy.rate).toBe(50);
+    expect(Object.keys(tykPolicy.access_rights)).toEqual(['pets']);
+  });
+
+  it('stores the state before the first tracked change as a baseline revision', async () => {
+    const policy = await ctx.createPolicy();
+    const baseline = await policyRevisionService.snapshotPolicy(policy);
+    await policy.update({ rate_limit: 500 });
+
+    const revision = await policyRevisionService.recordRevision({ policy, action: 'update', user: ctx.user, baseline });
+
+    expect(revision.revision_number).toBe(2);
+    const first = await policyRevisionService.getRevision(policy.id, 1);
+    expect(first.action).toBe('baseline');
+    expect(first.snapshot.rate_limit).toBe(100);
+    expect(revision.snapshot.rate_limit).toBe(500);
+  });
+
+  it('rejects unknown and invalid revision numbers', async () => {
+    const policy = await createAndUpdatePolicy();
+
+    await expect(policyRevisionService.getRevision(policy.id, 9)).rejects.toMatchObject({ status: 404 });
+    await expect(policyRevisionService.getRevision(policy.id, 'latest')).rejects.toMatchObject({ status: 400 });
+  });
+});
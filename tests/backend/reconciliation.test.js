@@ -0,0 +1,158 @@
+const { createTestContext, classicApi } = require('./testContext');
+const reconciliationService = require('../../backend/services/ReconciliationService');
+
+describe('ReconciliationService', () => {
+  let ctx;
+  let admin;
+  let superAdmin;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ routes: [] });
+    admin = ctx.user;
+    superAdmin = await ctx.createUser({ role: 'super_admin' });
+  });
+
+  afterAll(async () => {
+    await ctx.close();
+  });
+
+  beforeEach(async () => {
+    ctx.gateway.reset();
+    ctx.tykGatewayService.keyCache.clear();
+    await ctx.db.UserCredentials.destroy({ where: {} });
+    await ctx.db.PolicyApiAccess.destroy({ where: {} });
+    await ctx.db.OrganizationAvailablePolicy.destroy({ where: {} });
+    await ctx.db.Policy.destroy({ where: {} });
+    ctx.gateway.state.apis.set('pets', classicApi('pets'));
+  });
+
+  const findItem = (report, type, id) =>
+    report.items.find(item => item.resource_type === type && item.resource_id === id);
+
+  it('pushes a database-only policy with the same payload PolicyService builds', async () => {
+    const policy = await ctx.createPolicy();
+    await policy.update({ partitions: { quota: true, rate_limit: false, acl: false, complexity: false } });
+    await ctx.db.PolicyApiAccess.createBulkForPolicy(policy.id, [{ api_id: 'pets', api_name: 'pets', versions: ['Default'] }]);
+    ctx.gateway.state.policies.delete('gold');
+
+    const [result] = await reconciliationService.applyFixes(ctx.organization.id, [
+      { resource_type: 'policy', resource_id: 'gold', action: 'push' }
+    ], admin);
+
+    expect(result).toMatchObject({ drift: 'db_only', success: true });
+    const pushed = ctx.gateway.state.policies.get('gold');
+    expect(pushed).toMatchObject({ name: 'Gold', org_id: 'acme-org', rate: 100, per: 60, quota_max: 1000 });
+    expect(pushed.partitions).toMatchObject({ quota: true, rate_limit: false, acl: false });
+    expect(Object.keys(pushed.access_rights)).toEqual(['pets']);
+    expect(ctx.gateway.state.reloads).toBe(1);
+  });
+
+  it('reports a push as failed when the gateway does not reload', async () => {
+    await ctx.createPolicy();
+    ctx.gateway.state.policies.delete('gold');
+    ctx.gateway.setFault({ status: 500, message: 'reload failed', path: '/tyk/reload' });
+
+    const [result] = await reconciliationService.applyFixes(ctx.organization.id, [
+      { resource_type: 'policy', resource_id: 'gold', action: 'push' }
+    ], admin);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/reload/i);
+  });
+
+  it('only shows gateway objects with no org_id to super admins', async () => {
+    ctx.gateway.state.policies.set('shared', { id: 'shared', name: 'Shared', org_id: '', access_rights: {} });
+    ctx.gateway.state.policies.set('other', { id: 'other', name: 'Other org', org_id: 'other-org', access_rights: {} });
+
+    const adminReport = await reconciliationService.detectDrift(ctx.organization.id);
+    expect(findItem(adminReport, 'policy', 'shared')).toBeUndefined();
+    expect(findItem(adminReport, 'policy', 'other')).toBeUndefined();
+
+    const superAdminReport = await reconciliationService.detectDrift(ctx.organization.id, { includeGlobal: true });
+    expect(findItem(superAdminReport, 'policy', 'shared')).toMatchObject({ drift: 'gateway_only' });
+    expect(findItem(superAdminReport, 'policy', 'other')).toBeUndefined();
+
+    const [adminFix] = await reconciliationService.applyFixes(ctx.organization.id, [
+      { resource_type: 'policy', resource_id: 'shared', action: 'delete_gateway' }
+    ], admin);
+    expect(adminFix.success).toBe(false);
+    expect(ctx.gateway.state.policies.has('shared')).toBe(true);
+
+    const [superAdminFix] = await reconciliationService.applyFixes(ctx.organization.id, [
+      { resource_type: 'policy', resource_id: 'shared', action: 'delete_gateway' }
+    ], superAdmin);
+    expect(superAdminFix.success).toBe(true);
+    expect(ctx.gateway.state.policies.has('shared')).toBe(false);
+  });
+
+  it('pushes a key without resetting its quota', async () => {
+    const policy = await ctx.createPolicy();
+    const keyHash = 'acme-key-hash';
+    ctx.gateway.state.keys.set(keyHash, ctx.gateway.buildSession({
+      org_id: 'acme-org',
+      apply_policies: ['gold'],
+      quota_remaining: 250
+    }));
+    await ctx.db.UserCredentials.create({
+      user_id: admin.id,
+      organization_id: ctx.organization.id,
+      credential_type: 'api_key',
+      name: 'Mobile app',
+      tyk_key_hash: keyHash,
+      policy_id: policy.id,
+      is_active: false
+    });
+
+    const report = await reconciliationService.detectDrift(ctx.organization.id);
+    expect(findItem(report, 'key', keyHash)).toMatchObject({ drift: 'mismatch' });
+
+    const [result] = await reconciliationService.applyFixes(ctx.organization.id, [
+      { resource_type: 'key', resource_id: keyHash, action: 'push' }
+    ], admin);
+
+    expect(result.success).toBe(true);
+    const session = ctx.gateway.state.keys.get(keyHash);
+    expect(session.is_inactive).toBe(true);
+    expect(session.quota_remaining).toBe(250);
+  });
+
+  it('never offers to delete the record of a key the gateway failed to return', async () => {
+    const keyHash = 'flaky-key-hash';
+    ctx.gateway.state.keys.set(keyHash, ctx.gateway.buildSession({ org_id: 'acme-org' }));
+    await ctx.db.UserCredentials.create({
+      user_id: admin.id,
+      organization_id: ctx.organization.id,
+      credential_type: 'api_key',
+      name: 'Mobile app',
+      tyk_key_hash: keyHash,
+      is_active: true
+    });
+    ctx.gateway.setFault({ status: 500, message: 'timeout', method: 'GET', path: `/tyk/keys/${keyHash}` });
+
+    const report = await reconciliationService.detectDrift(ctx.organization.id);
+    expect(findItem(report, 'key', keyHash)).toBeUndefined();
+    expect(report.unchecked).toEqual([expect.objectContaining({ resource_type: 'key', resource_id: keyHash })]);
+    expect(report.consistent).toBe(false);
+
+    const [result] = await reconciliationService.applyFixes(ctx.organization.id, [
+      { resource_type: 'key', resource_id: keyHash, action: 'delete_database' }
+    ], admin);
+    expect(result.success).toBe(false);
+    expect(await ctx.db.UserCredentials.count({ where: { tyk_key_hash: keyHash } })).toBe(1);
+  });
+
+  it('does not report the kept records of deleted keys as drift', async () => {
+    await ctx.db.UserCredentials.create({
+      user_id: admin.id,
+      organization_id: ctx.organization.id,
+      credential_type: 'api_key',
+      name: 'Old app',
+      tyk_key_hash: 'deleted-key-hash',
+      is_active: false
+    });
+
+    const report = await reconciliationService.detectDrift(ctx.organization.id);
+
+    expect(findItem(report, 'key', 'deleted-key-hash')).toBeUndefined();
+  });
+});
@@ -0,0 +1,129 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const FakeTykGateway = require('../fake-tyk-gateway');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+/**
+ * Boots backend routers against in-memory SQLite (NODE_ENV=test) and a fake
+ * Tyk Gateway, with one organization and one user to call them as.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.routes=['tyk']] - Routers to mount under /api/<name>
+ * @param {string} [options.role='admin'] - Role of the default user
+ * @returns {Promise<Object>} { db, organization, user, gateway, tykGatewayService, api, createUser, createPolicy, createTrackedKey, close }
+ */
+const createTestContext = async ({ routes = ['tyk'], role = 'admin' } = {}) => {
+  const db = require('../../backend/models');
+  await db.sequelize.sync();
+
+  const gateway = new FakeTykGateway();
+  await gateway.start();
+  const tykGatewayService = require('../../backend/services/TykGatewayService');
+  gateway.connect(tykGatewayService);
+
+  const organization = await db.Organization.create({ name: 'Acme', tyk_org_id: 'acme-org' });
+
+  let userCount = 0;
+  const createUser = async (attributes = {}) => {
+    userCount += 1;
+    return db.User.create({
+      email: `user${userCount}@acme.test`,
+      password: 'Passw0rd!',
+      first_name: 'Test',
+      last_name: `User ${userCount}`,
+      organization_id: organization.id,
+      role,
+      is_active: true,
+      ...attributes
+    });
+  };
+  const user = await createUser();
+
+  const app = express();
+  app.use(express.json());
+  for (const name of routes) {
+    app.use(`/api/${name}`, require(`../../backend/routes/${name}`));
+  }
+
+  // Sends a request as `as` (the default user unless given)
+  const api = (method, path, body, as = user) => {
+    const token = jwt.sign({ id: as.id, email: as.email, role: as.role }, JWT_SECRET, { expiresIn: '1h' });
+    const pending = request(app)[method.toLowerCase()](path).set('Authorization', `Bearer ${token}`);
+    return body === undefined ? pending : pending.send(body);
+  };
+
+  // A policy available to the organization, stored in the database and on the gateway
+  const createPolicy = async ({ id = 'gold', name = 'Gold', accessRights = {}, ...fields } = {}) => {
+    gateway.state.policies.set(id, {
+      id,
+      name,
+      org_id: organization.tyk_org_id,
+      rate: 100,
+      per: 60,
+      quota_max: 1000,
+      quota_renewal_rate: 3600,
+      active: true,
+      access_rights: accessRights,
+      ...fields
+    });
+    const policy = await db.Policy.create({
+      name,
+      tyk_policy_id: id,
+      owner_organization_id: organization.id,
+      created_by_user_id: user.id,
+      rate_limit: 100,
+      rate_per: 60,
+      quota_max: 1000
+    });
+    await db.OrganizationAvailablePolicy.create({
+      organization_id: organization.id,
+      policy_id: policy.id,
+      assigned_by_user_id: user.id,
+      is_active: true
+    });
+    return policy;
+  };
+
+  // A key on the gateway whose credential is tracked in the database, applying `policy` when given
+  const createTrackedKey = async (keyHash, { name = keyHash, policy = null, session = {}, credential = {} } = {}) => {
+    gateway.state.keys.set(keyHash, gateway.buildSession({
+      org_id: organization.tyk_org_id,
+      alias: name,
+      apply_policies: policy ? [policy.tyk_policy_id] : [],
+      ...session
+    }));
+    return db.UserCredentials.create({
+      user_id: user.id,
+      organization_id: organization.id,
+      credential_type: 'api_key',
+      name,
+      tyk_key_hash: keyHash,
+      policy_id: policy ? policy.id : null,
+      is_active: true,
+      ...credential
+    });
+  };
+
+  const close = async () => {
+    await gateway.stop();
+    await db.sequelize.close();
+  };
+
+  return { db, organization, user, gateway, tykGatewayService, api, createUser, createPolicy, createTrackedKey, close };
+};
+
+// Classic API definition in the shape the gateway returns
+const classicApi = (apiId, overrides = {}) => ({
+  api_id: apiId,
+  name: apiId,
+  org_id: 'acme-org',
+  active: true,
+  use_keyless: false,
+  proxy: { listen_path: `/${apiId}/`, target_url: 'http://upstream.test', strip_listen_path: true },
+  version_data: { not_versioned: true, default_version: 'Default', versions: { Default: { name: 'Default' } } },
+  ...overrides
+});
+
+module.exports = { createTestContext, classicApi };
@@ -0,0 +1,682 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * In-process fake of the Tyk Gateway management API (see gateway-swagger.yml).
+ * Implements /hello, /tyk/apis (classic and /tyk/apis/oas), /tyk/keys, /tyk/policies,
+ * /tyk/certs, /tyk/oauth, /tyk/org/keys and /tyk/reload against in-memory state, with response
+ * shapes matching the real gateway, so backend flows can run without a network or
+ * a live gateway.
+ *
+ * Faults can be injected with setFault() to simulate errors, slow responses and
+ * dropped connections for specific methods and paths.
+ */
+class FakeTykGateway {
+  constructor(options = {}) {
+    this.app = express();
+    this.httpServer = null;
+    this.options = {
+      port: options.port || 0,
+      secret: options.secret || 'your-admin-secret',
+      version: options.version || 'v5.3.0',
+      logRequests: options.logRequests || false,
+      ...options
+    };
+    this.url = null;
+
+    this.reset();
+    this.setupMiddleware();
+    this.setupRoutes();
+  }
+
+  /**
+   * Clears all gateway state, recorded requests and injected faults.
+   */
+  reset() {
+    this.state = {
+      apis: new Map(),        // api_id -> definition (classic form, is_oas for OAS APIs)
+      oasApis: new Map(),     // api_id -> Tyk OAS document
+      keys: new Map(),        // key hash -> session
+      rawKeys: new Map(),     // raw key -> key hash
+      policies: new Map(),    // policy id -> policy
+      certs: new Map(),       // cert id -> { pem, meta }
+      oauthClients: new Map(), // client id -> client (with api_id)
+      oauthTokens: new Map(),  // client id -> [{ code, expires }]
+      orgs: new Map(),        // org id -> org session
+      reloads: 0
+    };
+    this.requests = [];
+    this.fault = null;
+  }
+
+  /**
+   * Injects a fault for matching requests.
+   * @param {Object} fault - Fault configuration
+   * @param {number} [fault.status=500] - HTTP status to return
+   * @param {string} [fault.message] - Error message in the response body
+   * @param {number} [fault.delayMs] - Delay before responding; without status, the request then succeeds
+   * @param {boolean} [fault.drop] - Destroy the connection instead of responding
+   * @param {string} [fault.method] - Only affect this HTTP method
+   * @param {string|RegExp} [fault.path] - Only affect paths starting with / matching this
+   * @param {number} [fault.times] - Only affect the next N matching requests
+   */
+  setFault(fault) {
+    this.fault = {
+      status: fault.delayMs && !fault.status && !fault.drop ? null : (fault.status || 500),
+      message: fault.message || 'Injected fault',
+      delayMs: fault.delayMs || 0,
+      drop: !!fault.drop,
+      method: fault.method ? fault.method.toUpperCase() : null,
+      path: fault.path || null,
+      remaining: fault.times ?? Infinity
+    };
+  }
+
+  clearFault() {
+    this.fault = null;
+  }
+
+  matchesFault(req) {
+    const fault = this.fault;
+    if (!fault || fault.remaining <= 0) return false;
+    if (fault.method && fault.method !== req.method) return false;
+    if (fault.path instanceof RegExp) return fault.path.test(req.path);
+    if (fault.path) return req.path.startsWith(fault.path);
+    return true;
+  }
+
+  setupMiddleware() {
+    // Certificates are posted as raw PEM, everything else as JSON
+    this.app.use('/tyk/certs', express.text({ type: () => true, limit: '1mb' }));
+    this.app.use(express.json({ limit: '5mb' }));
+    // OAuth token revocation takes form posts
+    this.app.use('/tyk/oauth', express.urlencoded({ extended: false }));
+
+    // Record requests so callers can assert on what was sent
+    this.app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: { ...req.query },
+        body: req.body,
+        timestamp: new Date().toISOString()
+      });
+      if (this.options.logRequests) {
+        console.log(`[fake-tyk] ${req.method} ${req.originalUrl}`);
+      }
+      next();
+    });
+
+    // Fault injection
+    this.app.use(async (req, res, next) => {
+      if (!this.matchesFault(req)) {
+        return next();
+      }
+      const fault = this.fault;
+      fault.remaining--;
+
+      if (fault.delayMs) {
+        await sleep(fault.delayMs);
+      }
+      if (fault.drop) {
+        return req.socket.destroy();
+      }
+      if (fault.status) {
+        return res.status(fault.status).json({ status: 'error', message: fault.message });
+      }
+      next();
+    });
+
+    // Admin secret check (every endpoint except /hello)
+    this.app.use((req, res, next) => {
+      if (req.path === '/hello' || req.get('x-tyk-authorization') === this.options.secret) {
+        return next();
+      }
+      res.status(403).json({
+        status: 'error',
+        message: 'Attempted administrative access with invalid or missing key!'
+      });
+    });
+  }
+
+  setupRoutes() {
+    const app = this.app;
+    const ok = (res, body, status = 200) => res.status(status).json(body);
+    const notFound = (res, message) => res.status(404).json({ status: 'error', message });
+    const badRequest = (res, message) => res.status(400).json({ status: 'error', message });
+
+    app.get('/hello', (req, res) => {
+      ok(res, {
+        status: 'pass',
+        version: this.options.version,
+        description: 'Tyk GW',
+        details: {
+          redis: { status: 'pass', componentType: 'datastore', time: new Date().toISOString() }
+        }
+      });
+    });
+
+    // --- Reload ---
+    const reload = (req, res) => {
+      this.state.reloads++;
+      ok(res, { status: 'ok', message: '' });
+    };
+    app.get('/tyk/reload', reload);
+    app.get('/tyk/reload/group', reload);
+
+    // --- APIs ---
+    app.get('/tyk/apis', (req, res) => {
+      ok(res, [...this.state.apis.values()]);
+    });
+
+    app.post('/tyk/apis', (req, res) => {
+      const definition = req.body || {};
+      if (!definition.name) {
+        return badRequest(res, 'Request malformed');
+      }
+      const apiId = definition.api_id || crypto.randomBytes(16).toString('hex');
+      if (this.state.apis.has(apiId)) {
+        return badRequest(res, 'Unable to create API, API ID already exists');
+      }
+      this.state.apis.set(apiId, { ...definition, api_id: apiId });
+      ok(res, { key: apiId, status: 'ok', action: 'added' });
+    });
+
+    // Tyk OAS APIs are also listed through the classic endpoints with is_oas: true
+    const oasToClassic = (document, apiId) => {
+      const extension = document['x-tyk-api-gateway'];
+      return {
+        name: extension.info.name,
+        api_id: apiId,
+        org_id: extension.info.orgId || '',
+        active: extension.info.state?.active !== false,
+        is_oas: true,
+        proxy: {
+          listen_path: extension.server.listenPath.value,
+          target_url: extension.upstream.url,
+          strip_listen_path: extension.server.listenPath.strip !== false
+        }
+      };
+    };
+
+    const validOas = (document) => {
+      const extension = document && document['x-tyk-api-gateway'];
+      return !!(document.openapi && extension?.info?.name &&
+        extension.server?.listenPath?.value && extension.upstream?.url);
+    };
+
+    app.get('/tyk/apis/oas', (req, res) => {
+      ok(res, [...this.state.oasApis.values()]);
+    });
+
+    app.post('/tyk/apis/oas', (req, res) => {
+      const document = req.body || {};
+      if (!validOas(document)) {
+        return badRequest(res, 'Request malformed');
+      }
+      const apiId = document['x-tyk-api-gateway'].info.id || crypto.randomBytes(16).toString('hex');
+      if (this.state.apis.has(apiId)) {
+        return badRequest(res, 'Unable to create API, API ID already exists');
+      }
+      document['x-tyk-api-gateway'].info.id = apiId;
+      this.state.oasApis.set(apiId, document);
+      this.state.apis.set(apiId, oasToClassic(document, apiId));
+      ok(res, { key: apiId, status: 'ok', action: 'added' });
+    });
+
+    app.get('/tyk/apis/oas/:apiId', (req, res) => {
+      const document = this.state.oasApis.get(req.params.apiId);
+      if (!document) return notFound(res, 'API not found');
+      ok(res, document);
+    });
+
+    app.put('/tyk/apis/oas/:apiId', (req, res) => {
+      const { apiId } = req.params;
+      if (!this.state.oasApis.has(apiId)) return notFound(res, 'API not found');
+      const document = req.body || {};
+      if (!validOas(document)) {
+        return badRequest(res, 'Request malformed');
+      }
+      document['x-tyk-api-gateway'].info.id = apiId;
+      this.state.oasApis.set(apiId, document);
+      this.state.apis.set(apiId, oasToClassic(document, apiId));
+      ok(res, { key: apiId, status: 'ok', action: 'modified' });
+    });
+
+    app.delete('/tyk/apis/oas/:apiId', (req, res) => {
+      const { apiId } = req.params;
+      if (!this.state.oasApis.delete(apiId)) return notFound(res, 'API not found');
+      this.state.apis.delete(apiId);
+      ok(res, { key: apiId, status: 'ok', action: 'deleted' });
+    });
+
+    app.get('/tyk/apis/:apiId', (req, res) => {
+      const api = this.state.apis.get(req.params.apiId);
+      if (!api) return notFound(res, 'API not found');
+      ok(res, api);
+    });
+
+    app.put('/tyk/apis/:apiId', (req, res) => {
+      const { apiId } = req.params;
+      if (!this.state.apis.has(apiId)) return notFound(res, 'API not found');
+      this.state.apis.set(apiId, { ...req.body, api_id: apiId });
+      ok(res, { key: apiId, status: 'ok', action: 'modified' });
+    });
+
+    app.delete('/tyk/apis/:apiId', (req, res) => {
+      const { apiId } = req.params;
+      if (!this.state.apis.delete(apiId)) return notFound(res, 'API not found');
+      this.state.oasApis.delete(apiId);
+      ok(res, { key: apiId, status: 'ok', action: 'deleted' });
+    });
+
+    // --- Keys ---
+    const createKey = (res, session, rawKey = null) => {
+      const key = rawKey || `${session.org_id || ''}${crypto.randomUUID().replace(/-/g, '')}`;
+      const keyHash = this.hashKey(key);
+      if (this.state.keys.has(keyHash)) {
+        return badRequest(res, 'Key already exists');
+      }
+      this.state.keys.set(keyHash, this.buildSession(session));
+      this.state.rawKeys.set(key, keyHash);
+      ok(res, { key, status: 'ok', action: 'added', key_hash: keyHash });
+    };
+
+    // Resolves :keyId to a stored hash, honouring ?hashed=
+    const resolveKeyHash = (req) => {
+      const { keyId } = req.params;
+      if (req.query.hashed === 'true') return keyId;
+      return this.state.rawKeys.get(keyId) || keyId;
+    };
+
+    app.get('/tyk/keys', (req, res) => {
+      ok(res, { keys: [...this.state.keys.keys()] });
+    });
+
+    app.post('/tyk/keys', (req, res) => createKey(res, req.body || {}));
+    app.post('/tyk/keys/create', (req, res) => createKey(res, req.body || {}));
+
+    app.post('/tyk/keys/policy/:keyId', (req, res) => {
+      const keyHash = resolveKeyHash(req);
+      const session = this.state.keys.get(keyHash);
+      if (!session) return notFound(res, 'Key not found');
+      this.state.keys.set(keyHash, this.buildSession({ ...session, apply_policies: req.body?.apply_policies || [] }));
+      ok(res, { key: req.params.keyId, status: 'ok', action: 'modified' });
+    });
+
+    app.post('/tyk/keys/:keyId', (req, res) => createKey(res, req.body || {}, req.params.keyId));
+
+    app.get('/tyk/keys/:keyId', (req, res) => {
+      const session = this.state.keys.get(resolveKeyHash(req));
+      if (!session) return notFound(res, 'Key not found');
+      ok(res, session);
+    });
+
+    app.put('/tyk/keys/:keyId', (req, res) => {
+      const keyHash = resolveKeyHash(req);
+      const existing = this.state.keys.get(keyHash);
+      if (!existing) return notFound(res, 'Key not found');
+      // Like Tyk, an update resets the quota unless suppress_reset=1
+      const session = req.query.suppress_reset === '1' ? req.body : { ...req.body, quota_remaining: undefined };
+      this.state.keys.set(keyHash, this.buildSession({ ...session, date_created: existing.date_created }));
+      ok(res, { key: req.params.keyId, status: 'ok', action: 'modified' });
+    });
+
+    app.delete('/tyk/keys/:keyId', (req, res) => {
+      const keyHash = resolveKeyHash(req);
+      if (!this.state.keys.delete(keyHash)) return notFound(res, 'There is no such key found');
+      for (const [raw, hash] of this.state.rawKeys) {
+        if (hash === keyHash) this.state.rawKeys.delete(raw);
+      }
+      ok(res, { key: req.params.keyId, status: 'ok', action: 'deleted' });
+    });
+
+    // --- Policies ---
+    app.get('/tyk/policies', (req, res) => {
+      ok(res, [...this.state.policies.values()]);
+    });
+
+    app.post('/tyk/policies', (req, res) => {
+      const policy = req.body || {};
+      const policyId = policy.id || crypto.randomBytes(12).toString('hex');
+      if (this.state.policies.has(policyId)) {
+        return badRequest(res, 'Policy with this ID already exists');
+      }
+      this.state.policies.set(policyId, { ...policy, id: policyId });
+      ok(res, { key: policyId, status: 'ok', action: 'added' });
+    });
+
+    app.get('/tyk/policies/:policyId', (req, res) => {
+      const policy = this.state.policies.get(req.params.policyId);
+      if (!policy) return notFound(res, 'Policy not found');
+      ok(res, policy);
+    });
+
+    app.put('/tyk/policies/:policyId', (req, res) => {
+      const { policyId } = req.params;
+      if (!this.state.policies.has(policyId)) return notFound(res, 'Policy not found');
+      this.state.policies.set(policyId, { ...req.body, id: policyId });
+      ok(res, { key: policyId, status: 'ok', action: 'modified' });
+    });
+
+    app.delete('/tyk/policies/:policyId', (req, res) => {
+      const { policyId } = req.params;
+      if (!this.state.policies.delete(policyId)) return notFound(res, 'Policy not found');
+      ok(res, { key: policyId, status: 'ok', action: 'deleted' });
+    });
+
+    // --- OAuth clients ---
+    app.post('/tyk/oauth/clients/create', (req, res) => {
+      const request = req.body || {};
+      if (request.api_id && !this.state.apis.has(request.api_id)) {
+        return badRequest(res, "API doesn't exist");
+      }
+      const client = {
+        client_id: request.client_id || crypto.randomBytes(16).toString('hex'),
+        secret: request.secret || Buffer.from(crypto.randomUUID()).toString('base64'),
+        redirect_uri: request.redirect_uri || '',
+        policy_id: request.policy_id || '',
+        description: request.description || '',
+        meta_data: request.meta_data || null,
+        api_id: request.api_id
+      };
+      this.state.oauthClients.set(client.client_id, client);
+      ok(res, client);
+    });
+
+    app.get('/tyk/oauth/clients/:apiId', (req, res) => {
+      if (!this.state.apis.has(req.params.apiId)) return notFound(res, 'API not found');
+      const clients = [...this.state.oauthClients.values()].filter(client => client.api_id === req.params.apiId);
+      // Like the gateway, an API without clients lists as null
+      ok(res, clients.length ? clients : null);
+    });
+
+    const findClient = (req) => {
+      const client = this.state.oauthClients.get(req.params.clientId);
+      return client && client.api_id === req.params.apiId ? client : null;
+    };
+
+    app.get('/tyk/oauth/clients/:apiId/:clientId', (req, res) => {
+      const client = findClient(req);
+      if (!client) return notFound(res, 'OAuth Client ID not found');
+      ok(res, client);
+    });
+
+    app.delete('/tyk/oauth/clients/:apiId/:clientId', (req, res) => {
+      if (!findClient(req)) return notFound(res, 'OAuth Client ID not found');
+      this.state.oauthClients.delete(req.params.clientId);
+      ok(res, { key: req.params.clientId, status: 'ok', action: 'deleted' });
+    });
+
+    app.get('/tyk/oauth/clients/:apiId/:clientId/tokens', (req, res) => {
+      if (!findClient(req)) return notFound(res, 'OAuth Client ID not found');
+      const tokens = this.state.oauthTokens.get(req.params.clientId) || [];
+      ok(res, tokens.length ? tokens : null);
+    });
+
+    app.post('/tyk/oauth/revoke', (req, res) => {
+      const { token, client_id: clientId } = req.body || {};
+      if (!token || !clientId) return badRequest(res, 'cannot parse form. Form malformed');
+      const tokens = this.state.oauthTokens.get(clientId) || [];
+      this.state.oauthTokens.set(clientId, tokens.filter(entry => entry.code !== token));
+      ok(res, { status: 'ok', message: 'token revoked successfully' });
+    });
+
+    app.post('/tyk/oauth/revoke_all', (req, res) => {
+      const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+      if (!clientId) return res.status(401).json({ status: 'error', message: 'client_id is required' });
+      const client = this.state.oauthClients.get(clientId);
+      if (!client || client.secret !== clientSecret) {
+        return notFound(res, "oauth client doesn't exist");
+      }
+      this.state.oauthTokens.delete(clientId);
+      ok(res, { status: 'ok', message: 'tokens revoked successfully' });
+    });
+
+    // --- Certificates ---
+    app.get('/tyk/certs', (req, res) => {
+      const orgId = req.query.org_id || '';
+      const certs = [...this.state.certs.values()].filter(cert => cert.meta.id.startsWith(orgId));
+      ok(res, {
+        certs: req.query.mode === 'detailed' ? certs.map(cert => cert.meta) : certs.map(cert => cert.meta.id)
+      });
+    });
+
+    app.post('/tyk/certs', (req, res) => {
+      const pem = typeof req.body === 'string' ? req.body.trim() : '';
+      let x509;
+      try {
+        x509 = new crypto.X509Certificate(pem);
+      } catch (error) {
+        return badRequest(res, 'Malformed request body');
+      }
+
+      const fingerprint = crypto.createHash('sha256').update(x509.raw).digest('hex');
+      const certId = `${req.query.org_id || ''}${fingerprint}`;
+      if (this.state.certs.has(certId)) {
+        return res.status(403).json({ status: 'error', message: 'Certificate with  ID already exists.' });
+      }
+
+      this.state.certs.set(certId, {
+        pem,
+        meta: {
+          id: certId,
+          fingerprint,
+          has_private: /PRIVATE KEY/.test(pem),
+          issuer: parseDistinguishedName(x509.issuer),
+          subject: parseDistinguishedName(x509.subject),
+          not_before: new Date(x509.validFrom).toISOString(),
+          not_after: new Date(x509.validTo).toISOString(),
+          dns_names: (x509.subjectAltName || '')
+            .split(', ')
+            .filter(name => name.startsWith('DNS:'))
+            .map(name => name.substring(4)),
+          is_ca: x509.ca
+        }
+      });
+      ok(res, { id: certId, status: 'ok', message: 'Certificate added' });
+    });
+
+    app.get('/tyk/certs/:certId', (req, res) => {
+      const cert = this.state.certs.get(req.params.certId);
+      if (!cert) return notFound(res, 'Certificate with given SHA256 fingerprint not found');
+      ok(res, cert.meta);
+    });
+
+    app.delete('/tyk/certs/:certId', (req, res) => {
+      if (!this.state.certs.delete(req.params.certId)) {
+        return notFound(res, 'Certificate with given SHA256 fingerprint not found');
+      }
+      ok(res, { status: 'ok', message: 'removed' });
+    });
+
+    // --- Organisation keys ---
+    app.get('/tyk/org/keys', (req, res) => {
+      ok(res, { keys: [...this.state.orgs.keys()] });
+    });
+
+    app.get('/tyk/org/keys/:orgId', (req, res) => {
+      const org = this.state.orgs.get(req.params.orgId);
+      if (!org) return notFound(res, 'Org not found');
+      ok(res, org);
+    });
+
+    const saveOrg = (req, res) => {
+      const { orgId } = req.params;
+      const existed = this.state.orgs.has(orgId);
+      this.state.orgs.set(orgId, { ...req.body, org_id: orgId });
+      ok(res, { key: orgId, status: 'ok', action: existed ? 'modified' : 'added' });
+    };
+    app.post('/tyk/org/keys/:orgId', saveOrg);
+    app.put('/tyk/org/keys/:orgId', saveOrg);
+
+    app.delete('/tyk/org/keys/:orgId', (req, res) => {
+      const { orgId } = req.params;
+      if (!this.state.orgs.delete(orgId)) return notFound(res, 'Org not found');
+      ok(res, { key: orgId, status: 'ok', action: 'deleted' });
+    });
+
+    // Anything else isn't implemented by the fake
+    app.use((req, res) => {
+      notFound(res, `Fake gateway does not implement ${req.method} ${req.path}`);
+    });
+  }
+
+  /**
+   * Records an access token as issued to an OAuth client, standing in for the
+   * authorization flow that would normally create it.
+   * @param {string} clientId - OAuth client ID
+   * @param {number} [ttlSeconds=3600] - Seconds until the token expires
+   * @returns {string} The token
+   */
+  issueOAuthToken(clientId, ttlSeconds = 3600) {
+    const code = crypto.randomBytes(24).toString('hex');
+    const tokens = this.state.oauthTokens.get(clientId) || [];
+    tokens.push({ code, expires: Math.floor(Date.now() / 1000) + ttlSeconds });
+    this.state.oauthTokens.set(clientId, tokens);
+    return code;
+  }
+
+  /**
+   * Hashes a raw key the way the gateway exposes it in listings.
+   * Stands in for Tyk's murmur64 hash; callers should treat it as opaque.
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Fills in session defaults and copies limits and access rights from applied
+   * policies, as the gateway does when a key is saved with apply_policies.
+   */
+  buildSession(session) {
+    const now = new Date().toISOString();
+    const built = {
+      allowance: 1000,
+      rate: 1000,
+      per: 60,
+      expires: 0,
+      quota_max: -1,
+      quota_renews: Math.floor(Date.now() / 1000) + 3600,
+      quota_remaining: -1,
+      quota_renewal_rate: 3600,
+      access_rights: {},
+      org_id: '',
+      is_inactive: false,
+      apply_policies: [],
+      meta_data: {},
+      tags: [],
+      alias: '',
+      date_created: now,
+      ...session,
+      last_updated: now
+    };
+
+    for (const policyId of built.apply_policies || []) {
+      const policy = this.state.policies.get(policyId);
+      if (!policy) continue;
+      built.rate = policy.rate ?? built.rate;
+      built.per = policy.per ?? built.per;
+      built.allowance = built.rate;
+      built.quota_max = policy.quota_max ?? built.quota_max;
+      built.quota_renewal_rate = policy.quota_renewal_rate ?? built.quota_renewal_rate;
+      built.access_rights = { ...built.access_rights, ...(policy.access_rights || {}) };
+    }
+    if (session.quota_remaining === undefined) {
+      built.quota_remaining = built.quota_max;
+    }
+
+    return built;
+  }
+
+  /**
+   * Points a TykGatewayService instance at this fake as its only node,
+   * skipping SystemConfig lookups and clearing breaker and cache state.
+   * @param {Object} tykGatewayService - The backend's TykGatewayService singleton
+   */
+  connect(tykGatewayService) {
+    if (!this.url) {
+      throw new Error('Fake gateway must be started before connecting a service');
+    }
+    tykGatewayService.baseUrl = this.url;
+    tykGatewayService.secret = this.options.secret;
+    tykGatewayService.nodes = [{ id: 'primary', name: 'Primary', url: this.url, secret: this.options.secret, health: null }];
+    tykGatewayService.circuit = { state: 'closed', failures: 0, openedAt: null, lastFailure: null, halfOpenTrialInFlight: false };
+    tykGatewayService.keyCache.clear();
+    tykGatewayService.initialized = true;
+  }
+
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.httpServer = this.app.listen(this.options.port, '127.0.0.1', (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const { port } = this.httpServer.address();
+        this.url = `http://127.0.0.1:${port}`;
+        console.log(`🧪 Fake Tyk Gateway running at ${this.url}`);
+        resolve({ url: this.url, port, httpServer: this.httpServer });
+      });
+      this.httpServer.on('error', reject);
+    });
+  }
+
+  async stop() {
+    return new Promise((resolve) => {
+      if (!this.httpServer) {
+        resolve();
+        return;
+      }
+      this.httpServer.close(() => {
+        console.log('🛑 Fake Tyk Gateway stopped');
+        this.httpServer = null;
+        this.url = null;
+        resolve();
+      });
+      // Don't wait on idle keep-alive connections
+      if (this.httpServer.closeIdleConnections) {
+        this.httpServer.closeIdleConnections();
+      }
+    });
+  }
+}
+
+// "CN=example.com\nO=Acme" -> { CN: 'example.com', O: 'Acme' }
+const parseDistinguishedName = (dn) => {
+  const fields = {};
+  for (const line of (dn || '').split('\n')) {
+    const index = line.indexOf('=');
+    if (index > 0) {
+      fields[line.substring(0, index)] = line.substring(index + 1);
+    }
+  }
+  return fields;
+};
+
+module.exports = FakeTykGateway;
+
+// If run directly, start the fake gateway (defaults to Tyk's port 8080)
+if (require.main === module) {
+  const gateway = new FakeTykGateway({
+    port: parseInt(process.env.PORT, 10) || 8080,
+    secret: process.env.TYK_GATEWAY_SECRET || 'your-admin-secret',
+    logRequests: true
+  });
+
+  gateway.start()
+    .then(() => {
+      console.log('Fake Tyk Gateway started successfully!');
+      console.log('Press Ctrl+C to stop');
+    })
+    .catch(console.error);
+
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\nShutting down gracefully...');
+    await gateway.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,145 @@
+// Enforces per-key network restrictions set in TykBasic (session meta_data.network_restrictions).
+//
+// Attach it to an API as a post-key-auth middleware:
+//   "custom_middleware": {
+//     "driver": "otto",
+//     "post_key_auth": [{ "name": "keyNetworkRestrictions", "path": "middleware/keyNetworkRestrictions.js", "require_session": true }]
+//   }
+//
+// The JSVM does not see the connection's address, so the client IP is read from the header set
+// by the load balancer in front of the gateway (config_data.client_ip_header, default X-Real-Ip,
+// falling back to the first X-Forwarded-For entry). That proxy must overwrite the header, or
+// clients can choose their own address.
+//
+// Runs in Tyk's ES5 JavaScript VM: no let/const, arrow functions or Array.prototype.includes.
+
+var keyNetworkRestrictions = new TykJS.TykMiddleware.NewMiddleware({});
+
+function knrHeader(request, name) {
+  var values = request.Headers[name];
+  return values && values.length > 0 ? String(values[0]).trim() : '';
+}
+
+// Returns 4 bytes for IPv4 (including IPv4-mapped IPv6), 16 for IPv6, or null
+function knrAddressBytes(address) {
+  var ipv4 = address.match(/^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/i);
+  if (ipv4) {
+    var bytes4 = [];
+    for (var i = 1; i <= 4; i++) {
+      var octet = parseInt(ipv4[i], 10);
+      if (octet > 255) return null;
+      bytes4.push(octet);
+    }
+    return bytes4;
+  }
+
+  if (address.indexOf(':') === -1 || !/^[0-9a-f:]+$/i.test(address)) return null;
+  var halves = address.split('::');
+  if (halves.length > 2) return null;
+  var head = halves[0] ? halves[0].split(':') : [];
+  var tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  var missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || missing < 0) return null;
+
+  var groups = head;
+  for (var j = 0; halves.length === 2 && j < missing; j++) groups.push('0');
+  groups = groups.concat(tail);
+
+  var bytes16 = [];
+  for (var k = 0; k < groups.length; k++) {
+    if (groups[k].length === 0 || groups[k].length > 4) return null;
+    var value = parseInt(groups[k], 16);
+    bytes16.push(value >> 8, value & 255);
+  }
+
+  // ::ffff:a00:1 is 10.0.0.1
+  var mapped = true;
+  for (var m = 0; m < 10; m++) if (bytes16[m] !== 0) mapped = false;
+  if (mapped && bytes16[10] === 255 && bytes16[11] === 255) return bytes16.slice(12);
+  return bytes16;
+}
+
+function knrInRange(addressBytes, cidr) {
+  var parts = cidr.split('/');
+  var network = knrAddressBytes(parts[0]);
+  if (!network || network.length !== addressBytes.length) return false;
+  var prefix = parts.length > 1 ? parseInt(parts[1], 10) : network.length * 8;
+  // An IPv4-mapped range (::ffff:10.0.0.0/104) is matched as IPv4; ranges wider than the mapped block never match
+  if (network.length === 4 && parts[0].indexOf(':') !== -1) {
+    if (prefix < 96) return false;
+    prefix -= 96;
+  }
+
+  for (var i = 0; i < network.length && prefix > 0; i++, prefix -= 8) {
+    var mask = prefix >= 8 ? 255 : (255 << (8 - prefix)) & 255;
+    if ((addressBytes[i] & mask) !== (network[i] & mask)) return false;
+  }
+  return true;
+}
+
+function knrInAnyRange(addressBytes, cidrs) {
+  for (var i = 0; i < cidrs.length; i++) {
+    if (knrInRange(addressBytes, cidrs[i])) return true;
+  }
+  return false;
+}
+
+function knrOriginAllowed(origin, allowedOrigins) {
+  var match = origin.toLowerCase().match(/^(https?:\/\/)([^\/]+)/);
+  if (!match) return false;
+
+  for (var i = 0; i < allowedOrigins.length; i++) {
+    var allowed = allowedOrigins[i];
+    if (allowed === match[0]) return true;
+    // https://*.example.com matches https://app.example.com but not https://example.com
+    var wildcard = allowed.match(/^(https?:\/\/)\*(\..+)$/);
+    if (wildcard && match[1] === wildcard[1] && match[2].length > wildcard[2].length &&
+        match[2].slice(-wildcard[2].length) === wildcard[2]) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function knrReject(request, session, message) {
+  request.ReturnOverrides.ResponseCode = 403;
+  request.ReturnOverrides.ResponseError = message;
+  return keyNetworkRestrictions.ReturnData(request, session.meta_data);
+}
+
+keyNetworkRestrictions.NewProcessRequest(function(request, session, spec) {
+  var restrictions = session.meta_data && session.meta_data.network_restrictions;
+  if (!restrictions) {
+    return keyNetworkRestrictions.ReturnData(request, session.meta_data);
+  }
+
+  var allowedIps = restrictions.allowed_ips || [];
+  var blockedIps = restrictions.blocked_ips || [];
+  var allowedOrigins = restrictions.allowed_origins || [];
+
+  if (allowedIps.length > 0 || blockedIps.length > 0) {
+    var ipHeader = (spec.config_data && spec.config_data.client_ip_header) || 'X-Real-Ip';
+    var clientIp = knrHeader(request, ipHeader) || knrHeader(request, 'X-Forwarded-For').split(',')[0].trim();
+    var clientBytes = clientIp ? knrAddressBytes(clientIp) : null;
+
+    if (!clientBytes) {
+      return knrReject(request, session, 'Client address could not be determined for this key');
+    }
+    if (knrInAnyRange(clientBytes, blockedIps)) {
+      return knrReject(request, session, 'Access from this address is blocked for this key');
+    }
+    if (allowedIps.length > 0 && !knrInAnyRange(clientBytes, allowedIps)) {
+      return knrReject(request, session, 'Access from this address is not allowed for this key');
+    }
+  }
+
+  // Browsers send Origin on cross-origin requests and Referer on most others
+  if (allowedOrigins.length > 0) {
+    var origin = knrHeader(request, 'Origin') || knrHeader(request, 'Referer');
+    if (!origin || !knrOriginAllowed(origin, allowedOrigins)) {
+      return knrReject(request, session, 'Requests from this origin are not allowed for this key');
+    }
+  }
+
+  return keyNetworkRestrictions.ReturnData(request, session.meta_data);
+});